@@ -0,0 +1,149 @@
+// The files attached to the message being written: picked with the file input or dropped
+// on the zone, listed with a thumbnail (images) or icon and a remove button.
+// options:
+//   input     the <input type="file">; its own selection is moved into the list
+//   zone      element that takes drops
+//   list      element the attached files are rendered into
+//   check     (file, files) => error message for a file that may not be added, or null
+//   onChange  (rejected) => called after files were added or removed, with the messages
+//             for files that were turned away
+//   messages  overrides for AttachmentPicker.MESSAGES, functions of the file name
+class AttachmentPicker {
+    constructor(options) {
+        this.input = options.input;
+        this.zone = options.zone;
+        this.list = options.list;
+        this.check = options.check || (() => null);
+        this.onChange = options.onChange || (() => {});
+        this.messages = { ...AttachmentPicker.MESSAGES, ...(options.messages || {}) };
+        this.items = [];            // [{ key, file, previewUrl }]
+        this.nextKey = 1;
+        
+        this.initializeEventListeners();
+    }
+    
+    initializeEventListeners() {
+        this.input.addEventListener('change', () => {
+            this.add(this.input.files);
+            // Picking the same file again after removing it should work too
+            this.input.value = '';
+        });
+        
+        // dragover has to be cancelled for the zone to accept drops
+        ['dragenter', 'dragover'].forEach(type => {
+            this.zone.addEventListener(type, (e) => {
+                if (!AttachmentPicker.hasFiles(e)) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+                this.zone.classList.add('dragover');
+            });
+        });
+        this.zone.addEventListener('dragleave', (e) => {
+            if (!this.zone.contains(e.relatedTarget)) this.zone.classList.remove('dragover');
+        });
+        this.zone.addEventListener('drop', (e) => {
+            if (!AttachmentPicker.hasFiles(e)) return;
+            e.preventDefault();
+            this.zone.classList.remove('dragover');
+            this.add(e.dataTransfer.files);
+        });
+        
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('.attachment-remove');
+            if (button) this.remove(Number(button.closest('.attachment-item').dataset.key));
+        });
+    }
+    
+    get files() {
+        return this.items.map(item => item.file);
+    }
+    
+    add(fileList) {
+        const rejected = [];
+        
+        Array.from(fileList || []).forEach(file => {
+            const duplicate = this.items.some(item => AttachmentPicker.sameFile(item.file, file));
+            const error = duplicate ? this.messages.duplicate(file.name) : this.check(file, this.files);
+            
+            if (error) {
+                rejected.push(error);
+                return;
+            }
+            this.items.push({
+                key: this.nextKey++,
+                file: file,
+                previewUrl: file.type.startsWith('image/') ? URL.createObjectURL(file) : null
+            });
+        });
+        
+        this.render();
+        this.onChange(rejected);
+    }
+    
+    remove(key) {
+        const item = this.items.find(entry => entry.key === key);
+        if (!item) return;
+        
+        if (item.previewUrl) URL.revokeObjectURL(item.previewUrl);
+        this.items = this.items.filter(entry => entry !== item);
+        this.render();
+        this.onChange([]);
+        
+        // Keep keyboard focus in the list, or hand it back to the file input
+        const next = this.list.querySelector('.attachment-remove');
+        (next || this.input).focus();
+    }
+    
+    clear() {
+        this.items.forEach(item => {
+            if (item.previewUrl) URL.revokeObjectURL(item.previewUrl);
+        });
+        this.items = [];
+        this.render();
+    }
+    
+    render() {
+        this.list.innerHTML = '';
+        
+        this.items.forEach(item => {
+            const element = document.createElement('li');
+            element.className = 'attachment-item';
+            element.dataset.key = item.key;
+            element.innerHTML = `
+                ${item.previewUrl
+                    ? '<img class="attachment-thumb" alt="">'
+                    : `<span class="attachment-icon" aria-hidden="true">${AttachmentPicker.iconFor(item.file)}</span>`}
+                <span class="attachment-name"></span>
+                <span class="attachment-size">${FormValidator.formatSize(item.file.size)}</span>
+                <button type="button" class="attachment-remove">✕</button>
+            `;
+            
+            // File names come from the user's disk, so they only ever go in as text
+            if (item.previewUrl) element.querySelector('.attachment-thumb').src = item.previewUrl;
+            element.querySelector('.attachment-name').textContent = item.file.name;
+            element.querySelector('.attachment-remove').setAttribute('aria-label', this.messages.remove(item.file.name));
+            this.list.appendChild(element);
+        });
+    }
+    
+    // Drags of text or links shouldn't light up the zone
+    static hasFiles(e) {
+        return !!e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+    }
+    
+    static sameFile(a, b) {
+        return a.name === b.name && a.size === b.size && a.lastModified === b.lastModified;
+    }
+    
+    static iconFor(file) {
+        if (file.type.startsWith('image/')) return '🖼️';
+        if (file.type === 'application/pdf') return '📕';
+        if (file.type.startsWith('text/')) return '📄';
+        return '📎';
+    }
+}
+
+AttachmentPicker.MESSAGES = {
+    duplicate: name => `${name} is already attached`,
+    remove: name => `Remove ${name}`
+};
\ No newline at end of file
@@ -0,0 +1,112 @@
+// Turns contact messages into JSON, CSV or mbox files for handing off to other tools
+// (spreadsheets, help desks, mail clients).
+class MessageExport {
+    static export(format, messages) {
+        switch (format) {
+            case 'csv':
+                return MessageExport.toCSV(messages);
+            case 'mbox':
+                return MessageExport.toMbox(messages);
+            default:
+                return MessageExport.toJSON(messages);
+        }
+    }
+    
+    static toJSON(messages) {
+        return JSON.stringify({
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            messages: messages
+        }, null, 2);
+    }
+    
+    static toCSV(messages) {
+        const rows = messages.map(message => [
+            message.id,
+            message.name,
+            message.email,
+            message.message,
+            message.timestamp,
+            message.delivery ? message.delivery.status : 'sent',
+            !!message.read,
+            !!message.starred,
+            (message.attachments || []).map(attachment => attachment.name).join('; ')
+        ]);
+        
+        return [MessageExport.CSV_COLUMNS, ...rows]
+            .map(row => row.map(value => Csv.escape(value)).join(','))
+            .join('\r\n');
+    }
+    
+    // One RFC 5322 message per entry in mboxrd format, oldest first, which mail
+    // clients such as Thunderbird can import
+    static toMbox(messages) {
+        return [...messages]
+            .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+            .map(message => MessageExport.toMboxEntry(message))
+            .join('');
+    }
+    
+    static toMboxEntry(message) {
+        const date = new Date(message.timestamp);
+        const email = MessageExport.headerValue(message.email);
+        const headers = [
+            `From: ${MessageExport.displayName(message.name)} <${email}>`,
+            `To: ${MessageExport.MBOX_RECIPIENT}`,
+            `Date: ${date.toUTCString()}`,
+            `Subject: ${MessageExport.encodeHeader(`Contact form message from ${message.name}`)}`,
+            `Message-ID: <${message.id}@contact-form.local>`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: 8bit',
+            `Status: ${message.read ? 'RO' : 'O'}`
+        ];
+        if (message.starred) headers.push('X-Starred: yes');
+        
+        // mboxrd: quote body lines that look like a message separator
+        const body = message.message
+            .replace(/\r\n?/g, '\n')
+            .split('\n')
+            .map(line => (/^>*From /.test(line) ? `>${line}` : line))
+            .join('\n');
+        
+        return `From ${email} ${MessageExport.asctime(date)}\n${headers.join('\n')}\n\n${body}\n\n`;
+    }
+    
+    // Header values must stay on one line, whatever was typed into the form
+    static headerValue(text) {
+        return String(text).replace(/[\r\n]+/g, ' ');
+    }
+    
+    static displayName(name) {
+        const value = MessageExport.headerValue(name);
+        return /^[\x20-\x7e]*$/.test(value)
+            ? `"${value.replace(/["\\]/g, '\\$&')}"`
+            : MessageExport.encodeHeader(value);
+    }
+    
+    // RFC 2047 encoded word for text that isn't plain ASCII
+    static encodeHeader(text) {
+        const value = MessageExport.headerValue(text);
+        if (/^[\x20-\x7e]*$/.test(value)) return value;
+        
+        const bytes = new TextEncoder().encode(value);
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return `=?UTF-8?B?${btoa(binary)}?=`;
+    }
+    
+    // "Mon Jan 15 10:30:00 2024" in UTC, as the mbox "From " line expects
+    static asctime(date) {
+        const [weekday, day, month, year, time] = date.toUTCString().replace(',', '').split(' ');
+        return `${weekday} ${month} ${String(Number(day)).padStart(2, ' ')} ${time} ${year}`;
+    }
+}
+
+MessageExport.CSV_COLUMNS = ['id', 'name', 'email', 'message', 'timestamp', 'status', 'read', 'starred', 'attachments'];
+MessageExport.MBOX_RECIPIENT = 'Contact form <contact-form@localhost>';
+MessageExport.FILE_TYPES = {
+    json: { extension: 'json', mimeType: 'application/json' },
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    mbox: { extension: 'mbox', mimeType: 'application/mbox' }
+};
\ No newline at end of file
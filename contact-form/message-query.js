@@ -0,0 +1,101 @@
+// Filters and sorts the contact message history. Works on plain message objects.
+// criteria: { search, sender, from, to, sort }
+//   search  words and "quoted phrases" that must all appear in the name, email or message
+//   sender  an email address (case-insensitive)
+//   from/to local dates as YYYY-MM-DD, both inclusive
+//   sort    one of MessageQuery.SORTS
+class MessageQuery {
+    constructor(criteria = {}) {
+        this.terms = MessageQuery.parseTerms(criteria.search || '');
+        this.sender = (criteria.sender || '').toLowerCase();
+        this.from = criteria.from ? MessageQuery.startOfDay(criteria.from) : null;
+        this.to = criteria.to ? MessageQuery.startOfDay(criteria.to, 1) : null;
+        this.sort = MessageQuery.SORTS[criteria.sort] ? criteria.sort : 'newest';
+    }
+    
+    static parseTerms(input) {
+        const terms = [];
+        const termRegex = /"([^"]*)"?|(\S+)/g;
+        let match;
+        
+        while ((match = termRegex.exec(input)) !== null) {
+            const term = (match[1] !== undefined ? match[1] : match[2]).trim().toLowerCase();
+            if (term && !terms.includes(term)) terms.push(term);
+        }
+        
+        return terms;
+    }
+    
+    // Midnight at the start of a local YYYY-MM-DD date, plus `days`
+    static startOfDay(dateKey, days = 0) {
+        return DateKey.toDate(dateKey, days).getTime();
+    }
+    
+    get isFiltered() {
+        return this.terms.length > 0 || !!this.sender || this.from !== null || this.to !== null;
+    }
+    
+    matches(message) {
+        const time = Date.parse(message.timestamp);
+        if (this.from !== null && time < this.from) return false;
+        if (this.to !== null && time >= this.to) return false;
+        if (this.sender && message.email.toLowerCase() !== this.sender) return false;
+        
+        const haystack = `${message.name}\n${message.email}\n${message.message}`.toLowerCase();
+        return this.terms.every(term => haystack.includes(term));
+    }
+    
+    apply(messages) {
+        return messages.filter(message => this.matches(message)).sort(MessageQuery.SORTS[this.sort]);
+    }
+    
+    // Terms to highlight in the rendered results
+    getHighlightTerms() {
+        return this.terms;
+    }
+    
+    // Groups messages from the same email address into conversations. Threads come in
+    // the order of their first message in `messages` (so a sorted list gives sorted
+    // threads); messages within a thread are oldest first.
+    // [{ email, name, messages, unread, latest }]
+    static threads(messages) {
+        const threads = new Map();
+        
+        messages.forEach(message => {
+            const key = message.email.toLowerCase();
+            if (!threads.has(key)) threads.set(key, { email: key, name: message.name, messages: [], unread: 0, latest: message });
+            
+            const thread = threads.get(key);
+            thread.messages.push(message);
+            if (!message.read) thread.unread++;
+            if (Date.parse(message.timestamp) > Date.parse(thread.latest.timestamp)) thread.latest = message;
+        });
+        
+        return [...threads.values()].map(thread => {
+            thread.messages.sort(MessageQuery.SORTS.oldest);
+            thread.name = thread.latest.name;
+            return thread;
+        });
+    }
+    
+    // Everyone who has written, for the sender filter: [{ email, name, count }], by name
+    static senders(messages) {
+        const senders = new Map();
+        
+        messages.forEach(message => {
+            const key = message.email.toLowerCase();
+            if (!senders.has(key)) senders.set(key, { email: key, name: message.name, count: 0 });
+            senders.get(key).count++;
+        });
+        
+        return [...senders.values()].sort((a, b) => a.name.localeCompare(b.name) || a.email.localeCompare(b.email));
+    }
+}
+
+// Messages by the same sender stay newest first
+MessageQuery.SORTS = {
+    newest: (a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp),
+    oldest: (a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp),
+    'sender-asc': (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }) || MessageQuery.SORTS.newest(a, b),
+    'sender-desc': (a, b) => b.name.localeCompare(a.name, undefined, { sensitivity: 'base' }) || MessageQuery.SORTS.newest(a, b)
+};
\ No newline at end of file
@@ -0,0 +1,158 @@
+// Local mock backend for trying out message delivery. Serves the repository's files and
+// accepts POST /api/contact as JSON or multipart/form-data. No dependencies:
+//
+//   node contact-form/mock-server.js
+//   open http://localhost:8080/contact-form/
+//
+// Environment: PORT (8080), DELAY in ms before answering (500), FAIL_RATE between 0 and 1
+// for the share of requests answered with 503 so retries can be watched.
+// Emails at example.com and files over 5 MB are rejected with a 422 field error to show
+// server-side validation. Attached files are counted, not kept.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = Number(process.env.PORT) || 8080;
+const DELAY = process.env.DELAY !== undefined ? Number(process.env.DELAY) : 500;
+const FAIL_RATE = Number(process.env.FAIL_RATE) || 0;
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+const TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json',
+    '.webmanifest': 'application/manifest+json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+// Idempotency-Key -> stored message, so retried requests aren't counted twice
+const received = new Map();
+
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => resolve(Buffer.concat(chunks)));
+        request.on('error', reject);
+    });
+}
+
+// Text parts become fields; file parts are only described in fields.attachments as
+// { name, type, size }. Read as latin1 so file sizes come out in bytes.
+function parseMultipart(buffer, contentType) {
+    const boundary = (contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/) || []).slice(1).find(Boolean);
+    const fields = { attachments: [] };
+    if (!boundary) return fields;
+    
+    buffer.toString('latin1').split(`--${boundary}`).forEach(part => {
+        const match = part.match(/name="([^"]+)"([^\r\n]*)\r\n((?:[^\r\n]+\r\n)*)\r\n([\s\S]*)\r\n$/);
+        if (!match) return;
+        
+        const fileName = match[2].match(/filename="([^"]*)"/);
+        if (fileName) {
+            const type = match[3].match(/Content-Type:\s*([^\r\n]+)/i);
+            fields.attachments.push({
+                name: Buffer.from(fileName[1], 'latin1').toString('utf8'),
+                type: type ? type[1] : 'application/octet-stream',
+                size: match[4].length
+            });
+        } else {
+            fields[match[1]] = Buffer.from(match[4], 'latin1').toString('utf8');
+        }
+    });
+    
+    return fields;
+}
+
+function validate(message) {
+    const errors = {};
+    const text = key => (typeof message[key] === 'string' ? message[key].trim() : '');
+    
+    if (text('name').length < 2) errors.name = 'Name must be at least 2 characters long';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text('email'))) {
+        errors.email = 'Please enter a valid email address';
+    } else if (/@example\.com$/i.test(text('email'))) {
+        errors.email = 'Addresses at example.com cannot receive replies';
+    }
+    if (text('message').length < 10) errors.message = 'Message must be at least 10 characters long';
+    
+    const tooLarge = (message.attachments || []).find(file => file.size > MAX_FILE_SIZE);
+    if (tooLarge) errors.attachments = `${tooLarge.name} is larger than 5 MB`;
+    
+    return errors;
+}
+
+async function handleContact(request, response) {
+    let message;
+    try {
+        const body = await readBody(request);
+        const type = request.headers['content-type'] || '';
+        message = type.includes('multipart/form-data') ? parseMultipart(body, type) : JSON.parse(body.toString('utf8'));
+    } catch (error) {
+        sendJson(response, 400, { message: 'The request body could not be read' });
+        return;
+    }
+    
+    if (Math.random() < FAIL_RATE) {
+        sendJson(response, 503, { message: 'The server is busy, please try again later' });
+        return;
+    }
+    
+    const key = request.headers['idempotency-key'];
+    if (key && received.has(key)) {
+        sendJson(response, 200, { id: key, duplicate: true });
+        return;
+    }
+    
+    const errors = validate(message);
+    if (Object.keys(errors).length > 0) {
+        sendJson(response, 422, { errors: errors });
+        return;
+    }
+    
+    received.set(key || String(Date.now()), message);
+    const files = (message.attachments || []).length;
+    console.log(`Received message from ${message.name} <${message.email}>${files > 0 ? ` with ${files} attachment(s)` : ''}`);
+    sendJson(response, 201, { id: key || null });
+}
+
+function serveFile(request, response) {
+    const url = new URL(request.url, `http://localhost:${PORT}`);
+    let file = path.join(ROOT, decodeURIComponent(url.pathname));
+    if (!file.startsWith(ROOT)) {
+        response.writeHead(403);
+        response.end();
+        return;
+    }
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) file = path.join(file, 'index.html');
+    
+    fs.readFile(file, (error, data) => {
+        if (error) {
+            response.writeHead(404);
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': TYPES[path.extname(file)] || 'application/octet-stream' });
+        response.end(data);
+    });
+}
+
+http.createServer((request, response) => {
+    if (request.url.split('?')[0] === '/api/contact' && request.method === 'POST') {
+        setTimeout(() => handleContact(request, response), DELAY);
+    } else if (request.method === 'GET') {
+        serveFile(request, response);
+    } else {
+        sendJson(response, 405, { message: 'Method not allowed' });
+    }
+}).listen(PORT, () => {
+    console.log(`Mock server running at http://localhost:${PORT}/contact-form/`);
+});
\ No newline at end of file
@@ -0,0 +1,152 @@
+// Delivers contact messages and retries the ones that could not be sent, with
+// exponential backoff, until they go through or fail for good. The messages and their
+// delivery state live with the caller: getMessages() returns them and
+// setDelivery(id, delivery) stores a message's new state, where delivery is
+// { status: 'queued' | 'sending' | 'sent' | 'failed', attempts, nextAttemptAt, error, sentAt }.
+// Time comes from an injectable clock ({ now, setTimeout, clearTimeout }) for tests.
+class MessageOutbox {
+    constructor(options) {
+        this.transport = options.transport;
+        this.getMessages = options.getMessages;
+        this.setDelivery = options.setDelivery;
+        this.isOnline = options.isOnline || (() => navigator.onLine);
+        this.clock = options.clock || MessageOutbox.SYSTEM_CLOCK;
+        this.sending = new Set();
+        this.flushing = false;
+        this.timer = null;
+    }
+    
+    // One delivery attempt. Resolves with { status, error, offline }; error is the
+    // SubmissionError of a failed attempt.
+    async send(message) {
+        const previous = message.delivery || { attempts: 0 };
+        
+        if (!this.isOnline()) {
+            this.setDelivery(message.id, { ...previous, status: 'queued', nextAttemptAt: null });
+            return { status: 'queued', error: null, offline: true };
+        }
+        if (this.sending.has(message.id)) {
+            return { status: 'sending', error: null, offline: false };
+        }
+        
+        const attempts = previous.attempts + 1;
+        this.sending.add(message.id);
+        this.setDelivery(message.id, {
+            status: 'sending',
+            attempts: attempts,
+            startedAt: new Date(this.clock.now()).toISOString()
+        });
+        
+        try {
+            await this.transport.send(message);
+            this.setDelivery(message.id, {
+                status: 'sent',
+                attempts: attempts,
+                sentAt: new Date(this.clock.now()).toISOString()
+            });
+            return { status: 'sent', error: null, offline: false };
+        } catch (error) {
+            const retry = error.retryable && attempts < MessageOutbox.MAX_ATTEMPTS;
+            this.setDelivery(message.id, {
+                status: retry ? 'queued' : 'failed',
+                attempts: attempts,
+                nextAttemptAt: retry
+                    ? new Date(this.clock.now() + MessageOutbox.retryDelay(attempts)).toISOString()
+                    : null,
+                error: error.message
+            });
+            return { status: retry ? 'queued' : 'failed', error: error, offline: false };
+        } finally {
+            this.sending.delete(message.id);
+            this.schedule();
+        }
+    }
+    
+    // Sends the queued messages that are due, oldest first. With immediate set (e.g.
+    // when the connection comes back) the backoff is skipped.
+    async flush(immediate = false) {
+        if (this.flushing || !this.isOnline()) return;
+        this.flushing = true;
+        
+        try {
+            const due = this.getMessages()
+                .filter(message => this.isDue(message, immediate))
+                .sort((a, b) => a.id - b.id);
+            
+            for (const message of due) {
+                // Another tab may have delivered or deleted it in the meantime
+                const current = this.getMessages().find(item => item.id === message.id);
+                if (current && this.isDue(current, immediate)) await this.send(current);
+            }
+        } finally {
+            this.flushing = false;
+            this.schedule();
+        }
+    }
+    
+    // Queued messages are due once their backoff has passed. A message stuck in
+    // "sending" was interrupted (e.g. the page closed mid-request) and is sent again.
+    isDue(message, immediate) {
+        const delivery = message.delivery;
+        if (!delivery || this.sending.has(message.id)) return false;
+        
+        const now = this.clock.now();
+        if (delivery.status === 'queued') {
+            return immediate || !delivery.nextAttemptAt || Date.parse(delivery.nextAttemptAt) <= now;
+        }
+        if (delivery.status === 'sending') {
+            return now - Date.parse(delivery.startedAt) > MessageOutbox.STALE_AFTER;
+        }
+        return false;
+    }
+    
+    // Wakes up for the next retry; capped like the reminder timers, so a sleeping
+    // laptop or throttled background tab catches up soon after it resumes
+    schedule() {
+        this.clock.clearTimeout(this.timer);
+        this.timer = null;
+        
+        const now = this.clock.now();
+        const times = this.getMessages()
+            .filter(message => message.delivery && !this.sending.has(message.id))
+            .map(message => this.nextAttemptTime(message, now))
+            .filter(time => time !== null);
+        
+        if (times.length === 0 || !this.isOnline()) return;
+        
+        const delay = Math.min(Math.max(0, Math.min(...times) - now), MessageOutbox.MAX_DELAY);
+        this.timer = this.clock.setTimeout(() => this.flush(), delay);
+    }
+    
+    nextAttemptTime(message, now) {
+        const delivery = message.delivery;
+        if (delivery.status === 'queued') {
+            return delivery.nextAttemptAt ? Date.parse(delivery.nextAttemptAt) : now;
+        }
+        if (delivery.status === 'sending') {
+            return Date.parse(delivery.startedAt) + MessageOutbox.STALE_AFTER + 1;
+        }
+        return null;
+    }
+    
+    stop() {
+        this.clock.clearTimeout(this.timer);
+        this.timer = null;
+    }
+    
+    // 5 s, 10 s, 20 s, ... up to 10 minutes
+    static retryDelay(attempts) {
+        return Math.min(MessageOutbox.BASE_DELAY * Math.pow(2, attempts - 1), MessageOutbox.MAX_BACKOFF);
+    }
+}
+
+MessageOutbox.SYSTEM_CLOCK = {
+    now: () => Date.now(),
+    setTimeout: (callback, delay) => setTimeout(callback, delay),
+    clearTimeout: timer => clearTimeout(timer)
+};
+MessageOutbox.BASE_DELAY = 5000;
+MessageOutbox.MAX_BACKOFF = 10 * 60 * 1000;
+MessageOutbox.MAX_DELAY = 60 * 1000;
+MessageOutbox.MAX_ATTEMPTS = 8;              // After that the message is marked as failed
+MessageOutbox.STALE_AFTER = 60 * 1000;       // Longer than MessageTransport.TIMEOUT
\ No newline at end of file
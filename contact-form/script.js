@@ -1,227 +1,1279 @@
 class ContactForm {
-    constructor() {
+    // options.schema adds to or overrides the rules read from the form's attributes;
+    // options.messages and options.validators are passed on to the FormValidator.
+    // Messages go to the form's action URL in its data-format (json or multipart),
+    // unless options.transport provides another MessageTransport. options.spam
+    // configures the SpamGuard (time to fill, rate limit, blocklist). Text comes from
+    // options.i18n, or an I18n in the saved or browser language.
+    constructor(options = {}) {
+        this.i18n = options.i18n || new I18n();
         this.form = document.getElementById('contactForm');
-        this.nameField = document.getElementById('name');
-        this.emailField = document.getElementById('email');
-        this.messageField = document.getElementById('message');
+        this.honeypot = this.form.querySelector('[data-honeypot]');
         this.submitBtn = document.getElementById('submitBtn');
         this.successMessage = document.getElementById('successMessage');
+        this.formStatus = document.getElementById('formStatus');
+        this.draftBanner = document.getElementById('draftBanner');
+        this.draftText = document.getElementById('draftText');
+        this.attachmentZone = document.getElementById('attachmentZone');
+        this.attachmentList = document.getElementById('attachmentList');
         this.messageHistory = document.getElementById('messageHistory');
         this.historyTitle = document.getElementById('historyTitle');
+        this.historySearch = document.getElementById('historySearch');
+        this.historySender = document.getElementById('historySender');
+        this.historyFrom = document.getElementById('historyFrom');
+        this.historyTo = document.getElementById('historyTo');
+        this.historySort = document.getElementById('historySort');
+        this.clearFiltersBtn = document.getElementById('clearFiltersBtn');
+        this.showMoreBtn = document.getElementById('showMoreBtn');
+        this.historyViews = document.getElementById('historyViews');
+        this.selectAll = document.getElementById('selectAllMessages');
+        this.selectionCount = document.getElementById('selectionCount');
+        this.bulkActions = document.getElementById('bulkActions');
+        this.exportFormat = document.getElementById('exportFormat');
+        this.exportBtn = document.getElementById('exportBtn');
+        this.emptyTrashBtn = document.getElementById('emptyTrashBtn');
+        this.messageDetail = document.getElementById('messageDetail');
+        this.detailContent = document.getElementById('detailContent');
+        this.languageSelect = document.getElementById('languageSelect');
         
-        this.debounceTimers = {};
-        this.validationState = {
-            name: false,
-            email: false,
-            message: false
-        };
+        this.validator = new FormValidator(this.buildSchema(options.schema || {}), {
+            messages: {
+                ...this.translateMessages('contact.validation', FormValidator.MESSAGES, ContactForm.VALIDATION_COUNTS),
+                ...(options.messages || {})
+            },
+            validators: options.validators
+        });
+        this.customLabels = new Set(this.validator.fieldNames.filter(name => this.validator.schema[name].label));
+        this.spamGuard = new SpamGuard({
+            messages: this.translateMessages('contact.spam', SpamGuard.MESSAGES, { rateLimit: 'max' }),
+            formatDuration: ms => this.i18n.formatDuration(ms),
+            formatDate: timestamp => this.i18n.formatDate(timestamp),
+            ...(options.spam || {})
+        });
+        this.startedAt = this.spamGuard.now();
+        this.debouncer = new Debouncer();
+        this.toasts = new ToastManager();
+        this.validationRuns = {};
+        this.resetValidationState();
+        this.submitting = false;
+        this.draftOffered = false;
+        this.historyLimit = ContactForm.HISTORY_PAGE_SIZE;
+        this.historyView = 'messages';           // messages | threads | trash
+        this.historyResults = [];
+        this.selectedIds = new Set();
+        this.expandedThreads = new Set();
+        this.detailId = null;
+        this.detailReturnFocus = null;
+        this.storage = null;
+        this.attachmentStore = null;
+        
+        this.attachments = new AttachmentPicker({
+            input: this.getField('attachments'),
+            zone: this.attachmentZone,
+            list: this.attachmentList,
+            check: (file, files) => this.validator.checkFiles('attachments', [...files, file]),
+            onChange: (rejected) => this.handleAttachmentsChange(rejected),
+            messages: {
+                duplicate: name => this.i18n.t('contact.attachments.duplicate', { file: name }),
+                remove: name => this.i18n.t('contact.attachments.remove', { file: name })
+            }
+        });
+        
+        this.transport = options.transport || new MessageTransport({
+            endpoint: this.form.getAttribute('action'),
+            format: this.form.dataset.format,
+            getAttachment: id => (this.attachmentStore ? this.attachmentStore.get(id) : Promise.resolve(null))
+        });
+        this.outbox = new MessageOutbox({
+            transport: this.transport,
+            getMessages: () => this.getMessagesFromStorage().filter(message => !message.deletedAt),
+            setDelivery: (id, delivery) => this.setDelivery(id, delivery)
+        });
+        
+        this.i18n.apply();
+        this.localizeLabels();
+        if (this.languageSelect) this.i18n.bindSwitcher(this.languageSelect);
+        this.i18n.onChange(() => this.handleLocaleChange());
         
         this.initializeEventListeners();
+        this.initializeCounters();
+        this.ready = this.initializeStorage();
+    }
+    
+    // Validation and spam messages for each rule, looked up when they are shown so they
+    // follow the current language. counts names the param that picks a rule's plural form.
+    translateMessages(prefix, rules, counts = {}) {
+        const messages = {};
+        Object.keys(rules).forEach(rule => {
+            messages[rule] = params => this.i18n.t(`${prefix}.${rule}`, { ...params, count: params[counts[rule]] });
+        });
+        return messages;
+    }
+    
+    // Fields labelled by the schema (data-label or options.schema) keep their own label
+    localizeLabels() {
+        this.validator.fieldNames.forEach(name => {
+            const key = `contact.field.${name}`;
+            if (!this.customLabels.has(name) && this.i18n.has(key)) {
+                this.validator.schema[name].label = this.i18n.t(key);
+            }
+        });
+    }
+    
+    // Redraws everything the page built from text, since apply() only reaches the markup
+    handleLocaleChange() {
+        this.localizeLabels();
+        this.validator.fieldNames.forEach(name => {
+            const field = this.getField(name);
+            if (field && field.getAttribute('aria-invalid') === 'true') this.validateField(name);
+        });
+        this.updateCounters();
+        if (!this.draftBanner.classList.contains('hidden')) this.offerDraft();
+        if (this.submitting) this.setSubmitting(true);
+        this.attachments.render();
+        if (this.storage) this.loadMessageHistory();
+        if (this.detailId !== null) this.renderMessageDetail();
+    }
+    
+    // Messages live in IndexedDB where available; the history renders once storage is open
+    async initializeStorage() {
+        try {
+            this.storage = await StorageCache.open({
+                name: 'contact-form',
+                includes: key => ContactForm.STORAGE_KEY.test(key),
+                onError: (error) => {
+                    console.error('Error saving messages to storage:', error);
+                    this.toasts.show(this.i18n.t('contact.error.save'), 'error');
+                }
+            });
+            new SchemaMigrator('contactSchemaVersion', ContactForm.MIGRATIONS).run(this.storage);
+        } catch (error) {
+            console.error('Error opening message storage:', error);
+            this.storage = new StorageCache(new MemoryAdapter());
+        }
+        this.safeStorage = new SafeStorage(this.storage);
+        this.attachmentStore = await ContactForm.openAttachmentStore();
+        
+        // Keep the history in step with messages sent from other tabs
+        this.storage.subscribe(() => this.loadMessageHistory());
+        this.purgeExpiredTrash();
         this.loadMessageHistory();
+        this.offerDraft();
+        
+        // Deliver whatever was queued while the page was closed
+        this.outbox.flush();
+    }
+    
+    // File contents go in their own IndexedDB database, since localStorage can't hold them
+    static async openAttachmentStore() {
+        if (window.indexedDB) {
+            try {
+                return await new IndexedDBAdapter('contact-form-attachments').open();
+            } catch (error) {
+                console.error('Error opening attachment storage:', error);
+            }
+        }
+        // Attachments then only last until the page is closed
+        return new MemoryAdapter();
     }
     
     initializeEventListeners() {
         // Form submission
         this.form.addEventListener('submit', (e) => this.handleSubmit(e));
         
-        // Real-time validation with debouncing
-        this.nameField.addEventListener('input', () => this.debouncedValidate('name', 300));
-        this.emailField.addEventListener('input', () => this.debouncedValidate('email', 300));
-        this.messageField.addEventListener('input', () => this.debouncedValidate('message', 300));
+        // Real-time validation with debouncing, for every field in the schema.
+        // Attachments are validated by handleAttachmentsChange instead.
+        this.form.addEventListener('input', (e) => {
+            if (this.validator.has(e.target.name) && e.target.type !== 'file') {
+                this.debouncedValidate(e.target.name, 300);
+                this.debouncedSaveDraft(1000);
+            }
+            if (e.target.counter) this.updateCounter(e.target);
+        });
+        
+        // Draft restore offer
+        document.getElementById('restoreDraftBtn').addEventListener('click', () => this.restoreDraft());
+        document.getElementById('discardDraftBtn').addEventListener('click', () => this.discardDraft());
+        
+        // Don't lose the last second of typing when the page closes
+        window.addEventListener('pagehide', () => {
+            if (this.debouncer.isPending('draft')) this.saveDraft();
+        });
         
-        // Event delegation for delete buttons
-        this.messageHistory.addEventListener('click', (e) => {
-            if (e.target.classList.contains('delete-btn')) {
-                const messageId = e.target.dataset.messageId;
-                this.deleteMessage(messageId);
+        // Event delegation for message and thread controls
+        this.messageHistory.addEventListener('click', (e) => this.handleHistoryClick(e));
+        this.messageHistory.addEventListener('change', (e) => {
+            if (e.target.classList.contains('select-checkbox')) {
+                this.toggleSelected(Number(e.target.closest('.message-item').dataset.messageId), e.target.checked);
             }
         });
+        
+        // Views, selection, bulk actions and export
+        this.historyViews.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-view]');
+            if (button) this.setHistoryView(button.dataset.view);
+        });
+        this.selectAll.addEventListener('change', () => this.selectAllResults(this.selectAll.checked));
+        this.bulkActions.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-bulk]');
+            if (button) this.applyBulkAction(button.dataset.bulk);
+        });
+        this.exportBtn.addEventListener('click', () => this.exportMessages());
+        this.emptyTrashBtn.addEventListener('click', () => this.emptyTrash());
+        
+        // Message detail view
+        this.messageDetail.addEventListener('click', (e) => this.handleDetailClick(e));
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.detailId !== null) this.closeMessage();
+        });
+        
+        // History search, filters and sorting
+        this.historySearch.addEventListener('input', () => this.debouncedFilterHistory(300));
+        [this.historySender, this.historyFrom, this.historyTo, this.historySort].forEach(control => {
+            control.addEventListener('change', () => this.filterHistory());
+        });
+        this.clearFiltersBtn.addEventListener('click', () => this.clearHistoryFilters());
+        this.showMoreBtn.addEventListener('click', () => {
+            this.historyLimit += ContactForm.HISTORY_PAGE_SIZE;
+            this.loadMessageHistory();
+        });
+        
+        // Queued messages go out as soon as the connection is back
+        window.addEventListener('online', () => {
+            if (this.storage) this.outbox.flush(true);
+        });
     }
     
-    debouncedValidate(fieldName, delay) {
-        // Clear existing timer for this field
-        if (this.debounceTimers[fieldName]) {
-            clearTimeout(this.debounceTimers[fieldName]);
+    // Fields with a maxlength (hard limit) or data-soft-limit get a live character counter.
+    // Past the soft limit the counter turns into a warning; the hard limit can't be exceeded.
+    initializeCounters() {
+        this.form.querySelectorAll('[maxlength], [data-soft-limit]').forEach(field => {
+            const counter = document.createElement('div');
+            counter.className = 'char-counter';
+            counter.id = `${field.id}Counter`;
+            field.counter = counter;
+            field.setAttribute('aria-describedby', counter.id);
+            field.closest('.form-group').appendChild(counter);
+            this.updateCounter(field);
+        });
+    }
+    
+    updateCounter(field) {
+        const length = field.value.length;
+        const hardLimit = parseInt(field.getAttribute('maxlength')) || null;
+        const softLimit = parseInt(field.dataset.softLimit) || null;
+        
+        let text = hardLimit
+            ? this.i18n.t('contact.counter.limited', { length: length, count: hardLimit })
+            : this.i18n.t('contact.counter.plain', { count: length });
+        if (softLimit && length > softLimit) {
+            text = this.i18n.t('contact.counter.softLimit', { counter: text, limit: softLimit });
+        }
+        
+        field.counter.textContent = text;
+        field.counter.classList.toggle('over-soft', !!softLimit && length > softLimit);
+        field.counter.classList.toggle('at-limit', !!hardLimit && length >= hardLimit);
+    }
+    
+    updateCounters() {
+        this.form.querySelectorAll('[maxlength], [data-soft-limit]').forEach(field => {
+            if (field.counter) this.updateCounter(field);
+        });
+    }
+    
+    // What has been typed is saved as a draft a second after the last keystroke, and
+    // offered for restoring when the page is opened again
+    debouncedSaveDraft(delay) {
+        this.debouncer.run('draft', () => this.saveDraft(), delay);
+    }
+    
+    saveDraft() {
+        this.debouncer.cancel('draft');
+        
+        // Leave the stored draft alone until the user has answered the restore offer
+        if (!this.storage || this.draftOffered) return;
+        
+        try {
+            // Files can't be kept in a draft
+            const values = this.getValues(this.validator.fieldNames.filter(name => !this.validator.schema[name].files));
+            if (Object.values(values).some(value => value.trim())) {
+                this.storage.setItem('contactDraft', JSON.stringify({ values: values, savedAt: new Date().toISOString() }));
+            } else {
+                this.storage.removeItem('contactDraft');
+            }
+        } catch (error) {
+            console.error('Error saving draft:', error);
         }
+    }
+    
+    getDraft() {
+        const draft = this.safeStorage.readJson('contactDraft', null, value => !!value && typeof value.values === 'object');
+        return draft && draft.values && Object.values(draft.values).some(value => String(value).trim()) ? draft : null;
+    }
+    
+    offerDraft() {
+        const draft = this.getDraft();
+        if (!draft) return;
+        
+        this.draftOffered = true;
+        this.draftText.textContent = this.i18n.t('contact.draft.offer', { date: this.formatDate(draft.savedAt) });
+        this.draftBanner.classList.remove('hidden');
+    }
+    
+    restoreDraft() {
+        const draft = this.getDraft();
+        this.hideDraftBanner();
+        if (!draft) return;
+        
+        const names = Object.keys(draft.values).filter(name => this.validator.has(name));
+        names.forEach(name => {
+            const field = this.getField(name);
+            if (field.type === 'checkbox') {
+                field.checked = !!draft.values[name];
+            } else {
+                field.value = draft.values[name];
+            }
+        });
+        this.updateCounters();
+        
+        // Show where the restored draft stands, without flagging fields that are still empty
+        Promise.all(names.filter(name => draft.values[name]).map(name => this.validateField(name)))
+            .then(() => this.updateSubmitButton());
+    }
+    
+    discardDraft() {
+        this.hideDraftBanner();
+        this.clearDraft();
+        // Anything typed while the offer was showing becomes the new draft
+        this.saveDraft();
+    }
+    
+    hideDraftBanner() {
+        this.draftOffered = false;
+        this.draftBanner.classList.add('hidden');
+    }
+    
+    clearDraft() {
+        this.debouncer.cancel('draft');
+        if (this.storage) this.storage.removeItem('contactDraft');
+    }
+    
+    // Attribute rules first, then the per-field overrides passed to the constructor.
+    // The honeypot isn't a real field, so it is left out.
+    buildSchema(overrides) {
+        const fields = [...this.form.elements].filter(element => !element.hasAttribute('data-honeypot'));
+        const schema = FormValidator.fromElements(fields);
+        
+        Object.keys(overrides).forEach(name => {
+            schema[name] = { ...(schema[name] || {}), ...overrides[name] };
+        });
         
-        // Set new timer
-        this.debounceTimers[fieldName] = setTimeout(() => {
-            this.validateField(fieldName);
+        return schema;
+    }
+    
+    getField(fieldName) {
+        return this.form.elements[fieldName];
+    }
+    
+    getErrorElement(fieldName) {
+        const field = this.getField(fieldName);
+        return field.closest('.form-group').querySelector('.error-message');
+    }
+    
+    getValues(names = this.validator.fieldNames) {
+        const values = {};
+        
+        names.forEach(name => {
+            const field = this.getField(name);
+            if (field.type === 'file') {
+                values[name] = this.attachments.files;
+            } else {
+                values[name] = field.type === 'checkbox' ? (field.checked ? field.value : '') : field.value;
+            }
+        });
+        
+        return values;
+    }
+    
+    // Empty optional fields are valid, so only required ones hold back the submit button
+    resetValidationState() {
+        this.validationState = {};
+        this.validator.fieldNames.forEach(name => {
+            this.validationState[name] = !this.validator.schema[name].required;
+        });
+    }
+    
+    debouncedValidate(fieldName, delay) {
+        // Fields that must match this one (e.g. a confirmation) are re-checked too once
+        // they have been filled in.
+        this.debouncer.run(`field:${fieldName}`, async () => {
+            const dependents = this.validator.dependentsOf(fieldName).filter(name => this.getField(name).value);
+            await Promise.all([fieldName, ...dependents].map(name => this.validateField(name)));
             this.updateSubmitButton();
         }, delay);
     }
     
-    validateField(fieldName) {
-        const field = document.getElementById(fieldName);
-        const errorElement = document.getElementById(`${fieldName}Error`);
-        let isValid = false;
-        let errorMessage = '';
-        
-        switch (fieldName) {
-            case 'name':
-                const name = field.value.trim();
-                if (!name) {
-                    errorMessage = 'Name is required';
-                } else if (name.length < 2) {
-                    errorMessage = 'Name must be at least 2 characters long';
-                } else {
-                    isValid = true;
-                }
-                break;
-                
-            case 'email':
-                const email = field.value.trim();
-                const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-                if (!email) {
-                    errorMessage = 'Email is required';
-                } else if (!emailRegex.test(email)) {
-                    errorMessage = 'Please enter a valid email address';
-                } else {
-                    isValid = true;
-                }
-                break;
-                
-            case 'message':
-                const message = field.value.trim();
-                if (!message) {
-                    errorMessage = 'Message is required';
-                } else if (message.length < 10) {
-                    errorMessage = 'Message must be at least 10 characters long';
-                } else {
-                    isValid = true;
-                }
-                break;
+    // Resolves with whether the field is valid. Custom validators may be async, so a
+    // result that arrives after the field was validated again is dropped.
+    async validateField(fieldName) {
+        const run = (this.validationRuns[fieldName] || 0) + 1;
+        this.validationRuns[fieldName] = run;
+        
+        let errorMessage;
+        try {
+            errorMessage = await this.validator.validateField(fieldName, this.getValues());
+        } catch (error) {
+            console.error(`Error validating ${fieldName}:`, error);
+            errorMessage = this.i18n.t('contact.validation.failed');
+        }
+        
+        if (this.validationRuns[fieldName] !== run) {
+            return this.validationState[fieldName];
         }
         
         // Update validation state
-        this.validationState[fieldName] = isValid;
+        this.validationState[fieldName] = !errorMessage;
+        this.showFieldState(fieldName, errorMessage);
+        return !errorMessage;
+    }
+    
+    showFieldState(fieldName, errorMessage) {
+        const field = this.getField(fieldName);
+        const errorElement = this.getErrorElement(fieldName);
         
-        // Update UI
-        if (isValid) {
+        if (!errorMessage) {
             field.classList.remove('invalid');
             field.classList.add('valid');
+            field.removeAttribute('aria-invalid');
             errorElement.textContent = '';
             errorElement.classList.remove('show');
         } else {
             field.classList.remove('valid');
             field.classList.add('invalid');
+            field.setAttribute('aria-invalid', 'true');
             errorElement.textContent = errorMessage;
             errorElement.classList.add('show');
         }
     }
     
+    clearFieldState(fieldName) {
+        const field = this.getField(fieldName);
+        const errorElement = this.getErrorElement(fieldName);
+        
+        this.debouncer.cancel(`field:${fieldName}`);
+        // Drop any async validation still in flight
+        this.validationRuns[fieldName] = (this.validationRuns[fieldName] || 0) + 1;
+        
+        field.classList.remove('valid', 'invalid');
+        field.removeAttribute('aria-invalid');
+        errorElement.textContent = '';
+        errorElement.classList.remove('show');
+    }
+    
+    // Files that were turned away are listed under the attachments after the usual check
+    async handleAttachmentsChange(rejected) {
+        await this.validateField('attachments');
+        if (rejected.length > 0) this.showFieldState('attachments', rejected.join(' '));
+        this.updateSubmitButton();
+    }
+    
     updateSubmitButton() {
         const allValid = Object.values(this.validationState).every(state => state);
-        this.submitBtn.disabled = !allValid;
+        this.submitBtn.disabled = !allValid || this.submitting;
+    }
+    
+    setSubmitting(submitting) {
+        this.submitting = submitting;
+        this.submitBtn.textContent = this.i18n.t(submitting ? 'contact.form.sending' : 'contact.form.send');
+        this.submitBtn.classList.toggle('loading', submitting);
+        this.submitBtn.setAttribute('aria-busy', String(submitting));
+        this.updateSubmitButton();
     }
     
-    handleSubmit(e) {
+    async handleSubmit(e) {
         e.preventDefault();
+        if (this.submitting) return;
+        // Set before anything is awaited, so a second Enter or click can't send the message twice
+        this.setSubmitting(true);
+        this.hideFormStatus();
         
         // Validate all fields
-        this.validateField('name');
-        this.validateField('email');
-        this.validateField('message');
+        const names = this.validator.fieldNames;
+        const results = await Promise.all(names.map(name => this.validateField(name)));
         
         // Check if all fields are valid
-        if (!Object.values(this.validationState).every(state => state)) {
+        if (!results.every(valid => valid)) {
+            this.setSubmitting(false);
             return;
         }
         
-        // Create message object
-        const message = {
-            id: Date.now(),
-            name: this.nameField.value.trim(),
-            email: this.emailField.value.trim(),
-            message: this.messageField.value.trim(),
-            timestamp: new Date().toISOString()
-        };
+        // Create message object. Confirmation fields (rule "matches") are only checked, not
+        // saved, and files are stored separately.
+        const values = this.getValues();
+        const message = { id: Date.now() };
+        names.filter(name => !this.validator.schema[name].matches && !this.validator.schema[name].files).forEach(name => {
+            message[name] = this.validator.normalize(name, values[name]);
+        });
         
-        // Save to localStorage
-        this.saveMessage(message);
+        // Bots, floods and repeats are turned away with the reason, next to the field it concerns
+        const rejection = this.spamGuard.check(message, {
+            honeypot: this.honeypot ? this.honeypot.value : '',
+            startedAt: this.startedAt,
+            history: this.getMessagesFromStorage()
+        });
+        if (rejection) {
+            this.setSubmitting(false);
+            this.showServerErrors({ [rejection.field || 'form']: rejection.message });
+            return;
+        }
         
-        // Show success message
-        this.showSuccessMessage();
+        message.timestamp = new Date().toISOString();
+        message.read = false;
+        message.starred = false;
+        message.deletedAt = null;
+        message.attachments = this.attachments.files.map((file, index) => ({
+            id: `${message.id}-${index + 1}`,
+            name: file.name,
+            type: file.type,
+            size: file.size
+        }));
+        message.delivery = { status: 'queued', attempts: 0 };
         
-        // Reset form
-        this.resetForm();
+        // Files are stored first, so a saved message can always find its attachments
+        try {
+            await this.saveAttachments(message.attachments, this.attachments.files);
+        } catch (error) {
+            console.error('Error saving attachments:', error);
+            this.setSubmitting(false);
+            this.showFormStatus(this.i18n.t('contact.status.attachmentsNotSaved'), 'error');
+            return;
+        }
         
-        // Reload message history
+        // Saved before sending, so nothing is lost if the page closes mid-request
+        this.saveMessage(message);
         this.loadMessageHistory();
+        
+        let result;
+        try {
+            result = await this.outbox.send(message);
+        } finally {
+            this.setSubmitting(false);
+        }
+        
+        if (result.status === 'sent') {
+            this.showSuccessMessage();
+            this.resetForm();
+        } else if (result.status === 'queued') {
+            this.showFormStatus(this.i18n.t(result.offline ? 'contact.status.offline' : 'contact.status.unreachable'), 'info');
+            this.resetForm();
+        } else if (result.error && result.error.fieldErrors) {
+            // Keep what the user typed so they can correct it
+            this.purgeMessages([message.id]);
+            this.showServerErrors(result.error.fieldErrors);
+        } else {
+            this.showFormStatus(this.i18n.t('contact.status.failed', { error: result.error.message }), 'error');
+            this.resetForm();
+        }
+    }
+    
+    // Errors from the server or the spam checks go next to their fields; anything else above the button
+    showServerErrors(fieldErrors) {
+        const general = [];
+        
+        Object.keys(fieldErrors).forEach(name => {
+            if (this.validator.has(name)) {
+                this.validationState[name] = false;
+                this.showFieldState(name, fieldErrors[name]);
+            } else {
+                general.push(fieldErrors[name]);
+            }
+        });
+        
+        if (general.length > 0) this.showFormStatus(general.join(' '), 'error');
+        this.updateSubmitButton();
+        
+        const firstInvalid = this.form.querySelector('[aria-invalid="true"]');
+        if (firstInvalid) firstInvalid.focus();
+    }
+    
+    setDelivery(messageId, delivery) {
+        try {
+            const messages = this.getMessagesFromStorage();
+            const message = messages.find(msg => msg.id === messageId);
+            if (!message) return; // Deleted while it was being sent
+            
+            message.delivery = delivery;
+            this.storage.setItem('contactMessages', JSON.stringify(messages));
+            this.loadMessageHistory();
+        } catch (error) {
+            console.error('Error saving message status:', error);
+        }
+    }
+    
+    retryMessage(messageId) {
+        const message = this.getMessagesFromStorage().find(msg => msg.id === messageId);
+        if (!message) return;
+        
+        // A manual retry starts a fresh round of attempts
+        message.delivery = { status: 'queued', attempts: 0 };
+        this.setDelivery(message.id, message.delivery);
+        this.outbox.send(message);
     }
     
     saveMessage(message) {
         try {
             let messages = this.getMessagesFromStorage();
             messages.unshift(message); // Add to beginning of array
-            localStorage.setItem('contactMessages', JSON.stringify(messages));
+            this.storage.setItem('contactMessages', JSON.stringify(messages));
         } catch (error) {
-            console.error('Error saving message to localStorage:', error);
-            alert('Failed to save message. Please try again.');
+            console.error('Error saving message to storage:', error);
+            this.toasts.show(this.i18n.t('contact.error.save'), 'error');
         }
     }
     
+    saveAttachments(attachments, files) {
+        return Promise.all(attachments.map((attachment, index) => this.attachmentStore.set(attachment.id, files[index])));
+    }
+    
+    removeAttachments(messages) {
+        messages.forEach(message => {
+            (message.attachments || []).forEach(attachment => {
+                this.attachmentStore.remove(attachment.id).catch(error => {
+                    console.error('Error deleting attachment:', error);
+                });
+            });
+        });
+    }
+    
+    async downloadAttachment(attachmentId) {
+        const attachment = this.getMessagesFromStorage()
+            .flatMap(message => message.attachments || [])
+            .find(entry => entry.id === attachmentId);
+        if (!attachment) return;
+        
+        try {
+            const file = await this.attachmentStore.get(attachmentId);
+            if (!file) {
+                this.toasts.show(this.i18n.t('contact.error.attachmentMissing', { file: attachment.name }), 'error');
+                return;
+            }
+            this.downloadBlob(file, attachment.name);
+        } catch (error) {
+            console.error('Error reading attachment:', error);
+            this.toasts.show(this.i18n.t('contact.error.attachmentOpen'), 'error');
+        }
+    }
+    
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+    
+    // Corrupted or unexpected data reads as an empty history, which the next save replaces.
+    // Single malformed messages (e.g. edited by hand) are left out the same way, and the
+    // rest are kept.
     getMessagesFromStorage() {
+        return this.safeStorage.readJson('contactMessages', [], Array.isArray).filter(message => ContactForm.isValidMessage(message));
+    }
+    
+    // What the page needs of every message to show it; the other fields have fallbacks
+    static isValidMessage(message) {
+        return !!message &&
+               typeof message.id === 'number' &&
+               typeof message.name === 'string' &&
+               typeof message.email === 'string' &&
+               typeof message.message === 'string' &&
+               !isNaN(Date.parse(message.timestamp));
+    }
+    
+    // Applies the same changes to several messages, e.g. { read: true }
+    updateMessages(messageIds, changes) {
         try {
-            const messages = localStorage.getItem('contactMessages');
-            return messages ? JSON.parse(messages) : [];
+            const ids = new Set(messageIds);
+            const messages = this.getMessagesFromStorage().map(msg => ids.has(msg.id) ? { ...msg, ...changes } : msg);
+            this.storage.setItem('contactMessages', JSON.stringify(messages));
+            this.loadMessageHistory();
         } catch (error) {
-            console.error('Error reading messages from localStorage:', error);
-            return [];
+            console.error('Error updating messages:', error);
+            this.toasts.show(this.i18n.t('contact.error.update'), 'error');
         }
     }
     
-    deleteMessage(messageId) {
+    // Deleting moves messages to the trash, where they can be restored for TRASH_TTL
+    deleteMessages(messageIds) {
+        messageIds.forEach(id => this.selectedIds.delete(id));
+        this.updateMessages(messageIds, { deletedAt: new Date().toISOString() });
+    }
+    
+    restoreMessages(messageIds) {
+        messageIds.forEach(id => this.selectedIds.delete(id));
+        this.updateMessages(messageIds, { deletedAt: null });
+        // Restored messages that were still waiting to be sent go back in the queue
+        this.outbox.flush();
+    }
+    
+    purgeMessages(messageIds) {
         try {
-            let messages = this.getMessagesFromStorage();
-            messages = messages.filter(msg => msg.id.toString() !== messageId);
-            localStorage.setItem('contactMessages', JSON.stringify(messages));
+            const ids = new Set(messageIds);
+            const allMessages = this.getMessagesFromStorage();
+            const messages = allMessages.filter(msg => !ids.has(msg.id));
+            messageIds.forEach(id => this.selectedIds.delete(id));
+            this.storage.setItem('contactMessages', JSON.stringify(messages));
+            this.removeAttachments(allMessages.filter(msg => ids.has(msg.id)));
             this.loadMessageHistory();
         } catch (error) {
             console.error('Error deleting message:', error);
-            alert('Failed to delete message. Please try again.');
+            this.toasts.show(this.i18n.t('contact.error.delete'), 'error');
         }
     }
     
-    loadMessageHistory() {
+    purgeExpiredTrash() {
+        const cutoff = Date.now() - ContactForm.TRASH_TTL;
+        const expired = this.getMessagesFromStorage()
+            .filter(msg => msg.deletedAt && Date.parse(msg.deletedAt) < cutoff)
+            .map(msg => msg.id);
+        
+        if (expired.length > 0) this.purgeMessages(expired);
+    }
+    
+    emptyTrash() {
+        const trashed = this.getMessagesFromStorage().filter(msg => msg.deletedAt).map(msg => msg.id);
+        if (trashed.length === 0) return;
+        if (!confirm(this.i18n.t('contact.confirm.emptyTrash', { count: trashed.length }))) return;
+        
+        this.purgeMessages(trashed);
+    }
+    
+    handleHistoryClick(e) {
+        const item = e.target.closest('.message-item');
+        const messageId = item ? Number(item.dataset.messageId) : null;
+        const button = e.target.closest('button');
+        const attachmentLink = e.target.closest('.attachment-link');
+        
+        if (attachmentLink) {
+            e.preventDefault();
+            this.downloadAttachment(attachmentLink.dataset.attachmentId);
+            return;
+        }
+        if (button) {
+            if (button.classList.contains('thread-toggle')) {
+                this.toggleThread(button.dataset.email);
+            } else if (button.classList.contains('delete-btn')) {
+                this.deleteMessages([messageId]);
+            } else if (button.classList.contains('retry-btn')) {
+                this.retryMessage(messageId);
+            } else if (button.classList.contains('star-btn')) {
+                this.updateMessages([messageId], { starred: button.getAttribute('aria-pressed') !== 'true' });
+            } else if (button.classList.contains('open-btn')) {
+                this.openMessage(messageId);
+            } else if (button.classList.contains('restore-btn')) {
+                this.restoreMessages([messageId]);
+            } else if (button.classList.contains('purge-btn')) {
+                if (confirm(this.i18n.t('contact.confirm.purge'))) this.purgeMessages([messageId]);
+            }
+            return;
+        }
+        
+        // Clicking the message itself opens it, unless the user was selecting text
+        if (item && !e.target.closest('input') && !String(window.getSelection())) {
+            this.openMessage(messageId);
+        }
+    }
+    
+    setHistoryView(view) {
+        if (view === this.historyView) return;
+        
+        this.historyView = view;
+        this.selectedIds.clear();
+        this.historyLimit = ContactForm.HISTORY_PAGE_SIZE;
+        this.loadMessageHistory();
+    }
+    
+    toggleThread(email) {
+        if (this.expandedThreads.has(email)) {
+            this.expandedThreads.delete(email);
+        } else {
+            this.expandedThreads.add(email);
+        }
+        this.loadMessageHistory();
+        
+        const toggle = [...this.messageHistory.querySelectorAll('.thread-toggle')].find(button => button.dataset.email === email);
+        if (toggle) toggle.focus();
+    }
+    
+    toggleSelected(messageId, selected) {
+        if (selected) {
+            this.selectedIds.add(messageId);
+        } else {
+            this.selectedIds.delete(messageId);
+        }
+        this.updateBulkActions();
+    }
+    
+    // Select all covers every message matching the current filters, not just the loaded page
+    selectAllResults(selected) {
+        this.selectedIds = new Set(selected ? this.historyResults.map(msg => msg.id) : []);
+        this.messageHistory.querySelectorAll('.select-checkbox').forEach(checkbox => {
+            checkbox.checked = selected;
+        });
+        this.updateBulkActions();
+    }
+    
+    applyBulkAction(action) {
+        const ids = [...this.selectedIds];
+        if (ids.length === 0) return;
+        
+        switch (action) {
+            case 'read':
+                this.updateMessages(ids, { read: true });
+                break;
+            case 'unread':
+                this.updateMessages(ids, { read: false });
+                break;
+            case 'star':
+                this.updateMessages(ids, { starred: true });
+                break;
+            case 'unstar':
+                this.updateMessages(ids, { starred: false });
+                break;
+            case 'delete':
+                this.deleteMessages(ids);
+                break;
+            case 'restore':
+                this.restoreMessages(ids);
+                break;
+            case 'purge':
+                if (confirm(this.i18n.t('contact.confirm.purgeSelected', { count: ids.length }))) this.purgeMessages(ids);
+                break;
+        }
+    }
+    
+    updateBulkActions() {
+        const inTrash = this.historyView === 'trash';
+        const selected = this.selectedIds.size;
+        const total = this.historyResults.length;
+        
+        this.selectAll.checked = total > 0 && selected === total;
+        this.selectAll.indeterminate = selected > 0 && selected < total;
+        this.selectAll.disabled = total === 0;
+        this.selectionCount.textContent = selected > 0
+            ? this.i18n.t('contact.selection.count', { count: selected })
+            : this.i18n.t('contact.selection.all');
+        
+        this.bulkActions.querySelectorAll('[data-bulk]').forEach(button => {
+            const trashOnly = button.dataset.bulk === 'restore' || button.dataset.bulk === 'purge';
+            button.hidden = trashOnly !== inTrash;
+            button.disabled = selected === 0;
+        });
+        
+        this.exportBtn.textContent = selected > 0
+            ? this.i18n.t('contact.export.selected', { count: selected })
+            : this.i18n.t('contact.export.allCount', { count: total });
+        this.exportBtn.disabled = total === 0;
+        this.emptyTrashBtn.classList.toggle('hidden', !inTrash || total === 0);
+    }
+    
+    // Exports the selected messages, or everything matching the current filters
+    exportMessages() {
+        const messages = this.selectedIds.size > 0
+            ? this.historyResults.filter(msg => this.selectedIds.has(msg.id))
+            : this.historyResults;
+        if (messages.length === 0) return;
+        
+        const format = this.exportFormat.value;
+        const fileType = MessageExport.FILE_TYPES[format];
+        const blob = new Blob([MessageExport.export(format, messages)], { type: fileType.mimeType });
+        this.downloadBlob(blob, `contact-messages-${new Date().toISOString().slice(0, 10)}.${fileType.extension}`);
+    }
+    
+    // Opening a message marks it as read
+    openMessage(messageId) {
+        const message = this.getMessagesFromStorage().find(msg => msg.id === messageId);
+        if (!message) return;
+        
+        if (this.detailId === null) this.detailReturnFocus = document.activeElement;
+        this.detailId = messageId;
+        this.messageDetail.classList.remove('hidden');
+        
+        if (!message.read) {
+            this.updateMessages([messageId], { read: true }); // Re-renders the detail too
+        } else {
+            this.renderMessageDetail();
+        }
+        this.messageDetail.querySelector('.modal-close').focus();
+    }
+    
+    closeMessage() {
+        this.detailId = null;
+        this.messageDetail.classList.add('hidden');
+        
+        if (this.detailReturnFocus && document.body.contains(this.detailReturnFocus)) {
+            this.detailReturnFocus.focus();
+        }
+        this.detailReturnFocus = null;
+    }
+    
+    renderMessageDetail() {
         const messages = this.getMessagesFromStorage();
+        const message = messages.find(msg => msg.id === this.detailId);
         
-        // Update history title
-        this.historyTitle.textContent = `📋 Message History (${messages.length} messages)`;
+        // Deleted for good, possibly in another tab
+        if (!message) {
+            this.closeMessage();
+            return;
+        }
+        
+        const delivery = message.delivery || { status: 'sent' };
+        const threadSize = messages.filter(msg => !msg.deletedAt && msg.email.toLowerCase() === message.email.toLowerCase()).length;
+        const status = this.getStatusText(delivery);
+        const t = (key, params) => Html.escape(this.i18n.t(key, params));
+        
+        this.detailContent.innerHTML = `
+            <div class="modal-section">
+                <dl class="detail-meta">
+                    <dt>${t('contact.detail.from')}</dt>
+                    <dd><bdi>${Html.escape(message.name)}</bdi> &lt;${Html.escape(message.email)}&gt;</dd>
+                    <dt>${t('contact.detail.date')}</dt>
+                    <dd>${this.formatDate(message.timestamp)}</dd>
+                    <dt>${t('contact.detail.status')}</dt>
+                    <dd>${message.deletedAt ? t('contact.detail.inTrash', { status: status }) : Html.escape(status)}</dd>
+                    <dt>${t('contact.detail.conversation')}</dt>
+                    <dd>${t('contact.detail.threadSize', { count: threadSize })}</dd>
+                </dl>
+            </div>
+            <div class="modal-section">
+                <div class="detail-text" dir="auto">${Html.escape(message.message)}</div>
+                ${this.renderAttachmentLinks(message)}
+            </div>
+            <div class="modal-section detail-actions">
+                <button class="detail-btn" data-action="reply">${t('contact.detail.reply')}</button>
+                <button class="detail-btn" data-action="star" aria-pressed="${!!message.starred}">${t(message.starred ? 'contact.detail.starred' : 'contact.detail.star')}</button>
+                <button class="detail-btn" data-action="unread">${t('contact.action.markUnread')}</button>
+                <button class="detail-btn" data-action="thread">${t('contact.detail.viewThread')}</button>
+                ${message.deletedAt
+                    ? `<button class="detail-btn" data-action="restore">${t('contact.action.restore')}</button>`
+                    : `<button class="delete-btn" data-action="delete">${t('contact.action.delete')}</button>`}
+            </div>
+        `;
+    }
+    
+    handleDetailClick(e) {
+        // Clicking the dimmed backdrop closes the panel
+        if (e.target === this.messageDetail || e.target.dataset.action === 'close') {
+            this.closeMessage();
+            return;
+        }
+        
+        const attachmentLink = e.target.closest('.attachment-link');
+        if (attachmentLink) {
+            e.preventDefault();
+            this.downloadAttachment(attachmentLink.dataset.attachmentId);
+            return;
+        }
+        
+        const button = e.target.closest('[data-action]');
+        const message = this.getMessagesFromStorage().find(msg => msg.id === this.detailId);
+        if (!button || !message) return;
+        
+        switch (button.dataset.action) {
+            case 'reply':
+                window.location.href = `mailto:${encodeURIComponent(message.email)}?subject=${encodeURIComponent(this.i18n.t('contact.detail.replySubject'))}`;
+                break;
+            case 'star':
+                this.updateMessages([message.id], { starred: !message.starred });
+                break;
+            case 'unread':
+                this.closeMessage();
+                this.updateMessages([message.id], { read: false });
+                break;
+            case 'thread':
+                this.closeMessage();
+                this.showThread(message.email);
+                break;
+            case 'delete':
+                this.closeMessage();
+                this.deleteMessages([message.id]);
+                break;
+            case 'restore':
+                this.closeMessage();
+                this.restoreMessages([message.id]);
+                break;
+        }
+    }
+    
+    // Switches to the threads view with the sender's conversation open
+    showThread(email) {
+        const key = email.toLowerCase();
+        this.expandedThreads.add(key);
+        this.historySender.value = '';
+        this.historyView = 'threads';
+        this.selectedIds.clear();
+        this.loadMessageHistory();
+        
+        const toggle = [...this.messageHistory.querySelectorAll('.thread-toggle')].find(button => button.dataset.email === key);
+        if (toggle) {
+            toggle.focus();
+            if (toggle.scrollIntoView) toggle.scrollIntoView({ block: 'nearest' });
+        }
+    }
+    
+    debouncedFilterHistory(delay) {
+        this.debouncer.run('historySearch', () => this.filterHistory(), delay);
+    }
+    
+    // A new search or filter starts again at the first page
+    filterHistory() {
+        this.historyTo.min = this.historyFrom.value;
+        this.historyFrom.max = this.historyTo.value;
+        this.historyLimit = ContactForm.HISTORY_PAGE_SIZE;
+        this.loadMessageHistory();
+    }
+    
+    clearHistoryFilters() {
+        this.debouncer.cancel('historySearch');
+        this.historySearch.value = '';
+        this.historySender.value = '';
+        this.historyFrom.value = '';
+        this.historyTo.value = '';
+        this.filterHistory();
+    }
+    
+    getHistoryQuery() {
+        return new MessageQuery({
+            search: this.historySearch.value,
+            sender: this.historySender.value,
+            from: this.historyFrom.value,
+            to: this.historyTo.value,
+            sort: this.historySort.value
+        });
+    }
+    
+    // Senders come from the stored messages; the current choice is kept while it exists
+    updateSenderOptions(messages) {
+        const selected = this.historySender.value;
+        const senders = MessageQuery.senders(messages);
+        
+        this.historySender.innerHTML = `<option value="">${Html.escape(this.i18n.t('contact.filter.allSenders'))}</option>` + senders.map(sender => `
+            <option value="${Html.escape(sender.email)}">${Html.escape(`${sender.name} <${sender.email}> (${sender.count})`)}</option>
+        `).join('');
+        this.historySender.value = senders.some(sender => sender.email === selected) ? selected : '';
+    }
+    
+    loadMessageHistory() {
+        const allMessages = this.getMessagesFromStorage();
+        const inTrash = this.historyView === 'trash';
+        const messages = allMessages.filter(msg => !!msg.deletedAt === inTrash);
+        this.updateSenderOptions(messages);
+        
+        const query = this.getHistoryQuery();
+        const results = query.apply(messages);
+        const terms = query.getHighlightTerms();
+        this.historyResults = results;
+        
+        // Bulk actions only apply to messages that are still listed
+        const listed = new Set(results.map(msg => msg.id));
+        this.selectedIds.forEach(id => {
+            if (!listed.has(id)) this.selectedIds.delete(id);
+        });
+        
+        this.updateViewButtons(allMessages);
+        this.historyTitle.textContent = this.getHistoryTitle(messages, results, query.isFiltered);
+        this.clearFiltersBtn.classList.toggle('hidden', !query.isFiltered);
         
         // Clear current history
         this.messageHistory.innerHTML = '';
+        let total = results.length;
         
         if (messages.length === 0) {
-            this.showEmptyState();
+            this.showEmptyState(this.i18n.t(inTrash ? 'contact.empty.trash' : 'contact.empty.none'));
+        } else if (results.length === 0) {
+            this.showEmptyState(this.i18n.t('contact.empty.noResults'));
+        } else if (this.historyView === 'threads') {
+            const threads = MessageQuery.threads(results);
+            total = threads.length;
+            threads.slice(0, this.historyLimit).forEach(thread => {
+                this.messageHistory.appendChild(this.createThreadElement(thread, terms));
+            });
         } else {
-            messages.forEach(message => this.renderMessage(message));
+            results.slice(0, this.historyLimit).forEach(message => {
+                this.messageHistory.appendChild(this.createMessageElement(message, terms));
+            });
+        }
+        
+        const remaining = total - this.historyLimit;
+        this.showMoreBtn.classList.toggle('hidden', remaining <= 0);
+        if (remaining > 0) this.showMoreBtn.textContent = this.i18n.t('contact.history.showMoreCount', { count: remaining });
+        
+        this.updateBulkActions();
+        if (this.detailId !== null) this.renderMessageDetail();
+    }
+    
+    getHistoryTitle(messages, results, filtered) {
+        const count = filtered
+            ? this.i18n.t('contact.history.filteredMessages', { shown: results.length, count: messages.length })
+            : this.i18n.t('contact.history.messages', { count: messages.length });
+        
+        if (this.historyView === 'trash') {
+            return this.i18n.t('contact.history.trashTitle', { messages: count });
         }
+        if (this.historyView === 'threads') {
+            const threads = MessageQuery.threads(results).length;
+            return this.i18n.t('contact.history.threadsTitle', {
+                threads: this.i18n.t('contact.history.threads', { count: threads }),
+                messages: count
+            });
+        }
+        
+        const unread = results.filter(msg => !msg.read).length;
+        return unread > 0
+            ? this.i18n.t('contact.history.titleUnread', { messages: count, unread: this.i18n.t('contact.history.unread', { count: unread }) })
+            : this.i18n.t('contact.history.title', { messages: count });
     }
     
-    renderMessage(message) {
+    updateViewButtons(allMessages) {
+        const trashed = allMessages.filter(msg => msg.deletedAt).length;
+        
+        this.historyViews.querySelectorAll('[data-view]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.view === this.historyView));
+            if (button.dataset.view === 'trash') {
+                button.textContent = trashed > 0
+                    ? this.i18n.t('contact.view.trashCount', { count: trashed })
+                    : this.i18n.t('contact.view.trash');
+            }
+        });
+    }
+    
+    createMessageElement(message, terms = []) {
+        const delivery = message.delivery || { status: 'sent' };
+        const inTrash = !!message.deletedAt;
+        const t = key => Html.escape(this.i18n.t(key));
         const messageElement = document.createElement('div');
-        messageElement.className = 'message-item';
+        messageElement.className = `message-item status-${delivery.status}${message.read ? '' : ' unread'}${message.starred ? ' starred' : ''}`;
+        messageElement.dataset.messageId = message.id;
         messageElement.innerHTML = `
             <div class="message-header">
-                <div>
-                    <span class="message-sender">From: ${this.escapeHtml(message.name)}</span>
-                    <span class="message-email">(${this.escapeHtml(message.email)})</span>
+                <div class="message-from">
+                    <input type="checkbox" class="select-checkbox" ${this.selectedIds.has(message.id) ? 'checked' : ''}>
+                    <span class="message-sender">${this.i18n.t('contact.message.from', { name: `<bdi>${Html.highlight(message.name, terms)}</bdi>` })}</span>
+                    <span class="message-email">(${Html.highlight(message.email, terms)})</span>
+                    ${message.read ? '' : `<span class="unread-badge">${t('contact.message.new')}</span>`}
+                </div>
+                <div class="message-meta">
+                    <span class="message-date">${this.formatDate(message.timestamp)}</span>
+                    <button class="star-btn" aria-pressed="${!!message.starred}">${message.starred ? '★' : '☆'}</button>
                 </div>
-                <span class="message-date">${this.formatDate(message.timestamp)}</span>
             </div>
-            <div class="message-text">${this.escapeHtml(message.message)}</div>
-            <button class="delete-btn" data-message-id="${message.id}">Delete</button>
+            <div class="message-text" dir="auto">${Html.highlight(message.message, terms)}</div>
+            ${this.renderAttachmentLinks(message)}
+            <div class="message-footer">
+                <span class="message-status">${Html.escape(this.getStatusText(delivery))}</span>
+                <div class="message-actions">
+                    ${inTrash ? `
+                        <button class="restore-btn">${t('contact.action.restore')}</button>
+                        <button class="purge-btn">${t('contact.action.purge')}</button>
+                    ` : `
+                        ${delivery.status === 'failed' ? `<button class="retry-btn">${t('contact.action.retry')}</button>` : ''}
+                        <button class="open-btn">${t('contact.action.open')}</button>
+                        <button class="delete-btn">${t('contact.action.delete')}</button>
+                    `}
+                </div>
+            </div>
+        `;
+        
+        // Set through the DOM, since names may contain quotes
+        const starButton = messageElement.querySelector('.star-btn');
+        messageElement.querySelector('.select-checkbox').setAttribute('aria-label', this.i18n.t('contact.message.select', { name: message.name }));
+        starButton.setAttribute('aria-label', this.i18n.t('contact.message.starLabel', { name: message.name }));
+        starButton.title = this.i18n.t(message.starred ? 'contact.action.unstar' : 'contact.action.star');
+        
+        return messageElement;
+    }
+    
+    // A collapsible conversation: the latest message as a summary, all messages when open
+    createThreadElement(thread, terms) {
+        const expanded = this.expandedThreads.has(thread.email);
+        const snippet = thread.latest.message.length > 120 ? `${thread.latest.message.slice(0, 119)}…` : thread.latest.message;
+        const threadElement = document.createElement('div');
+        threadElement.className = `thread-item${thread.unread > 0 ? ' unread' : ''}${expanded ? ' expanded' : ''}`;
+        threadElement.innerHTML = `
+            <button class="thread-toggle" aria-expanded="${expanded}">
+                <span class="thread-summary">
+                    <span class="thread-sender">${Html.highlight(thread.name, terms)}</span>
+                    <span class="message-email">(${Html.highlight(thread.email, terms)})</span>
+                    <span class="thread-count">${Html.escape(this.getThreadCount(thread))}</span>
+                </span>
+                <span class="message-date">${this.formatDate(thread.latest.timestamp)}</span>
+                <span class="thread-snippet" dir="auto">${Html.highlight(snippet, terms)}</span>
+            </button>
+            <div class="thread-messages"></div>
         `;
+        threadElement.querySelector('.thread-toggle').dataset.email = thread.email;
+        
+        if (expanded) {
+            const list = threadElement.querySelector('.thread-messages');
+            thread.messages.forEach(message => list.appendChild(this.createMessageElement(message, terms)));
+        }
         
-        this.messageHistory.appendChild(messageElement);
+        return threadElement;
     }
     
-    showEmptyState() {
-        const emptyState = document.createElement('div');
-        emptyState.className = 'empty-state';
-        emptyState.textContent = 'No messages yet. Send your first message above!';
-        this.messageHistory.appendChild(emptyState);
+    getThreadCount(thread) {
+        const count = this.i18n.t('contact.thread.messages', { count: thread.messages.length });
+        return thread.unread > 0 ? `${count} · ${this.i18n.t('contact.thread.unread', { count: thread.unread })}` : count;
+    }
+    
+    // The files are fetched from storage when a link is clicked
+    renderAttachmentLinks(message) {
+        const attachments = message.attachments || [];
+        if (attachments.length === 0) return '';
+        
+        return `
+            <ul class="message-attachments" aria-label="${Html.escape(this.i18n.t('contact.field.attachments'))}">
+                ${attachments.map(attachment => `
+                    <li>
+                        <a href="#" class="attachment-link" data-attachment-id="${Html.escape(attachment.id)}">📎 ${Html.escape(attachment.name)}</a>
+                        <span class="attachment-size">${FormValidator.formatSize(attachment.size)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+    
+    showEmptyState(text) {
+        this.messageHistory.appendChild(Html.emptyState({ title: text }));
+    }
+    
+    getStatusText(delivery) {
+        switch (delivery.status) {
+            case 'queued':
+                return delivery.nextAttemptAt
+                    ? this.i18n.t('contact.delivery.retrying', { time: this.formatTime(delivery.nextAttemptAt) })
+                    : this.i18n.t('contact.delivery.waiting');
+            case 'sending':
+                return this.i18n.t('contact.delivery.sending');
+            case 'failed':
+                return delivery.error
+                    ? this.i18n.t('contact.delivery.failedWithError', { error: delivery.error })
+                    : this.i18n.t('contact.delivery.failed');
+            default:
+                return this.i18n.t('contact.delivery.sent');
+        }
+    }
+    
+    showFormStatus(message, type = 'info') {
+        this.formStatus.textContent = message;
+        this.formStatus.className = `form-status ${type}`;
+    }
+    
+    hideFormStatus() {
+        this.formStatus.className = 'form-status hidden';
+        this.formStatus.textContent = '';
     }
     
     showSuccessMessage() {
@@ -233,50 +1285,93 @@ class ContactForm {
     
     resetForm() {
         this.form.reset();
+        this.attachments.clear();
+        this.startedAt = this.spamGuard.now();
         
-        // Reset validation states
-        this.validationState = {
-            name: false,
-            email: false,
-            message: false
-        };
+        // Reset validation states, field styles and error messages
+        this.resetValidationState();
+        this.validator.fieldNames.forEach(name => this.clearFieldState(name));
+        this.updateCounters();
         
-        // Reset field styles
-        [this.nameField, this.emailField, this.messageField].forEach(field => {
-            field.classList.remove('valid', 'invalid');
-        });
-        
-        // Clear error messages
-        ['nameError', 'emailError', 'messageError'].forEach(errorId => {
-            const errorElement = document.getElementById(errorId);
-            errorElement.textContent = '';
-            errorElement.classList.remove('show');
-        });
+        // The message is in the history now, so there is nothing left to restore
+        this.hideDraftBanner();
+        this.clearDraft();
         
         // Disable submit button
         this.updateSubmitButton();
     }
     
     formatDate(timestamp) {
-        const date = new Date(timestamp);
-        const options = {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        };
-        return date.toLocaleDateString('en-US', options);
-    }
-    
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return this.i18n.formatDateTime(timestamp);
+    }
+    
+    formatTime(timestamp) {
+        return this.i18n.formatTime(timestamp, { hour: '2-digit', minute: '2-digit' });
     }
 }
 
+ContactForm.STORAGE_KEY = /^(contactMessages|contactDraft|contactSchemaVersion)$/;
+ContactForm.HISTORY_PAGE_SIZE = 20;
+ContactForm.TRASH_TTL = 30 * 24 * 60 * 60 * 1000;    // Trashed messages are deleted for good after this
+
+// The param whose number picks the plural form of each translated validation message
+ContactForm.VALIDATION_COUNTS = { minLength: 'minLength', maxLength: 'maxLength', maxFiles: 'maxFiles' };
+
+// Stored data is upgraded through these once, in order, when the form opens
+ContactForm.MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Drop malformed messages',
+        migrate(storage) {
+            let messages;
+            try {
+                messages = JSON.parse(storage.getItem('contactMessages') || '[]');
+            } catch (error) {
+                console.error('Error reading messages during migration:', error);
+                messages = [];
+            }
+            
+            const valid = (Array.isArray(messages) ? messages : []).filter(message => {
+                return !!message &&
+                       typeof message.id === 'number' &&
+                       typeof message.name === 'string' &&
+                       typeof message.email === 'string' &&
+                       typeof message.message === 'string' &&
+                       !isNaN(Date.parse(message.timestamp));
+            });
+            storage.setItem('contactMessages', JSON.stringify(valid));
+        }
+    },
+    {
+        version: 2,
+        description: 'Add delivery status to messages',
+        migrate(storage) {
+            const messages = JSON.parse(storage.getItem('contactMessages') || '[]');
+            // Messages from before there was a server were only stored locally,
+            // where they were already reported as sent
+            messages.forEach(message => {
+                if (!message.delivery) message.delivery = { status: 'sent', attempts: 0 };
+            });
+            storage.setItem('contactMessages', JSON.stringify(messages));
+        }
+    },
+    {
+        version: 3,
+        description: 'Add read, starred and trash flags to messages',
+        migrate(storage) {
+            const messages = JSON.parse(storage.getItem('contactMessages') || '[]');
+            // Everything from before counts as already read
+            messages.forEach(message => {
+                if (message.read === undefined) message.read = true;
+                if (message.starred === undefined) message.starred = false;
+                if (message.deletedAt === undefined) message.deletedAt = null;
+            });
+            storage.setItem('contactMessages', JSON.stringify(messages));
+        }
+    }
+];
+
 // Initialize the contact form when the page loads
 document.addEventListener('DOMContentLoaded', () => {
-    new ContactForm();
+    window.contactForm = new ContactForm();
 });
\ No newline at end of file
@@ -0,0 +1,144 @@
+// Client-side checks that keep bots and repeat submitters from flooding the message
+// history. Like FormValidator it only sees plain values, so it works without a DOM.
+//
+// options:
+//   minFillTime  ms that must pass between opening the form and sending it
+//   rateLimit    { max, window }: at most `max` messages per email address per `window` ms
+//   blocklist    { keywords, domains }: keywords (strings or RegExps) that may not appear
+//                in the name or message, and email domains (subdomains included) to refuse
+//   messages     overrides for SpamGuard.MESSAGES; each may be a function of the params
+//   formatDuration
+//                turns ms into text for messages, e.g. I18n#formatDuration (required)
+//   formatDate   turns a timestamp into text for messages (the browser's date by default)
+//   now          clock for tests
+class SpamGuard {
+    constructor(options = {}) {
+        this.minFillTime = options.minFillTime !== undefined ? options.minFillTime : SpamGuard.MIN_FILL_TIME;
+        this.rateLimit = { ...SpamGuard.RATE_LIMIT, ...(options.rateLimit || {}) };
+        this.blocklist = { ...SpamGuard.BLOCKLIST, ...(options.blocklist || {}) };
+        this.messages = { ...SpamGuard.MESSAGES, ...(options.messages || {}) };
+        this.formatDuration = options.formatDuration;
+        this.formatDate = options.formatDate || (timestamp => new Date(timestamp).toLocaleDateString());
+        this.now = options.now || (() => Date.now());
+    }
+    
+    // Returns null when the message may be sent, otherwise the first rule it breaks as
+    // { rule, field, message }, where field is null for problems with the whole submission.
+    // context: { honeypot (the trap field's value), startedAt (ms), history (stored messages) }
+    check(message, context = {}) {
+        return this.checkHoneypot(context.honeypot) ||
+               this.checkFillTime(context.startedAt) ||
+               this.checkBlocklist(message) ||
+               this.checkDuplicate(message, context.history || []) ||
+               this.checkRateLimit(message, context.history || []);
+    }
+    
+    // People never see the trap field, so anything in it was filled in by a bot
+    // (or an overeager autofill, which the message explains)
+    checkHoneypot(value) {
+        return value ? this.reject('honeypot', null) : null;
+    }
+    
+    checkFillTime(startedAt) {
+        if (!startedAt) return null;
+        
+        const remaining = this.minFillTime - (this.now() - startedAt);
+        return remaining > 0
+            ? this.reject('tooFast', null, { wait: this.formatDuration(remaining) })
+            : null;
+    }
+    
+    checkBlocklist(message) {
+        const domain = SpamGuard.domainOf(message.email);
+        const blockedDomain = this.blocklist.domains.find(blocked => {
+            const name = blocked.toLowerCase();
+            return domain === name || domain.endsWith(`.${name}`);
+        });
+        if (blockedDomain) return this.reject('blockedDomain', 'email', { domain: domain });
+        
+        for (const field of ['name', 'message']) {
+            const keyword = this.blocklist.keywords.find(blocked => SpamGuard.keywordPattern(blocked).test(message[field] || ''));
+            if (keyword) return this.reject('blockedKeyword', field, { keyword: String(keyword) });
+        }
+        
+        return null;
+    }
+    
+    // The same text again, whitespace and case aside. Messages in the trash or that failed
+    // to send don't count, so they can be written again.
+    checkDuplicate(message, history) {
+        const text = SpamGuard.fingerprint(message.message);
+        const original = history.find(previous => {
+            return !previous.deletedAt &&
+                   !(previous.delivery && previous.delivery.status === 'failed') &&
+                   SpamGuard.fingerprint(previous.message) === text;
+        });
+        
+        return original
+            ? this.reject('duplicate', 'message', { date: this.formatDate(original.timestamp) })
+            : null;
+    }
+    
+    checkRateLimit(message, history) {
+        const now = this.now();
+        const email = message.email.toLowerCase();
+        const recent = history
+            .filter(previous => previous.email.toLowerCase() === email)
+            .map(previous => Date.parse(previous.timestamp))
+            .filter(time => now - time < this.rateLimit.window)
+            .sort((a, b) => a - b);
+        
+        if (recent.length < this.rateLimit.max) return null;
+        
+        // Another message is allowed once enough of the recent ones have aged out
+        const retryAt = recent[recent.length - this.rateLimit.max] + this.rateLimit.window;
+        return this.reject('rateLimit', 'email', {
+            max: this.rateLimit.max,
+            window: this.formatDuration(this.rateLimit.window),
+            wait: this.formatDuration(retryAt - now)
+        });
+    }
+    
+    reject(rule, field, params = {}) {
+        const template = this.messages[rule];
+        const message = typeof template === 'function'
+            ? template(params)
+            : template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+                return params[key] !== undefined ? params[key] : placeholder;
+            });
+        return { rule: rule, field: field, message: message };
+    }
+    
+    static domainOf(email) {
+        return String(email).split('@').pop().toLowerCase();
+    }
+    
+    // Whole words only, so "class" doesn't trip over a blocked "ass"
+    static keywordPattern(keyword) {
+        if (keyword instanceof RegExp) return keyword;
+        
+        const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+        return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu');
+    }
+    
+    static fingerprint(text) {
+        return String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+}
+
+SpamGuard.MIN_FILL_TIME = 3000;
+SpamGuard.RATE_LIMIT = { max: 5, window: 60 * 60 * 1000 };
+SpamGuard.BLOCKLIST = {
+    keywords: ['viagra', 'casino', 'crypto giveaway', 'seo services', 'backlinks'],
+    domains: ['mailinator.com', 'guerrillamail.com', '10minutemail.com', 'yopmail.com']
+};
+
+// {placeholders} are filled in from the rule that failed
+SpamGuard.MESSAGES = {
+    honeypot: 'Your message looks automated and was not sent. If you filled in every field yourself, clear the "Leave this empty" field and try again.',
+    tooFast: 'That was quick! Please take a moment to check your message, then send it again in {wait}.',
+    blockedDomain: "We can't accept messages from {domain} addresses. Please use another email address.",
+    blockedKeyword: 'This contains a word we don\'t accept: "{keyword}"',
+    duplicate: 'You already sent this message on {date}. Change it if you want to send it again.',
+    rateLimit: 'You can send at most {max} messages in {window} from this address. Please try again in {wait}.'
+};
\ No newline at end of file
@@ -0,0 +1,115 @@
+// Sends contact messages to the server as JSON or multipart/form-data.
+// The server is expected to answer 2xx on success, and 400/422 with
+// { errors: { field: 'message' }, message? } when it rejects some fields.
+class SubmissionError extends Error {
+    // retryable: a later attempt may succeed (network down, timeout, 5xx, 429)
+    // fieldErrors: server validation messages keyed by field name, or null
+    constructor(message, options = {}) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.status = options.status || 0;
+        this.retryable = !!options.retryable;
+        this.fieldErrors = options.fieldErrors || null;
+    }
+}
+
+class MessageTransport {
+    // options: { endpoint, format: 'json' | 'multipart', timeout, fetch, getAttachment }
+    // getAttachment(id) resolves with the stored file for an entry of message.attachments
+    constructor(options = {}) {
+        this.endpoint = options.endpoint;
+        this.format = options.format === 'multipart' ? 'multipart' : 'json';
+        this.timeout = options.timeout || MessageTransport.TIMEOUT;
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+        this.getAttachment = options.getAttachment || (() => Promise.resolve(null));
+    }
+    
+    // Resolves with the server's response body, or rejects with a SubmissionError
+    async send(message) {
+        const request = await this.buildRequest(message);
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        let response;
+        
+        try {
+            response = await this.fetch(this.endpoint, {
+                method: 'POST',
+                signal: controller.signal,
+                ...request
+            });
+        } catch (error) {
+            const timedOut = error.name === 'AbortError';
+            throw new SubmissionError(
+                timedOut ? 'The server took too long to respond' : 'Could not reach the server',
+                { retryable: true }
+            );
+        } finally {
+            clearTimeout(timer);
+        }
+        
+        const body = await MessageTransport.readBody(response);
+        if (response.ok) return body;
+        
+        const serverMessage = body && typeof body.message === 'string' ? body.message : '';
+        if ((response.status === 400 || response.status === 422) && body && body.errors) {
+            throw new SubmissionError(serverMessage || Object.values(body.errors).join(' '), {
+                status: response.status,
+                fieldErrors: body.errors
+            });
+        }
+        
+        throw new SubmissionError(serverMessage || `The server responded with ${response.status}`, {
+            status: response.status,
+            retryable: response.status >= 500 || response.status === 408 || response.status === 429
+        });
+    }
+    
+    // The message id doubles as an idempotency key, so a retry after a lost response
+    // can be recognised by the server instead of creating a duplicate. Files can't go
+    // in JSON, so messages with attachments are always sent as multipart.
+    async buildRequest(message) {
+        const payload = MessageTransport.payloadOf(message);
+        const headers = { 'Accept': 'application/json', 'Idempotency-Key': String(message.id) };
+        const attachments = message.attachments || [];
+        
+        if (this.format === 'multipart' || attachments.length > 0) {
+            const body = new FormData();
+            Object.keys(payload).forEach(key => {
+                const value = payload[key];
+                body.append(key, typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value));
+            });
+            
+            for (const attachment of attachments) {
+                const file = await this.getAttachment(attachment.id);
+                if (!file) {
+                    throw new SubmissionError(`The attachment ${attachment.name} is no longer available`);
+                }
+                body.append('attachments', file, attachment.name);
+            }
+            // fetch sets the multipart Content-Type with its boundary
+            return { headers: headers, body: body };
+        }
+        
+        headers['Content-Type'] = 'application/json';
+        return { headers: headers, body: JSON.stringify(payload) };
+    }
+    
+    // Everything but the local delivery and inbox bookkeeping; attachments are sent as files
+    static payloadOf(message) {
+        const payload = { ...message };
+        MessageTransport.LOCAL_FIELDS.forEach(key => delete payload[key]);
+        return payload;
+    }
+    
+    static async readBody(response) {
+        try {
+            const type = response.headers.get('Content-Type') || '';
+            return type.includes('json') ? await response.json() : await response.text();
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+MessageTransport.TIMEOUT = 15000;
+MessageTransport.LOCAL_FIELDS = ['delivery', 'read', 'starred', 'deletedAt', 'attachments'];
\ No newline at end of file
@@ -0,0 +1,275 @@
+// Schema-driven form validation. The engine only sees plain values, so it works (and can
+// be tested) without a DOM; FormValidator.fromElements builds a schema from form markup.
+//
+// A schema maps field names to rules:
+//   {
+//       email: { label: 'Email', required: true, email: true },
+//       confirmEmail: { label: 'Confirm email', required: true, matches: 'email' },
+//       message: { required: true, minLength: 10, maxLength: 2000,
+//                  messages: { minLength: 'Tell us a bit more' } },
+//       username: { pattern: /^[a-z0-9_]+$/, validators: [checkUsernameFree] },
+//       attachments: { files: true, accept: ['image/*', '.pdf'], maxSize: 5 * 1024 * 1024, maxFiles: 3 }
+//   }
+// The value of a `files` field is an array of File-like objects ({ name, type, size }).
+// Custom validators get (value, values) and return an error message, or nothing when the
+// value is fine. They may be async. Strings in `validators` name entries of options.validators.
+class FormValidator {
+    constructor(schema, options = {}) {
+        this.schema = schema;
+        this.messages = { ...FormValidator.MESSAGES, ...(options.messages || {}) };
+        this.validators = options.validators || {};
+    }
+    
+    get fieldNames() {
+        return Object.keys(this.schema);
+    }
+    
+    has(name) {
+        return Object.prototype.hasOwnProperty.call(this.schema, name);
+    }
+    
+    getLabel(name) {
+        const field = this.schema[name];
+        return (field && field.label) || FormValidator.labelFromName(name);
+    }
+    
+    // Values are trimmed unless the field sets trim: false; file fields stay arrays
+    normalize(name, value) {
+        if (this.schema[name].files) return Array.isArray(value) ? value : [];
+        
+        const text = value == null ? '' : String(value);
+        return this.schema[name].trim === false ? text : text.trim();
+    }
+    
+    // Fields whose result depends on `name`, e.g. confirmEmail on email
+    dependentsOf(name) {
+        return this.fieldNames.filter(other => this.schema[other].matches === name);
+    }
+    
+    // Resolves with the field's error message, or null when it is valid
+    async validateField(name, values) {
+        const field = this.schema[name];
+        const value = this.normalize(name, values[name]);
+        
+        const error = this.checkRules(name, value, values);
+        if (error !== undefined) return error;
+        if (this.isEmpty(name, value)) return null;
+        
+        for (const validator of field.validators || []) {
+            const check = typeof validator === 'string' ? this.validators[validator] : validator;
+            if (typeof check !== 'function') {
+                throw new Error(`Unknown validator "${validator}" for field "${name}"`);
+            }
+            
+            const message = await check(value, values);
+            if (typeof message === 'string' && message) return message;
+        }
+        
+        return null;
+    }
+    
+    // Resolves with { valid, errors } where errors maps field names to messages
+    async validate(values) {
+        const errors = {};
+        const results = await Promise.all(this.fieldNames.map(name => this.validateField(name, values)));
+        
+        results.forEach((error, index) => {
+            if (error) errors[this.fieldNames[index]] = error;
+        });
+        
+        return { valid: Object.keys(errors).length === 0, errors: errors };
+    }
+    
+    // The built-in rules, in order. Returns a message for the first one that fails,
+    // null for an empty optional field, and undefined when custom validators should run.
+    checkRules(name, value, values) {
+        const field = this.schema[name];
+        
+        if (this.isEmpty(name, value)) {
+            return field.required ? this.getMessage(name, 'required') : null;
+        }
+        if (field.files) {
+            const error = this.checkFiles(name, value);
+            return error || undefined;
+        }
+        if (field.minLength && value.length < field.minLength) {
+            return this.getMessage(name, 'minLength');
+        }
+        if (field.maxLength && value.length > field.maxLength) {
+            return this.getMessage(name, 'maxLength');
+        }
+        if (field.email && !FormValidator.EMAIL_PATTERN.test(value)) {
+            return this.getMessage(name, 'email');
+        }
+        if (field.pattern && !FormValidator.toRegExp(field.pattern).test(value)) {
+            return this.getMessage(name, 'pattern');
+        }
+        if (field.matches && value !== this.normalize(field.matches, values[field.matches])) {
+            return this.getMessage(name, 'matches');
+        }
+        
+        return undefined;
+    }
+    
+    isEmpty(name, value) {
+        return this.schema[name].files ? value.length === 0 : !value;
+    }
+    
+    // The number of files, then each file's type and size. Also used to check a file
+    // before it is added: checkFiles(name, [...files, newFile]).
+    checkFiles(name, files) {
+        const field = this.schema[name];
+        
+        if (field.maxFiles && files.length > field.maxFiles) {
+            return this.getMessage(name, 'maxFiles');
+        }
+        for (const file of files) {
+            if (field.accept && !FormValidator.acceptsFile(field.accept, file)) {
+                return this.getMessage(name, 'accept', { file: file.name });
+            }
+            if (field.maxSize && file.size > field.maxSize) {
+                return this.getMessage(name, 'maxSize', { file: file.name });
+            }
+        }
+        
+        return null;
+    }
+    
+    // Field messages win over the options' messages, which win over the defaults.
+    // {label}, {minLength}, {maxLength}, {other} (the matched field's label), {maxSize},
+    // {maxFiles} and, for file rules, {file} are filled in. A message may also be a
+    // function, which gets those params and returns the text (e.g. to pick a plural form).
+    getMessage(name, rule, extra = {}) {
+        const field = this.schema[name];
+        const template = (field.messages && field.messages[rule]) || this.messages[rule];
+        const params = {
+            label: this.getLabel(name),
+            minLength: field.minLength,
+            maxLength: field.maxLength,
+            other: field.matches ? this.getLabel(field.matches) : '',
+            maxSize: field.maxSize ? FormValidator.formatSize(field.maxSize) : undefined,
+            maxFiles: field.maxFiles,
+            ...extra
+        };
+        
+        if (typeof template === 'function') return template(params);
+        
+        return template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+            return params[key] !== undefined ? params[key] : placeholder;
+        });
+    }
+    
+    // Reads rules from the standard constraint attributes (required, minlength, maxlength,
+    // pattern, type="email", and accept and multiple on file inputs) plus data-label,
+    // data-match="otherField", data-validate="registeredName ...", data-max-size="5MB",
+    // data-max-files and data-error-<rule>="message" (e.g. data-error-min-length).
+    // Elements without a name are skipped.
+    static fromElements(elements) {
+        const schema = {};
+        
+        Array.from(elements).forEach(element => {
+            const name = element.getAttribute('name');
+            if (!name || element.type === 'submit' || element.type === 'button') return;
+            
+            const field = {};
+            const label = element.getAttribute('data-label');
+            const minLength = parseInt(element.getAttribute('minlength'));
+            const maxLength = parseInt(element.getAttribute('maxlength'));
+            const pattern = element.getAttribute('pattern');
+            const matches = element.getAttribute('data-match');
+            const validators = element.getAttribute('data-validate');
+            
+            if (label) field.label = label;
+            if (element.hasAttribute('required')) field.required = true;
+            if (minLength > 0) field.minLength = minLength;
+            if (maxLength > 0) field.maxLength = maxLength;
+            if (element.getAttribute('type') === 'email') field.email = true;
+            if (pattern) field.pattern = pattern;
+            if (matches) field.matches = matches;
+            if (validators) field.validators = validators.split(/\s+/).filter(Boolean);
+            
+            if (element.getAttribute('type') === 'file') {
+                const accept = element.getAttribute('accept');
+                const maxSize = FormValidator.parseSize(element.getAttribute('data-max-size'));
+                const maxFiles = element.hasAttribute('multiple') ? parseInt(element.getAttribute('data-max-files')) : 1;
+                
+                field.files = true;
+                if (accept) field.accept = accept.split(',').map(type => type.trim()).filter(Boolean);
+                if (maxSize > 0) field.maxSize = maxSize;
+                if (maxFiles > 0) field.maxFiles = maxFiles;
+            }
+            
+            const messages = {};
+            Object.keys(FormValidator.MESSAGES).forEach(rule => {
+                const attribute = `data-error-${rule.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)}`;
+                if (element.hasAttribute(attribute)) messages[rule] = element.getAttribute(attribute);
+            });
+            if (Object.keys(messages).length > 0) field.messages = messages;
+            
+            schema[name] = field;
+        });
+        
+        return schema;
+    }
+    
+    // Like the pattern attribute, a string pattern has to match the whole value
+    static toRegExp(pattern) {
+        return pattern instanceof RegExp ? pattern : new RegExp(`^(?:${pattern})$`, 'u');
+    }
+    
+    // Same matching as the accept attribute: ".pdf", "image/*" or "application/pdf"
+    static acceptsFile(accept, file) {
+        const name = file.name.toLowerCase();
+        const type = (file.type || '').toLowerCase();
+        
+        return accept.some(entry => {
+            const rule = entry.toLowerCase();
+            if (rule.startsWith('.')) return name.endsWith(rule);
+            if (rule.endsWith('/*')) return type.startsWith(rule.slice(0, -1));
+            return type === rule;
+        });
+    }
+    
+    // "5MB" -> 5242880; plain numbers are bytes
+    static parseSize(text) {
+        const match = /^\s*(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?\s*$/i.exec(text || '');
+        if (!match) return 0;
+        
+        const units = { B: 1, KB: 1024, MB: 1024 * 1024, GB: 1024 * 1024 * 1024 };
+        return Math.round(parseFloat(match[1]) * units[(match[2] || 'B').toUpperCase()]);
+    }
+    
+    // 5242880 -> "5 MB"
+    static formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        
+        const units = ['KB', 'MB', 'GB'];
+        let size = bytes / 1024;
+        let unit = 0;
+        while (size >= 1024 && unit < units.length - 1) {
+            size /= 1024;
+            unit++;
+        }
+        return `${Number(size.toFixed(size < 10 ? 1 : 0))} ${units[unit]}`;
+    }
+    
+    // "confirmEmail" -> "Confirm email"
+    static labelFromName(name) {
+        const words = name.replace(/[_-]+/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+}
+
+FormValidator.EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+FormValidator.MESSAGES = {
+    required: '{label} is required',
+    minLength: '{label} must be at least {minLength} characters long',
+    maxLength: '{label} must be at most {maxLength} characters long',
+    email: 'Please enter a valid email address',
+    pattern: '{label} is not in the expected format',
+    matches: '{label} must match {other}',
+    accept: '{file} is not a supported file type',
+    maxSize: '{file} is larger than {maxSize}',
+    maxFiles: 'You can attach at most {maxFiles} files'
+};
\ No newline at end of file
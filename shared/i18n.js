@@ -0,0 +1,239 @@
+// Translations and locale-aware formatting shared by both apps.
+//
+// Catalogs (shared/locales/*.js) map keys to strings with {placeholders}. A string that
+// depends on a number is an object of plural forms, picked with Intl.PluralRules:
+//   I18n.addCatalog('en', { 'todo.count': { one: '{count} todo', other: '{count} todos' } });
+//   i18n.t('todo.count', { count: 3 })    // "3 todos"
+// Keys missing from a catalog fall back to English, so a translation can be partial.
+//
+// The chosen language is kept in localStorage, so both apps open in it, and pages mark
+// up their static text with data-i18n="key" (textContent) or data-i18n-placeholder,
+// data-i18n-title and data-i18n-aria-label for attributes.
+class I18n {
+    // options.locale: start in this language instead of the saved or browser one
+    // options.storage: where the choice is kept (localStorage by default, null for nowhere)
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined ? options.storage : SafeStorage.local();
+        this.preferences = new SafeStorage(this.storage);
+        this.listeners = [];
+        this.formatters = new Map();
+        this.locale = I18n.negotiate([
+            options.locale,
+            this.loadPreference(),
+            ...(typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [])
+        ]);
+        
+        // A language picked in another tab (or the other app) applies here too
+        if (typeof window !== 'undefined' && this.storage && this.storage === SafeStorage.local()) {
+            window.addEventListener('storage', (e) => {
+                if (e.key === I18n.STORAGE_KEY && e.newValue) this.setLocale(e.newValue, false);
+            });
+        }
+    }
+    
+    // Registers (or extends) the messages for a language
+    static addCatalog(locale, messages) {
+        I18n.CATALOGS[locale] = { ...(I18n.CATALOGS[locale] || {}), ...messages };
+    }
+    
+    // The first candidate with a catalog, by exact tag or by language ("es-MX" -> "es")
+    static negotiate(candidates) {
+        for (const candidate of candidates) {
+            if (!candidate) continue;
+            
+            const tag = String(candidate);
+            if (I18n.CATALOGS[tag]) return tag;
+            
+            const language = tag.split('-')[0].toLowerCase();
+            if (I18n.CATALOGS[language]) return language;
+        }
+        return I18n.DEFAULT_LOCALE;
+    }
+    
+    get language() {
+        return this.locale.split('-')[0];
+    }
+    
+    get dir() {
+        return I18n.RTL_LANGUAGES.includes(this.language) ? 'rtl' : 'ltr';
+    }
+    
+    loadPreference() {
+        return this.preferences.getItem(I18n.STORAGE_KEY);
+    }
+    
+    savePreference() {
+        this.preferences.setItem(I18n.STORAGE_KEY, this.locale);
+    }
+    
+    // Switches language, re-translates the page and tells the listeners so they can
+    // re-render whatever they built themselves
+    setLocale(locale, persist = true) {
+        const resolved = I18n.negotiate([locale]);
+        if (resolved === this.locale) return;
+        
+        this.locale = resolved;
+        if (persist) this.savePreference();
+        this.apply();
+        this.listeners.forEach(listener => listener(resolved));
+    }
+    
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+    
+    has(key) {
+        return this.lookup(key) !== undefined;
+    }
+    
+    lookup(key) {
+        const catalogs = [this.locale, this.language, I18n.DEFAULT_LOCALE];
+        for (const locale of catalogs) {
+            const catalog = I18n.CATALOGS[locale];
+            if (catalog && catalog[key] !== undefined) return catalog[key];
+        }
+        return undefined;
+    }
+    
+    // Numbers in params are formatted for the locale; params.count picks the plural form.
+    // An unknown key comes back as is, which makes missing translations easy to spot.
+    t(key, params = {}) {
+        const entry = this.lookup(key);
+        if (entry === undefined) {
+            console.warn(`Missing translation for "${key}"`);
+            return key;
+        }
+        
+        let template = entry;
+        if (typeof entry === 'object') {
+            const count = Number(params.count) || 0;
+            template = entry[this.getFormatter('PluralRules').select(count)] || entry.other;
+        }
+        
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = params[name];
+            if (value === undefined || value === null) return placeholder;
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    }
+    
+    // Translates the marked-up elements under root and sets the page's language and direction
+    apply(root = document) {
+        if (root === document) {
+            document.documentElement.lang = this.locale;
+            document.documentElement.dir = this.dir;
+        }
+        
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        I18n.ATTRIBUTES.forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+    }
+    
+    // Fills a <select> with the available languages, each named in its own language
+    bindSwitcher(select) {
+        select.innerHTML = '';
+        Object.keys(I18n.CATALOGS).forEach(locale => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.lang = locale;
+            option.textContent = I18n.LANGUAGE_NAMES[locale] || locale;
+            select.appendChild(option);
+        });
+        
+        select.value = this.locale;
+        select.addEventListener('change', () => this.setLocale(select.value));
+        this.onChange(locale => {
+            select.value = locale;
+        });
+    }
+    
+    // Intl objects are costly to create, so they are kept per locale and options
+    getFormatter(type, options = {}) {
+        const cacheKey = `${type}|${this.locale}|${JSON.stringify(options)}`;
+        if (!this.formatters.has(cacheKey)) {
+            this.formatters.set(cacheKey, new Intl[type](this.locale, options));
+        }
+        return this.formatters.get(cacheKey);
+    }
+    
+    formatNumber(value, options = {}) {
+        return this.getFormatter('NumberFormat', options).format(value);
+    }
+    
+    formatDate(timestamp, options = { year: 'numeric', month: 'short', day: 'numeric' }) {
+        return this.getFormatter('DateTimeFormat', options).format(new Date(timestamp));
+    }
+    
+    formatTime(timestamp, options = { hour: 'numeric', minute: '2-digit' }) {
+        return this.getFormatter('DateTimeFormat', options).format(new Date(timestamp));
+    }
+    
+    formatDateTime(timestamp) {
+        return this.formatDate(timestamp, { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    }
+    
+    // "5 minutes ago", "yesterday", "in 3 hours"; a week or more away reads as a date,
+    // with the year only when it isn't this year's
+    formatRelative(timestamp, now = new Date()) {
+        const date = new Date(timestamp);
+        const seconds = (date - now) / 1000;
+        const distance = Math.abs(seconds);
+        
+        if (distance >= 7 * 24 * 60 * 60) {
+            return this.formatDate(date, {
+                month: 'short',
+                day: 'numeric',
+                year: date.getFullYear() !== now.getFullYear() ? 'numeric' : undefined
+            });
+        }
+        
+        const [unit, size] = I18n.RELATIVE_UNITS.find(([, length]) => distance >= length) || ['second', 1];
+        const value = unit === 'second' ? 0 : Math.trunc(seconds / size);
+        return this.getFormatter('RelativeTimeFormat', { numeric: 'auto' }).format(value, unit);
+    }
+    
+    // 3, 'hour' -> "3 hours" ('long'), "3 hr" ('short') or "3h" ('narrow')
+    formatUnit(value, unit, unitDisplay = 'long') {
+        return this.formatNumber(value, { style: 'unit', unit: unit, unitDisplay: unitDisplay });
+    }
+    
+    // 90000 -> "2 minutes"; rounded up, so a wait never reads shorter than it is
+    formatDuration(ms, unitDisplay = 'long') {
+        const units = [['hour', 60 * 60 * 1000], ['minute', 60 * 1000], ['second', 1000]];
+        const [unit, size] = units.find(([, length]) => ms >= length) || units[units.length - 1];
+        return this.formatUnit(Math.max(1, Math.ceil(ms / size)), unit, unitDisplay);
+    }
+    
+    // 0 = Sunday, as in Date#getDay; 1 -> "Mon" ('short') or "Monday" ('long')
+    formatWeekday(day, width = 'short') {
+        // 7 January 2024 was a Sunday
+        return this.formatDate(Date.UTC(2024, 0, 7 + day), { weekday: width, timeZone: 'UTC' });
+    }
+    
+    formatList(items, type = 'conjunction') {
+        return this.getFormatter('ListFormat', { style: 'long', type: type }).format(items);
+    }
+}
+
+I18n.CATALOGS = {};
+I18n.DEFAULT_LOCALE = 'en';
+I18n.STORAGE_KEY = 'appLocale';
+I18n.RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+I18n.ATTRIBUTES = ['placeholder', 'title', 'aria-label'];
+I18n.LANGUAGE_NAMES = {
+    en: 'English',
+    es: 'Español',
+    ar: 'العربية'
+};
+
+// Largest unit first; anything under a minute is "now"
+I18n.RELATIVE_UNITS = [
+    ['day', 24 * 60 * 60],
+    ['hour', 60 * 60],
+    ['minute', 60]
+];
\ No newline at end of file
@@ -0,0 +1,472 @@
+// Arabic (right-to-left)
+I18n.addCatalog('ar', {
+    'common.language': 'اللغة',
+    'common.close': 'إغلاق',
+    
+    // Contact form
+    'contact.pageTitle': '📧 نموذج اتصال ذكي',
+    'contact.title': '📧 نموذج الاتصال',
+    'contact.draft.offer': '📝 لديك مسودة لم تُرسل من {date}.',
+    'contact.draft.restore': 'استعادة',
+    'contact.draft.discard': 'تجاهل المسودة',
+    'contact.field.name': 'الاسم',
+    'contact.field.email': 'البريد الإلكتروني',
+    'contact.field.message': 'الرسالة',
+    'contact.field.attachments': 'المرفقات',
+    'contact.placeholder.name': 'أدخل اسمك الكامل',
+    'contact.placeholder.email': 'أدخل بريدك الإلكتروني',
+    'contact.placeholder.message': 'أدخل رسالتك (10 أحرف على الأقل)',
+    'contact.attachments.drop': '📎 أفلت الملفات هنا أو',
+    'contact.attachments.browse': 'تصفّح',
+    'contact.attachments.hint': 'صور أو ملفات PDF أو نصوص أو مستندات Word، حتى 5 ميغابايت لكل ملف (5 ملفات كحد أقصى)',
+    'contact.attachments.duplicate': '{file} مرفق بالفعل',
+    'contact.attachments.remove': 'إزالة {file}',
+    'contact.honeypot': 'اترك هذا الحقل فارغًا',
+    'contact.form.send': 'إرسال الرسالة',
+    'contact.form.sending': 'جارٍ الإرسال…',
+    'contact.form.success': '✅ تم إرسال الرسالة بنجاح!',
+    'contact.counter.limited': { one: '{length} / {count} حرف', two: '{length} / {count} حرفان', few: '{length} / {count} أحرف', other: '{length} / {count} حرف' },
+    'contact.counter.plain': { zero: '{count} حرف', one: 'حرف واحد', two: 'حرفان', few: '{count} أحرف', many: '{count} حرفًا', other: '{count} حرف' },
+    'contact.counter.softLimit': '{counter} · حاول ألا تتجاوز {limit}',
+    'contact.validation.required': '{label} مطلوب',
+    'contact.validation.minLength': {
+        one: 'يجب أن يتكون {label} من حرف واحد على الأقل',
+        two: 'يجب أن يتكون {label} من حرفين على الأقل',
+        few: 'يجب أن يتكون {label} من {minLength} أحرف على الأقل',
+        other: 'يجب أن يتكون {label} من {minLength} حرفًا على الأقل'
+    },
+    'contact.validation.maxLength': {
+        one: 'يجب ألا يتجاوز {label} حرفًا واحدًا',
+        two: 'يجب ألا يتجاوز {label} حرفين',
+        few: 'يجب ألا يتجاوز {label} {maxLength} أحرف',
+        other: 'يجب ألا يتجاوز {label} {maxLength} حرفًا'
+    },
+    'contact.validation.email': 'أدخل عنوان بريد إلكتروني صالحًا',
+    'contact.validation.pattern': '{label} ليس بالتنسيق المتوقع',
+    'contact.validation.matches': 'يجب أن يطابق {label} {other}',
+    'contact.validation.accept': '{file} ليس نوع ملف مدعومًا',
+    'contact.validation.maxSize': 'حجم {file} أكبر من {maxSize}',
+    'contact.validation.maxFiles': {
+        one: 'يمكنك إرفاق ملف واحد كحد أقصى',
+        two: 'يمكنك إرفاق ملفين كحد أقصى',
+        few: 'يمكنك إرفاق {maxFiles} ملفات كحد أقصى',
+        other: 'يمكنك إرفاق {maxFiles} ملفًا كحد أقصى'
+    },
+    'contact.validation.failed': 'تعذّر التحقق من هذا الحقل. حاول مرة أخرى.',
+    'contact.spam.honeypot': 'تبدو رسالتك آلية ولم تُرسل. إذا ملأت كل الحقول بنفسك، فأفرغ حقل "اترك هذا الحقل فارغًا" وحاول مرة أخرى.',
+    'contact.spam.tooFast': 'هذا سريع جدًا! خذ لحظة لمراجعة رسالتك، ثم أرسلها مرة أخرى بعد {wait}.',
+    'contact.spam.blockedDomain': 'لا يمكننا قبول الرسائل من عناوين {domain}. استخدم عنوان بريد إلكتروني آخر.',
+    'contact.spam.blockedKeyword': 'تحتوي على كلمة لا نقبلها: "{keyword}"',
+    'contact.spam.duplicate': 'لقد أرسلت هذه الرسالة بالفعل في {date}. عدّلها إذا أردت إرسالها مرة أخرى.',
+    'contact.spam.rateLimit': {
+        one: 'يمكنك إرسال رسالة واحدة كحد أقصى خلال {window} من هذا العنوان. حاول مرة أخرى بعد {wait}.',
+        two: 'يمكنك إرسال رسالتين كحد أقصى خلال {window} من هذا العنوان. حاول مرة أخرى بعد {wait}.',
+        few: 'يمكنك إرسال {max} رسائل كحد أقصى خلال {window} من هذا العنوان. حاول مرة أخرى بعد {wait}.',
+        other: 'يمكنك إرسال {max} رسالة كحد أقصى خلال {window} من هذا العنوان. حاول مرة أخرى بعد {wait}.'
+    },
+    'contact.status.attachmentsNotSaved': 'تعذّر حفظ مرفقاتك. حاول مرة أخرى أو أزل بعضها.',
+    'contact.status.offline': '📡 أنت غير متصل. رسالتك محفوظة وستُرسل عند عودة الاتصال.',
+    'contact.status.unreachable': '📡 تعذّر الوصول إلى الخادم. رسالتك محفوظة وستُرسل تلقائيًا.',
+    'contact.status.failed': 'تعذّر إرسال رسالتك: {error}',
+    'contact.error.save': 'تعذّر حفظ الرسالة. حاول مرة أخرى.',
+    'contact.error.update': 'تعذّر تحديث الرسائل. حاول مرة أخرى.',
+    'contact.error.delete': 'تعذّر حذف الرسالة. حاول مرة أخرى.',
+    'contact.error.attachmentMissing': '{file} لم يعد متاحًا.',
+    'contact.error.attachmentOpen': 'تعذّر فتح المرفق. حاول مرة أخرى.',
+    'contact.confirm.purge': 'هل تريد حذف هذه الرسالة نهائيًا؟',
+    'contact.confirm.purgeSelected': {
+        one: 'هل تريد حذف رسالة واحدة نهائيًا؟',
+        two: 'هل تريد حذف رسالتين نهائيًا؟',
+        few: 'هل تريد حذف {count} رسائل نهائيًا؟',
+        other: 'هل تريد حذف {count} رسالة نهائيًا؟'
+    },
+    'contact.confirm.emptyTrash': {
+        one: 'هل تريد حذف رسالة واحدة من سلة المهملات نهائيًا؟',
+        two: 'هل تريد حذف رسالتين من سلة المهملات نهائيًا؟',
+        few: 'هل تريد حذف {count} رسائل من سلة المهملات نهائيًا؟',
+        other: 'هل تريد حذف {count} رسالة من سلة المهملات نهائيًا؟'
+    },
+    'contact.history.title': '📋 سجل الرسائل ({messages})',
+    'contact.history.titleUnread': '📋 سجل الرسائل ({messages}، {unread})',
+    'contact.history.threadsTitle': '💬 المحادثات ({threads}، {messages})',
+    'contact.history.trashTitle': '🗑 سلة المهملات ({messages})',
+    'contact.history.messages': { zero: 'لا رسائل', one: 'رسالة واحدة', two: 'رسالتان', few: '{count} رسائل', many: '{count} رسالة', other: '{count} رسالة' },
+    'contact.history.filteredMessages': { one: '{shown} من رسالة واحدة', two: '{shown} من رسالتين', few: '{shown} من {count} رسائل', other: '{shown} من {count} رسالة' },
+    'contact.history.threads': { zero: 'لا محادثات', one: 'محادثة واحدة', two: 'محادثتان', few: '{count} محادثات', many: '{count} محادثة', other: '{count} محادثة' },
+    'contact.history.unread': '{count} غير مقروءة',
+    'contact.history.showMore': 'عرض المزيد',
+    'contact.history.showMoreCount': 'عرض المزيد (متبقٍ {count})',
+    'contact.view.label': 'عرض',
+    'contact.view.messages': '📋 الرسائل',
+    'contact.view.threads': '💬 المحادثات',
+    'contact.view.trash': '🗑 سلة المهملات',
+    'contact.view.trashCount': '🗑 سلة المهملات ({count})',
+    'contact.search.placeholder': 'ابحث في الاسم أو البريد أو الرسالة...',
+    'contact.search.label': 'البحث في الرسائل',
+    'contact.filter.sender': 'التصفية حسب المرسل',
+    'contact.filter.allSenders': 'كل المرسلين',
+    'contact.filter.from': 'من',
+    'contact.filter.to': 'إلى',
+    'contact.filter.clear': 'مسح عوامل التصفية',
+    'contact.sort.label': 'ترتيب الرسائل',
+    'contact.sort.newest': 'الأحدث أولًا',
+    'contact.sort.oldest': 'الأقدم أولًا',
+    'contact.sort.senderAsc': 'المرسل أ–ي',
+    'contact.sort.senderDesc': 'المرسل ي–أ',
+    'contact.selection.all': 'تحديد الكل',
+    'contact.selection.count': '{count} محددة',
+    'contact.action.markRead': 'تعليم كمقروءة',
+    'contact.action.markUnread': 'تعليم كغير مقروءة',
+    'contact.action.star': 'تمييز بنجمة',
+    'contact.action.unstar': 'إزالة النجمة',
+    'contact.action.delete': 'حذف',
+    'contact.action.restore': 'استعادة',
+    'contact.action.purge': 'حذف نهائي',
+    'contact.action.retry': 'إعادة المحاولة',
+    'contact.action.open': 'فتح',
+    'contact.export.format': 'تنسيق التصدير',
+    'contact.export.all': 'تصدير الكل',
+    'contact.export.allCount': 'تصدير الكل ({count})',
+    'contact.export.selected': 'تصدير المحدد ({count})',
+    'contact.trash.empty': 'إفراغ سلة المهملات',
+    'contact.empty.none': 'لا توجد رسائل بعد. أرسل رسالتك الأولى من الأعلى!',
+    'contact.empty.trash': 'سلة المهملات فارغة.',
+    'contact.empty.noResults': 'لا توجد رسائل تطابق البحث وعوامل التصفية.',
+    'contact.message.from': 'من: {name}',
+    'contact.message.new': 'جديدة',
+    'contact.message.select': 'تحديد الرسالة من {name}',
+    'contact.message.starLabel': 'تمييز الرسالة من {name} بنجمة',
+    'contact.thread.messages': { one: 'رسالة واحدة', two: 'رسالتان', few: '{count} رسائل', many: '{count} رسالة', other: '{count} رسالة' },
+    'contact.thread.unread': '{count} جديدة',
+    'contact.delivery.sent': '✓ أُرسلت',
+    'contact.delivery.sending': '📤 جارٍ الإرسال…',
+    'contact.delivery.waiting': '🕓 في قائمة الانتظار، بانتظار الاتصال',
+    'contact.delivery.retrying': '🕓 في قائمة الانتظار، إعادة المحاولة عند {time}',
+    'contact.delivery.failed': '⚠️ فشل الإرسال',
+    'contact.delivery.failedWithError': '⚠️ فشل الإرسال: {error}',
+    'contact.detail.title': '✉️ الرسالة',
+    'contact.detail.from': 'من',
+    'contact.detail.date': 'التاريخ',
+    'contact.detail.status': 'الحالة',
+    'contact.detail.conversation': 'المحادثة',
+    'contact.detail.inTrash': '{status} · في سلة المهملات',
+    'contact.detail.threadSize': {
+        one: 'رسالة واحدة من هذا المرسل',
+        two: 'رسالتان من هذا المرسل',
+        few: '{count} رسائل من هذا المرسل',
+        other: '{count} رسالة من هذا المرسل'
+    },
+    'contact.detail.reply': '↩ الرد بالبريد الإلكتروني',
+    'contact.detail.replySubject': 'رد: رسالتك',
+    'contact.detail.star': '☆ تمييز بنجمة',
+    'contact.detail.starred': '★ مميزة بنجمة',
+    'contact.detail.viewThread': 'عرض المحادثة',
+    
+    // Todo app
+    'todo.pageTitle': '✅ مهامي',
+    'todo.lists.label': 'قوائم المهام',
+    'todo.lists.new': '+ قائمة جديدة',
+    'todo.lists.default': 'مهامي',
+    'todo.lists.fallbackName': 'قائمة مهام',
+    'todo.lists.renameHint': 'انقر نقرًا مزدوجًا لإعادة التسمية',
+    'todo.lists.rename': 'إعادة تسمية القائمة',
+    'todo.lists.delete': 'حذف القائمة',
+    'todo.lists.moveLeft': 'نقل القائمة إلى اليسار',
+    'todo.lists.moveRight': 'نقل القائمة إلى اليمين',
+    'todo.lists.namePlaceholder': 'اسم القائمة',
+    'todo.lists.newName': 'اسم القائمة الجديدة',
+    'todo.add.placeholder': 'أضف مهمة جديدة...',
+    'todo.add.button': 'إضافة مهمة',
+    'todo.options.due': 'الاستحقاق:',
+    'todo.options.priority': 'الأولوية:',
+    'todo.options.repeat': 'التكرار:',
+    'todo.options.remind': 'التذكير:',
+    'todo.options.autoComplete': 'إكمال المهام تلقائيًا عند إنجاز كل مهامها الفرعية',
+    'todo.priority.low': 'منخفضة',
+    'todo.priority.normal': 'عادية',
+    'todo.priority.high': 'عالية',
+    'todo.notify.enable': '🔔 تفعيل إشعارات سطح المكتب',
+    'todo.notify.on': '🔔 إشعارات سطح المكتب مفعّلة',
+    'todo.notify.blocked': '🔕 المتصفح يحظر الإشعارات',
+    'todo.search.placeholder': 'ابحث في المهام... (جرّب #وسم أو is:active أو due:<2026-11-01)',
+    'todo.search.hint': 'اجمع بين الكلمات و"العبارات الدقيقة" و#الوسوم وis:active|completed|overdue وdue:<YYYY-MM-DD وpriority:high؛ ضع - قبل أي منها للاستبعاد',
+    'todo.filter.label': 'التصفية:',
+    'todo.filter.all': 'الكل',
+    'todo.filter.active': 'النشطة',
+    'todo.filter.completed': 'المكتملة',
+    'todo.sort.label': 'الترتيب:',
+    'todo.sort.created': 'الأحدث أولًا',
+    'todo.sort.due': 'تاريخ الاستحقاق',
+    'todo.sort.priority': 'الأولوية',
+    'todo.sort.alphabetical': 'أبجديًا',
+    'todo.sort.manual': 'ترتيب يدوي',
+    'todo.counter.summary': '📝 {list} ({todos}، {completed})',
+    'todo.counter.todos': { zero: 'لا مهام', one: 'مهمة واحدة', two: 'مهمتان', few: '{count} مهام', many: '{count} مهمة', other: '{count} مهمة' },
+    'todo.counter.completed': '{count} مكتملة',
+    'todo.counter.subtasks': {
+        one: '{completed}/{count} مهمة فرعية منجزة',
+        two: '{completed}/{count} مهمتان فرعيتان منجزتان',
+        few: '{completed}/{count} مهام فرعية منجزة',
+        other: '{completed}/{count} مهمة فرعية منجزة'
+    },
+    'todo.toolbar.select': '☑ تحديد',
+    'todo.toolbar.clearCompleted': '🧹 مسح المكتملة',
+    'todo.toolbar.transfer': '⇅ استيراد / تصدير',
+    'todo.toolbar.stats': '📊 الإحصاءات',
+    'todo.toolbar.shortcuts': '⌨ الاختصارات',
+    'todo.toolbar.shortcutsHint': 'اختصارات لوحة المفاتيح (?)',
+    'todo.batch.label': 'إجراءات جماعية',
+    'todo.batch.selected': '{count} محددة',
+    'todo.batch.selectAll': 'تحديد الكل',
+    'todo.batch.complete': '✓ إكمال',
+    'todo.batch.reactivate': '↺ إعادة تنشيط',
+    'todo.batch.moveLabel': 'نقل المهام المحددة إلى قائمة',
+    'todo.batch.moveTo': 'نقل إلى…',
+    'todo.batch.tagLabel': 'الوسم المراد إضافته',
+    'todo.batch.addTag': 'إضافة وسم',
+    'todo.batch.delete': 'حذف',
+    'todo.batch.done': 'تم',
+    'todo.list.label': 'المهام',
+    'todo.empty.noTodos': '📝 لا توجد مهام بعد!',
+    'todo.empty.noTodosHint': 'أضف مهمتك الأولى من الأعلى للبدء.',
+    'todo.empty.noResults': '🔍 لا توجد نتائج',
+    'todo.empty.noResultsHint': 'لا توجد مهام تطابق "{term}". جرّب بحثًا آخر.',
+    'todo.empty.filter.all': '📋 لا توجد مهام',
+    'todo.empty.filter.active': '📋 لا توجد مهام نشطة',
+    'todo.empty.filter.completed': '📋 لا توجد مهام مكتملة',
+    'todo.empty.filterHint': 'لا توجد مهام تطابق عامل التصفية الحالي. جرّب تغييره من الأعلى.',
+    'todo.row.due': 'الاستحقاق {date}',
+    'todo.row.overdue': 'متأخرة: {date}',
+    'todo.row.repeatHint': 'مهمة متكررة؛ عدّلها لتغيير السلسلة أو إنهائها',
+    'todo.repeat.daily': { zero: 'كل {count} يوم', one: 'كل يوم', two: 'كل يومين', few: 'كل {count} أيام', many: 'كل {count} يومًا', other: 'كل {count} يوم' },
+    'todo.repeat.weekly': { zero: 'كل {count} أسبوع', one: 'كل أسبوع', two: 'كل أسبوعين', few: 'كل {count} أسابيع', many: 'كل {count} أسبوعًا', other: 'كل {count} أسبوع' },
+    'todo.repeat.monthly': { zero: 'كل {count} شهر', one: 'كل شهر', two: 'كل شهرين', few: 'كل {count} أشهر', many: 'كل {count} شهرًا', other: 'كل {count} شهر' },
+    'todo.repeat.weekdays': 'كل أيام العمل',
+    'todo.repeat.onDays': '{rule}: {days}',
+    'todo.repeat.onDay': '{rule} في اليوم {day}',
+    'todo.repeat.onNth': '{rule} في {nth} {weekday}',
+    'todo.repeat.nth.1': 'أول',
+    'todo.repeat.nth.2': 'ثاني',
+    'todo.repeat.nth.3': 'ثالث',
+    'todo.repeat.nth.4': 'رابع',
+    'todo.repeat.nth.last': 'آخر',
+    'todo.repeat.workday': 'يوم عمل',
+    'todo.repeat.until': '{rule} حتى {date}',
+    'todo.row.reminder': 'تذكير',
+    'todo.row.dragHint': 'اسحب لإعادة الترتيب (أو Alt+↑ / Alt+↓)',
+    'todo.row.select': 'تحديد المهمة',
+    'todo.row.textHint': 'انقر نقرًا مزدوجًا أو اضغط Enter للتعديل، وSpace للإكمال',
+    'todo.row.completed': 'مكتملة: {text}',
+    'todo.row.delete': 'حذف',
+    'todo.edit.text': 'تعديل المهمة',
+    'todo.edit.due': 'تاريخ الاستحقاق',
+    'todo.edit.priority': 'الأولوية',
+    'todo.edit.repeat': 'التكرار (أفرغه لإنهاء السلسلة)',
+    'todo.edit.repeatPlaceholder': 'لا تتكرر',
+    'todo.edit.reminder': 'التذكير',
+    'todo.edit.list': 'القائمة',
+    'todo.subtasks.button': '+ مهام فرعية',
+    'todo.subtasks.show': 'إظهار المهام الفرعية',
+    'todo.subtasks.hide': 'إخفاء المهام الفرعية',
+    'todo.subtasks.editHint': 'انقر نقرًا مزدوجًا أو اضغط Enter للتعديل',
+    'todo.subtasks.edit': 'تعديل المهمة الفرعية',
+    'todo.subtasks.delete': 'حذف المهمة الفرعية',
+    'todo.subtasks.placeholder': 'أضف مهمة فرعية...',
+    'todo.subtasks.new': 'مهمة فرعية جديدة',
+    'todo.subtasks.add': 'إضافة',
+    'todo.error.textRequired': 'أدخل مهمة',
+    'todo.error.textTooLong': 'نص المهمة طويل جدًا (الحد الأقصى {max} حرف)',
+    'todo.error.subtaskRequired': 'أدخل مهمة فرعية',
+    'todo.error.subtaskTooLong': 'نص المهمة الفرعية طويل جدًا (الحد الأقصى {max} حرف)',
+    'todo.error.listNameRequired': 'أدخل اسمًا للقائمة',
+    'todo.error.listNameTooLong': 'اسم القائمة طويل جدًا (الحد الأقصى {max} حرف)',
+    'todo.error.listExists': 'توجد قائمة باسم "{name}" بالفعل',
+    'todo.error.lastList': 'تحتاج إلى قائمة واحدة على الأقل',
+    'todo.error.repeatInvalid': 'قاعدة تكرار غير معروفة "{rule}" (جرّب "weekly on mon" أو "monthly on day 1")',
+    'todo.error.repeatEnds': 'تنتهي قاعدة التكرار قبل أول تاريخ استحقاق لها',
+    'todo.error.reminderInvalid': 'أدخل وقت تذكير صالحًا',
+    'todo.error.reminderPast': 'اختر وقت تذكير في المستقبل',
+    'todo.error.tagInvalid': 'يمكن أن تحتوي الوسوم على حروف وأرقام و"-" و"_" فقط',
+    'todo.error.storageOpen': 'تعذّر تحميل المهام المحفوظة. لن تُحفظ التغييرات.',
+    'todo.error.load': 'تعذّر تحميل المهام المحفوظة.',
+    'todo.error.save': 'تعذّر حفظ المهام. حاول مرة أخرى.',
+    'todo.error.saveLists': 'تعذّر حفظ القوائم. حاول مرة أخرى.',
+    'todo.error.storageFull': 'مساحة التخزين ممتلئة. صدّر المهام القديمة واحذفها لتوفير مساحة.',
+    'todo.error.clipboardUnavailable': 'الحافظة غير متاحة في هذا المتصفح',
+    'todo.error.copyFailed': 'تعذّر النسخ إلى الحافظة',
+    'todo.error.readFile': 'تعذّرت قراءة الملف المحدد',
+    'todo.error.nothingToImport': 'اختر ملفًا أو الصق شيئًا لاستيراده',
+    'todo.toast.added': 'أُضيفت المهمة!',
+    'todo.toast.deleted': 'حُذفت: "{text}"',
+    'todo.toast.markedCompleted': 'عُلّمت المهمة كمكتملة',
+    'todo.toast.markedActive': 'عُلّمت المهمة كنشطة',
+    'todo.toast.nextDue': 'اكتملت المهمة. الموعد التالي {date}',
+    'todo.toast.seriesEnded': 'اكتملت المهمة. كانت الأخيرة في السلسلة',
+    'todo.toast.updated': 'حُدّثت المهمة',
+    'todo.toast.updatedNoRepeat': 'حُدّثت المهمة. لم تعد متكررة',
+    'todo.toast.moved': 'نُقلت إلى "{list}"',
+    'todo.toast.cannotUndo': 'لم يعد من الممكن التراجع عن هذا الإجراء',
+    'todo.toast.nothingToUndo': 'لا يوجد ما يمكن التراجع عنه',
+    'todo.toast.nothingToRedo': 'لا يوجد ما يمكن إعادته',
+    'todo.toast.undid': 'تم التراجع: {action}',
+    'todo.toast.redid': 'تمت الإعادة: {action}',
+    'todo.toast.subtaskDeleted': 'حُذفت المهمة الفرعية: "{text}"',
+    'todo.toast.subtaskUpdated': 'حُدّثت المهمة الفرعية',
+    'todo.toast.selectFirst': 'حدّد مهمة واحدة أو أكثر أولًا',
+    'todo.toast.alreadyCompleted': 'المهام المحددة مكتملة بالفعل',
+    'todo.toast.alreadyActive': 'المهام المحددة نشطة بالفعل',
+    'todo.toast.batchCompleted': {
+        one: 'عُلّمت مهمة واحدة كمكتملة',
+        two: 'عُلّمت مهمتان كمكتملتين',
+        few: 'عُلّمت {count} مهام كمكتملة',
+        other: 'عُلّمت {count} مهمة كمكتملة'
+    },
+    'todo.toast.batchActive': {
+        one: 'عُلّمت مهمة واحدة كنشطة',
+        two: 'عُلّمت مهمتان كنشطتين',
+        few: 'عُلّمت {count} مهام كنشطة',
+        other: 'عُلّمت {count} مهمة كنشطة'
+    },
+    'todo.toast.noCompleted': 'لا توجد مهام مكتملة لمسحها',
+    'todo.toast.batchDeleted': { one: 'حُذفت مهمة واحدة', two: 'حُذفت مهمتان', few: 'حُذفت {count} مهام', other: 'حُذفت {count} مهمة' },
+    'todo.toast.batchMoved': {
+        one: 'نُقلت مهمة واحدة إلى "{list}"',
+        two: 'نُقلت مهمتان إلى "{list}"',
+        few: 'نُقلت {count} مهام إلى "{list}"',
+        other: 'نُقلت {count} مهمة إلى "{list}"'
+    },
+    'todo.toast.alreadyTagged': 'المهام المحددة تحمل الوسم #{tag} بالفعل',
+    'todo.toast.batchTagged': {
+        one: 'وُسمت مهمة واحدة بـ #{tag}',
+        two: 'وُسمت مهمتان بـ #{tag}',
+        few: 'وُسمت {count} مهام بـ #{tag}',
+        other: 'وُسمت {count} مهمة بـ #{tag}'
+    },
+    'todo.toast.manualOnly': 'اختر الترتيب "{sort}" لإعادة ترتيب المهام',
+    'todo.toast.listCreated': 'أُنشئت القائمة "{name}"',
+    'todo.toast.listDeleted': 'حُذفت القائمة "{name}"',
+    'todo.toast.copied': 'نُسخ التصدير إلى الحافظة',
+    'todo.toast.imported': { one: 'استُوردت مهمة واحدة', two: 'استُوردت مهمتان', few: 'استُوردت {count} مهام', other: 'استُوردت {count} مهمة' },
+    'todo.toast.importedSkipped': {
+        one: 'استُوردت مهمة واحدة (تُخطّي {skipped})',
+        two: 'استُوردت مهمتان (تُخطّي {skipped})',
+        few: 'استُوردت {count} مهام (تُخطّي {skipped})',
+        other: 'استُوردت {count} مهمة (تُخطّي {skipped})'
+    },
+    'todo.toast.snoozed': 'أُجّل حتى {time}',
+    'todo.confirm.deleteList': {
+        one: 'هل تريد حذف "{name}" ومهمتها الوحيدة؟',
+        two: 'هل تريد حذف "{name}" ومهمتيها؟',
+        few: 'هل تريد حذف "{name}" ومهامها الـ {count}؟',
+        other: 'هل تريد حذف "{name}" ومهامها البالغة {count}؟'
+    },
+    'todo.action.undo': 'تراجع',
+    'todo.action.redo': 'إعادة',
+    'todo.action.export': 'تصدير',
+    'todo.action.reload': 'إعادة التحميل',
+    'todo.action.later': 'لاحقًا',
+    'todo.action.done': 'تم',
+    'todo.history.addTodo': 'إضافة مهمة',
+    'todo.history.deleteTodo': 'حذف مهمة',
+    'todo.history.toggleTodo': 'تبديل حالة مهمة',
+    'todo.history.editTodo': 'تعديل مهمة',
+    'todo.history.moveTodo': 'نقل مهمة',
+    'todo.history.reorderTodo': 'إعادة ترتيب مهمة',
+    'todo.history.addSubtask': 'إضافة مهمة فرعية',
+    'todo.history.toggleSubtask': 'تبديل حالة مهمة فرعية',
+    'todo.history.deleteSubtask': 'حذف مهمة فرعية',
+    'todo.history.editSubtask': 'تعديل مهمة فرعية',
+    'todo.history.completeTodos': 'إكمال مهام',
+    'todo.history.reactivateTodos': 'إعادة تنشيط مهام',
+    'todo.history.deleteTodos': 'حذف مهام',
+    'todo.history.clearCompleted': 'مسح المكتملة',
+    'todo.history.moveTodos': 'نقل مهام',
+    'todo.history.tagTodos': 'وسم مهام',
+    'todo.history.importTodos': 'استيراد مهام',
+    'todo.transfer.title': '⇅ استيراد / تصدير',
+    'todo.transfer.export': 'تصدير',
+    'todo.transfer.exportFormat': 'تنسيق التصدير',
+    'todo.transfer.exportScope': 'ما يُصدَّر',
+    'todo.transfer.markdown': 'قائمة Markdown',
+    'todo.transfer.wholeList': 'القائمة كاملة',
+    'todo.transfer.filtered': 'نتائج البحث والتصفية الحالية',
+    'todo.transfer.download': 'تنزيل',
+    'todo.transfer.copy': 'نسخ',
+    'todo.transfer.import': 'استيراد',
+    'todo.transfer.importFile': 'الملف المراد استيراده',
+    'todo.transfer.importFormat': 'تنسيق الاستيراد',
+    'todo.transfer.detect': 'اكتشاف التنسيق',
+    'todo.transfer.pastePlaceholder': '...أو الصق هنا JSON أو CSV أو قائمة Markdown (- [ ] / - [x])',
+    'todo.transfer.pasteLabel': 'النص المراد استيراده',
+    'todo.transfer.preview': 'معاينة',
+    'todo.import.summary': '{new} جديدة، {duplicates} مكررة، {rejected} مرفوضة',
+    'todo.import.duplicatesHeading': 'موجودة بالفعل في هذه القائمة (ستُتخطّى):',
+    'todo.import.rejectedHeading': 'مرفوضة:',
+    'todo.import.row': 'الصف {row}: {reason}',
+    'todo.import.confirm': {
+        one: 'استيراد مهمة جديدة واحدة',
+        two: 'استيراد مهمتين جديدتين',
+        few: 'استيراد {count} مهام جديدة',
+        other: 'استيراد {count} مهمة جديدة'
+    },
+    'todo.import.cancel': 'إلغاء',
+    'todo.import.invalidTodo': 'الحقل id أو text أو completed أو createdAt مفقود أو غير صالح',
+    'todo.import.invalidDate': 'تاريخ غير صالح "{value}"',
+    'todo.import.invalidDueDate': 'تاريخ استحقاق غير صالح "{value}" (المتوقع YYYY-MM-DD)',
+    'todo.import.invalidPriority': 'أولوية غير صالحة "{value}"',
+    'todo.import.subtask': 'مهمة فرعية: {error}',
+    'todo.stats.title': '📊 الإحصاءات',
+    'todo.stats.scope': 'المهام المشمولة',
+    'todo.stats.thisList': 'هذه القائمة',
+    'todo.stats.allLists': 'كل القوائم',
+    'todo.stats.period': 'فترة المخطط',
+    'todo.stats.lastDays': 'آخر 14 يومًا',
+    'todo.stats.lastWeeks': 'آخر 12 أسبوعًا',
+    'todo.stats.group': 'التفصيل',
+    'todo.stats.byTag': 'حسب الوسم',
+    'todo.stats.byList': 'حسب القائمة',
+    'todo.stats.empty': 'لا توجد مهام بعد. ستظهر الإحصاءات بعد إضافة بعضها.',
+    'todo.stats.completed': 'المكتملة',
+    'todo.stats.active': 'النشطة',
+    'todo.stats.overdue': 'المتأخرة',
+    'todo.stats.averageTime': 'متوسط وقت الإكمال',
+    'todo.stats.estimated': '≈ {value}',
+    'todo.stats.streak': 'السلسلة الحالية',
+    'todo.stats.streakDays': { zero: '0 يوم', one: 'يوم واحد', two: 'يومان', few: '{count} أيام', many: '{count} يومًا', other: '{count} يوم' },
+    'todo.stats.perDay': 'المكتملة يوميًا',
+    'todo.stats.perWeek': 'المكتملة أسبوعيًا (يبدأ الأسبوع يوم الإثنين)',
+    'todo.stats.completedByList': 'المكتملة حسب القائمة',
+    'todo.stats.completedByTag': 'المكتملة حسب الوسم',
+    'todo.stats.untagged': 'بلا وسم',
+    'todo.stats.groupSummary': '{label}: {completed} من {count} مكتملة',
+    'todo.reminder.due': '⏰ موعد "{text}" اليوم',
+    'todo.reminder.reminder': '⏰ تذكير: "{text}"',
+    'todo.reminder.missed': '{message} (أثناء غيابك)',
+    'todo.reminder.many': {
+        one: '⏰ تذكير واحد: {titles}',
+        two: '⏰ تذكيران: {titles}',
+        few: '⏰ {count} تذكيرات: {titles}',
+        other: '⏰ {count} تذكيرًا: {titles}'
+    },
+    'todo.reminder.inList': 'في "{list}"',
+    'todo.reminder.snoozeAll': 'تأجيل الكل ساعة',
+    'todo.snooze.tenMinutes': '10 دقائق',
+    'todo.snooze.hour': 'ساعة',
+    'todo.snooze.tomorrow': 'غدًا',
+    'todo.update.available': 'يتوفر إصدار جديد من التطبيق',
+    'todo.shortcuts.title': '⌨ اختصارات لوحة المفاتيح',
+    'todo.shortcuts.list': 'قائمة المهام',
+    'todo.shortcuts.move': 'التنقل بين المهام',
+    'todo.shortcuts.firstLast': 'المهمة الأولى / الأخيرة',
+    'todo.shortcuts.toggle': 'إكمال المهمة أو إعادة فتحها',
+    'todo.shortcuts.edit': 'تعديل المهمة',
+    'todo.shortcuts.delete': 'حذف المهمة',
+    'todo.shortcuts.reorder': 'إعادة الترتيب (في الترتيب اليدوي فقط)',
+    'todo.shortcuts.anywhere': 'في أي مكان',
+    'todo.shortcuts.search': 'بحث',
+    'todo.shortcuts.undo': 'تراجع',
+    'todo.shortcuts.redo': 'إعادة',
+    'todo.shortcuts.selectAll': 'تحديد الكل (في وضع التحديد)',
+    'todo.shortcuts.escape': 'إغلاق مربعات الحوار أو إلغاء التعديل أو الخروج من وضع التحديد',
+    'todo.shortcuts.help': 'إظهار هذه القائمة أو إخفاؤها'
+});
\ No newline at end of file
@@ -0,0 +1,404 @@
+// English. Every key lives here; other catalogs fall back to these for keys they leave out.
+I18n.addCatalog('en', {
+    'common.language': 'Language',
+    'common.close': 'Close',
+    
+    // Contact form
+    'contact.pageTitle': '📧 Smart Contact Form',
+    'contact.title': '📧 Contact Form',
+    'contact.draft.offer': '📝 You have an unsent draft from {date}.',
+    'contact.draft.restore': 'Restore',
+    'contact.draft.discard': 'Discard draft',
+    'contact.field.name': 'Name',
+    'contact.field.email': 'Email',
+    'contact.field.message': 'Message',
+    'contact.field.attachments': 'Attachments',
+    'contact.placeholder.name': 'Enter your full name',
+    'contact.placeholder.email': 'Enter your email address',
+    'contact.placeholder.message': 'Enter your message (minimum 10 characters)',
+    'contact.attachments.drop': '📎 Drop files here or',
+    'contact.attachments.browse': 'browse',
+    'contact.attachments.hint': 'Images, PDF, text or Word documents, up to 5 MB each (5 files at most)',
+    'contact.attachments.duplicate': '{file} is already attached',
+    'contact.attachments.remove': 'Remove {file}',
+    'contact.honeypot': 'Leave this empty',
+    'contact.form.send': 'Send Message',
+    'contact.form.sending': 'Sending…',
+    'contact.form.success': '✅ Message sent successfully!',
+    'contact.counter.limited': { one: '{length} / {count} character', other: '{length} / {count} characters' },
+    'contact.counter.plain': { one: '{count} character', other: '{count} characters' },
+    'contact.counter.softLimit': '{counter} · try to keep it under {limit}',
+    'contact.validation.required': '{label} is required',
+    'contact.validation.minLength': {
+        one: '{label} must be at least {minLength} character long',
+        other: '{label} must be at least {minLength} characters long'
+    },
+    'contact.validation.maxLength': {
+        one: '{label} must be at most {maxLength} character long',
+        other: '{label} must be at most {maxLength} characters long'
+    },
+    'contact.validation.email': 'Please enter a valid email address',
+    'contact.validation.pattern': '{label} is not in the expected format',
+    'contact.validation.matches': '{label} must match {other}',
+    'contact.validation.accept': '{file} is not a supported file type',
+    'contact.validation.maxSize': '{file} is larger than {maxSize}',
+    'contact.validation.maxFiles': { one: 'You can attach at most {maxFiles} file', other: 'You can attach at most {maxFiles} files' },
+    'contact.validation.failed': 'This field could not be checked. Please try again.',
+    'contact.spam.honeypot': 'Your message looks automated and was not sent. If you filled in every field yourself, clear the "Leave this empty" field and try again.',
+    'contact.spam.tooFast': 'That was quick! Please take a moment to check your message, then send it again in {wait}.',
+    'contact.spam.blockedDomain': "We can't accept messages from {domain} addresses. Please use another email address.",
+    'contact.spam.blockedKeyword': 'This contains a word we don\'t accept: "{keyword}"',
+    'contact.spam.duplicate': 'You already sent this message on {date}. Change it if you want to send it again.',
+    'contact.spam.rateLimit': {
+        one: 'You can send at most {max} message in {window} from this address. Please try again in {wait}.',
+        other: 'You can send at most {max} messages in {window} from this address. Please try again in {wait}.'
+    },
+    'contact.status.attachmentsNotSaved': 'Your attachments could not be saved. Please try again, or remove some of them.',
+    'contact.status.offline': "📡 You're offline. Your message is saved and will be sent when you're back online.",
+    'contact.status.unreachable': "📡 We couldn't reach the server. Your message is saved and will be sent automatically.",
+    'contact.status.failed': 'Your message could not be sent: {error}',
+    'contact.error.save': 'Failed to save message. Please try again.',
+    'contact.error.update': 'Failed to update messages. Please try again.',
+    'contact.error.delete': 'Failed to delete message. Please try again.',
+    'contact.error.attachmentMissing': '{file} is no longer available.',
+    'contact.error.attachmentOpen': 'Failed to open the attachment. Please try again.',
+    'contact.confirm.purge': 'Permanently delete this message?',
+    'contact.confirm.purgeSelected': { one: 'Permanently delete {count} message?', other: 'Permanently delete {count} messages?' },
+    'contact.confirm.emptyTrash': {
+        one: 'Permanently delete {count} message in the trash?',
+        other: 'Permanently delete {count} messages in the trash?'
+    },
+    'contact.history.title': '📋 Message History ({messages})',
+    'contact.history.titleUnread': '📋 Message History ({messages}, {unread})',
+    'contact.history.threadsTitle': '💬 Conversations ({threads}, {messages})',
+    'contact.history.trashTitle': '🗑 Trash ({messages})',
+    'contact.history.messages': { one: '{count} message', other: '{count} messages' },
+    'contact.history.filteredMessages': { one: '{shown} of {count} message', other: '{shown} of {count} messages' },
+    'contact.history.threads': { one: '{count} thread', other: '{count} threads' },
+    'contact.history.unread': '{count} unread',
+    'contact.history.showMore': 'Show more',
+    'contact.history.showMoreCount': 'Show more ({count} remaining)',
+    'contact.view.label': 'Show',
+    'contact.view.messages': '📋 Messages',
+    'contact.view.threads': '💬 Conversations',
+    'contact.view.trash': '🗑 Trash',
+    'contact.view.trashCount': '🗑 Trash ({count})',
+    'contact.search.placeholder': 'Search name, email or message...',
+    'contact.search.label': 'Search messages',
+    'contact.filter.sender': 'Filter by sender',
+    'contact.filter.allSenders': 'All senders',
+    'contact.filter.from': 'From',
+    'contact.filter.to': 'To',
+    'contact.filter.clear': 'Clear filters',
+    'contact.sort.label': 'Sort messages',
+    'contact.sort.newest': 'Newest first',
+    'contact.sort.oldest': 'Oldest first',
+    'contact.sort.senderAsc': 'Sender A–Z',
+    'contact.sort.senderDesc': 'Sender Z–A',
+    'contact.selection.all': 'Select all',
+    'contact.selection.count': '{count} selected',
+    'contact.action.markRead': 'Mark read',
+    'contact.action.markUnread': 'Mark unread',
+    'contact.action.star': 'Star',
+    'contact.action.unstar': 'Unstar',
+    'contact.action.delete': 'Delete',
+    'contact.action.restore': 'Restore',
+    'contact.action.purge': 'Delete forever',
+    'contact.action.retry': 'Retry',
+    'contact.action.open': 'Open',
+    'contact.export.format': 'Export format',
+    'contact.export.all': 'Export all',
+    'contact.export.allCount': 'Export all ({count})',
+    'contact.export.selected': 'Export selected ({count})',
+    'contact.trash.empty': 'Empty trash',
+    'contact.empty.none': 'No messages yet. Send your first message above!',
+    'contact.empty.trash': 'The trash is empty.',
+    'contact.empty.noResults': 'No messages match your search and filters.',
+    'contact.message.from': 'From: {name}',
+    'contact.message.new': 'New',
+    'contact.message.select': 'Select message from {name}',
+    'contact.message.starLabel': 'Star message from {name}',
+    'contact.thread.messages': { one: '{count} message', other: '{count} messages' },
+    'contact.thread.unread': '{count} new',
+    'contact.delivery.sent': '✓ Sent',
+    'contact.delivery.sending': '📤 Sending…',
+    'contact.delivery.waiting': '🕓 Queued, waiting for a connection',
+    'contact.delivery.retrying': '🕓 Queued, retrying at {time}',
+    'contact.delivery.failed': '⚠️ Failed',
+    'contact.delivery.failedWithError': '⚠️ Failed: {error}',
+    'contact.detail.title': '✉️ Message',
+    'contact.detail.from': 'From',
+    'contact.detail.date': 'Date',
+    'contact.detail.status': 'Status',
+    'contact.detail.conversation': 'Conversation',
+    'contact.detail.inTrash': '{status} · in the trash',
+    'contact.detail.threadSize': { one: '{count} message from this sender', other: '{count} messages from this sender' },
+    'contact.detail.reply': '↩ Reply by email',
+    'contact.detail.replySubject': 'Re: your message',
+    'contact.detail.star': '☆ Star',
+    'contact.detail.starred': '★ Starred',
+    'contact.detail.viewThread': 'View conversation',
+    
+    // Todo app
+    'todo.pageTitle': '✅ My Todo App',
+    'todo.lists.label': 'Todo lists',
+    'todo.lists.new': '+ New List',
+    'todo.lists.default': 'My Todos',
+    'todo.lists.fallbackName': 'Todo List',
+    'todo.lists.renameHint': 'Double-click to rename',
+    'todo.lists.rename': 'Rename list',
+    'todo.lists.delete': 'Delete list',
+    'todo.lists.moveLeft': 'Move list left',
+    'todo.lists.moveRight': 'Move list right',
+    'todo.lists.namePlaceholder': 'List name',
+    'todo.lists.newName': 'New list name',
+    'todo.add.placeholder': 'Add new todo...',
+    'todo.add.button': 'Add Todo',
+    'todo.options.due': 'Due:',
+    'todo.options.priority': 'Priority:',
+    'todo.options.repeat': 'Repeat:',
+    'todo.options.remind': 'Remind:',
+    'todo.options.autoComplete': 'Auto-complete todos when all subtasks are done',
+    'todo.priority.low': 'Low',
+    'todo.priority.normal': 'Normal',
+    'todo.priority.high': 'High',
+    'todo.notify.enable': '🔔 Enable desktop notifications',
+    'todo.notify.on': '🔔 Desktop notifications on',
+    'todo.notify.blocked': '🔕 Notifications blocked by the browser',
+    'todo.search.placeholder': 'Search todos... (try #tag, is:active, due:<2026-11-01)',
+    'todo.search.hint': 'Combine words, "exact phrases", #tags, is:active|completed|overdue, due:<YYYY-MM-DD, priority:high; prefix with - to exclude',
+    'todo.filter.label': 'Filter:',
+    'todo.filter.all': 'All',
+    'todo.filter.active': 'Active',
+    'todo.filter.completed': 'Completed',
+    'todo.sort.label': 'Sort:',
+    'todo.sort.created': 'Newest first',
+    'todo.sort.due': 'Due date',
+    'todo.sort.priority': 'Priority',
+    'todo.sort.alphabetical': 'Alphabetical',
+    'todo.sort.manual': 'Manual order',
+    'todo.counter.summary': '📝 {list} ({todos}, {completed})',
+    'todo.counter.todos': { one: '{count} todo', other: '{count} todos' },
+    'todo.counter.completed': '{count} completed',
+    'todo.counter.subtasks': { one: '{completed}/{count} subtask done', other: '{completed}/{count} subtasks done' },
+    'todo.toolbar.select': '☑ Select',
+    'todo.toolbar.clearCompleted': '🧹 Clear completed',
+    'todo.toolbar.transfer': '⇅ Import / Export',
+    'todo.toolbar.stats': '📊 Stats',
+    'todo.toolbar.shortcuts': '⌨ Shortcuts',
+    'todo.toolbar.shortcutsHint': 'Keyboard shortcuts (?)',
+    'todo.batch.label': 'Batch actions',
+    'todo.batch.selected': '{count} selected',
+    'todo.batch.selectAll': 'Select all',
+    'todo.batch.complete': '✓ Complete',
+    'todo.batch.reactivate': '↺ Reactivate',
+    'todo.batch.moveLabel': 'Move selected todos to list',
+    'todo.batch.moveTo': 'Move to…',
+    'todo.batch.tagLabel': 'Tag to add',
+    'todo.batch.addTag': 'Add tag',
+    'todo.batch.delete': 'Delete',
+    'todo.batch.done': 'Done',
+    'todo.list.label': 'Todos',
+    'todo.empty.noTodos': '📝 No todos yet!',
+    'todo.empty.noTodosHint': 'Add your first todo above to get started.',
+    'todo.empty.noResults': '🔍 No search results',
+    'todo.empty.noResultsHint': 'No todos match "{term}". Try a different search term.',
+    'todo.empty.filter.all': '📋 No todos',
+    'todo.empty.filter.active': '📋 No active todos',
+    'todo.empty.filter.completed': '📋 No completed todos',
+    'todo.empty.filterHint': 'No todos match the current filter. Try switching filters above.',
+    'todo.row.due': 'Due {date}',
+    'todo.row.overdue': 'Overdue: {date}',
+    'todo.row.repeatHint': 'Repeats; edit the todo to change or end the series',
+    'todo.repeat.daily': { one: 'Daily', other: 'Every {count} days' },
+    'todo.repeat.weekly': { one: 'Weekly', other: 'Every {count} weeks' },
+    'todo.repeat.monthly': { one: 'Monthly', other: 'Every {count} months' },
+    'todo.repeat.weekdays': 'Every weekday',
+    'todo.repeat.onDays': '{rule} on {days}',
+    'todo.repeat.onDay': '{rule} on day {day}',
+    'todo.repeat.onNth': '{rule} on the {nth} {weekday}',
+    'todo.repeat.nth.1': 'first',
+    'todo.repeat.nth.2': 'second',
+    'todo.repeat.nth.3': 'third',
+    'todo.repeat.nth.4': 'fourth',
+    'todo.repeat.nth.last': 'last',
+    'todo.repeat.workday': 'weekday',
+    'todo.repeat.until': '{rule} until {date}',
+    'todo.row.reminder': 'Reminder',
+    'todo.row.dragHint': 'Drag to reorder (or Alt+↑ / Alt+↓)',
+    'todo.row.select': 'Select todo',
+    'todo.row.textHint': 'Double-click or press Enter to edit, Space to complete',
+    'todo.row.completed': 'Completed: {text}',
+    'todo.row.delete': 'Delete',
+    'todo.edit.text': 'Edit todo',
+    'todo.edit.due': 'Due date',
+    'todo.edit.priority': 'Priority',
+    'todo.edit.repeat': 'Repeat (clear to end the series)',
+    'todo.edit.repeatPlaceholder': "Doesn't repeat",
+    'todo.edit.reminder': 'Reminder',
+    'todo.edit.list': 'List',
+    'todo.subtasks.button': '+ Subtasks',
+    'todo.subtasks.show': 'Show subtasks',
+    'todo.subtasks.hide': 'Hide subtasks',
+    'todo.subtasks.editHint': 'Double-click or press Enter to edit',
+    'todo.subtasks.edit': 'Edit subtask',
+    'todo.subtasks.delete': 'Delete subtask',
+    'todo.subtasks.placeholder': 'Add a subtask...',
+    'todo.subtasks.new': 'New subtask',
+    'todo.subtasks.add': 'Add',
+    'todo.error.textRequired': 'Please enter a todo item',
+    'todo.error.textTooLong': 'Todo text is too long (max {max} characters)',
+    'todo.error.subtaskRequired': 'Please enter a subtask',
+    'todo.error.subtaskTooLong': 'Subtask text is too long (max {max} characters)',
+    'todo.error.listNameRequired': 'Please enter a list name',
+    'todo.error.listNameTooLong': 'List name is too long (max {max} characters)',
+    'todo.error.listExists': 'A list named "{name}" already exists',
+    'todo.error.lastList': 'You need at least one list',
+    'todo.error.repeatInvalid': 'Unrecognised repeat rule "{rule}" (try "weekly on mon" or "monthly on day 1")',
+    'todo.error.repeatEnds': 'The repeat rule ends before its first due date',
+    'todo.error.reminderInvalid': 'Please enter a valid reminder time',
+    'todo.error.reminderPast': 'Pick a reminder time in the future',
+    'todo.error.tagInvalid': 'Tags may only contain letters, numbers, "-" and "_"',
+    'todo.error.storageOpen': 'Failed to load saved todos. Changes will not be kept.',
+    'todo.error.load': 'Failed to load saved todos.',
+    'todo.error.save': 'Failed to save todos. Please try again.',
+    'todo.error.saveLists': 'Failed to save lists. Please try again.',
+    'todo.error.storageFull': 'Storage is full. Export and delete old todos to free up space.',
+    'todo.error.clipboardUnavailable': 'Clipboard is not available in this browser',
+    'todo.error.copyFailed': 'Failed to copy to clipboard',
+    'todo.error.readFile': 'Failed to read the selected file',
+    'todo.error.nothingToImport': 'Choose a file or paste something to import',
+    'todo.toast.added': 'Todo added successfully!',
+    'todo.toast.deleted': 'Deleted: "{text}"',
+    'todo.toast.markedCompleted': 'Todo marked as completed',
+    'todo.toast.markedActive': 'Todo marked as active',
+    'todo.toast.nextDue': 'Todo completed. Next one is due {date}',
+    'todo.toast.seriesEnded': 'Todo completed. That was the last one in the series',
+    'todo.toast.updated': 'Todo updated',
+    'todo.toast.updatedNoRepeat': 'Todo updated. It no longer repeats',
+    'todo.toast.moved': 'Moved to "{list}"',
+    'todo.toast.cannotUndo': 'That action can no longer be undone',
+    'todo.toast.nothingToUndo': 'Nothing to undo',
+    'todo.toast.nothingToRedo': 'Nothing to redo',
+    'todo.toast.undid': 'Undid {action}',
+    'todo.toast.redid': 'Redid {action}',
+    'todo.toast.subtaskDeleted': 'Deleted subtask: "{text}"',
+    'todo.toast.subtaskUpdated': 'Subtask updated',
+    'todo.toast.selectFirst': 'Select one or more todos first',
+    'todo.toast.alreadyCompleted': 'Selected todos are already completed',
+    'todo.toast.alreadyActive': 'Selected todos are already active',
+    'todo.toast.batchCompleted': { one: '{count} todo marked as completed', other: '{count} todos marked as completed' },
+    'todo.toast.batchActive': { one: '{count} todo marked as active', other: '{count} todos marked as active' },
+    'todo.toast.noCompleted': 'No completed todos to clear',
+    'todo.toast.batchDeleted': { one: 'Deleted {count} todo', other: 'Deleted {count} todos' },
+    'todo.toast.batchMoved': { one: 'Moved {count} todo to "{list}"', other: 'Moved {count} todos to "{list}"' },
+    'todo.toast.alreadyTagged': 'Selected todos are already tagged #{tag}',
+    'todo.toast.batchTagged': { one: 'Tagged {count} todo #{tag}', other: 'Tagged {count} todos #{tag}' },
+    'todo.toast.manualOnly': 'Choose "{sort}" sorting to reorder todos',
+    'todo.toast.listCreated': 'Created list "{name}"',
+    'todo.toast.listDeleted': 'Deleted list "{name}"',
+    'todo.toast.copied': 'Export copied to clipboard',
+    'todo.toast.imported': { one: 'Imported {count} todo', other: 'Imported {count} todos' },
+    'todo.toast.importedSkipped': { one: 'Imported {count} todo ({skipped} skipped)', other: 'Imported {count} todos ({skipped} skipped)' },
+    'todo.toast.snoozed': 'Snoozed until {time}',
+    'todo.confirm.deleteList': { one: 'Delete "{name}" and its {count} todo?', other: 'Delete "{name}" and its {count} todos?' },
+    'todo.action.undo': 'Undo',
+    'todo.action.redo': 'Redo',
+    'todo.action.export': 'Export',
+    'todo.action.reload': 'Reload',
+    'todo.action.later': 'Later',
+    'todo.action.done': 'Done',
+    'todo.history.addTodo': 'add todo',
+    'todo.history.deleteTodo': 'delete todo',
+    'todo.history.toggleTodo': 'toggle todo',
+    'todo.history.editTodo': 'edit todo',
+    'todo.history.moveTodo': 'move todo',
+    'todo.history.reorderTodo': 'reorder todo',
+    'todo.history.addSubtask': 'add subtask',
+    'todo.history.toggleSubtask': 'toggle subtask',
+    'todo.history.deleteSubtask': 'delete subtask',
+    'todo.history.editSubtask': 'edit subtask',
+    'todo.history.completeTodos': 'complete todos',
+    'todo.history.reactivateTodos': 'reactivate todos',
+    'todo.history.deleteTodos': 'delete todos',
+    'todo.history.clearCompleted': 'clear completed',
+    'todo.history.moveTodos': 'move todos',
+    'todo.history.tagTodos': 'tag todos',
+    'todo.history.importTodos': 'import todos',
+    'todo.transfer.title': '⇅ Import / Export',
+    'todo.transfer.export': 'Export',
+    'todo.transfer.exportFormat': 'Export format',
+    'todo.transfer.exportScope': 'What to export',
+    'todo.transfer.markdown': 'Markdown checklist',
+    'todo.transfer.wholeList': 'Whole list',
+    'todo.transfer.filtered': 'Current search & filter results',
+    'todo.transfer.download': 'Download',
+    'todo.transfer.copy': 'Copy',
+    'todo.transfer.import': 'Import',
+    'todo.transfer.importFile': 'Import file',
+    'todo.transfer.importFormat': 'Import format',
+    'todo.transfer.detect': 'Detect format',
+    'todo.transfer.pastePlaceholder': '...or paste JSON, CSV or a Markdown checklist (- [ ] / - [x]) here',
+    'todo.transfer.pasteLabel': 'Text to import',
+    'todo.transfer.preview': 'Preview',
+    'todo.import.summary': '{new} new, {duplicates} duplicate, {rejected} rejected',
+    'todo.import.duplicatesHeading': 'Already in this list (will be skipped):',
+    'todo.import.rejectedHeading': 'Rejected:',
+    'todo.import.row': 'Row {row}: {reason}',
+    'todo.import.confirm': { one: 'Import {count} new todo', other: 'Import {count} new todos' },
+    'todo.import.cancel': 'Cancel',
+    'todo.import.invalidTodo': 'Missing or invalid id, text, completed or createdAt',
+    'todo.import.invalidDate': 'Invalid date "{value}"',
+    'todo.import.invalidDueDate': 'Invalid due date "{value}" (expected YYYY-MM-DD)',
+    'todo.import.invalidPriority': 'Invalid priority "{value}"',
+    'todo.import.subtask': 'Subtask: {error}',
+    'todo.stats.title': '📊 Statistics',
+    'todo.stats.scope': 'Todos to include',
+    'todo.stats.thisList': 'This list',
+    'todo.stats.allLists': 'All lists',
+    'todo.stats.period': 'Chart period',
+    'todo.stats.lastDays': 'Last 14 days',
+    'todo.stats.lastWeeks': 'Last 12 weeks',
+    'todo.stats.group': 'Breakdown',
+    'todo.stats.byTag': 'By tag',
+    'todo.stats.byList': 'By list',
+    'todo.stats.empty': 'No todos yet. Statistics appear once you add some.',
+    'todo.stats.completed': 'Completed',
+    'todo.stats.active': 'Active',
+    'todo.stats.overdue': 'Overdue',
+    'todo.stats.averageTime': 'Avg. time to complete',
+    'todo.stats.estimated': '≈ {value}',
+    'todo.stats.streak': 'Current streak',
+    'todo.stats.streakDays': { one: '{count} day', other: '{count} days' },
+    'todo.stats.perDay': 'Completed per day',
+    'todo.stats.perWeek': 'Completed per week (weeks start on Monday)',
+    'todo.stats.completedByList': 'Completed by list',
+    'todo.stats.completedByTag': 'Completed by tag',
+    'todo.stats.untagged': 'Untagged',
+    'todo.stats.groupSummary': '{label}: {completed} of {count} completed',
+    'todo.reminder.due': '⏰ "{text}" is due today',
+    'todo.reminder.reminder': '⏰ Reminder: "{text}"',
+    'todo.reminder.missed': '{message} (missed while you were away)',
+    'todo.reminder.many': { one: '⏰ {count} reminder: {titles}', other: '⏰ {count} reminders: {titles}' },
+    'todo.reminder.inList': 'In "{list}"',
+    'todo.reminder.snoozeAll': 'Snooze all 1 hour',
+    'todo.snooze.tenMinutes': '10 min',
+    'todo.snooze.hour': '1 hour',
+    'todo.snooze.tomorrow': 'Tomorrow',
+    'todo.update.available': 'A new version of the app is available',
+    'todo.shortcuts.title': '⌨ Keyboard Shortcuts',
+    'todo.shortcuts.list': 'Todo list',
+    'todo.shortcuts.move': 'Move between todos',
+    'todo.shortcuts.firstLast': 'First / last todo',
+    'todo.shortcuts.toggle': 'Complete or reopen the todo',
+    'todo.shortcuts.edit': 'Edit the todo',
+    'todo.shortcuts.delete': 'Delete the todo',
+    'todo.shortcuts.reorder': 'Reorder (manual order only)',
+    'todo.shortcuts.anywhere': 'Anywhere',
+    'todo.shortcuts.search': 'Search',
+    'todo.shortcuts.undo': 'Undo',
+    'todo.shortcuts.redo': 'Redo',
+    'todo.shortcuts.selectAll': 'Select all (in selection mode)',
+    'todo.shortcuts.escape': 'Close dialogs, cancel editing, leave selection mode',
+    'todo.shortcuts.help': 'Show or hide this list'
+});
\ No newline at end of file
@@ -0,0 +1,404 @@
+// Spanish
+I18n.addCatalog('es', {
+    'common.language': 'Idioma',
+    'common.close': 'Cerrar',
+    
+    // Contact form
+    'contact.pageTitle': '📧 Formulario de contacto inteligente',
+    'contact.title': '📧 Formulario de contacto',
+    'contact.draft.offer': '📝 Tienes un borrador sin enviar del {date}.',
+    'contact.draft.restore': 'Restaurar',
+    'contact.draft.discard': 'Descartar borrador',
+    'contact.field.name': 'Nombre',
+    'contact.field.email': 'Correo electrónico',
+    'contact.field.message': 'Mensaje',
+    'contact.field.attachments': 'Archivos adjuntos',
+    'contact.placeholder.name': 'Escribe tu nombre completo',
+    'contact.placeholder.email': 'Escribe tu correo electrónico',
+    'contact.placeholder.message': 'Escribe tu mensaje (mínimo 10 caracteres)',
+    'contact.attachments.drop': '📎 Suelta archivos aquí o',
+    'contact.attachments.browse': 'búscalos',
+    'contact.attachments.hint': 'Imágenes, PDF, texto o documentos de Word, hasta 5 MB cada uno (5 archivos como máximo)',
+    'contact.attachments.duplicate': '{file} ya está adjunto',
+    'contact.attachments.remove': 'Quitar {file}',
+    'contact.honeypot': 'Deja esto vacío',
+    'contact.form.send': 'Enviar mensaje',
+    'contact.form.sending': 'Enviando…',
+    'contact.form.success': '✅ ¡Mensaje enviado correctamente!',
+    'contact.counter.limited': { one: '{length} / {count} carácter', other: '{length} / {count} caracteres' },
+    'contact.counter.plain': { one: '{count} carácter', other: '{count} caracteres' },
+    'contact.counter.softLimit': '{counter} · intenta no pasar de {limit}',
+    'contact.validation.required': '{label} es obligatorio',
+    'contact.validation.minLength': {
+        one: '{label} debe tener al menos {minLength} carácter',
+        other: '{label} debe tener al menos {minLength} caracteres'
+    },
+    'contact.validation.maxLength': {
+        one: '{label} debe tener como máximo {maxLength} carácter',
+        other: '{label} debe tener como máximo {maxLength} caracteres'
+    },
+    'contact.validation.email': 'Introduce un correo electrónico válido',
+    'contact.validation.pattern': '{label} no tiene el formato esperado',
+    'contact.validation.matches': '{label} debe coincidir con {other}',
+    'contact.validation.accept': '{file} no es un tipo de archivo admitido',
+    'contact.validation.maxSize': '{file} ocupa más de {maxSize}',
+    'contact.validation.maxFiles': { one: 'Puedes adjuntar como máximo {maxFiles} archivo', other: 'Puedes adjuntar como máximo {maxFiles} archivos' },
+    'contact.validation.failed': 'No se pudo comprobar este campo. Inténtalo de nuevo.',
+    'contact.spam.honeypot': 'Tu mensaje parece automático y no se ha enviado. Si has rellenado todos los campos tú mismo, vacía el campo "Deja esto vacío" e inténtalo de nuevo.',
+    'contact.spam.tooFast': '¡Qué rapidez! Tómate un momento para revisar tu mensaje y vuelve a enviarlo dentro de {wait}.',
+    'contact.spam.blockedDomain': 'No podemos aceptar mensajes de direcciones de {domain}. Usa otra dirección de correo.',
+    'contact.spam.blockedKeyword': 'Contiene una palabra que no aceptamos: "{keyword}"',
+    'contact.spam.duplicate': 'Ya enviaste este mensaje el {date}. Cámbialo si quieres volver a enviarlo.',
+    'contact.spam.rateLimit': {
+        one: 'Puedes enviar como máximo {max} mensaje en {window} desde esta dirección. Inténtalo de nuevo dentro de {wait}.',
+        other: 'Puedes enviar como máximo {max} mensajes en {window} desde esta dirección. Inténtalo de nuevo dentro de {wait}.'
+    },
+    'contact.status.attachmentsNotSaved': 'No se pudieron guardar los archivos adjuntos. Inténtalo de nuevo o quita algunos.',
+    'contact.status.offline': '📡 No tienes conexión. Tu mensaje está guardado y se enviará cuando vuelvas a estar en línea.',
+    'contact.status.unreachable': '📡 No pudimos contactar con el servidor. Tu mensaje está guardado y se enviará automáticamente.',
+    'contact.status.failed': 'No se pudo enviar tu mensaje: {error}',
+    'contact.error.save': 'No se pudo guardar el mensaje. Inténtalo de nuevo.',
+    'contact.error.update': 'No se pudieron actualizar los mensajes. Inténtalo de nuevo.',
+    'contact.error.delete': 'No se pudo eliminar el mensaje. Inténtalo de nuevo.',
+    'contact.error.attachmentMissing': '{file} ya no está disponible.',
+    'contact.error.attachmentOpen': 'No se pudo abrir el archivo adjunto. Inténtalo de nuevo.',
+    'contact.confirm.purge': '¿Eliminar este mensaje para siempre?',
+    'contact.confirm.purgeSelected': { one: '¿Eliminar {count} mensaje para siempre?', other: '¿Eliminar {count} mensajes para siempre?' },
+    'contact.confirm.emptyTrash': {
+        one: '¿Eliminar para siempre {count} mensaje de la papelera?',
+        other: '¿Eliminar para siempre {count} mensajes de la papelera?'
+    },
+    'contact.history.title': '📋 Historial de mensajes ({messages})',
+    'contact.history.titleUnread': '📋 Historial de mensajes ({messages}, {unread})',
+    'contact.history.threadsTitle': '💬 Conversaciones ({threads}, {messages})',
+    'contact.history.trashTitle': '🗑 Papelera ({messages})',
+    'contact.history.messages': { one: '{count} mensaje', other: '{count} mensajes' },
+    'contact.history.filteredMessages': { one: '{shown} de {count} mensaje', other: '{shown} de {count} mensajes' },
+    'contact.history.threads': { one: '{count} conversación', other: '{count} conversaciones' },
+    'contact.history.unread': '{count} sin leer',
+    'contact.history.showMore': 'Mostrar más',
+    'contact.history.showMoreCount': 'Mostrar más (quedan {count})',
+    'contact.view.label': 'Mostrar',
+    'contact.view.messages': '📋 Mensajes',
+    'contact.view.threads': '💬 Conversaciones',
+    'contact.view.trash': '🗑 Papelera',
+    'contact.view.trashCount': '🗑 Papelera ({count})',
+    'contact.search.placeholder': 'Buscar nombre, correo o mensaje...',
+    'contact.search.label': 'Buscar mensajes',
+    'contact.filter.sender': 'Filtrar por remitente',
+    'contact.filter.allSenders': 'Todos los remitentes',
+    'contact.filter.from': 'Desde',
+    'contact.filter.to': 'Hasta',
+    'contact.filter.clear': 'Quitar filtros',
+    'contact.sort.label': 'Ordenar mensajes',
+    'contact.sort.newest': 'Más recientes primero',
+    'contact.sort.oldest': 'Más antiguos primero',
+    'contact.sort.senderAsc': 'Remitente A–Z',
+    'contact.sort.senderDesc': 'Remitente Z–A',
+    'contact.selection.all': 'Seleccionar todo',
+    'contact.selection.count': '{count} seleccionados',
+    'contact.action.markRead': 'Marcar como leído',
+    'contact.action.markUnread': 'Marcar como no leído',
+    'contact.action.star': 'Destacar',
+    'contact.action.unstar': 'Quitar destacado',
+    'contact.action.delete': 'Eliminar',
+    'contact.action.restore': 'Restaurar',
+    'contact.action.purge': 'Eliminar para siempre',
+    'contact.action.retry': 'Reintentar',
+    'contact.action.open': 'Abrir',
+    'contact.export.format': 'Formato de exportación',
+    'contact.export.all': 'Exportar todo',
+    'contact.export.allCount': 'Exportar todo ({count})',
+    'contact.export.selected': 'Exportar selección ({count})',
+    'contact.trash.empty': 'Vaciar papelera',
+    'contact.empty.none': 'Aún no hay mensajes. ¡Envía tu primer mensaje arriba!',
+    'contact.empty.trash': 'La papelera está vacía.',
+    'contact.empty.noResults': 'Ningún mensaje coincide con tu búsqueda y filtros.',
+    'contact.message.from': 'De: {name}',
+    'contact.message.new': 'Nuevo',
+    'contact.message.select': 'Seleccionar mensaje de {name}',
+    'contact.message.starLabel': 'Destacar mensaje de {name}',
+    'contact.thread.messages': { one: '{count} mensaje', other: '{count} mensajes' },
+    'contact.thread.unread': '{count} nuevos',
+    'contact.delivery.sent': '✓ Enviado',
+    'contact.delivery.sending': '📤 Enviando…',
+    'contact.delivery.waiting': '🕓 En cola, esperando conexión',
+    'contact.delivery.retrying': '🕓 En cola, se reintentará a las {time}',
+    'contact.delivery.failed': '⚠️ Error',
+    'contact.delivery.failedWithError': '⚠️ Error: {error}',
+    'contact.detail.title': '✉️ Mensaje',
+    'contact.detail.from': 'De',
+    'contact.detail.date': 'Fecha',
+    'contact.detail.status': 'Estado',
+    'contact.detail.conversation': 'Conversación',
+    'contact.detail.inTrash': '{status} · en la papelera',
+    'contact.detail.threadSize': { one: '{count} mensaje de este remitente', other: '{count} mensajes de este remitente' },
+    'contact.detail.reply': '↩ Responder por correo',
+    'contact.detail.replySubject': 'Re: tu mensaje',
+    'contact.detail.star': '☆ Destacar',
+    'contact.detail.starred': '★ Destacado',
+    'contact.detail.viewThread': 'Ver conversación',
+    
+    // Todo app
+    'todo.pageTitle': '✅ Mis tareas',
+    'todo.lists.label': 'Listas de tareas',
+    'todo.lists.new': '+ Nueva lista',
+    'todo.lists.default': 'Mis tareas',
+    'todo.lists.fallbackName': 'Lista de tareas',
+    'todo.lists.renameHint': 'Doble clic para cambiar el nombre',
+    'todo.lists.rename': 'Cambiar el nombre de la lista',
+    'todo.lists.delete': 'Eliminar lista',
+    'todo.lists.moveLeft': 'Mover la lista a la izquierda',
+    'todo.lists.moveRight': 'Mover la lista a la derecha',
+    'todo.lists.namePlaceholder': 'Nombre de la lista',
+    'todo.lists.newName': 'Nombre de la nueva lista',
+    'todo.add.placeholder': 'Añadir nueva tarea...',
+    'todo.add.button': 'Añadir tarea',
+    'todo.options.due': 'Vence:',
+    'todo.options.priority': 'Prioridad:',
+    'todo.options.repeat': 'Repetir:',
+    'todo.options.remind': 'Recordar:',
+    'todo.options.autoComplete': 'Completar las tareas cuando todas sus subtareas estén hechas',
+    'todo.priority.low': 'Baja',
+    'todo.priority.normal': 'Normal',
+    'todo.priority.high': 'Alta',
+    'todo.notify.enable': '🔔 Activar notificaciones de escritorio',
+    'todo.notify.on': '🔔 Notificaciones de escritorio activadas',
+    'todo.notify.blocked': '🔕 El navegador bloquea las notificaciones',
+    'todo.search.placeholder': 'Buscar tareas... (prueba #etiqueta, is:active, due:<2026-11-01)',
+    'todo.search.hint': 'Combina palabras, "frases exactas", #etiquetas, is:active|completed|overdue, due:<AAAA-MM-DD, priority:high; antepón - para excluir',
+    'todo.filter.label': 'Filtro:',
+    'todo.filter.all': 'Todas',
+    'todo.filter.active': 'Activas',
+    'todo.filter.completed': 'Completadas',
+    'todo.sort.label': 'Orden:',
+    'todo.sort.created': 'Más recientes primero',
+    'todo.sort.due': 'Fecha de vencimiento',
+    'todo.sort.priority': 'Prioridad',
+    'todo.sort.alphabetical': 'Alfabético',
+    'todo.sort.manual': 'Orden manual',
+    'todo.counter.summary': '📝 {list} ({todos}, {completed})',
+    'todo.counter.todos': { one: '{count} tarea', other: '{count} tareas' },
+    'todo.counter.completed': '{count} completadas',
+    'todo.counter.subtasks': { one: '{completed}/{count} subtarea hecha', other: '{completed}/{count} subtareas hechas' },
+    'todo.toolbar.select': '☑ Seleccionar',
+    'todo.toolbar.clearCompleted': '🧹 Borrar completadas',
+    'todo.toolbar.transfer': '⇅ Importar / Exportar',
+    'todo.toolbar.stats': '📊 Estadísticas',
+    'todo.toolbar.shortcuts': '⌨ Atajos',
+    'todo.toolbar.shortcutsHint': 'Atajos de teclado (?)',
+    'todo.batch.label': 'Acciones en lote',
+    'todo.batch.selected': '{count} seleccionadas',
+    'todo.batch.selectAll': 'Seleccionar todas',
+    'todo.batch.complete': '✓ Completar',
+    'todo.batch.reactivate': '↺ Reactivar',
+    'todo.batch.moveLabel': 'Mover las tareas seleccionadas a una lista',
+    'todo.batch.moveTo': 'Mover a…',
+    'todo.batch.tagLabel': 'Etiqueta que añadir',
+    'todo.batch.addTag': 'Añadir etiqueta',
+    'todo.batch.delete': 'Eliminar',
+    'todo.batch.done': 'Listo',
+    'todo.list.label': 'Tareas',
+    'todo.empty.noTodos': '📝 ¡Aún no hay tareas!',
+    'todo.empty.noTodosHint': 'Añade tu primera tarea arriba para empezar.',
+    'todo.empty.noResults': '🔍 Sin resultados',
+    'todo.empty.noResultsHint': 'Ninguna tarea coincide con "{term}". Prueba con otra búsqueda.',
+    'todo.empty.filter.all': '📋 No hay tareas',
+    'todo.empty.filter.active': '📋 No hay tareas activas',
+    'todo.empty.filter.completed': '📋 No hay tareas completadas',
+    'todo.empty.filterHint': 'Ninguna tarea coincide con el filtro actual. Prueba a cambiar de filtro arriba.',
+    'todo.row.due': 'Vence {date}',
+    'todo.row.overdue': 'Vencida: {date}',
+    'todo.row.repeatHint': 'Se repite; edita la tarea para cambiar o terminar la serie',
+    'todo.repeat.daily': { one: 'Cada día', other: 'Cada {count} días' },
+    'todo.repeat.weekly': { one: 'Cada semana', other: 'Cada {count} semanas' },
+    'todo.repeat.monthly': { one: 'Cada mes', other: 'Cada {count} meses' },
+    'todo.repeat.weekdays': 'Todos los días laborables',
+    'todo.repeat.onDays': '{rule}: {days}',
+    'todo.repeat.onDay': '{rule}, el día {day}',
+    'todo.repeat.onNth': '{rule}, el {nth} {weekday}',
+    'todo.repeat.nth.1': 'primer',
+    'todo.repeat.nth.2': 'segundo',
+    'todo.repeat.nth.3': 'tercer',
+    'todo.repeat.nth.4': 'cuarto',
+    'todo.repeat.nth.last': 'último',
+    'todo.repeat.workday': 'día laborable',
+    'todo.repeat.until': '{rule} hasta el {date}',
+    'todo.row.reminder': 'Recordatorio',
+    'todo.row.dragHint': 'Arrastra para reordenar (o Alt+↑ / Alt+↓)',
+    'todo.row.select': 'Seleccionar tarea',
+    'todo.row.textHint': 'Doble clic o Intro para editar, Espacio para completar',
+    'todo.row.completed': 'Completada: {text}',
+    'todo.row.delete': 'Eliminar',
+    'todo.edit.text': 'Editar tarea',
+    'todo.edit.due': 'Fecha de vencimiento',
+    'todo.edit.priority': 'Prioridad',
+    'todo.edit.repeat': 'Repetir (vacíalo para terminar la serie)',
+    'todo.edit.repeatPlaceholder': 'No se repite',
+    'todo.edit.reminder': 'Recordatorio',
+    'todo.edit.list': 'Lista',
+    'todo.subtasks.button': '+ Subtareas',
+    'todo.subtasks.show': 'Mostrar subtareas',
+    'todo.subtasks.hide': 'Ocultar subtareas',
+    'todo.subtasks.editHint': 'Doble clic o Intro para editar',
+    'todo.subtasks.edit': 'Editar subtarea',
+    'todo.subtasks.delete': 'Eliminar subtarea',
+    'todo.subtasks.placeholder': 'Añadir una subtarea...',
+    'todo.subtasks.new': 'Nueva subtarea',
+    'todo.subtasks.add': 'Añadir',
+    'todo.error.textRequired': 'Escribe una tarea',
+    'todo.error.textTooLong': 'El texto de la tarea es demasiado largo (máximo {max} caracteres)',
+    'todo.error.subtaskRequired': 'Escribe una subtarea',
+    'todo.error.subtaskTooLong': 'El texto de la subtarea es demasiado largo (máximo {max} caracteres)',
+    'todo.error.listNameRequired': 'Escribe un nombre para la lista',
+    'todo.error.listNameTooLong': 'El nombre de la lista es demasiado largo (máximo {max} caracteres)',
+    'todo.error.listExists': 'Ya existe una lista llamada "{name}"',
+    'todo.error.lastList': 'Necesitas al menos una lista',
+    'todo.error.repeatInvalid': 'Regla de repetición no reconocida "{rule}" (prueba "weekly on mon" o "monthly on day 1")',
+    'todo.error.repeatEnds': 'La regla de repetición termina antes de su primera fecha de vencimiento',
+    'todo.error.reminderInvalid': 'Introduce una hora de recordatorio válida',
+    'todo.error.reminderPast': 'Elige una hora de recordatorio en el futuro',
+    'todo.error.tagInvalid': 'Las etiquetas solo pueden contener letras, números, "-" y "_"',
+    'todo.error.storageOpen': 'No se pudieron cargar las tareas guardadas. Los cambios no se conservarán.',
+    'todo.error.load': 'No se pudieron cargar las tareas guardadas.',
+    'todo.error.save': 'No se pudieron guardar las tareas. Inténtalo de nuevo.',
+    'todo.error.saveLists': 'No se pudieron guardar las listas. Inténtalo de nuevo.',
+    'todo.error.storageFull': 'El almacenamiento está lleno. Exporta y elimina tareas antiguas para liberar espacio.',
+    'todo.error.clipboardUnavailable': 'El portapapeles no está disponible en este navegador',
+    'todo.error.copyFailed': 'No se pudo copiar al portapapeles',
+    'todo.error.readFile': 'No se pudo leer el archivo seleccionado',
+    'todo.error.nothingToImport': 'Elige un archivo o pega algo que importar',
+    'todo.toast.added': '¡Tarea añadida!',
+    'todo.toast.deleted': 'Eliminada: "{text}"',
+    'todo.toast.markedCompleted': 'Tarea marcada como completada',
+    'todo.toast.markedActive': 'Tarea marcada como activa',
+    'todo.toast.nextDue': 'Tarea completada. La siguiente vence {date}',
+    'todo.toast.seriesEnded': 'Tarea completada. Era la última de la serie',
+    'todo.toast.updated': 'Tarea actualizada',
+    'todo.toast.updatedNoRepeat': 'Tarea actualizada. Ya no se repite',
+    'todo.toast.moved': 'Movida a "{list}"',
+    'todo.toast.cannotUndo': 'Esa acción ya no se puede deshacer',
+    'todo.toast.nothingToUndo': 'No hay nada que deshacer',
+    'todo.toast.nothingToRedo': 'No hay nada que rehacer',
+    'todo.toast.undid': 'Deshecho: {action}',
+    'todo.toast.redid': 'Rehecho: {action}',
+    'todo.toast.subtaskDeleted': 'Subtarea eliminada: "{text}"',
+    'todo.toast.subtaskUpdated': 'Subtarea actualizada',
+    'todo.toast.selectFirst': 'Selecciona primero una o más tareas',
+    'todo.toast.alreadyCompleted': 'Las tareas seleccionadas ya están completadas',
+    'todo.toast.alreadyActive': 'Las tareas seleccionadas ya están activas',
+    'todo.toast.batchCompleted': { one: '{count} tarea marcada como completada', other: '{count} tareas marcadas como completadas' },
+    'todo.toast.batchActive': { one: '{count} tarea marcada como activa', other: '{count} tareas marcadas como activas' },
+    'todo.toast.noCompleted': 'No hay tareas completadas que borrar',
+    'todo.toast.batchDeleted': { one: '{count} tarea eliminada', other: '{count} tareas eliminadas' },
+    'todo.toast.batchMoved': { one: '{count} tarea movida a "{list}"', other: '{count} tareas movidas a "{list}"' },
+    'todo.toast.alreadyTagged': 'Las tareas seleccionadas ya tienen la etiqueta #{tag}',
+    'todo.toast.batchTagged': { one: '{count} tarea etiquetada con #{tag}', other: '{count} tareas etiquetadas con #{tag}' },
+    'todo.toast.manualOnly': 'Elige el orden "{sort}" para reordenar las tareas',
+    'todo.toast.listCreated': 'Lista "{name}" creada',
+    'todo.toast.listDeleted': 'Lista "{name}" eliminada',
+    'todo.toast.copied': 'Exportación copiada al portapapeles',
+    'todo.toast.imported': { one: '{count} tarea importada', other: '{count} tareas importadas' },
+    'todo.toast.importedSkipped': { one: '{count} tarea importada ({skipped} omitidas)', other: '{count} tareas importadas ({skipped} omitidas)' },
+    'todo.toast.snoozed': 'Pospuesto hasta {time}',
+    'todo.confirm.deleteList': { one: '¿Eliminar "{name}" y su {count} tarea?', other: '¿Eliminar "{name}" y sus {count} tareas?' },
+    'todo.action.undo': 'Deshacer',
+    'todo.action.redo': 'Rehacer',
+    'todo.action.export': 'Exportar',
+    'todo.action.reload': 'Recargar',
+    'todo.action.later': 'Más tarde',
+    'todo.action.done': 'Hecho',
+    'todo.history.addTodo': 'añadir tarea',
+    'todo.history.deleteTodo': 'eliminar tarea',
+    'todo.history.toggleTodo': 'cambiar estado de la tarea',
+    'todo.history.editTodo': 'editar tarea',
+    'todo.history.moveTodo': 'mover tarea',
+    'todo.history.reorderTodo': 'reordenar tarea',
+    'todo.history.addSubtask': 'añadir subtarea',
+    'todo.history.toggleSubtask': 'cambiar estado de la subtarea',
+    'todo.history.deleteSubtask': 'eliminar subtarea',
+    'todo.history.editSubtask': 'editar subtarea',
+    'todo.history.completeTodos': 'completar tareas',
+    'todo.history.reactivateTodos': 'reactivar tareas',
+    'todo.history.deleteTodos': 'eliminar tareas',
+    'todo.history.clearCompleted': 'borrar completadas',
+    'todo.history.moveTodos': 'mover tareas',
+    'todo.history.tagTodos': 'etiquetar tareas',
+    'todo.history.importTodos': 'importar tareas',
+    'todo.transfer.title': '⇅ Importar / Exportar',
+    'todo.transfer.export': 'Exportar',
+    'todo.transfer.exportFormat': 'Formato de exportación',
+    'todo.transfer.exportScope': 'Qué exportar',
+    'todo.transfer.markdown': 'Lista de Markdown',
+    'todo.transfer.wholeList': 'Toda la lista',
+    'todo.transfer.filtered': 'Resultados de la búsqueda y el filtro actuales',
+    'todo.transfer.download': 'Descargar',
+    'todo.transfer.copy': 'Copiar',
+    'todo.transfer.import': 'Importar',
+    'todo.transfer.importFile': 'Archivo que importar',
+    'todo.transfer.importFormat': 'Formato de importación',
+    'todo.transfer.detect': 'Detectar formato',
+    'todo.transfer.pastePlaceholder': '...o pega aquí JSON, CSV o una lista de Markdown (- [ ] / - [x])',
+    'todo.transfer.pasteLabel': 'Texto que importar',
+    'todo.transfer.preview': 'Vista previa',
+    'todo.import.summary': '{new} nuevas, {duplicates} duplicadas, {rejected} rechazadas',
+    'todo.import.duplicatesHeading': 'Ya están en esta lista (se omitirán):',
+    'todo.import.rejectedHeading': 'Rechazadas:',
+    'todo.import.row': 'Fila {row}: {reason}',
+    'todo.import.confirm': { one: 'Importar {count} tarea nueva', other: 'Importar {count} tareas nuevas' },
+    'todo.import.cancel': 'Cancelar',
+    'todo.import.invalidTodo': 'Falta id, text, completed o createdAt, o no es válido',
+    'todo.import.invalidDate': 'Fecha no válida "{value}"',
+    'todo.import.invalidDueDate': 'Fecha de vencimiento no válida "{value}" (se espera AAAA-MM-DD)',
+    'todo.import.invalidPriority': 'Prioridad no válida "{value}"',
+    'todo.import.subtask': 'Subtarea: {error}',
+    'todo.stats.title': '📊 Estadísticas',
+    'todo.stats.scope': 'Tareas incluidas',
+    'todo.stats.thisList': 'Esta lista',
+    'todo.stats.allLists': 'Todas las listas',
+    'todo.stats.period': 'Periodo del gráfico',
+    'todo.stats.lastDays': 'Últimos 14 días',
+    'todo.stats.lastWeeks': 'Últimas 12 semanas',
+    'todo.stats.group': 'Desglose',
+    'todo.stats.byTag': 'Por etiqueta',
+    'todo.stats.byList': 'Por lista',
+    'todo.stats.empty': 'Aún no hay tareas. Las estadísticas aparecerán cuando añadas alguna.',
+    'todo.stats.completed': 'Completadas',
+    'todo.stats.active': 'Activas',
+    'todo.stats.overdue': 'Vencidas',
+    'todo.stats.averageTime': 'Tiempo medio hasta completar',
+    'todo.stats.estimated': '≈ {value}',
+    'todo.stats.streak': 'Racha actual',
+    'todo.stats.streakDays': { one: '{count} día', other: '{count} días' },
+    'todo.stats.perDay': 'Completadas por día',
+    'todo.stats.perWeek': 'Completadas por semana (las semanas empiezan el lunes)',
+    'todo.stats.completedByList': 'Completadas por lista',
+    'todo.stats.completedByTag': 'Completadas por etiqueta',
+    'todo.stats.untagged': 'Sin etiqueta',
+    'todo.stats.groupSummary': '{label}: {completed} de {count} completadas',
+    'todo.reminder.due': '⏰ "{text}" vence hoy',
+    'todo.reminder.reminder': '⏰ Recordatorio: "{text}"',
+    'todo.reminder.missed': '{message} (mientras no estabas)',
+    'todo.reminder.many': { one: '⏰ {count} recordatorio: {titles}', other: '⏰ {count} recordatorios: {titles}' },
+    'todo.reminder.inList': 'En "{list}"',
+    'todo.reminder.snoozeAll': 'Posponer todos 1 hora',
+    'todo.snooze.tenMinutes': '10 min',
+    'todo.snooze.hour': '1 hora',
+    'todo.snooze.tomorrow': 'Mañana',
+    'todo.update.available': 'Hay una nueva versión de la aplicación',
+    'todo.shortcuts.title': '⌨ Atajos de teclado',
+    'todo.shortcuts.list': 'Lista de tareas',
+    'todo.shortcuts.move': 'Moverse entre tareas',
+    'todo.shortcuts.firstLast': 'Primera / última tarea',
+    'todo.shortcuts.toggle': 'Completar o reabrir la tarea',
+    'todo.shortcuts.edit': 'Editar la tarea',
+    'todo.shortcuts.delete': 'Eliminar la tarea',
+    'todo.shortcuts.reorder': 'Reordenar (solo en orden manual)',
+    'todo.shortcuts.anywhere': 'En cualquier lugar',
+    'todo.shortcuts.search': 'Buscar',
+    'todo.shortcuts.undo': 'Deshacer',
+    'todo.shortcuts.redo': 'Rehacer',
+    'todo.shortcuts.selectAll': 'Seleccionar todas (en modo selección)',
+    'todo.shortcuts.escape': 'Cerrar diálogos, cancelar la edición, salir del modo selección',
+    'todo.shortcuts.help': 'Mostrar u ocultar esta lista'
+});
\ No newline at end of file
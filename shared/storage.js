@@ -0,0 +1,444 @@
+// Key-value storage shared by both apps. The backends (IndexedDB, localStorage, memory)
+// are asynchronous; StorageCache loads everything up front so the apps can keep reading
+// and writing synchronously while changes are persisted in the background.
+// Values are strings, exactly as they would be in localStorage.
+
+class LocalStorageAdapter {
+    constructor(options = {}) {
+        this.storage = options.storage || window.localStorage;
+        this.includes = options.includes || (() => true);
+        this.eventTarget = options.eventTarget || (typeof window !== 'undefined' ? window : null);
+    }
+    
+    async entries() {
+        const entries = {};
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (this.includes(key)) entries[key] = this.storage.getItem(key);
+        }
+        return entries;
+    }
+    
+    async get(key) {
+        return this.storage.getItem(key);
+    }
+    
+    async set(key, value) {
+        this.storage.setItem(key, value);
+    }
+    
+    async setMany(entries) {
+        Object.keys(entries).forEach(key => this.storage.setItem(key, entries[key]));
+    }
+    
+    // localStorage is synchronous, so nothing can come between the read and the write
+    async update(key, transform) {
+        const value = transform(this.storage.getItem(key));
+        this.storage.setItem(key, value);
+        return value;
+    }
+    
+    async remove(key) {
+        this.storage.removeItem(key);
+    }
+    
+    // Writes from other tabs arrive as storage events; a null key means storage was cleared
+    subscribe(callback) {
+        if (!this.eventTarget) return;
+        
+        this.eventTarget.addEventListener('storage', (e) => {
+            if (e.storageArea && e.storageArea !== this.storage) return;
+            if (e.key === null || this.includes(e.key)) callback(e.key, e.newValue);
+        });
+    }
+}
+
+class IndexedDBAdapter {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.indexedDB = options.indexedDB || window.indexedDB;
+        this.BroadcastChannel = options.BroadcastChannel ||
+            (typeof BroadcastChannel !== 'undefined' ? BroadcastChannel : null);
+        this.db = null;
+        this.channel = null;
+    }
+    
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = this.indexedDB.open(this.name, IndexedDBAdapter.UPGRADES.length);
+            
+            // Run every upgrade between the version on disk and the current one
+            request.onupgradeneeded = (e) => {
+                IndexedDBAdapter.UPGRADES.slice(e.oldVersion).forEach(upgrade => upgrade(request.result));
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                
+                // Let a newer version of the app in another tab upgrade the database
+                this.db.onversionchange = () => this.db.close();
+                
+                if (this.BroadcastChannel) {
+                    this.channel = new this.BroadcastChannel(`storage:${this.name}`);
+                }
+                resolve(this);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error(`Upgrading "${this.name}" is blocked by another open tab`));
+        });
+    }
+    
+    // Runs requests in a single transaction and resolves with the last request's result once it commits
+    transaction(mode, run) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(IndexedDBAdapter.STORE, mode);
+            const request = run(transaction.objectStore(IndexedDBAdapter.STORE));
+            
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+    
+    entries() {
+        return new Promise((resolve, reject) => {
+            const entries = {};
+            const transaction = this.db.transaction(IndexedDBAdapter.STORE, 'readonly');
+            const request = transaction.objectStore(IndexedDBAdapter.STORE).openCursor();
+            
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                
+                entries[cursor.key] = cursor.value;
+                cursor.continue();
+            };
+            transaction.oncomplete = () => resolve(entries);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+    
+    async get(key) {
+        const value = await this.transaction('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+    
+    async set(key, value) {
+        await this.transaction('readwrite', store => store.put(value, key));
+        this.announce(key);
+    }
+    
+    async setMany(entries) {
+        await this.transaction('readwrite', (store) => {
+            Object.keys(entries).forEach(key => store.put(entries[key], key));
+            return null;
+        });
+        Object.keys(entries).forEach(key => this.announce(key));
+    }
+    
+    // Reads the value and writes transform(value) in one readwrite transaction, so a write
+    // from another tab can't land in between. Resolves with the value written.
+    async update(key, transform) {
+        let value;
+        await this.transaction('readwrite', (store) => {
+            const request = store.get(key);
+            request.onsuccess = () => {
+                value = transform(request.result === undefined ? null : request.result);
+                store.put(value, key);
+            };
+            return null;
+        });
+        this.announce(key);
+        return value;
+    }
+    
+    async remove(key) {
+        await this.transaction('readwrite', store => store.delete(key));
+        this.announce(key);
+    }
+    
+    // IndexedDB has no storage event, so tabs tell each other which key changed
+    announce(key) {
+        if (this.channel) this.channel.postMessage({ key: key });
+    }
+    
+    subscribe(callback) {
+        if (!this.channel) return;
+        
+        this.channel.addEventListener('message', async (e) => {
+            try {
+                callback(e.data.key, await this.get(e.data.key));
+            } catch (error) {
+                console.error('Error reading a change made in another tab:', error);
+            }
+        });
+    }
+}
+
+// One function per database version; each creates what that version added
+IndexedDBAdapter.STORE = 'entries';
+IndexedDBAdapter.UPGRADES = [
+    db => db.createObjectStore(IndexedDBAdapter.STORE)
+];
+
+// Keeps nothing across reloads; used in tests and when no real storage is available
+class MemoryAdapter {
+    constructor(entries = {}) {
+        this.values = new Map(Object.entries(entries));
+    }
+    
+    async entries() {
+        return Object.fromEntries(this.values);
+    }
+    
+    async get(key) {
+        return this.values.has(key) ? this.values.get(key) : null;
+    }
+    
+    async set(key, value) {
+        this.values.set(key, value);
+    }
+    
+    async setMany(entries) {
+        Object.keys(entries).forEach(key => this.values.set(key, entries[key]));
+    }
+    
+    // Read and written without awaiting in between, so updates can't interleave
+    async update(key, transform) {
+        const value = transform(this.values.has(key) ? this.values.get(key) : null);
+        this.values.set(key, value);
+        return value;
+    }
+    
+    async remove(key) {
+        this.values.delete(key);
+    }
+    
+    subscribe() {}
+}
+
+class StorageCache {
+    constructor(adapter, options = {}) {
+        this.adapter = adapter;
+        this.values = new Map();
+        this.listeners = [];
+        this.pending = Promise.resolve();
+        this.onError = options.onError || (error => console.error('Error saving to storage:', error));
+    }
+    
+    // Opens IndexedDB when the browser has it and localStorage otherwise, then loads every entry
+    static async open(options = {}) {
+        const adapter = await StorageCache.createAdapter(options);
+        const cache = new StorageCache(adapter, options);
+        await cache.load();
+        
+        adapter.subscribe((key, value) => cache.receive(key, value));
+        return cache;
+    }
+    
+    static async createAdapter(options) {
+        const { name, includes } = options;
+        const indexedDB = 'indexedDB' in options ? options.indexedDB : window.indexedDB;
+        const local = new LocalStorageAdapter({ storage: options.localStorage, includes: includes });
+        
+        if (!indexedDB) return local;
+        
+        try {
+            const adapter = await new IndexedDBAdapter(name, {
+                indexedDB: indexedDB,
+                BroadcastChannel: options.BroadcastChannel
+            }).open();
+            await StorageCache.importLocalData(local, adapter);
+            return adapter;
+        } catch (error) {
+            // e.g. private browsing modes that disable IndexedDB
+            console.error('IndexedDB is unavailable, using localStorage instead:', error);
+            return local;
+        }
+    }
+    
+    // One-time move of data saved in localStorage by earlier versions of the app
+    static async importLocalData(source, target) {
+        if (await target.get(StorageCache.IMPORTED_KEY) !== null) return;
+        
+        const entries = await source.entries();
+        await target.setMany({ ...entries, [StorageCache.IMPORTED_KEY]: new Date().toISOString() });
+        
+        // Only clear the old copy once the new one is committed
+        await Promise.all(Object.keys(entries).map(key => source.remove(key)));
+    }
+    
+    async load() {
+        const entries = await this.adapter.entries();
+        this.values = new Map(Object.entries(entries));
+    }
+    
+    getItem(key) {
+        return this.values.has(key) ? this.values.get(key) : null;
+    }
+    
+    setItem(key, value) {
+        const text = String(value);
+        this.values.set(key, text);
+        this.persist(() => this.adapter.set(key, text));
+    }
+    
+    // Sets key to value here right away, like setItem, but the backend stores
+    // merge(storedValue) instead, read and written in one step. storedValue can hold a write
+    // from another tab that hasn't reached this cache yet; merging keeps it instead of
+    // overwriting it, and listeners hear about the merged result as about any other change.
+    updateItem(key, value, merge) {
+        const text = String(value);
+        this.values.set(key, text);
+        this.persist(async () => {
+            const stored = String(await this.adapter.update(key, current => String(merge(current))));
+            
+            // Unless this tab has written the key again since
+            if (stored !== text && this.values.get(key) === text) {
+                this.values.set(key, stored);
+                this.listeners.forEach(listener => listener(key));
+            }
+        });
+    }
+    
+    removeItem(key) {
+        this.values.delete(key);
+        this.persist(() => this.adapter.remove(key));
+    }
+    
+    keys() {
+        return [...this.values.keys()];
+    }
+    
+    // Writes reach the backend one at a time and in order; failures are reported, not thrown
+    persist(write) {
+        this.pending = this.pending.then(write).catch(error => this.onError(error));
+    }
+    
+    // Resolves once every write so far has been persisted
+    flush() {
+        return this.pending;
+    }
+    
+    // callback(key) runs after another tab changed key (null when everything was cleared)
+    subscribe(callback) {
+        this.listeners.push(callback);
+    }
+    
+    async receive(key, value) {
+        if (key === null) {
+            await this.load();
+        } else if (value === null) {
+            this.values.delete(key);
+        } else {
+            this.values.set(key, value);
+        }
+        
+        this.listeners.forEach(listener => listener(key));
+    }
+}
+
+StorageCache.IMPORTED_KEY = '__importedFromLocalStorage';
+
+// Brings stored data up to the current schema. Migrations run once each, in version
+// order, against a StorageCache; the last version applied is stored under versionKey.
+class SchemaMigrator {
+    constructor(versionKey, migrations) {
+        this.versionKey = versionKey;
+        this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+    }
+    
+    getLatestVersion() {
+        return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+    }
+    
+    getStoredVersion(storage) {
+        return parseInt(storage.getItem(this.versionKey)) || 0;
+    }
+    
+    // context is handed to every migration, e.g. the app whose records are being migrated
+    run(storage, context = null) {
+        const storedVersion = this.getStoredVersion(storage);
+        
+        if (storedVersion > this.getLatestVersion()) {
+            console.warn(`Stored data is from a newer version (${storedVersion}); leaving it untouched`);
+            return storedVersion;
+        }
+        
+        this.migrations
+            .filter(migration => migration.version > storedVersion)
+            .forEach(migration => {
+                migration.migrate(storage, context);
+                storage.setItem(this.versionKey, String(migration.version));
+            });
+        
+        return this.getLatestVersion();
+    }
+}
+
+// Reads and writes that can't throw: storage may be blocked (cookies disabled), full, or
+// hold data that no longer parses. Reads then return the fallback and writes return false;
+// the error goes to options.onError, console.error by default. Wraps localStorage, a
+// StorageCache or nothing at all (null), e.g. for display preferences:
+//   const preferences = new SafeStorage(SafeStorage.local());
+//   preferences.getItem('todoSort', 'created');
+class SafeStorage {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.onError = options.onError || ((error, action, key) => {
+            console.error(`Error ${action} "${key}" in storage:`, error);
+        });
+    }
+    
+    // localStorage, or null where the browser blocks it
+    static local() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    getItem(key, fallback = null) {
+        if (!this.storage) return fallback;
+        
+        try {
+            const value = this.storage.getItem(key);
+            return value === null ? fallback : value;
+        } catch (error) {
+            this.onError(error, 'reading', key);
+            return fallback;
+        }
+    }
+    
+    setItem(key, value) {
+        if (!this.storage) return false;
+        
+        try {
+            this.storage.setItem(key, String(value));
+            return true;
+        } catch (error) {
+            this.onError(error, 'writing', key);
+            return false;
+        }
+    }
+    
+    // Stored JSON that is missing, corrupted or fails isValid (e.g. Array.isArray) reads
+    // as the fallback
+    readJson(key, fallback = null, isValid = () => true) {
+        const raw = this.getItem(key);
+        if (raw === null) return fallback;
+        
+        try {
+            const value = JSON.parse(raw);
+            if (isValid(value)) return value;
+            throw new TypeError(`Unexpected ${value === null ? 'null' : typeof value} value`);
+        } catch (error) {
+            this.onError(error, 'reading', key);
+            return fallback;
+        }
+    }
+    
+    writeJson(key, value) {
+        return this.setItem(key, JSON.stringify(value));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,293 @@
+// Small helpers both apps use: debouncing, local date keys, HTML escaping and
+// highlighting, empty states, CSV cells and toast notifications. A plain script like the
+// other shared files, so the pages still open from file://; see the README's Shared
+// Toolkit section on the ES module question.
+
+// Delays work until input settles. Each key has its own timer, so e.g. every form field
+// can be validated on its own schedule:
+//   debouncer.run('search', () => this.applySearch(value), 400);
+class Debouncer {
+    constructor() {
+        this.timers = new Map();
+    }
+    
+    run(key, callback, delay) {
+        this.cancel(key);
+        this.timers.set(key, setTimeout(() => {
+            this.timers.delete(key);
+            callback();
+        }, delay));
+    }
+    
+    cancel(key) {
+        clearTimeout(this.timers.get(key));
+        this.timers.delete(key);
+    }
+    
+    cancelAll() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+    
+    isPending(key) {
+        return this.timers.has(key);
+    }
+}
+
+// Local calendar dates as YYYY-MM-DD, the format <input type="date"> uses.
+// Keys compare correctly as plain strings.
+class DateKey {
+    static from(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+    
+    static today() {
+        return DateKey.from(new Date());
+    }
+    
+    // Local midnight at the start of the date, plus `days`
+    static toDate(key, days = 0) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day + days);
+    }
+    
+    static addDays(key, days) {
+        return DateKey.from(DateKey.toDate(key, days));
+    }
+}
+
+class Html {
+    // Safe inside elements and quoted attributes alike; null and undefined become ''
+    static escape(text) {
+        return String(text == null ? '' : text).replace(/[&<>"']/g, char => Html.ENTITIES[char]);
+    }
+    
+    // Escape text for HTML and wrap every occurrence of the given terms in <mark>.
+    // Matching runs on the raw text so highlights never split an HTML entity.
+    static highlight(text, terms) {
+        if (terms.length === 0) return Html.escape(text);
+        
+        const lowerText = text.toLowerCase();
+        const ranges = [];
+        
+        terms.forEach(term => {
+            let index = lowerText.indexOf(term);
+            while (term && index !== -1) {
+                ranges.push([index, index + term.length]);
+                index = lowerText.indexOf(term, index + term.length);
+            }
+        });
+        
+        if (ranges.length === 0) return Html.escape(text);
+        
+        // Merge overlapping ranges so marks never nest
+        ranges.sort((a, b) => a[0] - b[0]);
+        const merged = [ranges[0]];
+        ranges.slice(1).forEach(([start, end]) => {
+            const last = merged[merged.length - 1];
+            if (start <= last[1]) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                merged.push([start, end]);
+            }
+        });
+        
+        let html = '';
+        let position = 0;
+        merged.forEach(([start, end]) => {
+            html += Html.escape(text.slice(position, start));
+            html += `<mark>${Html.escape(text.slice(start, end))}</mark>`;
+            position = end;
+        });
+        html += Html.escape(text.slice(position));
+        
+        return html;
+    }
+    
+    // The placeholder shown instead of an empty list: a title with an optional hint below
+    static emptyState({ title, hint = '', className = '' }) {
+        const emptyState = document.createElement('div');
+        emptyState.className = className ? `empty-state ${className}` : 'empty-state';
+        
+        if (!hint) {
+            emptyState.textContent = title;
+            return emptyState;
+        }
+        
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        const paragraph = document.createElement('p');
+        paragraph.textContent = hint;
+        emptyState.append(heading, paragraph);
+        return emptyState;
+    }
+}
+
+Html.ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Cells of the CSV files both apps export, which usually end up in a spreadsheet app
+class Csv {
+    // Quotes the cell where needed, and puts a ' before text a spreadsheet app would run
+    // as a formula, including one hidden behind a leading tab or carriage return
+    static escape(value) {
+        let text = String(value);
+        if (Csv.FORMULA_START.test(text)) text = `'${text}`;
+        
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+    
+    // Takes the ' added by escape off an already unquoted cell
+    static unescape(value) {
+        return value.startsWith("'") && Csv.FORMULA_START.test(value.slice(1)) ? value.slice(1) : value;
+    }
+}
+
+Csv.FORMULA_START = /^[=+\-@\t\r]/;
+
+// Toasts stack in a corner (the top end, so the left in RTL pages) instead of covering
+// each other. At most maxVisible are shown; the rest wait their turn in a queue.
+// options.announce(message, type): reads toasts out to screen readers. Without it the
+// stack itself is a polite live region.
+class ToastManager {
+    constructor(options = {}) {
+        this.maxVisible = options.maxVisible || ToastManager.MAX_VISIBLE;
+        this.announce = options.announce || null;
+        this.visible = [];
+        this.queue = [];
+        this.stack = null;
+    }
+    
+    // actions is an { label, handler } button (e.g. Undo) or an array of them.
+    // A duration of Infinity keeps the toast up until one of its actions is clicked.
+    // Returns a function that hides the toast (or drops it from the queue).
+    show(message, type = 'info', actions = null, duration = null) {
+        const toast = {
+            message: message,
+            type: type,
+            actions: Array.isArray(actions) ? actions : actions ? [actions] : [],
+            duration: duration,
+            element: null,
+            offscreen: null,
+            timer: null
+        };
+        
+        if (this.visible.length < this.maxVisible) {
+            this.display(toast);
+        } else {
+            this.queue.push(toast);
+        }
+        return () => this.hide(toast);
+    }
+    
+    getStack() {
+        if (!this.stack || !this.stack.isConnected) {
+            this.stack = document.createElement('div');
+            this.stack.className = 'toast-stack';
+            if (!this.announce) {
+                this.stack.setAttribute('role', 'status');
+                this.stack.setAttribute('aria-live', 'polite');
+            }
+            Object.assign(this.stack.style, {
+                position: 'fixed',
+                top: '20px',
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '10px',
+                zIndex: '1000',
+                maxWidth: '300px'
+            });
+            document.body.appendChild(this.stack);
+        }
+        
+        // Follows the page direction, which can change while the stack is up
+        const rtl = document.documentElement.dir === 'rtl';
+        this.stack.style.left = rtl ? '20px' : '';
+        this.stack.style.right = rtl ? '' : '20px';
+        return this.stack;
+    }
+    
+    display(toast) {
+        const stack = this.getStack();
+        const element = document.createElement('div');
+        element.className = `notification ${toast.type}`;
+        element.textContent = toast.message;
+        if (this.announce) this.announce(toast.message, toast.type);
+        
+        toast.actions.forEach(({ label, handler }) => {
+            const actionBtn = document.createElement('button');
+            actionBtn.type = 'button';
+            actionBtn.className = 'notification-action';
+            actionBtn.textContent = label;
+            actionBtn.addEventListener('click', () => {
+                this.hide(toast);
+                handler();
+            });
+            element.appendChild(actionBtn);
+        });
+        
+        // Slides in from the end edge
+        const offscreen = document.documentElement.dir === 'rtl' ? 'translateX(-400px)' : 'translateX(400px)';
+        Object.assign(element.style, {
+            padding: '12px 20px',
+            borderRadius: '8px',
+            color: 'white',
+            fontWeight: '500',
+            transform: offscreen,
+            transition: 'transform 0.3s ease',
+            boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+            background: ToastManager.COLORS[toast.type] || ToastManager.COLORS.info
+        });
+        
+        toast.element = element;
+        toast.offscreen = offscreen;
+        this.visible.push(toast);
+        stack.appendChild(element);
+        
+        // Animate in
+        setTimeout(() => {
+            element.style.transform = 'translateX(0)';
+        }, 10);
+        
+        // Longer when there is an action to click
+        if (toast.duration !== Infinity) {
+            const duration = toast.duration || (toast.actions.length ? ToastManager.ACTION_DURATION : ToastManager.DURATION);
+            toast.timer = setTimeout(() => this.hide(toast), duration);
+        }
+    }
+    
+    hide(toast) {
+        const queued = this.queue.indexOf(toast);
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+            return;
+        }
+        
+        const index = this.visible.indexOf(toast);
+        if (index === -1) return;
+        
+        this.visible.splice(index, 1);
+        clearTimeout(toast.timer);
+        toast.element.style.transform = toast.offscreen;
+        setTimeout(() => toast.element.remove(), ToastManager.EXIT_DURATION);
+        
+        // The next queued toast takes the freed spot
+        if (this.queue.length > 0) this.display(this.queue.shift());
+    }
+    
+    clear() {
+        this.queue = [];
+        [...this.visible].forEach(toast => this.hide(toast));
+    }
+}
+
+ToastManager.MAX_VISIBLE = 3;
+ToastManager.DURATION = 3000;
+ToastManager.ACTION_DURATION = 5000;
+ToastManager.EXIT_DURATION = 300;
+ToastManager.COLORS = {
+    success: '#28a745',
+    error: '#dc3545',
+    info: '#17a2b8'
+};
\ No newline at end of file
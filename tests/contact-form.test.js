@@ -0,0 +1,211 @@
+const { test, describe, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, savedStorage, plain, wait, type } = require('./helpers');
+
+describe('ContactForm', () => {
+    let page;
+    let schemaVersion;
+    
+    const message = (id, name, email, text, day) => ({
+        id: id,
+        name: name,
+        email: email,
+        message: text,
+        timestamp: new Date(2026, 9, day, 10).toISOString(),
+        read: true,
+        starred: false,
+        deletedAt: null,
+        attachments: [],
+        delivery: { status: 'sent', attempts: 1 }
+    });
+    
+    const MESSAGES = [
+        message(1, 'Ada', 'ada@example.com', 'Question about the invoice', 1),
+        message(2, 'Grace', 'grace@example.com', 'The page does not load', 2),
+        message(3, 'Linus', 'linus@example.com', 'Invoice sent twice', 3)
+    ];
+    
+    // Storage as the current version would leave it, so no migrations run
+    const seeded = (entries = {}) => ({
+        contactSchemaVersion: schemaVersion,
+        ...entries
+    });
+    
+    // A server that accepts every message
+    const acceptingServer = window => {
+        window.fetch = async () => ({
+            ok: true,
+            status: 201,
+            headers: { get: () => 'application/json' },
+            json: async () => ({}),
+            text: async () => '{}'
+        });
+    };
+    
+    const field = name => page.document.getElementById(name);
+    const errorText = name => page.document.getElementById(`${name}Error`).textContent;
+    const senders = () => [...page.document.querySelectorAll('#messageHistory .message-item .message-email')]
+        .map(element => element.textContent);
+    
+    before(async () => {
+        const fresh = await loadPage('contact-form');
+        schemaVersion = (await savedStorage(fresh)).contactSchemaVersion;
+        fresh.close();
+    });
+    
+    afterEach(() => page.close());
+    
+    test('validates fields as they are typed and enables sending once all are valid', async () => {
+        page = await loadPage('contact-form', { storage: seeded() });
+        const submitBtn = field('submitBtn');
+        
+        type(field('name'), 'A');
+        type(field('email'), 'not-an-email');
+        await wait(400);
+        assert.equal(errorText('name'), 'Name must be at least 2 characters long');
+        assert.equal(errorText('email'), 'Please enter a valid email address');
+        assert.equal(field('email').getAttribute('aria-invalid'), 'true');
+        assert.equal(submitBtn.disabled, true);
+        
+        type(field('name'), 'Ada');
+        type(field('email'), 'ada@example.com');
+        type(field('message'), 'Hello, I have a question.');
+        await wait(400);
+        assert.equal(errorText('name'), '');
+        assert.equal(field('email').hasAttribute('aria-invalid'), false);
+        assert.equal(submitBtn.disabled, false);
+    });
+    
+    test('filters the history by search and sender', async () => {
+        page = await loadPage('contact-form', { storage: seeded({ contactMessages: JSON.stringify(MESSAGES) }) });
+        assert.deepEqual(senders(), ['(linus@example.com)', '(grace@example.com)', '(ada@example.com)']);
+        
+        type(page.document.getElementById('historySearch'), 'invoice');
+        await wait(350);
+        assert.deepEqual(senders(), ['(linus@example.com)', '(ada@example.com)']);
+        assert.equal(page.document.querySelector('#messageHistory .message-text mark').textContent, 'Invoice');
+        
+        const sender = page.document.getElementById('historySender');
+        sender.value = 'ada@example.com';
+        sender.dispatchEvent(new page.window.Event('change'));
+        assert.deepEqual(senders(), ['(ada@example.com)']);
+        
+        type(page.document.getElementById('historySearch'), 'does not load');
+        await wait(350);
+        assert.deepEqual(senders(), []);
+        assert.equal(page.document.querySelector('#messageHistory .empty-state').textContent, 'No messages match your search and filters.');
+    });
+    
+    test('keeps sent messages across reloads', async () => {
+        page = await loadPage('contact-form', { storage: seeded(), beforeParse: acceptingServer });
+        type(field('name'), 'Ada');
+        type(field('email'), 'ada@example.com');
+        type(field('message'), 'Hello, I have a question.');
+        // As if it took longer to fill in than the spam check's minimum
+        page.app.startedAt -= 10000;
+        field('contactForm').dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+        await wait(100);
+        
+        const storage = await savedStorage(page);
+        page.close();
+        page = await loadPage('contact-form', { storage });
+        
+        const stored = plain(page.app.getMessagesFromStorage());
+        assert.deepEqual(stored.map(saved => [saved.name, saved.email, saved.message]), [['Ada', 'ada@example.com', 'Hello, I have a question.']]);
+        assert.equal(stored[0].delivery.status, 'sent');
+        assert.deepEqual(senders(), ['(ada@example.com)']);
+        assert.equal(field('name').value, '');
+    });
+    
+    test('sends a message once when it is submitted twice in a row', async () => {
+        let requests = 0;
+        page = await loadPage('contact-form', {
+            storage: seeded(),
+            beforeParse(window) {
+                acceptingServer(window);
+                const fetch = window.fetch;
+                window.fetch = (...args) => {
+                    requests++;
+                    return fetch(...args);
+                };
+            }
+        });
+        const submit = () => field('contactForm').dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+        
+        // A submission that fails validation can be tried again
+        submit();
+        await wait(50);
+        assert.equal(page.app.submitting, false);
+        assert.equal(field('submitBtn').textContent, 'Send Message');
+        
+        type(field('name'), 'Ada');
+        type(field('email'), 'ada@example.com');
+        type(field('message'), 'Hello, I have a question.');
+        page.app.startedAt -= 10000;
+        await wait(400);
+        assert.equal(field('submitBtn').disabled, false);
+        
+        // A second Enter while the first submission is still being checked
+        submit();
+        assert.equal(field('submitBtn').disabled, true);
+        submit();
+        await wait(100);
+        
+        assert.equal(requests, 1);
+        assert.equal(JSON.parse((await savedStorage(page)).contactMessages).length, 1);
+    });
+    
+    test('treats corrupted or wrong-shape history as empty', async () => {
+        for (const contactMessages of ['not json', '{"a": 1}']) {
+            page = await loadPage('contact-form', { storage: seeded({ contactMessages }) });
+            
+            assert.deepEqual(plain(page.app.getMessagesFromStorage()), []);
+            assert.equal(page.document.querySelector('#messageHistory .empty-state').textContent, 'No messages yet. Send your first message above!');
+            assert.ok(page.errors.some(error => error.startsWith('Error reading "contactMessages" in storage')));
+            page.close();
+        }
+        
+        // Sending still works and replaces the unreadable data
+        page = await loadPage('contact-form', { storage: seeded({ contactMessages: 'not json' }), beforeParse: acceptingServer });
+        type(field('name'), 'Ada');
+        type(field('email'), 'ada@example.com');
+        type(field('message'), 'Starting over again.');
+        page.app.startedAt -= 10000;
+        field('contactForm').dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+        await wait(100);
+        
+        const stored = JSON.parse((await savedStorage(page)).contactMessages);
+        assert.deepEqual(stored.map(saved => saved.message), ['Starting over again.']);
+    });
+    
+    test('leaves out malformed messages and keeps the valid ones', async () => {
+        const withoutEmail = message(4, 'No email', '', 'Where do I send this?', 4);
+        delete withoutEmail.email;
+        page = await loadPage('contact-form', {
+            storage: seeded({
+                contactMessages: JSON.stringify([
+                    null,
+                    MESSAGES[0],
+                    withoutEmail,
+                    { ...message(5, 'Bad date', 'bad@example.com', 'When was this?', 5), timestamp: 'soon' },
+                    'not a message',
+                    MESSAGES[1]
+                ])
+            }),
+            beforeParse: acceptingServer
+        });
+        
+        assert.deepEqual(senders(), ['(grace@example.com)', '(ada@example.com)']);
+        
+        // Saving keeps the valid messages and drops the rest
+        type(field('name'), 'Linus');
+        type(field('email'), 'linus@example.com');
+        type(field('message'), 'One more message.');
+        page.app.startedAt -= 10000;
+        field('contactForm').dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+        await wait(100);
+        
+        const stored = JSON.parse((await savedStorage(page)).contactMessages);
+        assert.deepEqual(stored.map(saved => saved.name), ['Linus', 'Ada', 'Grace']);
+    });
+});
\ No newline at end of file
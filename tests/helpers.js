@@ -0,0 +1,128 @@
+// Loads the apps (or single scripts) into jsdom. Files are served from the repository as
+// the browser would fetch them, so the tests run the real pages and scripts.
+// jsdom has no IndexedDB, so the apps fall back to localStorage, which is seeded and read
+// back to test persistence.
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..');
+const ORIGIN = 'http://localhost';
+
+class RepositoryLoader extends ResourceLoader {
+    fetch(url, options) {
+        const { origin, pathname } = new URL(url);
+        if (origin !== ORIGIN) return super.fetch(url, options);
+        return Promise.resolve(fs.readFileSync(path.join(ROOT, decodeURIComponent(pathname))));
+    }
+}
+
+// console.error calls end up in errors, so tests can check what was reported
+function createConsole(errors) {
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('error', (...args) => errors.push(args.map(String).join(' ')));
+    virtualConsole.on('jsdomError', error => errors.push(String(error)));
+    return virtualConsole;
+}
+
+function createDom(html, url, options) {
+    const errors = [];
+    const dom = new JSDOM(html, {
+        url: url,
+        runScripts: 'dangerously',
+        resources: new RepositoryLoader(),
+        pretendToBeVisual: true,
+        virtualConsole: createConsole(errors),
+        beforeParse(window) {
+            Object.keys(options.storage || {}).forEach(key => window.localStorage.setItem(key, options.storage[key]));
+            if (options.beforeParse) options.beforeParse(window);
+        }
+    });
+    return { dom, errors };
+}
+
+function waitForLoad(window) {
+    return new Promise(resolve => window.addEventListener('load', resolve));
+}
+
+// The app class each page starts, and the global it is kept in
+const APPS = {
+    'todo-app': { className: 'TodoApp', global: 'todoApp' },
+    'contact-form': { className: 'ContactForm', global: 'contactForm' }
+};
+
+// Creates the app with the given constructor options in place of the page's own start-up
+// code. A capturing listener on window runs before the page's listener on document, and
+// stopping the event there keeps the page from creating a second app.
+function startApp(window, app, appOptions) {
+    window.addEventListener('DOMContentLoaded', (event) => {
+        event.stopPropagation();
+        const { className, global } = APPS[app];
+        window[global] = new (window.eval(className))(appOptions);
+    }, true);
+}
+
+// Opens todo-app or contact-form and resolves once its storage is ready.
+// options.storage: localStorage entries to start with
+// options.beforeParse(window): runs before any script, e.g. to stub fetch
+// options.appOptions: options for the app's constructor, e.g. a fake clock
+async function loadPage(app, options = {}) {
+    const html = fs.readFileSync(path.join(ROOT, app, 'index.html'), 'utf8');
+    const { dom, errors } = createDom(html, `${ORIGIN}/${app}/index.html`, {
+        ...options,
+        beforeParse(window) {
+            if (options.beforeParse) options.beforeParse(window);
+            if (options.appOptions) startApp(window, app, options.appOptions);
+        }
+    });
+    const window = dom.window;
+    await waitForLoad(window);
+    
+    const instance = window[APPS[app].global];
+    await instance.ready;
+    return { window, document: window.document, app: instance, errors, close: () => window.close() };
+}
+
+// Runs the given scripts (paths from the repository root) in an empty page. Classes are
+// declared in the page's global scope, which window.eval reaches.
+async function loadScripts(files, options = {}) {
+    const tags = files.map(file => `<script src="/${file}"></script>`).join('');
+    const { dom, errors } = createDom(`<!DOCTYPE html><html><body>${tags}</body></html>`, `${ORIGIN}/`, options);
+    const window = dom.window;
+    await waitForLoad(window);
+    return { window, document: window.document, errors, get: name => window.eval(name), close: () => window.close() };
+}
+
+// Everything the page has stored, to open it again with the same data. Writes reach
+// localStorage in the background, so pending ones are waited for first.
+async function savedStorage(page) {
+    const cache = page.app.store ? page.app.store.storage : page.app.storage;
+    await cache.flush();
+    
+    const window = page.window;
+    const entries = {};
+    for (let i = 0; i < window.localStorage.length; i++) {
+        const key = window.localStorage.key(i);
+        entries[key] = window.localStorage.getItem(key);
+    }
+    return entries;
+}
+
+// Objects from the page belong to its realm, which strict deep equality tells apart from
+// this one's; a JSON copy compares by value
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Sets a field's value and fires the events typing would
+function type(field, value) {
+    const window = field.ownerDocument.defaultView;
+    field.value = value;
+    field.dispatchEvent(new window.Event('input', { bubbles: true }));
+}
+
+module.exports = { loadPage, loadScripts, savedStorage, plain, wait, type };
\ No newline at end of file
@@ -0,0 +1,132 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, plain } = require('./helpers');
+
+// Stored data of every earlier version is brought up to the current one. The apps'
+// migrations run here on their own, against an in-memory backend.
+describe('migrations', () => {
+    let page;
+    
+    afterEach(() => page.close());
+    
+    // Runs the migrations of the page's app (TodoApp or ContactForm) on the given entries
+    const migrate = async (app, versionKey, entries) => {
+        const { StorageCache, MemoryAdapter, SchemaMigrator } = page.window.eval('({ StorageCache, MemoryAdapter, SchemaMigrator })');
+        const cache = new StorageCache(new MemoryAdapter(entries));
+        await cache.load();
+        new SchemaMigrator(versionKey, page.window.eval(app).MIGRATIONS).run(cache);
+        return cache;
+    };
+    
+    describe('todo app', () => {
+        beforeEach(async () => {
+            page = await loadPage('todo-app');
+        });
+        
+        const createdAt = '2026-01-05T10:00:00.000Z';
+        const CURRENT = {
+            id: 1,
+            text: 'Water the plants',
+            completed: false,
+            createdAt: createdAt,
+            tags: ['home'],
+            dueDate: null,
+            priority: 'normal',
+            subtasks: [],
+            recurrence: null,
+            reminderAt: null,
+            completedAt: null,
+            completedAtEstimated: false
+        };
+        
+        // A todo as each version stored it
+        const STORED = {
+            0: { id: 1, text: 'Water the plants', completed: false, createdAt: createdAt, tags: ['Home', 'not a tag!'] },
+            2: { id: 1, text: 'Water the plants', completed: false, createdAt: createdAt, tags: ['home'], dueDate: null, priority: 'normal', subtasks: [] }
+        };
+        STORED[1] = STORED[0];
+        STORED[3] = { ...STORED[2], recurrence: null };
+        STORED[4] = { ...STORED[3], reminderAt: null };
+        
+        const todosOf = cache => {
+            const [list] = JSON.parse(cache.getItem('todoLists'));
+            return plain(JSON.parse(cache.getItem(`todos:${list.id}`)));
+        };
+        
+        test('moves todos saved before lists existed into a default list', async () => {
+            const cache = await migrate('TodoApp', 'todoSchemaVersion', { todos: JSON.stringify([STORED[0], { id: 'bad' }, null]) });
+            
+            assert.equal(cache.getItem('todos'), null);
+            assert.equal(JSON.parse(cache.getItem('todoLists'))[0].name, 'My Todos');
+            assert.deepEqual(todosOf(cache), [CURRENT]);
+            assert.equal(cache.getItem('todoSchemaVersion'), '5');
+        });
+        
+        for (const version of [1, 2, 3, 4]) {
+            test(`brings todos from version ${version} up to date`, async () => {
+                const cache = await migrate('TodoApp', 'todoSchemaVersion', {
+                    todoSchemaVersion: String(version),
+                    todoLists: JSON.stringify([{ id: 1, name: 'Home', createdAt: createdAt }]),
+                    'todos:1': JSON.stringify([STORED[version]])
+                });
+                assert.deepEqual(todosOf(cache), [CURRENT]);
+            });
+        }
+        
+        test('estimates when earlier todos were completed from their last change', async () => {
+            const done = { ...STORED[4], completed: true, updatedAt: '2026-01-06T10:00:00.000Z' };
+            const cache = await migrate('TodoApp', 'todoSchemaVersion', {
+                todoSchemaVersion: '4',
+                todoLists: JSON.stringify([{ id: 1, name: 'Home', createdAt: createdAt }]),
+                'todos:1': JSON.stringify([done])
+            });
+            assert.deepEqual(todosOf(cache), [{ ...done, completedAt: done.updatedAt, completedAtEstimated: true }]);
+        });
+        
+        test('leaves data from a newer version alone', async () => {
+            const todos = JSON.stringify([{ id: 1, text: 'From the future', shape: 'unknown' }]);
+            const cache = await migrate('TodoApp', 'todoSchemaVersion', { todoSchemaVersion: '99', 'todos:1': todos });
+            
+            assert.equal(cache.getItem('todos:1'), todos);
+            assert.equal(cache.getItem('todoSchemaVersion'), '99');
+        });
+    });
+    
+    describe('contact form', () => {
+        beforeEach(async () => {
+            page = await loadPage('contact-form');
+        });
+        
+        const timestamp = '2026-10-01T10:00:00.000Z';
+        const STORED = { id: 1, name: 'Ada', email: 'ada@example.com', message: 'Hello there, world', timestamp: timestamp };
+        
+        const messagesAfter = async (entries) => {
+            const cache = await migrate('ContactForm', 'contactSchemaVersion', entries);
+            assert.equal(cache.getItem('contactSchemaVersion'), '3');
+            return plain(JSON.parse(cache.getItem('contactMessages')));
+        };
+        
+        test('drops malformed messages and fills in delivery and flags', async () => {
+            const messages = await messagesAfter({
+                contactMessages: JSON.stringify([STORED, null, { ...STORED, id: 2, timestamp: 'soon' }, { id: 3 }])
+            });
+            assert.deepEqual(messages, [
+                { ...STORED, delivery: { status: 'sent', attempts: 0 }, read: true, starred: false, deletedAt: null }
+            ]);
+        });
+        
+        test('keeps what later versions stored', async () => {
+            const queued = { ...STORED, delivery: { status: 'queued', attempts: 2 } };
+            assert.deepEqual(
+                await messagesAfter({ contactSchemaVersion: '1', contactMessages: JSON.stringify([queued]) }),
+                [{ ...queued, read: true, starred: false, deletedAt: null }]
+            );
+            
+            const unread = { ...queued, read: false, starred: true, deletedAt: null };
+            assert.deepEqual(
+                await messagesAfter({ contactSchemaVersion: '2', contactMessages: JSON.stringify([{ ...unread, deletedAt: undefined }]) }),
+                [unread]
+            );
+        });
+    });
+});
\ No newline at end of file
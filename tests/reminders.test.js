@@ -0,0 +1,150 @@
+const { test, describe, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, loadScripts, savedStorage, plain } = require('./helpers');
+
+const START = Date.parse('2026-10-19T08:00:00.000Z');
+const MINUTE = 60 * 1000;
+const at = minutes => new Date(START + minutes * MINUTE).toISOString();
+
+// A clock whose time only moves on advance(), running the timers that come due on the way
+function fakeClock() {
+    let now = START;
+    let timers = [];
+    let nextId = 1;
+    
+    return {
+        delays: [],
+        now: () => now,
+        setTimeout(callback, delay) {
+            this.delays.push(delay);
+            timers.push({ id: nextId, at: now + delay, callback: callback });
+            return nextId++;
+        },
+        clearTimeout(id) {
+            timers = timers.filter(timer => timer.id !== id);
+        },
+        advance(ms) {
+            const end = now + ms;
+            let next;
+            while ((next = timers.filter(timer => timer.at <= end).sort((a, b) => a.at - b.at)[0])) {
+                timers = timers.filter(timer => timer !== next);
+                now = next.at;
+                next.callback();
+            }
+            now = end;
+        }
+    };
+}
+
+describe('ReminderScheduler', () => {
+    let page;
+    let ReminderScheduler;
+    
+    before(async () => {
+        page = await loadScripts(['shared/storage.js', 'shared/toolkit.js', 'todo-app/reminders.js']);
+        ReminderScheduler = page.get('ReminderScheduler');
+    });
+    
+    after(() => page.close());
+    
+    // A scheduler on a fake clock that records what it delivers and drops
+    const schedule = (reminders) => {
+        const clock = fakeClock();
+        const delivered = [];
+        const expired = [];
+        const scheduler = new ReminderScheduler({
+            clock: clock,
+            onDue: due => delivered.push(...due.map(reminder => [reminder.key, reminder.missed])),
+            onExpire: old => expired.push(...old.map(reminder => reminder.key))
+        });
+        scheduler.update(reminders);
+        return { clock, scheduler, delivered, expired };
+    };
+    
+    test('fires a reminder at its time', () => {
+        const { clock, delivered } = schedule([{ key: 'call', at: START + 5 * MINUTE }]);
+        
+        clock.advance(5 * MINUTE - 1);
+        assert.deepEqual(delivered, []);
+        clock.advance(1);
+        assert.deepEqual(delivered, [['call', false]]);
+    });
+    
+    test('catches up on reminders missed while the page was closed', () => {
+        const { delivered, expired, scheduler } = schedule([
+            { key: 'this morning', at: START - 2 * 60 * MINUTE },
+            { key: 'last month', at: START - 30 * 24 * 60 * MINUTE },
+            { key: 'later', at: START + 60 * MINUTE }
+        ]);
+        
+        assert.deepEqual(delivered, [['this morning', true]]);
+        assert.deepEqual(expired, ['last month']);
+        assert.deepEqual(plain(scheduler.pending.map(reminder => reminder.key)), ['later']);
+    });
+    
+    test('reschedules a snoozed reminder', () => {
+        const { clock, scheduler, delivered } = schedule([{ key: 'call:08:05', at: START + 5 * MINUTE }]);
+        clock.advance(5 * MINUTE);
+        
+        // Snoozing moves the reminder, which makes it a new one
+        scheduler.update([{ key: 'call:08:15', at: START + 15 * MINUTE }]);
+        clock.advance(9 * MINUTE);
+        assert.deepEqual(delivered, [['call:08:05', false]]);
+        clock.advance(MINUTE);
+        assert.deepEqual(delivered, [['call:08:05', false], ['call:08:15', false]]);
+    });
+    
+    test('wakes up at least once a minute until a distant reminder is due', () => {
+        const { clock, delivered } = schedule([{ key: 'tonight', at: START + 3 * 60 * MINUTE }]);
+        assert.deepEqual(clock.delays, [ReminderScheduler.MAX_DELAY]);
+        
+        clock.advance(3 * 60 * MINUTE);
+        assert.deepEqual(delivered, [['tonight', false]]);
+        assert.ok(clock.delays.every(delay => delay <= ReminderScheduler.MAX_DELAY));
+        assert.equal(clock.delays.length, 3 * 60 * MINUTE / ReminderScheduler.MAX_DELAY);
+    });
+});
+
+describe('TodoApp reminders', () => {
+    let page;
+    let schemaVersion;
+    
+    const HOME = { id: 1, name: 'Home', createdAt: at(-60) };
+    const todo = { id: 5, text: 'Call Ada', completed: false, createdAt: at(-60), reminderAt: at(5) };
+    
+    const reminderToasts = () => [...page.app.toasts.visible, ...page.app.toasts.queue]
+        .map(toast => toast.message)
+        .filter(message => message.startsWith('⏰'));
+    const button = label => [...page.document.querySelectorAll('button')].find(element => element.textContent === label);
+    
+    before(async () => {
+        const fresh = await loadPage('todo-app');
+        schemaVersion = (await savedStorage(fresh)).todoSchemaVersion;
+        fresh.close();
+    });
+    
+    afterEach(() => page.close());
+    
+    test('reminds on the given clock and comes back after a snooze', async () => {
+        const clock = fakeClock();
+        page = await loadPage('todo-app', {
+            storage: {
+                todoSchemaVersion: schemaVersion,
+                todoLists: JSON.stringify([HOME]),
+                activeTodoList: String(HOME.id),
+                'todos:1': JSON.stringify([todo])
+            },
+            appOptions: { clock }
+        });
+        
+        clock.advance(5 * MINUTE);
+        assert.deepEqual(reminderToasts(), ['⏰ Reminder: "Call Ada"']);
+        
+        button('10 min').click();
+        assert.equal(page.app.todos[0].reminderAt, at(15));
+        assert.deepEqual(reminderToasts(), []);
+        
+        clock.advance(10 * MINUTE);
+        assert.deepEqual(reminderToasts(), ['⏰ Reminder: "Call Ada"']);
+    });
+});
\ No newline at end of file
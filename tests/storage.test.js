@@ -0,0 +1,221 @@
+const { test, describe, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { loadScripts, plain } = require('./helpers');
+
+describe('storage', () => {
+    let page;
+    let IndexedDBAdapter, MemoryAdapter, StorageCache, SchemaMigrator, TodoStore;
+    
+    before(async () => {
+        page = await loadScripts(['shared/storage.js', 'todo-app/storage.js']);
+        [IndexedDBAdapter, MemoryAdapter, StorageCache, SchemaMigrator, TodoStore] =
+            ['IndexedDBAdapter', 'MemoryAdapter', 'StorageCache', 'SchemaMigrator', 'TodoStore'].map(page.get);
+    });
+    
+    after(() => page.close());
+    
+    const todo = (id, text) => ({ id: id, text: text, completed: false, createdAt: '2026-10-01T10:00:00.000Z' });
+    
+    // Two tabs on the same backend. MemoryAdapter doesn't tell one about the other's
+    // writes, like a tab whose change notification hasn't arrived yet.
+    async function openTabs(entries = {}) {
+        const adapter = new MemoryAdapter(entries);
+        const tabs = [new StorageCache(adapter), new StorageCache(adapter)];
+        await Promise.all(tabs.map(cache => cache.load()));
+        return { adapter, caches: tabs, stores: tabs.map(cache => new TodoStore(cache)) };
+    }
+    
+    const storedTexts = async (adapter, listId) => JSON.parse(await adapter.get(TodoStore.listKey(listId))).map(saved => saved.text);
+    
+    describe('TodoStore across tabs', () => {
+        test('keeps both todos when two tabs add one at the same time', async () => {
+            const { adapter, caches, stores: [first, second] } = await openTabs();
+            first.readTodos(1);
+            second.readTodos(1);
+            
+            first.writeTodos(1, [todo(1, 'From the first tab')]);
+            second.writeTodos(1, [todo(2, 'From the second tab')]);
+            await Promise.all(caches.map(cache => cache.flush()));
+            
+            assert.deepEqual(await storedTexts(adapter, 1), ['From the first tab', 'From the second tab']);
+        });
+        
+        test('tells the tab whose write was merged, so it can reload', async () => {
+            const { caches, stores: [first, second] } = await openTabs();
+            const changed = [];
+            caches[1].subscribe(key => changed.push(key));
+            first.readTodos(1);
+            second.readTodos(1);
+            
+            first.writeTodos(1, [todo(1, 'From the first tab')]);
+            second.writeTodos(1, [todo(2, 'From the second tab')]);
+            await Promise.all(caches.map(cache => cache.flush()));
+            
+            assert.deepEqual(changed, ['todos:1']);
+            assert.deepEqual(plain(second.readTodos(1).map(saved => saved.id)), [1, 2]);
+        });
+        
+        test('keeps a deletion from one tab and an addition from the other', async () => {
+            const createdAt = '2026-10-01T10:00:00.000Z';
+            const existing = [{ ...todo(1, 'Old'), updatedAt: createdAt }];
+            const { adapter, caches, stores: [first, second] } = await openTabs({ 'todos:1': JSON.stringify(existing) });
+            first.readTodos(1);
+            const seen = second.readTodos(1);
+            
+            first.writeTodos(1, []);
+            second.writeTodos(1, [todo(2, 'New'), ...seen]);
+            await Promise.all(caches.map(cache => cache.flush()));
+            
+            assert.deepEqual(await storedTexts(adapter, 1), ['New']);
+            assert.deepEqual(Object.keys(JSON.parse(await adapter.get(TodoStore.tombstoneKey(1)))), ['1']);
+        });
+    });
+    
+    describe('IndexedDBAdapter', () => {
+        // Each test gets its own fake database server; adapters are closed afterwards so
+        // their broadcast channels don't keep the test run alive
+        let indexedDB;
+        const opened = [];
+        const open = async () => {
+            const adapter = await new IndexedDBAdapter('test', { indexedDB, BroadcastChannel }).open();
+            opened.push(adapter);
+            return adapter;
+        };
+        
+        beforeEach(() => {
+            indexedDB = new IDBFactory();
+        });
+        
+        afterEach(() => {
+            opened.splice(0).forEach(adapter => {
+                adapter.channel.close();
+                adapter.db.close();
+            });
+        });
+        
+        test('stores, lists and removes values', async () => {
+            const adapter = await open();
+            await adapter.set('a', '1');
+            await adapter.setMany({ b: '2', c: '3' });
+            await adapter.remove('c');
+            
+            assert.equal(await adapter.get('a'), '1');
+            assert.equal(await adapter.get('c'), null);
+            assert.deepEqual(plain(await adapter.entries()), { a: '1', b: '2' });
+        });
+        
+        test('applies concurrent updates one after the other', async () => {
+            const [first, second] = [await open(), await open()];
+            const append = item => current => JSON.stringify([...JSON.parse(current || '[]'), item]);
+            
+            await Promise.all([first.update('list', append('a')), second.update('list', append('b'))]);
+            assert.deepEqual(JSON.parse(await first.get('list')), ['a', 'b']);
+        });
+        
+        test('tells other tabs which key changed', async () => {
+            const [first, second] = [await open(), await open()];
+            const changed = new Promise(resolve => second.subscribe((key, value) => resolve([key, value])));
+            
+            await first.set('todoLists', '[]');
+            assert.deepEqual(await changed, ['todoLists', '[]']);
+        });
+        
+        test('moves localStorage data over once', async () => {
+            const localStorage = page.window.localStorage;
+            localStorage.clear();
+            localStorage.setItem('todoLists', '[1]');
+            localStorage.setItem('unrelated', 'x');
+            const options = { name: 'test', indexedDB, BroadcastChannel: null, localStorage, includes: key => key === 'todoLists' };
+            
+            const cache = await StorageCache.open(options);
+            assert.equal(cache.getItem('todoLists'), '[1]');
+            assert.equal(localStorage.getItem('todoLists'), null);
+            assert.equal(localStorage.getItem('unrelated'), 'x');
+            cache.adapter.db.close();
+            
+            // Data saved in localStorage later (e.g. by an old tab) is not imported again
+            localStorage.setItem('todoLists', '[2]');
+            const reopened = await StorageCache.open(options);
+            assert.equal(reopened.getItem('todoLists'), '[1]');
+            reopened.adapter.db.close();
+        });
+    });
+    
+    describe('SchemaMigrator', () => {
+        const MIGRATIONS = [
+            { version: 2, migrate: storage => storage.setItem('log', `${storage.getItem('log')},2`) },
+            { version: 1, migrate: storage => storage.setItem('log', `${storage.getItem('log')},1`) },
+            { version: 3, migrate: storage => storage.setItem('log', `${storage.getItem('log')},3`) }
+        ];
+        const migrate = async (entries) => {
+            const cache = new StorageCache(new MemoryAdapter({ log: 'start', ...entries }));
+            await cache.load();
+            const version = new SchemaMigrator('schemaVersion', MIGRATIONS).run(cache);
+            return { version, log: cache.getItem('log'), stored: cache.getItem('schemaVersion') };
+        };
+        
+        test('runs the pending migrations in version order', async () => {
+            assert.deepEqual(await migrate({}), { version: 3, log: 'start,1,2,3', stored: '3' });
+            assert.deepEqual(await migrate({ schemaVersion: '1' }), { version: 3, log: 'start,2,3', stored: '3' });
+            assert.deepEqual(await migrate({ schemaVersion: '3' }), { version: 3, log: 'start', stored: '3' });
+        });
+        
+        test('records each version as it is reached', async () => {
+            const cache = new StorageCache(new MemoryAdapter());
+            const failing = [...MIGRATIONS, { version: 4, migrate() { throw new Error('broken'); } }];
+            
+            assert.throws(() => new SchemaMigrator('schemaVersion', failing).run(cache), /broken/);
+            assert.equal(cache.getItem('schemaVersion'), '3');
+        });
+        
+        test('leaves data from a newer version untouched', async () => {
+            assert.deepEqual(await migrate({ schemaVersion: '7' }), { version: 7, log: 'start', stored: '7' });
+        });
+    });
+    
+    describe('TodoStore.merge', () => {
+        const store = () => new TodoStore(new StorageCache(new MemoryAdapter()));
+        const at = minute => `2026-10-01T10:${String(minute).padStart(2, '0')}:00.000Z`;
+        const version = (id, text, minute) => ({ ...todo(id, text), updatedAt: at(minute) });
+        const texts = todos => plain(todos.map(saved => saved.text));
+        
+        test('keeps the newer version of each todo', () => {
+            const merged = store().merge(
+                [version(1, 'Mine, newer', 5), version(2, 'Mine, older', 1)],
+                [version(1, 'Theirs, older', 2), version(2, 'Theirs, newer', 6)],
+                {}
+            );
+            assert.deepEqual(texts(merged), ['Mine, newer', 'Theirs, newer']);
+        });
+        
+        test('removes todos deleted after their last change', () => {
+            const merged = store().merge(
+                [version(1, 'Deleted there', 1), version(2, 'Edited after the delete', 9)],
+                [],
+                { 1: at(3), 2: at(3) }
+            );
+            assert.deepEqual(texts(merged), ['Edited after the delete']);
+        });
+        
+        test('slots in todos that only the other copy has at their position', () => {
+            const merged = store().merge(
+                [version(1, 'One', 1), version(3, 'Three', 1)],
+                [version(1, 'One', 1), version(2, 'Two', 1), version(3, 'Three', 1), version(4, 'Deleted here', 1)],
+                { 4: at(2) }
+            );
+            assert.deepEqual(texts(merged), ['One', 'Two', 'Three']);
+        });
+        
+        test('drops expired tombstones and keeps the other tab\'s', async () => {
+            const adapter = new MemoryAdapter({ 'todoTombstones:1': JSON.stringify({ 7: new Date().toISOString() }) });
+            const cache = new StorageCache(adapter);
+            const todoStore = new TodoStore(cache);
+            const expired = new Date(Date.now() - TodoStore.TOMBSTONE_TTL - 1000).toISOString();
+            
+            todoStore.writeTombstones(1, { 8: new Date().toISOString(), 9: expired });
+            await cache.flush();
+            assert.deepEqual(Object.keys(JSON.parse(await adapter.get('todoTombstones:1'))), ['7', '8']);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,270 @@
+const { test, describe, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, savedStorage, plain, wait, type } = require('./helpers');
+
+describe('TodoApp', () => {
+    let page;
+    let schemaVersion;
+    
+    const HOME = { id: 1, name: 'Home', createdAt: '2026-01-01T00:00:00.000Z' };
+    
+    // Storage as the current version would leave it, so no migrations run
+    const seeded = (entries = {}) => ({
+        todoSchemaVersion: schemaVersion,
+        todoLists: JSON.stringify([HOME]),
+        activeTodoList: String(HOME.id),
+        ...entries
+    });
+    
+    const add = (text) => {
+        type(page.document.getElementById('todoInput'), text);
+        page.document.getElementById('addBtn').click();
+    };
+    const rowTexts = () => [...page.document.querySelectorAll('.todo-item .todo-text')].map(element => element.textContent);
+    // Shown or still waiting in the queue
+    const toasts = type => [...page.app.toasts.visible, ...page.app.toasts.queue]
+        .filter(toast => toast.type === type)
+        .map(toast => toast.message);
+    const row = text => [...page.document.querySelectorAll('.todo-item')].find(element => element.querySelector('.todo-text').textContent === text);
+    
+    before(async () => {
+        const fresh = await loadPage('todo-app');
+        schemaVersion = (await savedStorage(fresh)).todoSchemaVersion;
+        fresh.close();
+    });
+    
+    afterEach(() => page.close());
+    
+    test('starts with a default list and an empty state', async () => {
+        page = await loadPage('todo-app');
+        assert.equal(page.app.lists.length, 1);
+        assert.equal(page.app.lists[0].name, 'My Todos');
+        assert.equal(page.document.querySelector('.empty-state.no-todos h3').textContent, '📝 No todos yet!');
+    });
+    
+    test('ignores the controls until storage is open', async () => {
+        let early;
+        page = await loadPage('todo-app', {
+            storage: seeded(),
+            beforeParse(window) {
+                // Runs right after the app is created, before its storage is open
+                window.addEventListener('DOMContentLoaded', () => {
+                    early = !!window.todoApp.store;
+                    type(window.document.getElementById('todoInput'), 'Typed early');
+                    window.document.getElementById('addBtn').click();
+                });
+            }
+        });
+        
+        assert.equal(early, false);
+        assert.deepEqual(page.errors, []);
+        assert.deepEqual(rowTexts(), []);
+        
+        // What was typed is kept and can be added now
+        assert.equal(page.document.getElementById('addBtn').disabled, false);
+        page.document.getElementById('addBtn').click();
+        assert.deepEqual(rowTexts(), ['Typed early']);
+    });
+    
+    test('adds todos with their tags and rejects empty or overlong text', async () => {
+        page = await loadPage('todo-app', { storage: seeded() });
+        add('Buy milk #errands');
+        add('Walk the dog');
+        
+        assert.deepEqual(rowTexts(), ['Walk the dog', 'Buy milk']);
+        assert.deepEqual(plain(page.app.todos[1].tags), ['errands']);
+        assert.match(page.document.getElementById('todoStats').textContent, /2 todos, 0 completed/);
+        
+        page.document.getElementById('todoInput').value = '   ';
+        page.app.addTodo();
+        page.document.getElementById('todoInput').value = 'x'.repeat(201);
+        page.app.addTodo();
+        
+        assert.equal(page.app.todos.length, 2);
+        assert.equal(page.app.toasts.visible.length, 3);
+        assert.deepEqual(toasts('error'), ['Please enter a todo item', 'Todo text is too long (max 200 characters)']);
+    });
+    
+    test('filters by status and search query', async () => {
+        page = await loadPage('todo-app', { storage: seeded() });
+        add('Buy milk #errands');
+        add('Walk the dog');
+        add('Post letters #errands');
+        row('Walk the dog').querySelector('.todo-checkbox').click();
+        
+        const filter = name => page.document.querySelector(`.filter-btn[data-filter="${name}"]`).click();
+        filter('active');
+        assert.deepEqual(rowTexts(), ['Post letters', 'Buy milk']);
+        filter('completed');
+        assert.deepEqual(rowTexts(), ['Walk the dog']);
+        filter('all');
+        
+        type(page.document.getElementById('searchInput'), '#errands -milk');
+        await wait(450);
+        assert.deepEqual(rowTexts(), ['Post letters']);
+        
+        type(page.document.getElementById('searchInput'), 'LET');
+        await wait(450);
+        assert.equal(row('Post letters').querySelector('.todo-text mark').textContent, 'let');
+        
+        type(page.document.getElementById('searchInput'), 'nothing like this');
+        await wait(450);
+        assert.equal(rowTexts().length, 0);
+        assert.ok(page.document.querySelector('.empty-state.no-search-results'));
+    });
+    
+    test('keeps todos and preferences across reloads', async () => {
+        page = await loadPage('todo-app', { storage: seeded() });
+        add('Buy milk');
+        add('Walk the dog');
+        row('Buy milk').querySelector('.todo-checkbox').click();
+        
+        const sortSelect = page.document.getElementById('sortSelect');
+        sortSelect.value = 'alphabetical';
+        sortSelect.dispatchEvent(new page.window.Event('change'));
+        
+        const storage = await savedStorage(page);
+        page.close();
+        page = await loadPage('todo-app', { storage });
+        
+        assert.deepEqual(rowTexts(), ['Buy milk', 'Walk the dog']);
+        assert.deepEqual(plain(page.app.todos.map(todo => [todo.text, todo.completed])), [['Walk the dog', false], ['Buy milk', true]]);
+        assert.ok(page.app.todos[1].completedAt);
+        assert.equal(page.app.todos[1].completedAtEstimated, false);
+        assert.equal(page.document.getElementById('sortSelect').value, 'alphabetical');
+    });
+    
+    test('marks the average completion time as estimated when some times were guessed', async () => {
+        const createdAt = '2026-10-01T10:00:00.000Z';
+        page = await loadPage('todo-app', {
+            storage: seeded({
+                'todos:1': JSON.stringify([
+                    { id: 1, text: 'Done long ago', completed: true, createdAt, updatedAt: '2026-10-01T14:00:00.000Z', completedAt: null },
+                    { id: 2, text: 'Done today', completed: true, createdAt, completedAt: '2026-10-01T12:00:00.000Z' }
+                ])
+            })
+        });
+        page.document.getElementById('statsBtn').click();
+        
+        const cards = [...page.document.querySelectorAll('.stats-card')]
+            .map(card => [card.querySelector('.stats-label').textContent, card.querySelector('.stats-value').textContent]);
+        assert.deepEqual(cards.slice(0, 4), [['Completed', '2'], ['Active', '0'], ['Overdue', '0'], ['Avg. time to complete', '≈ 3 hr']]);
+        assert.deepEqual(plain(page.app.todos.map(todo => [todo.completedAt, todo.completedAtEstimated])), [
+            ['2026-10-01T14:00:00.000Z', true],
+            ['2026-10-01T12:00:00.000Z', false]
+        ]);
+    });
+    
+    test('shows repeat rules in the chosen language and edits them in English', async () => {
+        const recurrence = { freq: 'weekly', interval: 2, days: [1, 5], start: '2026-10-19', until: null };
+        page = await loadPage('todo-app', {
+            storage: seeded({
+                appLocale: 'es',
+                'todos:1': JSON.stringify([{ id: 1, text: 'Regar', completed: false, createdAt: '2026-10-01T10:00:00.000Z', dueDate: '2026-10-19', recurrence }])
+            })
+        });
+        
+        assert.equal(page.document.querySelector('.todo-repeat').textContent, '↻ Cada 2 semanas: lun y vie');
+        
+        row('Regar').querySelector('.todo-text').dispatchEvent(new page.window.MouseEvent('dblclick', { bubbles: true }));
+        assert.equal(page.document.querySelector('.todo-edit-repeat').value, 'Every 2 weeks on Mon, Fri');
+    });
+    
+    test('forgets undo steps that would bring back a deleted list', async () => {
+        const WORK = { id: 2, name: 'Work', createdAt: HOME.createdAt };
+        page = await loadPage('todo-app', { storage: seeded({ todoLists: JSON.stringify([HOME, WORK]) }) });
+        page.window.confirm = () => true;
+        add('Buy milk');
+        add('File the report');
+        page.app.moveTodo(page.app.todos[0].id, WORK.id);
+        
+        page.app.deleteList(WORK.id);
+        page.app.undo();
+        assert.deepEqual(rowTexts(), ['Buy milk']);
+        
+        // Only adding the todos can be undone
+        page.app.undo();
+        page.app.undo();
+        assert.deepEqual(rowTexts(), []);
+        assert.deepEqual(toasts('info').slice(-1), ['Nothing to undo']);
+        assert.equal((await savedStorage(page))['todos:2'], undefined);
+    });
+    
+    test('looks for reminders again only in the list that changed', async () => {
+        const WORK = { id: 2, name: 'Work', createdAt: HOME.createdAt };
+        const report = { id: 7, text: 'File the report', completed: false, createdAt: HOME.createdAt, reminderAt: '2099-01-01T09:00:00.000Z' };
+        page = await loadPage('todo-app', {
+            storage: seeded({ todoLists: JSON.stringify([HOME, WORK]), 'todos:2': JSON.stringify([report]) })
+        });
+        const pending = () => plain(page.app.reminders.pending.map(reminder => reminder.key));
+        assert.deepEqual(pending(), ['7:reminder:2099-01-01T09:00:00.000Z']);
+        
+        const read = [];
+        const readListTodos = page.app.readListTodos.bind(page.app);
+        page.app.readListTodos = listId => {
+            read.push(listId);
+            return readListTodos(listId);
+        };
+        add('Buy milk');
+        assert.deepEqual(read, []);
+        assert.deepEqual(pending(), ['7:reminder:2099-01-01T09:00:00.000Z']);
+        
+        page.window.confirm = () => true;
+        page.app.deleteList(WORK.id);
+        assert.deepEqual(pending(), []);
+    });
+    
+    test('recovers from a corrupted todo list', async () => {
+        page = await loadPage('todo-app', { storage: seeded({ 'todos:1': '{"id": 1, "text": ' }) });
+        
+        assert.deepEqual(plain(page.app.todos), []);
+        assert.deepEqual(toasts('error'), ['Failed to load saved todos.']);
+        assert.ok(page.errors.some(error => error.startsWith('Error loading todos')));
+        
+        // The next save replaces the unreadable data
+        add('Start over');
+        const stored = JSON.parse((await savedStorage(page))['todos:1']);
+        assert.deepEqual(stored.map(todo => todo.text), ['Start over']);
+    });
+    
+    test('drops malformed todos and keeps the valid ones', async () => {
+        const createdAt = '2026-10-01T10:00:00.000Z';
+        page = await loadPage('todo-app', {
+            storage: seeded({
+                'todos:1': JSON.stringify([
+                    null,
+                    { id: 2, text: 'Written before subtasks existed', completed: false, createdAt },
+                    { id: 3, text: 'Bad date', completed: false, createdAt: 'last tuesday' },
+                    { id: 4, completed: true, createdAt },
+                    'not a todo',
+                    { id: 5, text: 'Fine', completed: true, createdAt, completedAt: createdAt, tags: ['home'], subtasks: [null] }
+                ])
+            })
+        });
+        
+        assert.deepEqual(rowTexts(), ['Written before subtasks existed', 'Fine']);
+        assert.deepEqual(plain(page.app.todos.map(todo => todo.subtasks)), [[], []]);
+        
+        // Saving keeps the valid todos and drops the rest
+        add('Another one');
+        const stored = JSON.parse((await savedStorage(page))['todos:1']);
+        assert.deepEqual(stored.map(todo => todo.id).slice(1), [2, 5]);
+        assert.equal(stored[0].text, 'Another one');
+    });
+    
+    test('treats stored data of the wrong shape as empty', async () => {
+        page = await loadPage('todo-app', {
+            storage: seeded({
+                todoLists: '{"not": "a list"}',
+                'todos:1': '"just a string"',
+                todoSort: 'sideways'
+            })
+        });
+        
+        // A fresh default list replaces the unusable ones
+        assert.equal(page.app.lists.length, 1);
+        assert.equal(page.app.lists[0].name, 'My Todos');
+        assert.deepEqual(plain(page.app.todos), []);
+        assert.equal(page.app.currentSort, 'created');
+    });
+});
\ No newline at end of file
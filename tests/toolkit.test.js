@@ -0,0 +1,207 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain, wait } = require('./helpers');
+
+describe('shared toolkit', () => {
+    let page;
+    let Debouncer, DateKey, Html, Csv, ToastManager, SafeStorage;
+    
+    before(async () => {
+        page = await loadScripts(['shared/storage.js', 'shared/toolkit.js']);
+        [Debouncer, DateKey, Html, Csv, ToastManager, SafeStorage] =
+            ['Debouncer', 'DateKey', 'Html', 'Csv', 'ToastManager', 'SafeStorage'].map(page.get);
+    });
+    
+    after(() => page.close());
+    
+    describe('Debouncer', () => {
+        test('runs only the last call once input settles', async () => {
+            const debouncer = new Debouncer();
+            const calls = [];
+            debouncer.run('search', () => calls.push('a'), 20);
+            debouncer.run('search', () => calls.push('b'), 20);
+            
+            assert.equal(debouncer.isPending('search'), true);
+            await wait(40);
+            assert.deepEqual(calls, ['b']);
+            assert.equal(debouncer.isPending('search'), false);
+        });
+        
+        test('keeps a timer per key and can cancel them', async () => {
+            const debouncer = new Debouncer();
+            const calls = [];
+            debouncer.run('name', () => calls.push('name'), 10);
+            debouncer.run('email', () => calls.push('email'), 10);
+            debouncer.run('draft', () => calls.push('draft'), 10);
+            debouncer.cancel('email');
+            
+            await wait(30);
+            assert.deepEqual(calls.sort(), ['draft', 'name']);
+            
+            debouncer.run('name', () => calls.push('late'), 10);
+            debouncer.cancelAll();
+            await wait(30);
+            assert.equal(calls.includes('late'), false);
+        });
+    });
+    
+    describe('DateKey', () => {
+        test('formats local dates as YYYY-MM-DD', () => {
+            assert.equal(DateKey.from(new Date(2026, 0, 5, 23, 59)), '2026-01-05');
+        });
+        
+        test('parses keys to local midnight and adds days across months', () => {
+            const date = DateKey.toDate('2026-03-31');
+            assert.deepEqual([date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()], [2026, 2, 31, 0]);
+            assert.equal(DateKey.addDays('2026-03-31', 1), '2026-04-01');
+            assert.equal(DateKey.addDays('2026-01-01', -1), '2025-12-31');
+        });
+    });
+    
+    describe('Html', () => {
+        test('escapes markup and quotes', () => {
+            assert.equal(Html.escape('<b>"Tom" & Jerry\'s</b>'), '&lt;b&gt;&quot;Tom&quot; &amp; Jerry&#39;s&lt;/b&gt;');
+            assert.equal(Html.escape(null), '');
+            assert.equal(Html.escape(3), '3');
+        });
+        
+        test('highlights terms without splitting entities or nesting marks', () => {
+            assert.equal(Html.highlight('Fish & chips', ['chip', 'hips']), 'Fish &amp; <mark>chips</mark>');
+            assert.equal(Html.highlight('a<b', ['<']), 'a<mark>&lt;</mark>b');
+            assert.equal(Html.highlight('nothing here', ['zzz']), 'nothing here');
+        });
+        
+        test('builds empty states with and without a hint', () => {
+            const plain = Html.emptyState({ title: 'No messages <yet>' });
+            assert.equal(plain.className, 'empty-state');
+            assert.equal(plain.textContent, 'No messages <yet>');
+            
+            const hinted = Html.emptyState({ title: 'No todos', hint: 'Add one above', className: 'no-todos' });
+            assert.equal(hinted.className, 'empty-state no-todos');
+            assert.equal(hinted.querySelector('h3').textContent, 'No todos');
+            assert.equal(hinted.querySelector('p').textContent, 'Add one above');
+        });
+    });
+    
+    describe('Csv', () => {
+        test('quotes cells with commas, quotes and line breaks', () => {
+            assert.equal(Csv.escape('plain'), 'plain');
+            assert.equal(Csv.escape(42), '42');
+            assert.equal(Csv.escape('a, "b"'), '"a, ""b"""');
+            assert.equal(Csv.escape('two\nlines'), '"two\nlines"');
+        });
+        
+        test('keeps spreadsheet apps from running cells as formulas and undoes it on import', () => {
+            const cells = ['=1+1', '+1', '-1', '@SUM(A1)', '\t=1+1', '\r=1+1'];
+            assert.deepEqual(plain(cells.map(cell => Csv.escape(cell))), ["'=1+1", "'+1", "'-1", "'@SUM(A1)", "'\t=1+1", `"'\r=1+1"`]);
+            assert.deepEqual(plain(cells.map(cell => Csv.unescape(`'${cell}`))), cells);
+            assert.equal(Csv.unescape("'quoted on purpose"), "'quoted on purpose");
+        });
+    });
+    
+    describe('ToastManager', () => {
+        test('stacks up to maxVisible toasts and queues the rest', async () => {
+            const toasts = new ToastManager({ maxVisible: 2 });
+            toasts.show('one', 'info', null, Infinity);
+            const hideTwo = toasts.show('two', 'info', null, Infinity);
+            toasts.show('three', 'error', null, Infinity);
+            
+            assert.deepEqual(plain(toasts.visible.map(toast => toast.message)), ['one', 'two']);
+            assert.deepEqual(plain(toasts.queue.map(toast => toast.message)), ['three']);
+            assert.equal(page.document.querySelectorAll('.toast-stack').length, 1);
+            
+            hideTwo();
+            assert.deepEqual(plain(toasts.visible.map(toast => toast.message)), ['one', 'three']);
+            assert.equal(toasts.queue.length, 0);
+            
+            toasts.clear();
+            assert.equal(toasts.visible.length, 0);
+            await wait(ToastManager.EXIT_DURATION + 20);
+            assert.equal(toasts.stack.children.length, 0);
+        });
+        
+        test('hides toasts after their duration', async () => {
+            const toasts = new ToastManager();
+            toasts.show('saved', 'success', null, 20);
+            assert.equal(toasts.visible.length, 1);
+            await wait(40);
+            assert.equal(toasts.visible.length, 0);
+        });
+        
+        test('runs an action and closes its toast', () => {
+            const toasts = new ToastManager();
+            let undone = false;
+            toasts.show('Deleted', 'success', { label: 'Undo', handler: () => { undone = true; } }, Infinity);
+            
+            const button = toasts.visible[0].element.querySelector('.notification-action');
+            assert.equal(button.textContent, 'Undo');
+            button.click();
+            assert.equal(undone, true);
+            assert.equal(toasts.visible.length, 0);
+        });
+        
+        test('announces through the given callback or a live region', () => {
+            const announced = [];
+            const toasts = new ToastManager({ announce: (message, type) => announced.push(`${type}:${message}`) });
+            toasts.show('Oops', 'error', null, Infinity);
+            assert.deepEqual(announced, ['error:Oops']);
+            assert.equal(toasts.stack.hasAttribute('aria-live'), false);
+            toasts.clear();
+            
+            const live = new ToastManager();
+            live.show('Hi', 'info', null, Infinity);
+            assert.equal(live.stack.getAttribute('aria-live'), 'polite');
+            live.clear();
+        });
+        
+        test('sits on the left in right-to-left pages', () => {
+            page.document.documentElement.dir = 'rtl';
+            const toasts = new ToastManager();
+            toasts.show('مرحبا', 'info', null, Infinity);
+            assert.equal(toasts.stack.style.left, '20px');
+            assert.equal(toasts.stack.style.right, '');
+            toasts.clear();
+            page.document.documentElement.dir = '';
+        });
+    });
+    
+    describe('SafeStorage', () => {
+        const failing = {
+            getItem() { throw new Error('blocked'); },
+            setItem() { throw new Error('full'); }
+        };
+        
+        test('reads values and JSON with fallbacks', () => {
+            const storage = new SafeStorage(page.window.localStorage);
+            storage.setItem('count', 3);
+            assert.equal(storage.getItem('count'), '3');
+            assert.equal(storage.getItem('missing', 'none'), 'none');
+            
+            assert.equal(storage.writeJson('list', [1, 2]), true);
+            assert.deepEqual(plain(storage.readJson('list', [], Array.isArray)), [1, 2]);
+        });
+        
+        test('reports corrupted or unexpected JSON and returns the fallback', () => {
+            const errors = [];
+            const storage = new SafeStorage(page.window.localStorage, { onError: (error, action, key) => errors.push(`${action} ${key}`) });
+            page.window.localStorage.setItem('broken', '{not json');
+            page.window.localStorage.setItem('object', '{"a":1}');
+            
+            assert.deepEqual(storage.readJson('broken', []), []);
+            assert.deepEqual(storage.readJson('object', [], Array.isArray), []);
+            assert.deepEqual(errors, ['reading broken', 'reading object']);
+        });
+        
+        test('survives storage that throws or is missing', () => {
+            const errors = [];
+            const storage = new SafeStorage(failing, { onError: error => errors.push(error.message) });
+            assert.equal(storage.getItem('key', 'fallback'), 'fallback');
+            assert.equal(storage.setItem('key', 'value'), false);
+            assert.deepEqual(errors, ['blocked', 'full']);
+            
+            const none = new SafeStorage(null);
+            assert.equal(none.getItem('key', 'fallback'), 'fallback');
+            assert.equal(none.setItem('key', 'value'), false);
+        });
+    });
+});
\ No newline at end of file
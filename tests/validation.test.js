@@ -0,0 +1,126 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers');
+
+describe('FormValidator', () => {
+    let page;
+    let FormValidator;
+    
+    before(async () => {
+        page = await loadScripts(['contact-form/validation.js']);
+        FormValidator = page.get('FormValidator');
+    });
+    
+    after(() => page.close());
+    
+    const schema = () => ({
+        name: { required: true, minLength: 2 },
+        email: { required: true, email: true },
+        confirmEmail: { label: 'Confirm email', matches: 'email' },
+        message: { required: true, minLength: 10, maxLength: 20, messages: { minLength: 'Tell us a bit more' } },
+        code: { pattern: '[A-Z]{3}' }
+    });
+    
+    test('accepts valid values and trims them first', async () => {
+        const validator = new FormValidator(schema());
+        const result = await validator.validate({
+            name: '  Ada ',
+            email: 'ada@example.com',
+            confirmEmail: 'ada@example.com ',
+            message: 'Hello there!',
+            code: ''
+        });
+        assert.deepEqual(plain(result), { valid: true, errors: {} });
+    });
+    
+    test('reports the first failing rule of each field', async () => {
+        const validator = new FormValidator(schema());
+        const { valid, errors } = await validator.validate({
+            name: 'A',
+            email: 'not-an-email',
+            confirmEmail: 'other@example.com',
+            message: 'Short',
+            code: 'abc'
+        });
+        
+        assert.equal(valid, false);
+        assert.deepEqual(plain(errors), {
+            name: 'Name must be at least 2 characters long',
+            email: 'Please enter a valid email address',
+            confirmEmail: 'Confirm email must match Email',
+            message: 'Tell us a bit more',
+            code: 'Code is not in the expected format'
+        });
+    });
+    
+    test('requires required fields and skips empty optional ones', async () => {
+        const validator = new FormValidator(schema());
+        assert.equal(await validator.validateField('name', { name: '   ' }), 'Name is required');
+        assert.equal(await validator.validateField('code', { code: '' }), null);
+        assert.equal(
+            await validator.validateField('message', { message: 'x'.repeat(21) }),
+            'Message must be at most 20 characters long'
+        );
+    });
+    
+    test('runs custom validators, including async and named ones', async () => {
+        const taken = async value => (value === 'admin' ? 'That username is taken' : null);
+        const validator = new FormValidator(
+            { username: { required: true, validators: ['noSpaces', taken] } },
+            { validators: { noSpaces: value => (/\s/.test(value) ? 'No spaces, please' : null) } }
+        );
+        
+        assert.equal(await validator.validateField('username', { username: 'ada lovelace' }), 'No spaces, please');
+        assert.equal(await validator.validateField('username', { username: 'admin' }), 'That username is taken');
+        assert.equal(await validator.validateField('username', { username: 'ada' }), null);
+    });
+    
+    test('checks the number, type and size of files', async () => {
+        const validator = new FormValidator({
+            attachments: { files: true, accept: ['image/*', '.pdf'], maxSize: 1024, maxFiles: 2 }
+        });
+        const file = (name, type, size) => ({ name, type, size });
+        
+        assert.equal(await validator.validateField('attachments', { attachments: [file('a.png', 'image/png', 10)] }), null);
+        assert.equal(
+            await validator.validateField('attachments', { attachments: [file('run.exe', 'application/x-msdownload', 10)] }),
+            'run.exe is not a supported file type'
+        );
+        assert.equal(
+            await validator.validateField('attachments', { attachments: [file('big.pdf', 'application/pdf', 2048)] }),
+            'big.pdf is larger than 1 KB'
+        );
+        assert.equal(
+            await validator.validateField('attachments', { attachments: [1, 2, 3].map(n => file(`${n}.pdf`, '', 1)) }),
+            'You can attach at most 2 files'
+        );
+    });
+    
+    test('builds its schema from form markup', () => {
+        page.document.body.innerHTML = `
+            <form>
+                <input name="email" type="email" required data-label="Your email">
+                <input name="confirm" data-match="email" data-error-matches="Emails differ">
+                <textarea name="message" minlength="10" maxlength="200"></textarea>
+                <input name="files" type="file" multiple accept="image/*, .pdf" data-max-size="5MB" data-max-files="3">
+                <button type="submit" name="send">Send</button>
+            </form>
+        `;
+        const schema = FormValidator.fromElements(page.document.querySelector('form').elements);
+        
+        assert.deepEqual(plain(schema), {
+            email: { label: 'Your email', required: true, email: true },
+            confirm: { matches: 'email', messages: { matches: 'Emails differ' } },
+            message: { minLength: 10, maxLength: 200 },
+            files: { files: true, accept: ['image/*', '.pdf'], maxSize: 5 * 1024 * 1024, maxFiles: 3 }
+        });
+    });
+    
+    test('accepts message functions, e.g. for plural forms', async () => {
+        const validator = new FormValidator(
+            { name: { minLength: 1, maxLength: 3 } },
+            { messages: { maxLength: params => `At most ${params.maxLength} ${params.maxLength === 1 ? 'letter' : 'letters'}` } }
+        );
+        assert.equal(await validator.validateField('name', { name: 'Grace' }), 'At most 3 letters');
+    });
+});
\ No newline at end of file
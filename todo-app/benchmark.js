@@ -0,0 +1,168 @@
+// Render benchmark for the todo list. Loads the app in an iframe with in-memory storage
+// (index.html?storage=memory), seeds it with generated todos and times common updates.
+// Each timing includes the layout the browser has to do before it can paint.
+class RenderBenchmark {
+    constructor(frame) {
+        this.frame = frame;
+    }
+    
+    async getApp() {
+        if (this.frame.contentDocument.readyState !== 'complete') {
+            await new Promise(resolve => this.frame.addEventListener('load', resolve, { once: true }));
+        }
+        
+        const app = this.frame.contentWindow.todoApp;
+        await app.ready;
+        return app;
+    }
+    
+    // Resolves with [{ name, median, min, rows }], times in milliseconds
+    async run(count, runs, virtualize = true) {
+        const app = await this.getApp();
+        const virtualizeAfter = app.constructor.VIRTUALIZE_AFTER;
+        if (!virtualize) app.constructor.VIRTUALIZE_AFTER = Infinity;
+        
+        try {
+            app.todos = RenderBenchmark.generateTodos(count);
+            app.clearRows();
+            app.renderTodos();
+            this.frame.contentWindow.scrollTo(0, 0);
+            
+            return RenderBenchmark.SCENARIOS.map(scenario => this.measure(app, scenario, runs));
+        } finally {
+            app.constructor.VIRTUALIZE_AFTER = virtualizeAfter;
+        }
+    }
+    
+    measure(app, scenario, runs) {
+        const times = [];
+        
+        for (let i = 0; i < runs; i++) {
+            if (scenario.setup) scenario.setup(app, this.frame.contentWindow);
+            
+            const start = performance.now();
+            scenario.run(app, this.frame.contentWindow);
+            void app.todoList.offsetHeight;            // Force layout
+            times.push(performance.now() - start);
+            
+            if (scenario.teardown) scenario.teardown(app, this.frame.contentWindow);
+        }
+        
+        times.sort((a, b) => a - b);
+        return {
+            name: scenario.name,
+            median: times[Math.floor(times.length / 2)],
+            min: times[0],
+            rows: app.todoList.querySelectorAll('.todo-item').length
+        };
+    }
+    
+    static generateTodos(count) {
+        const words = ['review', 'draft', 'email', 'plan', 'fix', 'call', 'book', 'update', 'clean', 'write'];
+        const tags = ['work', 'home', 'errand', 'urgent'];
+        const now = Date.now();
+        const todos = [];
+        
+        for (let i = 0; i < count; i++) {
+            const createdAt = new Date(now - i * 3600000).toISOString();
+            const completed = i % 4 === 0;
+            todos.push({
+                id: now + i,
+                text: `Task ${i + 1}: ${words[i % words.length]} ${words[(i * 7) % words.length]}`,
+                completed: completed,
+                createdAt: createdAt,
+                updatedAt: createdAt,
+                tags: i % 3 === 0 ? [tags[i % tags.length]] : [],
+                dueDate: i % 5 === 0 ? new Date(now + (i % 30 - 10) * 86400000).toISOString().slice(0, 10) : null,
+                priority: ['low', 'normal', 'high'][i % 3],
+                subtasks: [],
+                recurrence: null,
+                reminderAt: null,
+                completedAt: completed ? createdAt : null,
+                completedAtEstimated: false
+            });
+        }
+        
+        return todos;
+    }
+}
+
+RenderBenchmark.SCENARIOS = [
+    {
+        name: 'First render',
+        setup: app => app.clearRows(),
+        run: app => app.renderTodos()
+    },
+    {
+        name: 'Re-render, nothing changed',
+        run: app => app.renderTodos()
+    },
+    {
+        name: 'Toggle one todo',
+        run: (app) => {
+            const todo = app.renderedTodos[0];
+            app.setTodoCompleted(todo, !todo.completed);
+            app.renderTodos();
+        }
+    },
+    {
+        name: 'Add one todo',
+        run: (app) => {
+            app.todos.unshift({ ...RenderBenchmark.generateTodos(1)[0], id: app.generateId(app.todos) });
+            app.renderTodos();
+        },
+        teardown: (app) => {
+            app.todos.shift();
+            app.renderTodos();
+        }
+    },
+    {
+        name: 'Search keystroke',
+        run: app => app.applySearch('task 1'),
+        teardown: app => app.applySearch('')
+    },
+    {
+        name: 'Scroll to the middle',
+        run: (app, win) => {
+            win.scrollTo(0, app.todoList.offsetTop + app.todoList.offsetHeight / 2);
+            app.renderWindow();
+        },
+        teardown: (app, win) => {
+            win.scrollTo(0, 0);
+            app.renderWindow();
+        }
+    }
+];
+
+document.addEventListener('DOMContentLoaded', () => {
+    const benchmark = new RenderBenchmark(document.getElementById('benchmarkFrame'));
+    const runBtn = document.getElementById('runBenchmark');
+    const results = document.getElementById('benchmarkResults');
+    
+    runBtn.addEventListener('click', async () => {
+        const count = parseInt(document.getElementById('benchmarkCount').value) || 10000;
+        const runs = parseInt(document.getElementById('benchmarkRuns').value) || 5;
+        const virtualize = document.getElementById('benchmarkVirtualize').checked;
+        
+        runBtn.disabled = true;
+        results.innerHTML = '<tr><td colspan="4">Running…</td></tr>';
+        
+        try {
+            const rows = await benchmark.run(count, runs, virtualize);
+            results.innerHTML = rows.map(row => `
+                <tr>
+                    <td>${row.name}</td>
+                    <td>${row.median.toFixed(1)} ms</td>
+                    <td>${row.min.toFixed(1)} ms</td>
+                    <td>${row.rows}</td>
+                </tr>
+            `).join('');
+        } catch (error) {
+            console.error('Benchmark failed:', error);
+            results.innerHTML = '<tr><td colspan="4"></td></tr>';
+            results.querySelector('td').textContent = `Benchmark failed: ${error.message}`;
+        } finally {
+            runBtn.disabled = false;
+        }
+    });
+});
\ No newline at end of file
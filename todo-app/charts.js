@@ -0,0 +1,84 @@
+// Small SVG charts built as markup strings, so they can be dropped into innerHTML
+// and scale with their container through the viewBox.
+class SvgChart {
+    // Vertical bars. data: [{ label, value }]; every label is kept in the tooltip,
+    // but only every `labelEvery`th one is printed under the axis.
+    static bars(data, options = {}) {
+        const { width, height, padding } = SvgChart.BAR_LAYOUT;
+        const labelEvery = options.labelEvery || 1;
+        const max = Math.max(1, ...data.map(item => item.value));
+        const plotHeight = height - padding.top - padding.bottom;
+        const slot = (width - padding.left - padding.right) / Math.max(1, data.length);
+        const barWidth = slot * 0.7;
+        
+        const bars = data.map((item, index) => {
+            const barHeight = (item.value / max) * plotHeight;
+            const x = padding.left + index * slot + (slot - barWidth) / 2;
+            const y = padding.top + plotHeight - barHeight;
+            const label = index % labelEvery === 0 || index === data.length - 1
+                ? `<text class="chart-label" x="${SvgChart.round(x + barWidth / 2)}" y="${height - 6}" text-anchor="middle">${Html.escape(item.label)}</text>`
+                : '';
+            
+            return `
+                <g>
+                    <title>${Html.escape(`${item.label}: ${item.value}`)}</title>
+                    <rect class="chart-bar" x="${SvgChart.round(x)}" y="${SvgChart.round(y)}" width="${SvgChart.round(barWidth)}" height="${SvgChart.round(barHeight)}" rx="2"></rect>
+                    ${label}
+                </g>
+            `;
+        }).join('');
+        
+        const baseline = padding.top + plotHeight;
+        return `
+            <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${Html.escape(options.title || '')}">
+                <text class="chart-label" x="${padding.left}" y="${padding.top - 4}">${max}</text>
+                <line class="chart-axis" x1="${padding.left}" y1="${baseline}" x2="${width - padding.right}" y2="${baseline}"></line>
+                ${bars}
+            </svg>
+        `;
+    }
+    
+    // One row per item: completed share filled in, the rest as a track.
+    // rows: [{ label, total, completed }]; options.describe(row) gives each row's tooltip
+    static progressBars(rows, options = {}) {
+        const { width, rowHeight, labelWidth, countWidth } = SvgChart.PROGRESS_LAYOUT;
+        const describe = options.describe || (row => `${row.label}: ${row.completed} of ${row.total} completed`);
+        const height = rows.length * rowHeight;
+        const trackWidth = width - labelWidth - countWidth;
+        const max = Math.max(1, ...rows.map(row => row.total));
+        
+        const bars = rows.map((row, index) => {
+            const y = index * rowHeight;
+            const total = (row.total / max) * trackWidth;
+            const done = (row.completed / max) * trackWidth;
+            const summary = `${row.completed}/${row.total}`;
+            
+            return `
+                <g>
+                    <title>${Html.escape(describe(row))}</title>
+                    <text class="chart-label" x="0" y="${y + rowHeight / 2 + 4}">${Html.escape(SvgChart.truncate(row.label, 16))}</text>
+                    <rect class="chart-track" x="${labelWidth}" y="${y + 6}" width="${SvgChart.round(total)}" height="${rowHeight - 12}" rx="3"></rect>
+                    <rect class="chart-bar" x="${labelWidth}" y="${y + 6}" width="${SvgChart.round(done)}" height="${rowHeight - 12}" rx="3"></rect>
+                    <text class="chart-label" x="${width}" y="${y + rowHeight / 2 + 4}" text-anchor="end">${summary}</text>
+                </g>
+            `;
+        }).join('');
+        
+        return `
+            <svg class="chart" viewBox="0 0 ${width} ${Math.max(height, rowHeight)}" role="img" aria-label="${Html.escape(options.title || '')}">
+                ${bars}
+            </svg>
+        `;
+    }
+    
+    static truncate(text, length) {
+        return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+    }
+    
+    static round(value) {
+        return Math.round(value * 10) / 10;
+    }
+}
+
+SvgChart.BAR_LAYOUT = { width: 560, height: 180, padding: { top: 16, right: 8, bottom: 22, left: 8 } };
+SvgChart.PROGRESS_LAYOUT = { width: 560, rowHeight: 28, labelWidth: 130, countWidth: 60 };
\ No newline at end of file
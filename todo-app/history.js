@@ -0,0 +1,65 @@
+class UndoHistory {
+    constructor(limit = 50) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+    
+    // Record the state as it was *before* an action, so undo can return to it
+    record(label, state) {
+        const entry = { label, state: this.clone(state) };
+        this.undoStack.push(entry);
+        
+        // Drop the oldest entries once the limit is reached
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        
+        // A new action invalidates anything that was undone before it
+        this.redoStack = [];
+        return entry;
+    }
+    
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+    
+    undo(currentState) {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        
+        this.redoStack.push({ label: entry.label, state: this.clone(currentState) });
+        return entry;
+    }
+    
+    redo(currentState) {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        
+        this.undoStack.push({ label: entry.label, state: this.clone(currentState) });
+        return entry;
+    }
+    
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+    
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+    
+    // Forget the entries the predicate matches, e.g. ones that would restore a deleted list
+    discard(predicate) {
+        this.undoStack = this.undoStack.filter(entry => !predicate(entry));
+        this.redoStack = this.redoStack.filter(entry => !predicate(entry));
+    }
+    
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+    
+    clone(state) {
+        return JSON.parse(JSON.stringify(state));
+    }
+}
\ No newline at end of file
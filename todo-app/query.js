@@ -0,0 +1,157 @@
+// Search query language for the todo search box, e.g.
+//   #work is:active due:<2026-11-01 priority:high "exact phrase" -excluded
+// Every condition must match; a leading "-" negates any of them.
+class TodoQuery {
+    constructor(input = '') {
+        this.source = input.trim();
+        this.terms = [];
+        this.tags = [];
+        this.statuses = [];
+        this.dueConditions = [];
+        this.priorities = [];
+        
+        TodoQuery.tokenize(this.source).forEach(token => this.addToken(token));
+    }
+    
+    static tokenize(input) {
+        const tokens = [];
+        const tokenRegex = /(-?)(?:"([^"]*)"?|(\S+))/g;
+        let match;
+        
+        while ((match = tokenRegex.exec(input)) !== null) {
+            const quoted = match[2] !== undefined;
+            const text = quoted ? match[2] : match[3];
+            if (!text) continue;
+            
+            tokens.push({ text: text, quoted: quoted, negate: match[1] === '-' });
+        }
+        
+        return tokens;
+    }
+    
+    // Split "#tag" tokens out of todo text, returning the remaining text and the tags
+    static extractTags(input) {
+        const tags = [];
+        const text = input.replace(TodoQuery.TAG_PATTERN, (match, leading, tag) => {
+            const normalized = tag.toLowerCase();
+            if (!tags.includes(normalized)) tags.push(normalized);
+            return leading;
+        });
+        
+        return { text: text.replace(/\s{2,}/g, ' ').trim(), tags: tags };
+    }
+    
+    addToken(token) {
+        const { text, quoted, negate } = token;
+        
+        if (quoted) {
+            this.terms.push({ value: text.toLowerCase(), negate });
+            return;
+        }
+        
+        if (text.length > 1 && text.startsWith('#')) {
+            this.tags.push({ value: text.slice(1).toLowerCase(), negate });
+            return;
+        }
+        
+        const qualifier = text.match(/^(is|due|priority):(.+)$/i);
+        if (qualifier && this.addQualifier(qualifier[1].toLowerCase(), qualifier[2].toLowerCase(), negate)) {
+            return;
+        }
+        
+        // Anything unrecognised is searched for as plain text
+        this.terms.push({ value: text.toLowerCase(), negate });
+    }
+    
+    addQualifier(key, value, negate) {
+        switch (key) {
+            case 'is':
+                if (!TodoQuery.STATUSES.includes(value)) return false;
+                this.statuses.push({ value, negate });
+                return true;
+            
+            case 'priority':
+                if (!['low', 'normal', 'high'].includes(value)) return false;
+                this.priorities.push({ value, negate });
+                return true;
+            
+            case 'due': {
+                const condition = value.match(/^(<=|>=|<|>|=)?(.+)$/);
+                const operator = condition[1] || '=';
+                const date = condition[2];
+                
+                const isKeyword = ['today', 'tomorrow'].includes(date) || (date === 'none' && operator === '=');
+                if (!isKeyword && !/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+                
+                this.dueConditions.push({ operator, value: date, negate });
+                return true;
+            }
+        }
+        
+        return false;
+    }
+    
+    isEmpty() {
+        return this.terms.length === 0 &&
+               this.tags.length === 0 &&
+               this.statuses.length === 0 &&
+               this.dueConditions.length === 0 &&
+               this.priorities.length === 0;
+    }
+    
+    // todayKey is the local date as YYYY-MM-DD, passed in so matching stays deterministic
+    matches(todo, todayKey) {
+        const haystack = [todo.text, ...(todo.tags || []).map(tag => `#${tag}`)].join(' ').toLowerCase();
+        const todoTags = todo.tags || [];
+        
+        const check = (condition, result) => condition.negate ? !result : result;
+        
+        return this.terms.every(term => check(term, haystack.includes(term.value))) &&
+               this.tags.every(tag => check(tag, todoTags.includes(tag.value))) &&
+               this.statuses.every(status => check(status, this.matchesStatus(todo, status.value, todayKey))) &&
+               this.priorities.every(priority => check(priority, todo.priority === priority.value)) &&
+               this.dueConditions.every(condition => check(condition, this.matchesDue(todo, condition, todayKey)));
+    }
+    
+    matchesStatus(todo, status, todayKey) {
+        switch (status) {
+            case 'active':
+                return !todo.completed;
+            case 'completed':
+            case 'done':
+                return todo.completed;
+            case 'overdue':
+                return !todo.completed && !!todo.dueDate && todo.dueDate < todayKey;
+        }
+        return false;
+    }
+    
+    matchesDue(todo, condition, todayKey) {
+        if (condition.value === 'none') return !todo.dueDate;
+        if (!todo.dueDate) return false;
+        
+        let date = condition.value;
+        if (date === 'today') {
+            date = todayKey;
+        } else if (date === 'tomorrow') {
+            date = DateKey.addDays(todayKey, 1);
+        }
+        
+        // YYYY-MM-DD strings compare correctly as plain strings
+        switch (condition.operator) {
+            case '<': return todo.dueDate < date;
+            case '<=': return todo.dueDate <= date;
+            case '>': return todo.dueDate > date;
+            case '>=': return todo.dueDate >= date;
+            default: return todo.dueDate === date;
+        }
+    }
+    
+    // Plain-text terms that should be highlighted in matching todos
+    getHighlightTerms() {
+        return this.terms.filter(term => !term.negate).map(term => term.value);
+    }
+}
+
+TodoQuery.STATUSES = ['active', 'completed', 'done', 'overdue'];
+TodoQuery.TAG_PATTERN = /(^|\s)#([\p{L}\p{N}_-]+)/gu;
\ No newline at end of file
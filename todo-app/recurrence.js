@@ -0,0 +1,269 @@
+// Repeat rules for recurring todos, written and shown as short phrases, e.g.
+//   daily, every 3 days, every weekday, weekly on mon, every 2 weeks on mon, fri,
+//   monthly, monthly on day 15, monthly on the last weekday, every 2 months on the first mon
+// optionally followed by "until YYYY-MM-DD". Dates are YYYY-MM-DD keys like todo.dueDate.
+//
+// A rule is { freq: 'daily'|'weekly'|'monthly', interval, start, until } plus
+//   weekly:  days    - weekday numbers, 0 = Sunday
+//   monthly: day     - day of the month (clamped to short months), or
+//            ordinal - 1-4 or -1 for last, with weekday (0-6, or 'weekday' for Mon-Fri)
+// start anchors "every N" intervals and is filled in by Recurrence.create.
+class Recurrence {
+    // Returns a rule without a start date, or null if the text isn't a rule we understand
+    static parse(input) {
+        let text = input.trim().toLowerCase().replace(/\s+/g, ' ');
+        let until = null;
+        
+        const untilMatch = text.match(/ until (\d{4}-\d{2}-\d{2})$/);
+        if (untilMatch) {
+            until = untilMatch[1];
+            text = text.slice(0, untilMatch.index);
+        }
+        
+        const rule = Recurrence.parseFrequency(text);
+        if (!rule) return null;
+        
+        rule.until = until;
+        return Recurrence.isValidPattern(rule) ? rule : null;
+    }
+    
+    static parseFrequency(text) {
+        let match;
+        
+        if (text === 'daily' || text === 'every day') {
+            return { freq: 'daily', interval: 1 };
+        }
+        if ((match = text.match(/^every (\d+) days?$/))) {
+            return { freq: 'daily', interval: Number(match[1]) };
+        }
+        if (text === 'weekdays' || text === 'every weekday') {
+            return { freq: 'weekly', interval: 1, days: [1, 2, 3, 4, 5] };
+        }
+        
+        if ((match = text.match(/^(?:weekly|every week|every (\d+) weeks?)(?: on (.+))?$/))) {
+            const days = match[2] ? Recurrence.parseDays(match[2]) : [];
+            if (!days) return null;
+            
+            return { freq: 'weekly', interval: Number(match[1] || 1), days: days };
+        }
+        
+        if ((match = text.match(/^(?:monthly|every month|every (\d+) months?)(?: on (.+))?$/))) {
+            const rule = { freq: 'monthly', interval: Number(match[1] || 1) };
+            if (!match[2]) return rule;
+            
+            const day = match[2].match(/^(?:the )?(?:day )?(\d{1,2})(?:st|nd|rd|th)?$/);
+            if (day) return { ...rule, day: Number(day[1]) };
+            
+            const nth = match[2].match(/^(?:the )?(first|second|third|fourth|last) (\w+)$/);
+            const weekday = nth && (nth[2] === 'weekday' ? 'weekday' : Recurrence.parseDay(nth[2]));
+            if (weekday === null || weekday === undefined) return null;
+            
+            return { ...rule, ordinal: Recurrence.ORDINALS[nth[1]], weekday: weekday };
+        }
+        
+        return null;
+    }
+    
+    static parseDays(text) {
+        const days = text.split(/\s*,\s*|\s+and\s+|\s+/).map(name => Recurrence.parseDay(name));
+        if (days.length === 0 || days.includes(null)) return null;
+        
+        return [...new Set(days)].sort((a, b) => a - b);
+    }
+    
+    // "mon", "monday" and "mondays" all give 1
+    static parseDay(name) {
+        const index = Recurrence.DAY_NAMES.findIndex(day => name.replace(/s$/, '').startsWith(day.toLowerCase()));
+        return index === -1 || name.length < 3 ? null : index;
+    }
+    
+    // Completes a parsed rule for a series whose first occurrence is on startKey
+    static create(rule, startKey) {
+        const created = { ...rule, start: startKey };
+        const start = Recurrence.toDate(startKey);
+        
+        // "weekly" and "monthly" on their own repeat on the start date's weekday or day
+        if (created.freq === 'weekly' && created.days.length === 0) {
+            created.days = [start.getUTCDay()];
+        }
+        if (created.freq === 'monthly' && created.day === undefined && created.ordinal === undefined) {
+            created.day = start.getUTCDate();
+        }
+        
+        return created;
+    }
+    
+    // Like create(), but starting on the first day from fromKey that the rule falls on
+    static startingFrom(rule, fromKey) {
+        const anchored = Recurrence.create(rule, fromKey);
+        const first = Recurrence.matches(anchored, Recurrence.toDate(fromKey))
+            ? fromKey
+            : Recurrence.next(anchored, fromKey);
+        
+        return first ? Recurrence.create(rule, first) : null;
+    }
+    
+    // A stored rule: a valid pattern that create() has given a start date and weekdays
+    static isValid(rule) {
+        return !!rule && typeof rule === 'object' &&
+               Recurrence.isDateKey(rule.start) &&
+               Recurrence.isValidPattern(rule) &&
+               (rule.freq !== 'weekly' || rule.days.length > 0);
+    }
+    
+    static isValidPattern(rule) {
+        if (rule.until !== null && rule.until !== undefined && !Recurrence.isDateKey(rule.until)) return false;
+        if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 365) return false;
+        
+        const isWeekday = day => Number.isInteger(day) && day >= 0 && day <= 6;
+        
+        switch (rule.freq) {
+            case 'daily':
+                return true;
+            case 'weekly':
+                return Array.isArray(rule.days) && rule.days.every(isWeekday);
+            case 'monthly':
+                if (rule.day !== undefined) {
+                    return Number.isInteger(rule.day) && rule.day >= 1 && rule.day <= 31;
+                }
+                if (rule.ordinal !== undefined) {
+                    return Object.values(Recurrence.ORDINALS).includes(rule.ordinal) &&
+                           (rule.weekday === 'weekday' || isWeekday(rule.weekday));
+                }
+                return true;
+        }
+        
+        return false;
+    }
+    
+    // First date after afterKey that the rule falls on, or null once the series has ended
+    static next(rule, afterKey) {
+        const date = Recurrence.toDate(afterKey);
+        
+        // Every rule repeats within a few intervals; the limit only guards against bad data
+        for (let i = 0; i < Recurrence.SEARCH_LIMIT; i++) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            const key = Recurrence.toKey(date);
+            
+            if (rule.until && key > rule.until) return null;
+            if (Recurrence.matches(rule, date)) return key;
+        }
+        
+        return null;
+    }
+    
+    // The date the next occurrence is due after completing one due on dueKey. Occurrences
+    // that already passed (the todo was finished late) are skipped rather than created overdue.
+    static nextOccurrence(rule, dueKey, todayKey) {
+        let next = Recurrence.next(rule, dueKey);
+        while (next !== null && next < todayKey) {
+            next = Recurrence.next(rule, next);
+        }
+        return next;
+    }
+    
+    static matches(rule, date) {
+        const start = Recurrence.toDate(rule.start);
+        
+        switch (rule.freq) {
+            case 'daily':
+                return Recurrence.daysBetween(start, date) % rule.interval === 0;
+            
+            case 'weekly': {
+                // Count whole weeks between the Sundays that start each week
+                const weeks = Math.floor((Recurrence.daysBetween(start, date) + start.getUTCDay()) / 7);
+                return rule.days.includes(date.getUTCDay()) && weeks % rule.interval === 0;
+            }
+            
+            case 'monthly': {
+                const months = (date.getUTCFullYear() - start.getUTCFullYear()) * 12 +
+                               date.getUTCMonth() - start.getUTCMonth();
+                if (months % rule.interval !== 0) return false;
+                
+                return rule.ordinal !== undefined
+                    ? Recurrence.isNthWeekday(date, rule.ordinal, rule.weekday)
+                    : date.getUTCDate() === Math.min(rule.day, Recurrence.daysInMonth(date));
+            }
+        }
+        
+        return false;
+    }
+    
+    // Whether date is e.g. the second Tuesday (2, 2) or the last weekday (-1, 'weekday') of its month
+    static isNthWeekday(date, ordinal, weekday) {
+        const isMatch = (day) => {
+            const dayOfWeek = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), day)).getUTCDay();
+            return weekday === 'weekday' ? dayOfWeek >= 1 && dayOfWeek <= 5 : dayOfWeek === weekday;
+        };
+        
+        const candidates = [];
+        for (let day = 1; day <= Recurrence.daysInMonth(date); day++) {
+            if (isMatch(day)) candidates.push(day);
+        }
+        
+        const target = ordinal === -1 ? candidates[candidates.length - 1] : candidates[ordinal - 1];
+        return date.getUTCDate() === target;
+    }
+    
+    // Canonical phrase for a rule; parse() reads it back
+    static describe(rule) {
+        const every = (unit, plural) => rule.interval === 1 ? unit : `Every ${rule.interval} ${plural}`;
+        const dayList = days => days.map(day => Recurrence.DAY_NAMES[day]).join(', ');
+        let text;
+        
+        switch (rule.freq) {
+            case 'daily':
+                text = every('Daily', 'days');
+                break;
+            
+            case 'weekly':
+                if (rule.interval === 1 && rule.days.join() === '1,2,3,4,5') {
+                    text = 'Every weekday';
+                } else {
+                    text = every('Weekly', 'weeks') + (rule.days.length ? ` on ${dayList(rule.days)}` : '');
+                }
+                break;
+            
+            case 'monthly': {
+                const ordinal = Object.keys(Recurrence.ORDINALS).find(name => Recurrence.ORDINALS[name] === rule.ordinal);
+                const weekday = rule.weekday === 'weekday' ? 'weekday' : Recurrence.DAY_NAMES[rule.weekday];
+                
+                text = every('Monthly', 'months');
+                if (rule.ordinal !== undefined) {
+                    text += ` on the ${ordinal} ${weekday}`;
+                } else if (rule.day !== undefined) {
+                    text += ` on day ${rule.day}`;
+                }
+                break;
+            }
+        }
+        
+        return rule.until ? `${text} until ${rule.until}` : text;
+    }
+    
+    static isDateKey(value) {
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    }
+    
+    // Date keys are handled as UTC midnights so daylight saving never shifts a day
+    static toDate(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+    
+    static toKey(date) {
+        return date.toISOString().slice(0, 10);
+    }
+    
+    static daysBetween(from, to) {
+        return Math.round((to - from) / 86400000);
+    }
+    
+    static daysInMonth(date) {
+        return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    }
+}
+
+Recurrence.DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+Recurrence.ORDINALS = { first: 1, second: 2, third: 3, fourth: 4, last: -1 };
+Recurrence.SEARCH_LIMIT = 366 * 10;
\ No newline at end of file
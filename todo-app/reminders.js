@@ -0,0 +1,90 @@
+// Fires reminders when their time comes. Time is read from an injectable clock
+// ({ now, setTimeout, clearTimeout }), so scheduling can be driven by a fake clock
+// in tests instead of real timers. Which reminders exist and which were already
+// delivered is up to the caller; update() simply replaces the pending set.
+class ReminderScheduler {
+    constructor(options = {}) {
+        this.clock = options.clock || ReminderScheduler.SYSTEM_CLOCK;
+        this.onDue = options.onDue || (() => {});
+        this.onExpire = options.onExpire || (() => {});
+        this.catchUpWindow = options.catchUpWindow || ReminderScheduler.CATCH_UP_WINDOW;
+        this.pending = [];
+        this.timer = null;
+    }
+    
+    // The reminders a todo has: one on its due date and one at its own reminder time.
+    // Keys include the time, so moving a reminder makes it a new one that fires again.
+    static remindersFor(todo) {
+        if (todo.completed) return [];
+        
+        const reminders = [];
+        if (todo.dueDate) {
+            const due = DateKey.toDate(todo.dueDate);
+            const [hours, minutes] = ReminderScheduler.DUE_TIME.split(':').map(Number);
+            reminders.push({
+                key: `${todo.id}:due:${todo.dueDate}`,
+                todoId: todo.id,
+                kind: 'due',
+                at: new Date(due.getFullYear(), due.getMonth(), due.getDate(), hours, minutes).getTime()
+            });
+        }
+        if (todo.reminderAt) {
+            reminders.push({
+                key: `${todo.id}:reminder:${todo.reminderAt}`,
+                todoId: todo.id,
+                kind: 'reminder',
+                at: Date.parse(todo.reminderAt)
+            });
+        }
+        
+        return reminders;
+    }
+    
+    update(reminders) {
+        this.pending = [...reminders].sort((a, b) => a.at - b.at);
+        this.check();
+    }
+    
+    // Delivers everything that is due, then sleeps until the next reminder. Reminders
+    // that came due while the page was closed are delivered too (marked as missed),
+    // unless they are older than the catch-up window.
+    check() {
+        this.clock.clearTimeout(this.timer);
+        this.timer = null;
+        
+        const now = this.clock.now();
+        const due = this.pending.filter(reminder => reminder.at <= now);
+        this.pending = this.pending.filter(reminder => reminder.at > now);
+        
+        const expired = due.filter(reminder => now - reminder.at > this.catchUpWindow);
+        const current = due
+            .filter(reminder => !expired.includes(reminder))
+            .map(reminder => ({ ...reminder, missed: now - reminder.at > ReminderScheduler.MISSED_AFTER }));
+        
+        if (expired.length > 0) this.onExpire(expired);
+        if (current.length > 0) this.onDue(current);
+        
+        if (this.pending.length > 0) {
+            // Wake up at least every minute: long timeouts overflow, and timers in
+            // background tabs or a sleeping laptop can fire late or not at all
+            const delay = Math.min(this.pending[0].at - now, ReminderScheduler.MAX_DELAY);
+            this.timer = this.clock.setTimeout(() => this.check(), delay);
+        }
+    }
+    
+    stop() {
+        this.clock.clearTimeout(this.timer);
+        this.timer = null;
+        this.pending = [];
+    }
+}
+
+ReminderScheduler.SYSTEM_CLOCK = {
+    now: () => Date.now(),
+    setTimeout: (callback, delay) => setTimeout(callback, delay),
+    clearTimeout: timer => clearTimeout(timer)
+};
+ReminderScheduler.DUE_TIME = '09:00';                      // Reminder time for todos with only a due date
+ReminderScheduler.MAX_DELAY = 60 * 1000;
+ReminderScheduler.MISSED_AFTER = 60 * 1000;
+ReminderScheduler.CATCH_UP_WINDOW = 7 * 24 * 60 * 60 * 1000; // Older reminders are dropped silently
\ No newline at end of file
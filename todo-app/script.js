@@ -1,21 +1,142 @@
 class TodoApp {
-    constructor() {
+    // options.storage: a StorageCache to use instead of the browser's storage
+    // options.i18n: the I18n to translate with (the saved or browser language by default)
+    // options.clock: { now, setTimeout, clearTimeout } for reminders (the system clock by default)
+    constructor(options = {}) {
+        this.i18n = options.i18n || new I18n();
+        this.preferences = new SafeStorage(SafeStorage.local());
+        this.toasts = new ToastManager({ announce: (message, type) => this.announce(message, type) });
+        this.debouncer = new Debouncer();
         this.todos = [];
+        this.lists = [];
+        this.activeListId = null;
         this.currentFilter = 'all';
+        this.currentSort = this.loadSortPreference();
         this.searchTerm = '';
-        this.debounceTimer = null;
+        this.searchQuery = new TodoQuery();
+        this.clickTimer = null;
+        this.editingId = null;
+        this.drag = null;
+        this.expandedIds = new Set();
+        this.autoCompleteParents = this.loadAutoCompletePreference();
+        this.importPreview = null;
+        this.importFileName = '';
+        this.selectionMode = false;
+        this.selectedIds = new Set();
+        this.lastSelectedId = null;
+        this.history = new UndoHistory();
+        this.focusedId = null;                    // Todo row that Tab returns to in the list
+        this.rowCache = new Map();                // todo id -> { element, signature } of rendered rows
+        this.rowHeights = new Map();              // Measured row heights for windowed rendering
+        this.renderedTodos = [];
+        this.windowFrame = null;
+        this.store = null;
+        this.reminders = new ReminderScheduler({
+            clock: options.clock,
+            onDue: reminders => this.deliverReminders(reminders),
+            onExpire: reminders => this.markRemindersSent(reminders)
+        });
+        this.listReminders = new Map();           // list id -> reminders found in its todos
         
         // DOM elements
         this.todoInput = document.getElementById('todoInput');
+        this.dueDateInput = document.getElementById('dueDateInput');
+        this.prioritySelect = document.getElementById('prioritySelect');
+        this.repeatInput = document.getElementById('repeatInput');
+        this.reminderInput = document.getElementById('reminderInput');
+        this.notifyBtn = document.getElementById('notifyBtn');
+        this.sortSelect = document.getElementById('sortSelect');
+        this.autoCompleteToggle = document.getElementById('autoCompleteToggle');
         this.addBtn = document.getElementById('addBtn');
         this.searchInput = document.getElementById('searchInput');
         this.todoList = document.getElementById('todoList');
         this.todoStats = document.getElementById('todoStats');
         this.filterBtns = document.querySelectorAll('.filter-btn');
+        this.listTabs = document.getElementById('listTabs');
+        this.newListBtn = document.getElementById('newListBtn');
+        this.transferBtn = document.getElementById('transferBtn');
+        this.transferPanel = document.getElementById('transferPanel');
+        this.exportFormat = document.getElementById('exportFormat');
+        this.exportScope = document.getElementById('exportScope');
+        this.importFile = document.getElementById('importFile');
+        this.importFormat = document.getElementById('importFormat');
+        this.importText = document.getElementById('importText');
+        this.importPreviewElement = document.getElementById('importPreview');
+        this.selectModeBtn = document.getElementById('selectModeBtn');
+        this.clearCompletedBtn = document.getElementById('clearCompletedBtn');
+        this.batchBar = document.getElementById('batchBar');
+        this.selectionCount = document.getElementById('selectionCount');
+        this.batchListSelect = document.getElementById('batchListSelect');
+        this.batchTagInput = document.getElementById('batchTagInput');
+        this.statsBtn = document.getElementById('statsBtn');
+        this.statsPanel = document.getElementById('statsPanel');
+        this.statsScope = document.getElementById('statsScope');
+        this.statsPeriod = document.getElementById('statsPeriod');
+        this.statsGroup = document.getElementById('statsGroup');
+        this.statsContent = document.getElementById('statsContent');
+        this.shortcutsBtn = document.getElementById('shortcutsBtn');
+        this.shortcutsPanel = document.getElementById('shortcutsPanel');
+        this.liveStatus = document.getElementById('liveStatus');
+        this.liveAlert = document.getElementById('liveAlert');
+        this.languageSelect = document.getElementById('languageSelect');
+        
+        // Rows of long lists are windowed between two spacers that stand in for the rest
+        this.topSpacer = this.createSpacer();
+        this.bottomSpacer = this.createSpacer();
+        
+        this.updateRequested = false;
+        
+        this.i18n.apply();
+        if (this.languageSelect) this.i18n.bindSwitcher(this.languageSelect);
+        this.i18n.onChange(() => this.handleLocaleChange());
+        
+        this.handleLaunchAction();
+        this.ready = this.initializeStorage(options.storage || null);
+        this.registerServiceWorker();
+    }
+    
+    // Storage opens asynchronously (IndexedDB where available); everything after that is synchronous
+    async initializeStorage(storage) {
+        try {
+            storage = storage || await StorageCache.open({
+                name: 'todo-app',
+                includes: key => TodoApp.STORAGE_KEY.test(key),
+                onError: error => this.handleStorageError(error, this.i18n.t('todo.error.save'))
+            });
+            new SchemaMigrator('todoSchemaVersion', TodoApp.MIGRATIONS).run(storage);
+        } catch (error) {
+            console.error('Error opening todo storage:', error);
+            this.toasts.show(this.i18n.t('todo.error.storageOpen'), 'error');
+            storage = new StorageCache(new MemoryAdapter());
+        }
+        
+        this.store = new TodoStore(storage, { sanitize: todos => this.sanitizeTodos(todos) });
         
+        // Changes made in other tabs
+        this.store.subscribe(change => this.handleStorageChange(change));
+        
+        // Controls only start working now, so nothing can reach the store before it exists
         this.initializeEventListeners();
+        
+        this.loadLists();
         this.loadTodos();
+        this.renderLists();
+        this.renderTodos();
+        this.refreshReminders();
+        
+        // Anything typed while storage was opening
+        this.validateInput();
+        if (this.searchInput.value.trim()) this.applySearch(this.searchInput.value);
+    }
+    
+    // The page's marked-up text is already translated; this redraws what the app builds itself
+    handleLocaleChange() {
+        this.updateNotifyButton();
+        if (!this.store) return;
+        
+        this.renderLists();
         this.renderTodos();
+        if (this.importPreview) this.renderImportPreview();
     }
     
     initializeEventListeners() {
@@ -24,6 +145,22 @@ class TodoApp {
         this.todoInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.addTodo();
         });
+        this.dueDateInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.addTodo();
+        });
+        this.repeatInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.addTodo();
+        });
+        this.reminderInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.addTodo();
+        });
+        
+        // Reminders: system notifications are opt-in, and timers may have slept while the tab was hidden
+        this.updateNotifyButton();
+        this.notifyBtn.addEventListener('click', () => this.requestNotificationPermission());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.reminders.check();
+        });
         
         // Input validation
         this.todoInput.addEventListener('input', () => this.validateInput());
@@ -36,8 +173,118 @@ class TodoApp {
             btn.addEventListener('click', (e) => this.setFilter(e.target.dataset.filter));
         });
         
+        // Subtask roll-up preference
+        this.autoCompleteToggle.checked = this.autoCompleteParents;
+        this.autoCompleteToggle.addEventListener('change', (e) => {
+            this.autoCompleteParents = e.target.checked;
+            this.saveAutoCompletePreference();
+        });
+        
+        // Sort selector
+        this.sortSelect.value = this.currentSort;
+        this.sortSelect.addEventListener('change', (e) => this.setSort(e.target.value));
+        
         // Event delegation for todo interactions
         this.todoList.addEventListener('click', (e) => this.handleTodoInteraction(e));
+        this.todoList.addEventListener('dblclick', (e) => this.handleTodoDoubleClick(e));
+        this.todoList.addEventListener('keydown', (e) => this.handleTodoKeydown(e));
+        this.todoList.addEventListener('focusin', (e) => {
+            if (e.target.classList.contains('todo-text')) this.setRovingFocus(parseInt(e.target.closest('.todo-item').dataset.todoId));
+        });
+        this.todoList.addEventListener('focusout', (e) => {
+            if (e.target.classList.contains('subtask-edit-input')) {
+                this.commitSubtaskEdit(e.target, true);
+                return;
+            }
+            
+            const editElement = e.target.closest('.todo-edit');
+            
+            // Moving between the fields of the same edit form is not a blur
+            if (!editElement || editElement.contains(e.relatedTarget)) return;
+            this.commitEdit(editElement, true);
+        });
+        
+        // Long lists only render the rows in view, so re-window as the page scrolls
+        window.addEventListener('scroll', () => this.scheduleWindowUpdate(), { passive: true });
+        window.addEventListener('resize', () => this.scheduleWindowUpdate());
+        
+        // Drag-and-drop reordering (Pointer Events cover mouse, pen and touch)
+        this.todoList.addEventListener('pointerdown', (e) => this.startDrag(e));
+        this.todoList.addEventListener('pointermove', (e) => this.moveDrag(e));
+        this.todoList.addEventListener('pointerup', () => this.endDrag());
+        this.todoList.addEventListener('pointercancel', () => this.endDrag(true));
+        
+        // List switcher
+        this.newListBtn.addEventListener('click', () => this.startListNameEdit(null));
+        this.listTabs.addEventListener('click', (e) => this.handleListInteraction(e));
+        this.listTabs.addEventListener('dblclick', (e) => {
+            const tab = e.target.closest('.list-tab');
+            if (tab && e.target.classList.contains('list-tab-name')) this.startListNameEdit(tab);
+        });
+        this.listTabs.addEventListener('keydown', (e) => {
+            if (!e.target.classList.contains('list-name-input')) return;
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.commitListNameEdit(e.target);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.cancelListNameEdit(e.target);
+            }
+        });
+        this.listTabs.addEventListener('focusout', (e) => {
+            if (e.target.classList.contains('list-name-input')) this.commitListNameEdit(e.target, true);
+        });
+        
+        // Import / export panel
+        this.transferBtn.addEventListener('click', () => this.openTransferPanel());
+        this.transferPanel.addEventListener('click', (e) => this.handleTransferInteraction(e));
+        this.importFile.addEventListener('change', () => this.readImportFile());
+        this.importText.addEventListener('input', () => {
+            this.importFileName = '';
+            this.clearImportPreview();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.transferPanel.classList.contains('hidden')) {
+                e.preventDefault();
+                this.closeTransferPanel();
+            }
+        });
+        
+        // Statistics panel
+        this.statsBtn.addEventListener('click', () => this.openStatsPanel());
+        this.statsPanel.addEventListener('click', (e) => this.handleStatsInteraction(e));
+        [this.statsScope, this.statsPeriod, this.statsGroup].forEach(select => {
+            select.addEventListener('change', () => this.renderStatsPanel());
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.statsPanel.classList.contains('hidden')) {
+                e.preventDefault();
+                this.closeStatsPanel();
+            }
+        });
+        
+        // Bulk selection and batch actions
+        this.selectModeBtn.addEventListener('click', () => this.setSelectionMode(!this.selectionMode));
+        this.clearCompletedBtn.addEventListener('click', () => this.clearCompleted());
+        this.batchBar.addEventListener('click', (e) => this.handleBatchAction(e.target.dataset.batch));
+        this.batchListSelect.addEventListener('change', (e) => {
+            if (e.target.value) this.batchMove(parseInt(e.target.value));
+            e.target.value = '';
+        });
+        this.batchTagInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.handleBatchAction('tag');
+        });
+        document.addEventListener('keydown', (e) => this.handleSelectionShortcut(e));
+        
+        // Undo / redo shortcuts
+        document.addEventListener('keydown', (e) => this.handleHistoryShortcut(e));
+        
+        // Page-wide shortcuts: / to search, ? for the list of shortcuts
+        document.addEventListener('keydown', (e) => this.handleGlobalShortcut(e));
+        this.shortcutsBtn.addEventListener('click', () => this.openShortcutsPanel());
+        this.shortcutsPanel.addEventListener('click', (e) => {
+            if (e.target === this.shortcutsPanel || e.target.dataset.action === 'close') this.closeShortcutsPanel();
+        });
         
         // Prevent form submission on Enter in search
         this.searchInput.addEventListener('keypress', (e) => {
@@ -51,26 +298,50 @@ class TodoApp {
     }
     
     debouncedSearch() {
-        if (this.debounceTimer) {
-            clearTimeout(this.debounceTimer);
+        this.debouncer.run('search', () => this.applySearch(this.searchInput.value), 400);
+    }
+    
+    applySearch(value) {
+        this.searchTerm = value.trim();
+        this.searchQuery = new TodoQuery(this.searchTerm);
+        this.renderTodos();
+    }
+    
+    filterByTag(tag) {
+        const token = `#${tag}`;
+        const tokens = this.searchInput.value.trim().split(/\s+/).filter(Boolean);
+        
+        // Clicking a chip adds its tag to the query (once)
+        if (!tokens.map(t => t.toLowerCase()).includes(token)) {
+            tokens.push(token);
         }
         
-        this.debounceTimer = setTimeout(() => {
-            this.searchTerm = this.searchInput.value.trim().toLowerCase();
-            this.renderTodos();
-        }, 400);
+        this.searchInput.value = tokens.join(' ');
+        this.debouncer.cancel('search');
+        this.applySearch(this.searchInput.value);
     }
     
-    addTodo() {
-        const text = this.todoInput.value.trim();
-        
+    validateTodoText(text) {
         if (!text) {
-            this.showNotification('Please enter a todo item', 'error');
-            return;
+            return this.i18n.t('todo.error.textRequired');
         }
         
         if (text.length > 200) {
-            this.showNotification('Todo text is too long (max 200 characters)', 'error');
+            return this.i18n.t('todo.error.textTooLong', { max: 200 });
+        }
+        
+        return null;
+    }
+    
+    addTodo() {
+        const { text, tags } = TodoQuery.extractTags(this.todoInput.value.trim());
+        
+        const repeat = this.parseRepeatInput(this.repeatInput.value, this.dueDateInput.value || null);
+        const reminder = this.parseReminderInput(this.reminderInput.value);
+        
+        const error = this.validateTodoText(text) || repeat.error || reminder.error;
+        if (error) {
+            this.toasts.show(error, 'error');
             return;
         }
         
@@ -78,286 +349,2744 @@ class TodoApp {
             id: Date.now(),
             text: text,
             completed: false,
-            createdAt: new Date().toISOString()
+            createdAt: new Date().toISOString(),
+            tags: tags,
+            dueDate: repeat.dueDate,
+            priority: this.prioritySelect.value,
+            subtasks: [],
+            recurrence: repeat.recurrence,
+            reminderAt: reminder.reminderAt,
+            completedAt: null,
+            completedAtEstimated: false
         };
         
+        const entry = this.recordHistory('addTodo');
         this.todos.unshift(todo); // Add to beginning of array
         this.saveTodos();
         this.renderTodos();
         this.clearInput();
-        this.showNotification('Todo added successfully!', 'success');
+        this.toasts.show(this.i18n.t('todo.toast.added'), 'success', this.undoAction(entry));
     }
     
     deleteTodo(id) {
         const todoIndex = this.todos.findIndex(todo => todo.id === parseInt(id));
         if (todoIndex === -1) return;
         
+        const entry = this.recordHistory('deleteTodo');
         const todo = this.todos[todoIndex];
         this.todos.splice(todoIndex, 1);
         this.saveTodos();
         this.renderTodos();
-        this.showNotification(`Deleted: "${todo.text}"`, 'info');
+        this.toasts.show(this.i18n.t('todo.toast.deleted', { text: todo.text }), 'info', this.undoAction(entry));
     }
     
     toggleTodo(id) {
         const todo = this.todos.find(todo => todo.id === parseInt(id));
         if (!todo) return;
         
-        todo.completed = !todo.completed;
+        const entry = this.recordHistory('toggleTodo');
+        const wasRecurring = !!todo.recurrence;
+        const nextTodo = this.setTodoCompleted(todo, !todo.completed);
         this.saveTodos();
         this.renderTodos();
         
-        const status = todo.completed ? 'completed' : 'active';
-        this.showNotification(`Todo marked as ${status}`, 'success');
+        let message = this.i18n.t(todo.completed ? 'todo.toast.markedCompleted' : 'todo.toast.markedActive');
+        if (nextTodo) {
+            message = this.i18n.t('todo.toast.nextDue', { date: this.formatDueDate(nextTodo.dueDate) });
+        } else if (wasRecurring && todo.completed) {
+            message = this.i18n.t('todo.toast.seriesEnded');
+        }
+        this.toasts.show(message, 'success', this.undoAction(entry));
     }
     
-    setFilter(filter) {
-        this.currentFilter = filter;
+    // Single place where completion changes, shared by toggles, batches and subtask roll-up.
+    // Returns the next occurrence when completing a recurring todo schedules one.
+    setTodoCompleted(todo, completed) {
+        const wasCompleted = todo.completed;
+        todo.completed = completed;
+        if (completed !== wasCompleted) {
+            todo.completedAt = completed ? new Date().toISOString() : null;
+            todo.completedAtEstimated = false;
+        }
         
-        // Update active filter button
-        this.filterBtns.forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.filter === filter);
-        });
+        if (completed && !wasCompleted && todo.recurrence) {
+            return this.scheduleNextOccurrence(todo);
+        }
+        return null;
+    }
+    
+    // The series moves on to a fresh copy of the todo; the completed one keeps no rule,
+    // so reopening it later doesn't schedule the same occurrence twice
+    scheduleNextOccurrence(todo) {
+        const recurrence = todo.recurrence;
+        const todayKey = DateKey.today();
+        const dueDate = Recurrence.nextOccurrence(recurrence, todo.dueDate || todayKey, todayKey);
         
-        this.renderTodos();
+        todo.recurrence = null;
+        if (!dueDate) return null;
+        
+        // A reminder keeps its distance from the due date, e.g. the evening before
+        let reminderAt = null;
+        if (todo.reminderAt && todo.dueDate) {
+            const reminder = new Date(todo.reminderAt);
+            const days = Recurrence.daysBetween(Recurrence.toDate(todo.dueDate), Recurrence.toDate(dueDate));
+            reminder.setDate(reminder.getDate() + days);
+            reminderAt = reminder.toISOString();
+        }
+        
+        const nextTodo = {
+            id: this.generateId(this.todos),
+            text: todo.text,
+            completed: false,
+            createdAt: new Date().toISOString(),
+            tags: [...todo.tags],
+            dueDate: dueDate,
+            priority: todo.priority,
+            subtasks: todo.subtasks.map(subtask => ({ ...subtask, completed: false })),
+            recurrence: recurrence,
+            reminderAt: reminderAt,
+            completedAt: null,
+            completedAtEstimated: false
+        };
+        
+        this.todos.splice(this.todos.indexOf(todo), 0, nextTodo);
+        return nextTodo;
     }
     
-    handleTodoInteraction(e) {
-        const todoItem = e.target.closest('.todo-item');
-        if (!todoItem) return;
+    // Reads a repeat field as a rule anchored at the due date; an empty field means no repeat.
+    // A repeating todo without a due date is due on the first day the rule falls on from today.
+    parseRepeatInput(value, dueDate, todo = null) {
+        const text = value.trim();
+        if (!text) {
+            return { recurrence: null, dueDate: dueDate, error: null };
+        }
         
-        const todoId = todoItem.dataset.todoId;
+        // Unchanged rule and due date: keep the series anchored where it was
+        if (todo && todo.recurrence && dueDate === todo.dueDate &&
+            text.toLowerCase() === Recurrence.describe(todo.recurrence).toLowerCase()) {
+            return { recurrence: todo.recurrence, dueDate: dueDate, error: null };
+        }
         
-        if (e.target.classList.contains('delete-btn')) {
-            this.deleteTodo(todoId);
-        } else if (e.target.classList.contains('todo-checkbox') || e.target.classList.contains('todo-text')) {
-            this.toggleTodo(todoId);
+        const rule = Recurrence.parse(text);
+        if (!rule) {
+            return { error: this.i18n.t('todo.error.repeatInvalid', { rule: text }) };
+        }
+        
+        const recurrence = dueDate
+            ? Recurrence.create(rule, dueDate)
+            : Recurrence.startingFrom(rule, DateKey.today());
+        if (!recurrence || (recurrence.until && recurrence.until < recurrence.start)) {
+            return { error: this.i18n.t('todo.error.repeatEnds') };
         }
+        
+        return { recurrence: recurrence, dueDate: recurrence.start, error: null };
     }
     
-    getFilteredTodos() {
-        let filtered = this.todos;
+    editTodo(id, changes) {
+        const todo = this.todos.find(todo => todo.id === parseInt(id));
+        if (!todo) return false;
         
-        // Apply search filter
-        if (this.searchTerm) {
-            filtered = filtered.filter(todo => 
-                todo.text.toLowerCase().includes(this.searchTerm)
-            );
+        if ('text' in changes) {
+            const error = this.validateTodoText(changes.text);
+            if (error) {
+                this.toasts.show(error, 'error');
+                return false;
+            }
         }
         
-        // Apply status filter
-        switch (this.currentFilter) {
-            case 'active':
-                filtered = filtered.filter(todo => !todo.completed);
-                break;
-            case 'completed':
-                filtered = filtered.filter(todo => todo.completed);
-                break;
-            // 'all' shows everything
+        if ('priority' in changes && !TodoApp.PRIORITIES.includes(changes.priority)) {
+            return false;
         }
         
-        return filtered;
+        const endsSeries = !!todo.recurrence && 'recurrence' in changes && !changes.recurrence;
+        
+        const entry = this.recordHistory('editTodo');
+        Object.assign(todo, changes);
+        this.saveTodos();
+        this.renderTodos();
+        this.toasts.show(this.i18n.t(endsSeries ? 'todo.toast.updatedNoRepeat' : 'todo.toast.updated'), 'success', this.undoAction(entry));
+        return true;
     }
     
-    renderTodos() {
-        const filteredTodos = this.getFilteredTodos();
+    startEdit(todoItem) {
+        const todo = this.todos.find(todo => todo.id === parseInt(todoItem.dataset.todoId));
+        const textElement = todoItem.querySelector('.todo-text');
+        if (!todo || !textElement) return;
         
-        // Update stats
-        this.updateStats();
+        // Swap the text for inputs pre-filled with the current values
+        const editElement = document.createElement('div');
+        const t = key => Html.escape(this.i18n.t(key));
+        editElement.className = 'todo-edit';
+        editElement.innerHTML = `
+            <input type="text" class="todo-edit-input" maxlength="200" aria-label="${t('todo.edit.text')}">
+            <input type="date" class="todo-edit-due" aria-label="${t('todo.edit.due')}">
+            <select class="todo-edit-priority" aria-label="${t('todo.edit.priority')}">
+                ${TodoApp.PRIORITIES.map(priority => `<option value="${priority}">${this.getPriorityLabel(priority)}</option>`).join('')}
+            </select>
+            <input type="text" class="todo-edit-repeat" list="repeatSuggestions" placeholder="${t('todo.edit.repeatPlaceholder')}" aria-label="${t('todo.edit.repeat')}">
+            <input type="datetime-local" class="todo-edit-reminder" aria-label="${t('todo.edit.reminder')}">
+            ${this.lists.length > 1 ? `
+                <select class="todo-edit-list" aria-label="${t('todo.edit.list')}">
+                    ${this.lists.map(list => `<option value="${list.id}">${Html.escape(list.name)}</option>`).join('')}
+                </select>
+            ` : ''}
+        `;
         
-        // Clear todo list
-        this.todoList.innerHTML = '';
+        // Tags are edited inline as #tag tokens, just like when adding
+        const input = editElement.querySelector('.todo-edit-input');
+        input.value = [todo.text, ...todo.tags.map(tag => `#${tag}`)].join(' ');
+        editElement.querySelector('.todo-edit-due').value = todo.dueDate || '';
+        editElement.querySelector('.todo-edit-priority').value = todo.priority;
+        editElement.querySelector('.todo-edit-repeat').value = todo.recurrence ? Recurrence.describe(todo.recurrence) : '';
+        editElement.querySelector('.todo-edit-reminder').value = todo.reminderAt ? this.toDateTimeInputValue(todo.reminderAt) : '';
+        if (this.lists.length > 1) {
+            editElement.querySelector('.todo-edit-list').value = this.activeListId;
+        }
         
-        // Handle empty states
-        if (this.todos.length === 0) {
-            this.showEmptyState('no-todos');
+        this.editingId = todo.id;
+        this.invalidateRow(todo.id);
+        textElement.replaceWith(editElement);
+        input.focus();
+        input.select();
+    }
+    
+    commitEdit(editElement, fromBlur = false) {
+        const todoItem = editElement.closest('.todo-item');
+        if (!todoItem || this.editingId !== parseInt(todoItem.dataset.todoId)) return;
+        
+        const todo = this.todos.find(todo => todo.id === this.editingId);
+        const input = editElement.querySelector('.todo-edit-input');
+        const { text, tags } = TodoQuery.extractTags(input.value.trim());
+        const textError = this.validateTodoText(text);
+        const repeatInput = editElement.querySelector('.todo-edit-repeat');
+        const repeat = this.parseRepeatInput(repeatInput.value, editElement.querySelector('.todo-edit-due').value || null, todo);
+        const reminderInput = editElement.querySelector('.todo-edit-reminder');
+        const reminder = this.parseReminderInput(reminderInput.value, todo);
+        const error = textError || repeat.error || reminder.error;
+        
+        // Keep the form open on Enter so the user can fix an invalid value;
+        // on blur there is nowhere to keep it, so fall back to the saved text
+        if (error) {
+            this.toasts.show(error, 'error');
+            if (!fromBlur) {
+                const invalidInput = textError ? input : repeat.error ? repeatInput : reminderInput;
+                invalidInput.focus();
+                return;
+            }
+        }
+        
+        this.editingId = null;
+        if (error || !todo) {
+            this.renderTodos();
             return;
         }
         
-        if (filteredTodos.length === 0) {
-            if (this.searchTerm) {
-                this.showEmptyState('no-search-results');
-            } else {
-                this.showEmptyState('no-filter-results');
-            }
+        const changes = {
+            text: text,
+            tags: tags,
+            dueDate: repeat.dueDate,
+            priority: editElement.querySelector('.todo-edit-priority').value,
+            recurrence: repeat.recurrence,
+            reminderAt: reminder.reminderAt
+        };
+        
+        const listSelect = editElement.querySelector('.todo-edit-list');
+        const targetListId = listSelect ? parseInt(listSelect.value) : this.activeListId;
+        if (targetListId !== this.activeListId) {
+            this.moveTodo(todo.id, targetListId, changes);
+            return;
+        }
+        
+        const unchanged = Object.keys(changes).every(key => JSON.stringify(todo[key]) === JSON.stringify(changes[key]));
+        if (unchanged) {
+            this.renderTodos();
             return;
         }
         
-        // Render todos
-        filteredTodos.forEach(todo => this.renderTodoItem(todo));
+        this.editTodo(todo.id, changes);
     }
     
-    renderTodoItem(todo) {
-        const todoElement = document.createElement('div');
-        todoElement.className = 'todo-item';
-        todoElement.dataset.todoId = todo.id;
+    moveTodo(id, targetListId, changes = {}) {
+        const todoIndex = this.todos.findIndex(todo => todo.id === parseInt(id));
+        const targetList = this.getList(targetListId);
+        if (todoIndex === -1 || !targetList || targetListId === this.activeListId) return;
         
-        todoElement.innerHTML = `
-            <div class="todo-checkbox ${todo.completed ? 'checked' : ''}""></div>
-            <span class="todo-text ${todo.completed ? 'completed' : ''}">${this.escapeHtml(todo.text)}</span>
-            <span class="todo-date">${this.formatDate(todo.createdAt)}</span>
-            <button class="delete-btn">Delete</button>
-        `;
+        const entry = this.recordHistory('moveTodo', [targetListId]);
+        const [todo] = this.todos.splice(todoIndex, 1);
+        Object.assign(todo, changes);
         
-        this.todoList.appendChild(todoElement);
+        const targetTodos = this.readListTodos(targetListId);
+        targetTodos.unshift(todo);
+        this.saveListTodos(targetListId, targetTodos);
+        this.saveTodos();
+        this.renderTodos();
+        this.toasts.show(this.i18n.t('todo.toast.moved', { list: targetList.name }), 'success', this.undoAction(entry));
     }
     
-    showEmptyState(type) {
-        const emptyState = document.createElement('div');
-        emptyState.className = `empty-state ${type}`;
-        
-        let content = '';
-        switch (type) {
-            case 'no-todos':
-                content = `
-                    <h3>📝 No todos yet!</h3>
-                    <p>Add your first todo above to get started.</p>
-                `;
-                break;
-            case 'no-search-results':
-                content = `
-                    <h3>🔍 No search results</h3>
-                    <p>No todos match "${this.escapeHtml(this.searchTerm)}". Try a different search term.</p>
-                `;
-                break;
-            case 'no-filter-results':
-                content = `
-                    <h3>📋 No ${this.currentFilter} todos</h3>
-                    <p>No todos match the current filter. Try switching filters above.</p>
-                `;
-                break;
+    cancelEdit() {
+        this.editingId = null;
+        this.renderTodos();
+    }
+    
+    // label is the action's key under todo.history, e.g. 'addTodo'.
+    // relatedListIds names other lists an action writes to, so undo can restore them too
+    recordHistory(label, relatedListIds = []) {
+        return this.history.record(label, this.captureState(relatedListIds));
+    }
+    
+    captureState(relatedListIds) {
+        const related = {};
+        relatedListIds.forEach(listId => {
+            related[listId] = this.readListTodos(listId);
+        });
+        return { todos: this.todos, related: related };
+    }
+    
+    restoreState(state) {
+        this.todos = state.todos;
+        Object.keys(state.related).forEach(listId => {
+            this.saveListTodos(parseInt(listId), state.related[listId]);
+        });
+        this.saveTodos();
+        this.renderTodos();
+    }
+    
+    // The list ids touched by the entry on top of the given stack
+    getRelatedListIds(entry) {
+        return entry ? Object.keys(entry.state.related).map(Number) : [];
+    }
+    
+    undoAction(entry) {
+        return { label: this.i18n.t('todo.action.undo'), handler: () => this.undo(entry) };
+    }
+    
+    undo(expectedEntry = null) {
+        // A toast's Undo button only applies to the action it was shown for
+        if (expectedEntry && this.history.peekUndo() !== expectedEntry) {
+            this.toasts.show(this.i18n.t('todo.toast.cannotUndo'), 'info');
+            return;
+        }
+        
+        const relatedListIds = this.getRelatedListIds(this.history.peekUndo());
+        const entry = this.history.undo(this.captureState(relatedListIds));
+        if (!entry) {
+            this.toasts.show(this.i18n.t('todo.toast.nothingToUndo'), 'info');
+            return;
         }
         
-        emptyState.innerHTML = content;
-        this.todoList.appendChild(emptyState);
+        this.restoreState(entry.state);
+        this.toasts.show(this.i18n.t('todo.toast.undid', { action: this.getActionName(entry.label) }), 'info', {
+            label: this.i18n.t('todo.action.redo'),
+            handler: () => this.redo()
+        });
     }
     
-    updateStats() {
-        const total = this.todos.length;
-        const completed = this.todos.filter(todo => todo.completed).length;
-        this.todoStats.textContent = `📝 Todo List (${total} total, ${completed} completed)`;
+    redo() {
+        const redoStack = this.history.redoStack;
+        const relatedListIds = this.getRelatedListIds(redoStack[redoStack.length - 1]);
+        const entry = this.history.redo(this.captureState(relatedListIds));
+        if (!entry) {
+            this.toasts.show(this.i18n.t('todo.toast.nothingToRedo'), 'info');
+            return;
+        }
+        
+        this.restoreState(entry.state);
+        this.toasts.show(this.i18n.t('todo.toast.redid', { action: this.getActionName(entry.label) }), 'info');
     }
     
-    clearInput() {
-        this.todoInput.value = '';
-        this.validateInput();
-        this.todoInput.focus();
+    getActionName(label) {
+        return this.i18n.t(`todo.history.${label}`);
     }
     
-    saveTodos() {
-        try {
-            localStorage.setItem('todos', JSON.stringify(this.todos));
-        } catch (error) {
-            console.error('Error saving todos to localStorage:', error);
-            this.showNotification('Failed to save todos. Please try again.', 'error');
+    handleHistoryShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey)) return;
+        
+        // Leave native text undo alone while typing in a field
+        const tag = e.target.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA') return;
+        
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            this.redo();
         }
     }
     
-    loadTodos() {
-        try {
-            const savedTodos = localStorage.getItem('todos');
-            if (savedTodos) {
-                this.todos = JSON.parse(savedTodos);
-                
-                // Validate and clean up invalid todos
-                this.todos = this.todos.filter(todo => {
-                    return todo && 
-                           typeof todo.id === 'number' && 
-                           typeof todo.text === 'string' && 
-                           typeof todo.completed === 'boolean' &&
-                           todo.createdAt;
-                });
-                
-                // Sort by creation date (newest first)
-                this.todos.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-            }
-        } catch (error) {
-            console.error('Error loading todos from localStorage:', error);
-            this.todos = [];
-            this.showNotification('Failed to load saved todos.', 'error');
+    setSort(sort) {
+        if (!TodoApp.SORT_MODES.includes(sort)) return;
+        
+        this.currentSort = sort;
+        this.sortSelect.value = sort;
+        this.saveSortPreference();
+        this.renderTodos();
+    }
+    
+    setFilter(filter) {
+        this.currentFilter = filter;
+        
+        // Update active filter button
+        this.filterBtns.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.filter === filter);
+        });
+        
+        this.renderTodos();
+    }
+    
+    handleTodoInteraction(e) {
+        const todoItem = e.target.closest('.todo-item');
+        if (!todoItem) return;
+        
+        const todoId = todoItem.dataset.todoId;
+        
+        if (e.target.classList.contains('select-checkbox')) {
+            this.toggleSelection(parseInt(todoId), e.shiftKey);
+        } else if (e.target.closest('.todo-subtasks') || e.target.classList.contains('subtask-toggle')) {
+            this.handleSubtaskInteraction(e, todoId);
+        } else if (e.target.classList.contains('delete-btn')) {
+            this.deleteTodo(todoId);
+        } else if (e.target.classList.contains('tag-chip')) {
+            this.filterByTag(e.target.dataset.tag);
+        } else if (e.target.classList.contains('todo-checkbox')) {
+            this.toggleTodo(todoId);
+        } else if (e.target.classList.contains('todo-text')) {
+            // Wait briefly so a double-click (edit) doesn't toggle the todo twice
+            if (e.detail > 1) return;
+            clearTimeout(this.clickTimer);
+            this.clickTimer = setTimeout(() => this.toggleTodo(todoId), 250);
         }
     }
     
-    formatDate(timestamp) {
-        const date = new Date(timestamp);
-        const now = new Date();
-        const diffInMs = now - date;
-        const diffInHours = diffInMs / (1000 * 60 * 60);
-        const diffInDays = diffInMs / (1000 * 60 * 60 * 24);
-        
-        if (diffInHours < 1) {
-            const minutes = Math.floor(diffInMs / (1000 * 60));
-            return minutes <= 1 ? 'Just now' : `${minutes}m ago`;
-        } else if (diffInHours < 24) {
-            return `${Math.floor(diffInHours)}h ago`;
-        } else if (diffInDays < 7) {
-            return `${Math.floor(diffInDays)}d ago`;
-        } else {
-            return date.toLocaleDateString('en-US', {
-                month: 'short',
-                day: 'numeric',
-                year: date.getFullYear() !== now.getFullYear() ? 'numeric' : undefined
-            });
+    handleTodoDoubleClick(e) {
+        if (e.target.classList.contains('subtask-text')) {
+            this.startSubtaskEdit(e.target);
+            return;
         }
+        
+        if (!e.target.classList.contains('todo-text')) return;
+        
+        clearTimeout(this.clickTimer);
+        this.startEdit(e.target.closest('.todo-item'));
     }
     
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
-    
-    showNotification(message, type = 'info') {
-        // Create notification element
-        const notification = document.createElement('div');
-        notification.className = `notification ${type}`;
-        notification.textContent = message;
-        
-        // Style the notification
-        Object.assign(notification.style, {
-            position: 'fixed',
-            top: '20px',
-            right: '20px',
-            padding: '12px 20px',
-            borderRadius: '8px',
-            color: 'white',
-            fontWeight: '500',
-            zIndex: '1000',
-            transform: 'translateX(400px)',
-            transition: 'transform 0.3s ease',
-            maxWidth: '300px',
-            boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)'
-        });
-        
-        // Set background color based on type
-        const colors = {
-            success: '#28a745',
-            error: '#dc3545',
-            info: '#17a2b8'
-        };
-        notification.style.background = colors[type] || colors.info;
+    handleTodoKeydown(e) {
+        const editElement = e.target.closest('.todo-edit');
         
-        // Add to DOM
-        document.body.appendChild(notification);
+        if (e.target.closest('.todo-subtasks')) {
+            this.handleSubtaskKeydown(e);
+            return;
+        }
         
-        // Animate in
-        setTimeout(() => {
-            notification.style.transform = 'translateX(0)';
-        }, 10);
+        if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown') && e.target.classList.contains('todo-text')) {
+            const todoItem = e.target.closest('.todo-item');
+            
+            e.preventDefault();
+            this.moveTodoByOffset(parseInt(todoItem.dataset.todoId), e.key === 'ArrowUp' ? -1 : 1);
+            return;
+        }
         
-        // Remove after delay
-        setTimeout(() => {
-            notification.style.transform = 'translateX(400px)';
-            setTimeout(() => {
-                if (notification.parentNode) {
-                    notification.parentNode.removeChild(notification);
-                }
-            }, 300);
-        }, 3000);
+        if (editElement) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.commitEdit(editElement);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.cancelEdit();
+            }
+        } else if (e.target.classList.contains('todo-text') || e.target.classList.contains('todo-checkbox')) {
+            this.handleRowKeydown(e, parseInt(e.target.closest('.todo-item').dataset.todoId));
+        }
     }
-}
+    
+    // Keys on a focused todo row. Arrow keys move focus between rows (roving tabindex),
+    // so the whole list is a single Tab stop.
+    handleRowKeydown(e, id) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                e.preventDefault();
+                this.focusRowByOffset(id, e.key === 'ArrowUp' ? -1 : 1);
+                break;
+            case 'Home':
+            case 'End': {
+                e.preventDefault();
+                const rows = this.getRowIds();
+                this.focusTodo(e.key === 'Home' ? rows[0] : rows[rows.length - 1]);
+                break;
+            }
+            case ' ': {
+                e.preventDefault();
+                const fallbackId = this.getNeighbourRowId(id);
+                clearTimeout(this.clickTimer);
+                this.toggleTodo(id);
+                this.restoreRowFocus(this.getRowIds().includes(id) ? id : fallbackId);
+                break;
+            }
+            case 'Enter':
+                if (!e.target.classList.contains('todo-text')) return;
+                e.preventDefault();
+                this.startEdit(e.target.closest('.todo-item'));
+                break;
+            case 'Delete': {
+                e.preventDefault();
+                const nextId = this.getNeighbourRowId(id);
+                this.deleteTodo(id);
+                this.restoreRowFocus(nextId);
+                break;
+            }
+        }
+    }
+    
+    // Ids of every todo row in the current view, top to bottom, including rows outside the rendered window
+    getRowIds() {
+        return this.renderedTodos.map(todo => todo.id);
+    }
+    
+    getRenderedRowIds() {
+        return [...this.todoList.querySelectorAll('.todo-item')].map(item => parseInt(item.dataset.todoId));
+    }
+    
+    focusRowByOffset(id, offset) {
+        const rows = this.getRowIds();
+        const index = rows.indexOf(id);
+        if (index !== -1 && rows[index + offset] !== undefined) this.focusTodo(rows[index + offset]);
+    }
+    
+    // Where focus goes when a row disappears: the row below it, or above it at the end of the list
+    getNeighbourRowId(id) {
+        const rows = this.getRowIds();
+        const index = rows.indexOf(id);
+        return rows[index + 1] !== undefined ? rows[index + 1] : rows[index - 1];
+    }
+    
+    // Focus a row after a re-render, or the add field once the list is empty
+    restoreRowFocus(id) {
+        if (id !== undefined && this.getRowIds().includes(id)) {
+            this.focusTodo(id);
+        } else {
+            this.todoInput.focus();
+        }
+    }
+    
+    setRovingFocus(id) {
+        this.focusedId = id;
+        this.todoList.querySelectorAll('.todo-item').forEach(item => {
+            const text = item.querySelector('.todo-text');
+            if (text) text.tabIndex = parseInt(item.dataset.todoId) === id ? 0 : -1;
+        });
+    }
+    
+    // Keeps exactly one row reachable with Tab after a render: the last focused one, else the first
+    updateRovingFocus() {
+        const rows = this.getRenderedRowIds();
+        if (rows.length === 0) return;
+        
+        this.setRovingFocus(rows.includes(this.focusedId) ? this.focusedId : rows[0]);
+    }
+    
+    handleGlobalShortcut(e) {
+        if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+        
+        const target = e.target;
+        const isTyping = target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+        if (isTyping) return;
+        
+        if (e.key === '?') {
+            e.preventDefault();
+            if (this.shortcutsPanel.classList.contains('hidden')) {
+                if (!this.isPanelOpen()) this.openShortcutsPanel();
+            } else {
+                this.closeShortcutsPanel();
+            }
+        } else if (e.key === 'Escape' && !this.shortcutsPanel.classList.contains('hidden')) {
+            e.preventDefault();
+            this.closeShortcutsPanel();
+        } else if (e.key === '/' && !this.isPanelOpen()) {
+            e.preventDefault();
+            this.searchInput.focus();
+            this.searchInput.select();
+        }
+    }
+    
+    openShortcutsPanel() {
+        this.shortcutsReturnFocus = document.activeElement;
+        this.shortcutsPanel.classList.remove('hidden');
+        this.shortcutsPanel.querySelector('.modal-close').focus();
+    }
+    
+    closeShortcutsPanel() {
+        this.shortcutsPanel.classList.add('hidden');
+        
+        const returnFocus = this.shortcutsReturnFocus;
+        this.shortcutsReturnFocus = null;
+        if (returnFocus && document.body.contains(returnFocus)) {
+            returnFocus.focus();
+        } else {
+            this.shortcutsBtn.focus();
+        }
+    }
+    
+    getFilteredTodos() {
+        let filtered = this.todos;
+        
+        // Apply search query
+        if (!this.searchQuery.isEmpty()) {
+            const todayKey = DateKey.today();
+            filtered = filtered.filter(todo => this.searchQuery.matches(todo, todayKey));
+        }
+        
+        // Apply status filter
+        switch (this.currentFilter) {
+            case 'active':
+                filtered = filtered.filter(todo => !todo.completed);
+                break;
+            case 'completed':
+                filtered = filtered.filter(todo => todo.completed);
+                break;
+            // 'all' shows everything
+        }
+        
+        return this.sortTodos(filtered);
+    }
+    
+    sortTodos(todos) {
+        const byCreated = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+        const priorityRank = { high: 0, normal: 1, low: 2 };
+        
+        // Copy first so the stored order is never mutated by a view
+        const sorted = [...todos];
+        
+        switch (this.currentSort) {
+            case 'due':
+                // Todos without a due date go last
+                sorted.sort((a, b) => {
+                    if (a.dueDate === b.dueDate) return byCreated(a, b);
+                    if (!a.dueDate) return 1;
+                    if (!b.dueDate) return -1;
+                    return a.dueDate < b.dueDate ? -1 : 1;
+                });
+                break;
+            case 'priority':
+                sorted.sort((a, b) => (priorityRank[a.priority] - priorityRank[b.priority]) || byCreated(a, b));
+                break;
+            case 'alphabetical':
+                sorted.sort((a, b) => a.text.localeCompare(b.text, undefined, { sensitivity: 'base' }));
+                break;
+            case 'manual':
+                // The stored order is the manual order
+                break;
+            default:
+                sorted.sort(byCreated);
+        }
+        
+        return sorted;
+    }
+    
+    // ---- Subtasks ----
+    
+    handleSubtaskInteraction(e, todoId) {
+        const id = parseInt(todoId);
+        const subtaskItem = e.target.closest('.subtask-item');
+        const subtaskId = subtaskItem ? parseInt(subtaskItem.dataset.subtaskId) : null;
+        
+        if (e.target.classList.contains('subtask-toggle')) {
+            this.toggleSubtasksExpanded(id);
+        } else if (e.target.classList.contains('subtask-add-btn')) {
+            this.addSubtask(id, e.target.closest('.todo-subtasks').querySelector('.subtask-input'));
+        } else if (e.target.classList.contains('subtask-delete-btn')) {
+            this.deleteSubtask(id, subtaskId);
+        } else if (e.target.classList.contains('subtask-checkbox')) {
+            this.toggleSubtask(id, subtaskId);
+        }
+    }
+    
+    handleSubtaskKeydown(e) {
+        const todoId = parseInt(e.target.closest('.todo-item').dataset.todoId);
+        
+        if (e.target.classList.contains('subtask-input') && e.key === 'Enter') {
+            e.preventDefault();
+            this.addSubtask(todoId, e.target);
+        } else if (e.target.classList.contains('subtask-text') && e.key === 'Enter') {
+            e.preventDefault();
+            this.startSubtaskEdit(e.target);
+        } else if (e.target.classList.contains('subtask-edit-input')) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.commitSubtaskEdit(e.target);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                e.target.dataset.done = 'true';
+                this.renderTodos();
+            }
+        }
+    }
+    
+    validateSubtaskText(text) {
+        if (!text) {
+            return this.i18n.t('todo.error.subtaskRequired');
+        }
+        
+        if (text.length > 200) {
+            return this.i18n.t('todo.error.subtaskTooLong', { max: 200 });
+        }
+        
+        return null;
+    }
+    
+    toggleSubtasksExpanded(todoId) {
+        if (this.expandedIds.has(todoId)) {
+            this.expandedIds.delete(todoId);
+        } else {
+            this.expandedIds.add(todoId);
+        }
+        
+        this.renderTodos();
+        
+        // Keep keyboard users on the toggle they just pressed
+        const toggle = this.todoList.querySelector(`.todo-item[data-todo-id="${todoId}"] .subtask-toggle`);
+        if (toggle) toggle.focus();
+    }
+    
+    addSubtask(todoId, input) {
+        const todo = this.todos.find(todo => todo.id === todoId);
+        if (!todo) return;
+        
+        const text = input.value.trim();
+        const error = this.validateSubtaskText(text);
+        if (error) {
+            this.toasts.show(error, 'error');
+            return;
+        }
+        
+        this.recordHistory('addSubtask');
+        todo.subtasks.push({
+            id: this.generateId(todo.subtasks),
+            text: text,
+            completed: false
+        });
+        
+        // A new open subtask means the parent is no longer done
+        this.rollUpSubtasks(todo);
+        this.saveTodos();
+        this.renderTodos();
+        
+        const newInput = this.todoList.querySelector(`.todo-item[data-todo-id="${todoId}"] .subtask-input`);
+        if (newInput) newInput.focus();
+    }
+    
+    toggleSubtask(todoId, subtaskId) {
+        const todo = this.todos.find(todo => todo.id === todoId);
+        const subtask = todo && todo.subtasks.find(subtask => subtask.id === subtaskId);
+        if (!subtask) return;
+        
+        const entry = this.recordHistory('toggleSubtask');
+        subtask.completed = !subtask.completed;
+        const parentChanged = this.rollUpSubtasks(todo);
+        this.saveTodos();
+        this.renderTodos();
+        
+        if (parentChanged) {
+            const message = this.i18n.t(todo.completed ? 'todo.toast.markedCompleted' : 'todo.toast.markedActive');
+            this.toasts.show(message, 'success', this.undoAction(entry));
+        }
+    }
+    
+    deleteSubtask(todoId, subtaskId) {
+        const todo = this.todos.find(todo => todo.id === todoId);
+        const index = todo ? todo.subtasks.findIndex(subtask => subtask.id === subtaskId) : -1;
+        if (index === -1) return;
+        
+        const entry = this.recordHistory('deleteSubtask');
+        const [subtask] = todo.subtasks.splice(index, 1);
+        this.rollUpSubtasks(todo);
+        this.saveTodos();
+        this.renderTodos();
+        this.toasts.show(this.i18n.t('todo.toast.subtaskDeleted', { text: subtask.text }), 'info', this.undoAction(entry));
+    }
+    
+    startSubtaskEdit(textElement) {
+        const todoId = parseInt(textElement.closest('.todo-item').dataset.todoId);
+        const subtaskId = parseInt(textElement.closest('.subtask-item').dataset.subtaskId);
+        const todo = this.todos.find(todo => todo.id === todoId);
+        const subtask = todo && todo.subtasks.find(subtask => subtask.id === subtaskId);
+        if (!subtask) return;
+        
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'subtask-edit-input';
+        input.maxLength = 200;
+        input.value = subtask.text;
+        input.setAttribute('aria-label', this.i18n.t('todo.subtasks.edit'));
+        
+        this.invalidateRow(todoId);
+        textElement.replaceWith(input);
+        input.focus();
+        input.select();
+    }
+    
+    commitSubtaskEdit(input, fromBlur = false) {
+        // Guard against the blur that follows an Enter/Escape re-render
+        if (!input.isConnected || input.dataset.done) return;
+        
+        const todoId = parseInt(input.closest('.todo-item').dataset.todoId);
+        const subtaskId = parseInt(input.closest('.subtask-item').dataset.subtaskId);
+        const todo = this.todos.find(todo => todo.id === todoId);
+        const subtask = todo && todo.subtasks.find(subtask => subtask.id === subtaskId);
+        const text = input.value.trim();
+        const error = this.validateSubtaskText(text);
+        
+        if (error) {
+            this.toasts.show(error, 'error');
+            if (!fromBlur) {
+                input.focus();
+                return;
+            }
+        }
+        
+        input.dataset.done = 'true';
+        if (error || !subtask || subtask.text === text) {
+            this.renderTodos();
+            return;
+        }
+        
+        const entry = this.recordHistory('editSubtask');
+        subtask.text = text;
+        this.saveTodos();
+        this.renderTodos();
+        this.toasts.show(this.i18n.t('todo.toast.subtaskUpdated'), 'success', this.undoAction(entry));
+    }
+    
+    // Keep the parent in step with its checklist when auto-complete is on.
+    // Returns true when the parent's completed state changed.
+    rollUpSubtasks(todo) {
+        if (!this.autoCompleteParents || todo.subtasks.length === 0) return false;
+        
+        const allDone = todo.subtasks.every(subtask => subtask.completed);
+        if (todo.completed === allDone) return false;
+        
+        this.setTodoCompleted(todo, allDone);
+        return true;
+    }
+    
+    getSubtaskProgress(todo) {
+        const total = todo.subtasks.length;
+        const completed = todo.subtasks.filter(subtask => subtask.completed).length;
+        return { total, completed };
+    }
+    
+    // Unique numeric id based on the current time, like the todos themselves
+    generateId(items) {
+        const now = Date.now();
+        const maxId = items.reduce((max, item) => Math.max(max, item.id), 0);
+        return now > maxId ? now : maxId + 1;
+    }
+    
+    renderSubtasks(todo) {
+        const { total, completed } = this.getSubtaskProgress(todo);
+        const percent = total ? Math.round((completed / total) * 100) : 0;
+        const t = key => Html.escape(this.i18n.t(key));
+        
+        const items = todo.subtasks.map(subtask => `
+            <li class="subtask-item" data-subtask-id="${subtask.id}">
+                <div class="subtask-checkbox ${subtask.completed ? 'checked' : ''}"></div>
+                <span class="subtask-text ${subtask.completed ? 'completed' : ''}" tabindex="0" title="${t('todo.subtasks.editHint')}">${Html.escape(subtask.text)}</span>
+                <button class="subtask-delete-btn" title="${t('todo.subtasks.delete')}" aria-label="${t('todo.subtasks.delete')}">✕</button>
+            </li>
+        `).join('');
+        
+        return `
+            <div class="todo-subtasks">
+                ${total ? `
+                    <div class="subtask-progress" aria-hidden="true">
+                        <div class="subtask-progress-bar" style="width: ${percent}%"></div>
+                    </div>
+                ` : ''}
+                <ul class="subtask-list">${items}</ul>
+                <div class="subtask-add">
+                    <input type="text" class="subtask-input" placeholder="${t('todo.subtasks.placeholder')}" maxlength="200" aria-label="${t('todo.subtasks.new')}">
+                    <button class="subtask-add-btn">${t('todo.subtasks.add')}</button>
+                </div>
+            </div>
+        `;
+    }
+    
+    // ---- Bulk selection ----
+    
+    setSelectionMode(enabled) {
+        this.selectionMode = enabled;
+        if (!enabled) {
+            this.selectedIds.clear();
+            this.lastSelectedId = null;
+        }
+        
+        this.selectModeBtn.classList.toggle('active', enabled);
+        this.selectModeBtn.setAttribute('aria-pressed', String(enabled));
+        this.batchBar.classList.toggle('hidden', !enabled);
+        this.renderTodos();
+    }
+    
+    // Shift-click selects every visible todo between the last clicked one and this one
+    toggleSelection(id, extendRange = false) {
+        const visibleIds = this.getFilteredTodos().map(todo => todo.id);
+        const anchorIndex = visibleIds.indexOf(this.lastSelectedId);
+        const index = visibleIds.indexOf(id);
+        
+        if (extendRange && anchorIndex !== -1 && index !== -1) {
+            const [start, end] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+            visibleIds.slice(start, end + 1).forEach(rangeId => this.selectedIds.add(rangeId));
+        } else if (this.selectedIds.has(id)) {
+            this.selectedIds.delete(id);
+        } else {
+            this.selectedIds.add(id);
+        }
+        
+        this.lastSelectedId = id;
+        this.renderTodos();
+    }
+    
+    selectAllVisible() {
+        const visibleTodos = this.getFilteredTodos();
+        const allSelected = visibleTodos.length > 0 && visibleTodos.every(todo => this.selectedIds.has(todo.id));
+        
+        // Pressing it again with everything selected clears the selection
+        visibleTodos.forEach(todo => {
+            if (allSelected) {
+                this.selectedIds.delete(todo.id);
+            } else {
+                this.selectedIds.add(todo.id);
+            }
+        });
+        
+        if (!this.selectionMode) {
+            this.setSelectionMode(true);
+        } else {
+            this.renderTodos();
+        }
+    }
+    
+    handleSelectionShortcut(e) {
+        const tag = e.target.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+        if (e.defaultPrevented || this.isPanelOpen()) return;
+        
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'a') {
+            e.preventDefault();
+            this.selectAllVisible();
+        } else if (e.key === 'Escape' && this.selectionMode) {
+            this.setSelectionMode(false);
+        }
+    }
+    
+    getSelectedTodos() {
+        return this.todos.filter(todo => this.selectedIds.has(todo.id));
+    }
+    
+    handleBatchAction(action) {
+        switch (action) {
+            case 'select-all':
+                this.selectAllVisible();
+                break;
+            case 'complete':
+                this.batchSetCompleted(true);
+                break;
+            case 'reactivate':
+                this.batchSetCompleted(false);
+                break;
+            case 'tag':
+                this.batchTag(this.batchTagInput.value);
+                break;
+            case 'delete':
+                this.batchDelete(this.getSelectedTodos(), 'deleteTodos');
+                break;
+            case 'done':
+                this.setSelectionMode(false);
+                break;
+        }
+    }
+    
+    // Every batch ends with one save, one render and one notification with undo
+    finishBatch(entry, message) {
+        this.saveTodos();
+        this.renderTodos();
+        this.toasts.show(message, 'success', this.undoAction(entry));
+    }
+    
+    requireSelection() {
+        const selected = this.getSelectedTodos();
+        if (selected.length === 0) {
+            this.toasts.show(this.i18n.t('todo.toast.selectFirst'), 'info');
+        }
+        return selected;
+    }
+    
+    batchSetCompleted(completed) {
+        const selected = this.requireSelection();
+        if (selected.length === 0) return;
+        
+        const targets = selected.filter(todo => todo.completed !== completed);
+        if (targets.length === 0) {
+            this.toasts.show(this.i18n.t(completed ? 'todo.toast.alreadyCompleted' : 'todo.toast.alreadyActive'), 'info');
+            return;
+        }
+        
+        const entry = this.recordHistory(completed ? 'completeTodos' : 'reactivateTodos');
+        targets.forEach(todo => this.setTodoCompleted(todo, completed));
+        this.finishBatch(entry, this.i18n.t(completed ? 'todo.toast.batchCompleted' : 'todo.toast.batchActive', { count: targets.length }));
+    }
+    
+    batchDelete(todos, label) {
+        if (todos.length === 0) {
+            this.toasts.show(this.i18n.t(label === 'clearCompleted' ? 'todo.toast.noCompleted' : 'todo.toast.selectFirst'), 'info');
+            return;
+        }
+        
+        const ids = new Set(todos.map(todo => todo.id));
+        const entry = this.recordHistory(label);
+        this.todos = this.todos.filter(todo => !ids.has(todo.id));
+        ids.forEach(id => this.selectedIds.delete(id));
+        this.finishBatch(entry, this.i18n.t('todo.toast.batchDeleted', { count: ids.size }));
+    }
+    
+    clearCompleted() {
+        this.batchDelete(this.todos.filter(todo => todo.completed), 'clearCompleted');
+    }
+    
+    batchMove(targetListId) {
+        const selected = this.requireSelection();
+        const targetList = this.getList(targetListId);
+        if (selected.length === 0 || !targetList || targetListId === this.activeListId) return;
+        
+        const ids = new Set(selected.map(todo => todo.id));
+        const entry = this.recordHistory('moveTodos', [targetListId]);
+        this.todos = this.todos.filter(todo => !ids.has(todo.id));
+        this.saveListTodos(targetListId, [...selected, ...this.readListTodos(targetListId)]);
+        this.selectedIds.clear();
+        this.finishBatch(entry, this.i18n.t('todo.toast.batchMoved', { count: selected.length, list: targetList.name }));
+    }
+    
+    batchTag(value) {
+        const selected = this.requireSelection();
+        if (selected.length === 0) return;
+        
+        const tag = value.trim().replace(/^#/, '').toLowerCase();
+        if (!TodoApp.TAG_NAME.test(tag)) {
+            this.toasts.show(this.i18n.t('todo.error.tagInvalid'), 'error');
+            return;
+        }
+        
+        const targets = selected.filter(todo => !todo.tags.includes(tag));
+        if (targets.length === 0) {
+            this.toasts.show(this.i18n.t('todo.toast.alreadyTagged', { tag: tag }), 'info');
+            return;
+        }
+        
+        const entry = this.recordHistory('tagTodos');
+        targets.forEach(todo => todo.tags.push(tag));
+        this.batchTagInput.value = '';
+        this.finishBatch(entry, this.i18n.t('todo.toast.batchTagged', { count: targets.length, tag: tag }));
+    }
+    
+    renderBatchBar() {
+        // Drop ids that no longer exist (deleted, moved or undone)
+        const existingIds = new Set(this.todos.map(todo => todo.id));
+        this.selectedIds.forEach(id => {
+            if (!existingIds.has(id)) this.selectedIds.delete(id);
+        });
+        
+        this.selectionCount.textContent = this.i18n.t('todo.batch.selected', { count: this.selectedIds.size });
+        this.clearCompletedBtn.disabled = !this.todos.some(todo => todo.completed);
+        
+        const otherLists = this.lists.filter(list => list.id !== this.activeListId);
+        this.batchListSelect.disabled = otherLists.length === 0;
+        this.batchListSelect.innerHTML = `
+            <option value="">${Html.escape(this.i18n.t('todo.batch.moveTo'))}</option>
+            ${otherLists.map(list => `<option value="${list.id}">${Html.escape(list.name)}</option>`).join('')}
+        `;
+    }
+    
+    // ---- Manual ordering ----
+    
+    // Move a todo before or after another one in the stored order. Anchors are
+    // always visible rows, so this works the same with a search or filter active.
+    reorderTodo(id, anchorId, placeAfter = false) {
+        if (id === anchorId) return;
+        
+        const todoIndex = this.todos.findIndex(todo => todo.id === id);
+        if (todoIndex === -1 || !this.todos.some(todo => todo.id === anchorId)) return;
+        
+        this.recordHistory('reorderTodo');
+        const [todo] = this.todos.splice(todoIndex, 1);
+        const anchorIndex = this.todos.findIndex(todo => todo.id === anchorId);
+        this.todos.splice(placeAfter ? anchorIndex + 1 : anchorIndex, 0, todo);
+        this.saveTodos();
+        this.renderTodos();
+    }
+    
+    moveTodoByOffset(id, offset) {
+        if (this.currentSort !== 'manual') {
+            this.toasts.show(this.i18n.t('todo.toast.manualOnly', { sort: this.i18n.t('todo.sort.manual') }), 'info');
+            return;
+        }
+        
+        const visibleTodos = this.getFilteredTodos();
+        const index = visibleTodos.findIndex(todo => todo.id === id);
+        const neighbour = visibleTodos[index + offset];
+        if (index === -1 || !neighbour) return;
+        
+        this.reorderTodo(id, neighbour.id, offset > 0);
+        this.focusTodo(id);
+    }
+    
+    focusTodo(id) {
+        let text = this.todoList.querySelector(`.todo-item[data-todo-id="${id}"] .todo-text`);
+        
+        // In a long list the row may be outside the rendered window; focusing it scrolls it into view
+        const index = this.getRowIds().indexOf(id);
+        if (!text && index !== -1) {
+            this.renderWindow(index);
+            text = this.todoList.querySelector(`.todo-item[data-todo-id="${id}"] .todo-text`);
+        }
+        if (!text) return;
+        
+        this.setRovingFocus(id);
+        text.focus();
+    }
+    
+    startDrag(e) {
+        const handle = e.target.closest('.drag-handle');
+        if (!handle || this.currentSort !== 'manual' || (e.button !== undefined && e.button !== 0)) return;
+        
+        const todoItem = handle.closest('.todo-item');
+        e.preventDefault();
+        if (handle.setPointerCapture) handle.setPointerCapture(e.pointerId);
+        
+        this.drag = { id: parseInt(todoItem.dataset.todoId), item: todoItem, moved: false };
+        todoItem.classList.add('dragging');
+    }
+    
+    moveDrag(e) {
+        if (!this.drag) return;
+        
+        // Slide the dragged row in front of the first row whose middle is below the pointer
+        const rows = [...this.todoList.querySelectorAll('.todo-item:not(.dragging)')];
+        const nextRow = rows.find(row => {
+            const rect = row.getBoundingClientRect();
+            return e.clientY < rect.top + rect.height / 2;
+        });
+        
+        if (nextRow) {
+            if (nextRow !== this.drag.item.nextElementSibling) {
+                this.todoList.insertBefore(this.drag.item, nextRow);
+                this.drag.moved = true;
+            }
+        } else if (this.drag.item.nextElementSibling !== this.bottomSpacer) {
+            this.todoList.insertBefore(this.drag.item, this.bottomSpacer);
+            this.drag.moved = true;
+        }
+    }
+    
+    endDrag(cancelled = false) {
+        if (!this.drag) return;
+        
+        const { id, item, moved } = this.drag;
+        this.drag = null;
+        item.classList.remove('dragging');
+        
+        if (cancelled || !moved) {
+            this.renderTodos();
+            return;
+        }
+        
+        // Anchor the drop on the visible row it landed next to
+        const nextRow = item.nextElementSibling;
+        const previousRow = item.previousElementSibling;
+        if (nextRow && nextRow.dataset.todoId) {
+            this.reorderTodo(id, parseInt(nextRow.dataset.todoId));
+        } else if (previousRow && previousRow.dataset.todoId) {
+            this.reorderTodo(id, parseInt(previousRow.dataset.todoId), true);
+        } else {
+            this.renderTodos();
+        }
+    }
+    
+    renderTodos() {
+        const filteredTodos = this.getFilteredTodos();
+        this.renderedTodos = filteredTodos;
+        
+        // Update stats
+        this.updateStats();
+        this.renderBatchBar();
+        
+        // Handle empty states
+        if (this.todos.length === 0) {
+            this.showEmptyState('no-todos');
+            return;
+        }
+        
+        if (filteredTodos.length === 0) {
+            if (this.searchTerm) {
+                this.showEmptyState('no-search-results');
+            } else {
+                this.showEmptyState('no-filter-results');
+            }
+            return;
+        }
+        
+        this.renderWindow();
+        this.updateRovingFocus();
+    }
+    
+    // Brings the rendered rows in line with this.renderedTodos. Only rows whose content
+    // changed are rebuilt; the rest are kept (with their focus and scroll position) or moved.
+    // includeIndex forces that row into the window, e.g. to focus it.
+    renderWindow(includeIndex = -1) {
+        const todos = this.renderedTodos;
+        const range = this.getRenderRange(todos, includeIndex);
+        const context = this.getRowContext();
+        const focused = document.activeElement;
+        const focusedRow = focused && this.todoList.contains(focused) ? focused.closest('.todo-item') : null;
+        const rowCache = new Map();
+        const elements = [];
+        
+        for (let i = range.start; i < range.end; i++) {
+            const todo = todos[i];
+            const signature = this.getRowSignature(todo, context);
+            let row = this.rowCache.get(todo.id);
+            
+            // A row being edited keeps its form until the edit ends
+            if (!row || (row.signature !== signature && todo.id !== this.editingId)) {
+                row = { element: this.createTodoElement(todo), signature: signature };
+            }
+            rowCache.set(todo.id, row);
+            elements.push(row.element);
+        }
+        
+        this.rowCache = rowCache;
+        this.patchRows(elements, range);
+        
+        // A rebuilt row gets focus back on the same control
+        if (focusedRow && !focusedRow.isConnected) {
+            const row = rowCache.get(parseInt(focusedRow.dataset.todoId));
+            const control = TodoApp.FOCUSABLE_ROW_CONTROLS.find(selector => focused.matches(selector));
+            const target = row && control && row.element.querySelector(control);
+            if (target) target.focus();
+        }
+        
+        if (range.virtual) this.measureRows();
+    }
+    
+    // Puts exactly these row elements between the spacers, in order, touching only rows that moved
+    patchRows(elements, range) {
+        const wanted = new Set(elements);
+        [...this.todoList.children].forEach(child => {
+            if (child !== this.topSpacer && child !== this.bottomSpacer && !wanted.has(child)) child.remove();
+        });
+        
+        if (this.todoList.firstChild !== this.topSpacer) this.todoList.prepend(this.topSpacer);
+        if (this.todoList.lastChild !== this.bottomSpacer) this.todoList.appendChild(this.bottomSpacer);
+        this.topSpacer.style.height = `${range.before}px`;
+        this.bottomSpacer.style.height = `${range.after}px`;
+        
+        let cursor = this.topSpacer.nextSibling;
+        elements.forEach(element => {
+            if (element === cursor) {
+                cursor = cursor.nextSibling;
+            } else {
+                this.todoList.insertBefore(element, cursor);
+            }
+        });
+    }
+    
+    // Which rows to render: all of them for short lists, otherwise the ones in the viewport
+    // plus some overscan. before/after are the heights the spacers stand in for.
+    getRenderRange(todos, includeIndex) {
+        if (todos.length <= TodoApp.VIRTUALIZE_AFTER) {
+            return { start: 0, end: todos.length, before: 0, after: 0, virtual: false };
+        }
+        
+        const heights = todos.map(todo => this.rowHeights.get(todo.id) || TodoApp.ROW_HEIGHT);
+        const viewTop = -this.todoList.getBoundingClientRect().top;
+        const viewBottom = viewTop + window.innerHeight;
+        
+        let start = 0;
+        let offset = 0;
+        while (start < todos.length - 1 && offset + heights[start] < viewTop) {
+            offset += heights[start++];
+        }
+        let end = start;
+        while (end < todos.length && offset < viewBottom) {
+            offset += heights[end++];
+        }
+        
+        start = Math.max(0, start - TodoApp.OVERSCAN);
+        end = Math.min(todos.length, end + TodoApp.OVERSCAN);
+        
+        // Same window size, moved to the row that has to be rendered
+        if (includeIndex !== -1 && (includeIndex < start || includeIndex >= end)) {
+            const size = end - start;
+            start = Math.max(0, includeIndex - TodoApp.OVERSCAN);
+            end = Math.min(todos.length, start + size);
+        }
+        
+        const sum = (from, to) => heights.slice(from, to).reduce((total, height) => total + height, 0);
+        return { start: start, end: end, before: sum(0, start), after: sum(end, todos.length), virtual: true };
+    }
+    
+    measureRows() {
+        this.rowCache.forEach((row, id) => {
+            const height = row.element.offsetHeight;
+            if (height > 0) this.rowHeights.set(id, height);
+        });
+    }
+    
+    scheduleWindowUpdate() {
+        if (this.windowFrame !== null || this.renderedTodos.length <= TodoApp.VIRTUALIZE_AFTER) return;
+        
+        this.windowFrame = requestAnimationFrame(() => {
+            this.windowFrame = null;
+            
+            // Rows being edited or dragged must stay where they are
+            if (this.editingId !== null || this.drag !== null) return;
+            this.renderWindow();
+            this.updateRovingFocus();
+        });
+    }
+    
+    // Everything outside the todo itself that changes how its row looks
+    getRowContext() {
+        return JSON.stringify([
+            DateKey.today(),
+            this.i18n.locale,
+            this.currentSort === 'manual',
+            this.selectionMode,
+            this.searchQuery.getHighlightTerms()
+        ]);
+    }
+    
+    getRowSignature(todo, context) {
+        return JSON.stringify([
+            todo,
+            this.selectedIds.has(todo.id),
+            this.expandedIds.has(todo.id),
+            this.formatDate(todo.createdAt)
+        ]) + context;
+    }
+    
+    // Forces a row to be rebuilt on the next render, after its DOM was changed in place (e.g. by an edit form)
+    invalidateRow(id) {
+        const row = this.rowCache.get(id);
+        if (row) row.signature = null;
+    }
+    
+    clearRows() {
+        this.todoList.innerHTML = '';
+        this.rowCache.clear();
+    }
+    
+    createSpacer() {
+        const spacer = document.createElement('div');
+        spacer.className = 'todo-spacer';
+        spacer.setAttribute('aria-hidden', 'true');
+        return spacer;
+    }
+    
+    createTodoElement(todo) {
+        const todoElement = document.createElement('div');
+        const overdue = this.isOverdue(todo);
+        const t = key => Html.escape(this.i18n.t(key));
+        todoElement.className = `todo-item priority-${todo.priority}`;
+        todoElement.setAttribute('role', 'listitem');
+        todoElement.classList.toggle('overdue', overdue);
+        todoElement.classList.toggle('selected', this.selectedIds.has(todo.id));
+        todoElement.dataset.todoId = todo.id;
+        
+        const priorityBadge = todo.priority !== 'normal'
+            ? `<span class="todo-priority ${todo.priority}">${this.getPriorityLabel(todo.priority)}</span>`
+            : '';
+        const dueBadge = todo.dueDate
+            ? `<span class="todo-due ${overdue ? 'overdue' : ''}">${Html.escape(this.i18n.t(overdue ? 'todo.row.overdue' : 'todo.row.due', { date: this.formatDueDate(todo.dueDate) }))}</span>`
+            : '';
+        const repeatBadge = todo.recurrence
+            ? `<span class="todo-repeat" title="${t('todo.row.repeatHint')}">↻ ${Html.escape(this.describeRecurrence(todo.recurrence))}</span>`
+            : '';
+        const reminderBadge = todo.reminderAt && !todo.completed
+            ? `<span class="todo-reminder" title="${t('todo.row.reminder')}">⏰ ${this.formatReminder(todo.reminderAt)}</span>`
+            : '';
+        const { total: subtaskTotal, completed: subtaskCompleted } = this.getSubtaskProgress(todo);
+        const expanded = this.expandedIds.has(todo.id);
+        const subtaskToggle = `
+            <button class="subtask-toggle ${subtaskTotal && subtaskCompleted === subtaskTotal ? 'done' : ''}" aria-expanded="${expanded}" title="${t(expanded ? 'todo.subtasks.hide' : 'todo.subtasks.show')}">
+                ${subtaskTotal ? `☑ ${subtaskCompleted}/${subtaskTotal}` : t('todo.subtasks.button')}
+            </button>
+        `;
+        const tagChips = todo.tags.length
+            ? `<span class="todo-tags">${todo.tags.map(tag => `<button class="tag-chip" data-tag="${Html.escape(tag)}">#${Html.escape(tag)}</button>`).join('')}</span>`
+            : '';
+        
+        const dragHandle = this.currentSort === 'manual'
+            ? `<span class="drag-handle" title="${t('todo.row.dragHint')}" aria-hidden="true">⠿</span>`
+            : '';
+        
+        const selectCheckbox = this.selectionMode
+            ? `<input type="checkbox" class="select-checkbox" aria-label="${t('todo.row.select')}" ${this.selectedIds.has(todo.id) ? 'checked' : ''}>`
+            : '';
+        
+        todoElement.innerHTML = `
+            ${selectCheckbox}
+            ${dragHandle}
+            <div class="todo-checkbox ${todo.completed ? 'checked' : ''}" role="checkbox" aria-checked="${todo.completed}" tabindex="-1"></div>
+            <span class="todo-text ${todo.completed ? 'completed' : ''}" tabindex="-1" aria-keyshortcuts="Space Enter Delete" title="${t('todo.row.textHint')}">${Html.highlight(todo.text, this.searchQuery.getHighlightTerms())}</span>
+            ${tagChips}
+            ${priorityBadge}
+            ${dueBadge}
+            ${repeatBadge}
+            ${reminderBadge}
+            ${subtaskToggle}
+            <span class="todo-date">${this.formatDate(todo.createdAt)}</span>
+            <button class="delete-btn">${t('todo.row.delete')}</button>
+            ${expanded ? this.renderSubtasks(todo) : ''}
+        `;
+        
+        // Set through the DOM, since todo text may contain quotes
+        todoElement.querySelector('.todo-checkbox').setAttribute('aria-label', this.i18n.t('todo.row.completed', { text: todo.text }));
+        
+        return todoElement;
+    }
+    
+    showEmptyState(type) {
+        this.clearRows();
+        
+        const messages = {
+            'no-todos': ['todo.empty.noTodos', 'todo.empty.noTodosHint'],
+            'no-search-results': ['todo.empty.noResults', 'todo.empty.noResultsHint'],
+            'no-filter-results': [`todo.empty.filter.${this.currentFilter}`, 'todo.empty.filterHint']
+        };
+        const [title, hint] = messages[type];
+        
+        this.todoList.appendChild(Html.emptyState({
+            title: this.i18n.t(title),
+            hint: this.i18n.t(hint, { term: this.searchTerm }),
+            className: type
+        }));
+    }
+    
+    updateStats() {
+        const total = this.todos.length;
+        const completed = this.todos.filter(todo => todo.completed).length;
+        const list = this.getList(this.activeListId);
+        let stats = this.i18n.t('todo.counter.summary', {
+            list: list ? list.name : this.i18n.t('todo.lists.fallbackName'),
+            todos: this.i18n.t('todo.counter.todos', { count: total }),
+            completed: this.i18n.t('todo.counter.completed', { count: completed })
+        });
+        
+        const subtasks = this.getSubtaskStats();
+        if (subtasks.total > 0) {
+            stats += ` · ${this.i18n.t('todo.counter.subtasks', { completed: subtasks.completed, count: subtasks.total })}`;
+        }
+        
+        this.todoStats.textContent = stats;
+        
+        if (!this.statsPanel.classList.contains('hidden')) this.renderStatsPanel();
+    }
+    
+    getSubtaskStats() {
+        return this.todos.reduce((stats, todo) => {
+            const progress = this.getSubtaskProgress(todo);
+            stats.total += progress.total;
+            stats.completed += progress.completed;
+            return stats;
+        }, { total: 0, completed: 0 });
+    }
+    
+    clearInput() {
+        this.todoInput.value = '';
+        this.dueDateInput.value = '';
+        this.prioritySelect.value = 'normal';
+        this.repeatInput.value = '';
+        this.reminderInput.value = '';
+        this.validateInput();
+        this.todoInput.focus();
+    }
+    
+    saveTodos() {
+        // The store merges in changes from other tabs, so adopt what it actually saved
+        const saved = this.saveListTodos(this.activeListId, this.todos);
+        if (saved) this.todos = saved;
+    }
+    
+    saveListTodos(listId, todos) {
+        try {
+            const saved = this.store.writeTodos(listId, todos);
+            this.refreshReminders([listId]);
+            return saved;
+        } catch (error) {
+            console.error('Error saving todos to localStorage:', error);
+            this.handleStorageError(error, this.i18n.t('todo.error.save'));
+            return null;
+        }
+    }
+    
+    loadTodos() {
+        try {
+            this.todos = this.store.readTodos(this.activeListId);
+        } catch (error) {
+            console.error('Error loading todos from localStorage:', error);
+            this.todos = [];
+            this.toasts.show(this.i18n.t('todo.error.load'), 'error');
+        }
+    }
+    
+    // Todos of a list other than the active one; unreadable data reads as empty
+    readListTodos(listId) {
+        try {
+            return this.store.readTodos(listId);
+        } catch (error) {
+            console.error('Error reading todos from localStorage:', error);
+            return [];
+        }
+    }
+    
+    // Stored todos are brought up to date by TodoApp.MIGRATIONS, but a single record can
+    // still be malformed (edited by hand, written by another version in another tab), so
+    // every read goes through this and keeps the todos that are fine
+    sanitizeTodos(todos) {
+        return todos
+            .filter(todo => this.isValidTodo(todo))
+            .map(todo => this.migrateTodo(todo));
+    }
+    
+    isValidTodo(todo) {
+        return !!todo && 
+               typeof todo.id === 'number' && 
+               typeof todo.text === 'string' && 
+               typeof todo.completed === 'boolean' &&
+               !isNaN(Date.parse(todo.createdAt));
+    }
+    
+    // Quota errors get their own message, since retrying will not help
+    handleStorageError(error, message) {
+        if (TodoStore.isQuotaError(error)) {
+            this.toasts.show(this.i18n.t('todo.error.storageFull'), 'error', {
+                label: this.i18n.t('todo.action.export'),
+                handler: () => this.openTransferPanel()
+            });
+        } else {
+            this.toasts.show(message, 'error');
+        }
+    }
+    
+    handleStorageChange(change) {
+        if (change.type === 'todos' && change.listId !== this.activeListId) {
+            this.refreshReminders([change.listId]);
+            return;
+        }
+        
+        if (change.type !== 'todos') {
+            const previousListId = this.activeListId;
+            this.loadLists();
+            
+            // Another tab switching lists should not switch this one
+            if (this.getList(previousListId)) {
+                this.activeListId = previousListId;
+            } else {
+                this.editingId = null;
+                this.selectedIds.clear();
+                this.lastSelectedId = null;
+            }
+        }
+        
+        // Undo snapshots predate the other tab's changes and would overwrite them
+        this.history.clear();
+        this.loadTodos();
+        this.refreshReminders(change.type === 'todos' ? [change.listId] : null);
+        
+        // Don't pull the rug out from under an edit or drag in progress; the next render picks the changes up
+        if (!this.isBusy()) {
+            this.renderLists();
+            this.renderTodos();
+        }
+    }
+    
+    isBusy() {
+        const focused = document.activeElement;
+        const isTypingInList = !!focused && focused.matches('input, select, textarea') &&
+            (this.todoList.contains(focused) || this.listTabs.contains(focused));
+        
+        return this.editingId !== null || this.drag !== null || isTypingInList;
+    }
+    
+    isPanelOpen() {
+        return [this.transferPanel, this.statsPanel, this.shortcutsPanel].some(panel => !panel.classList.contains('hidden'));
+    }
+    
+    // ---- Import / export ----
+    
+    openTransferPanel() {
+        this.transferPanel.classList.remove('hidden');
+        this.exportFormat.focus();
+    }
+    
+    closeTransferPanel() {
+        this.transferPanel.classList.add('hidden');
+        this.importText.value = '';
+        this.importFile.value = '';
+        this.importFileName = '';
+        this.clearImportPreview();
+        this.transferBtn.focus();
+    }
+    
+    handleTransferInteraction(e) {
+        // Clicking the dimmed backdrop closes the panel
+        if (e.target === this.transferPanel) {
+            this.closeTransferPanel();
+            return;
+        }
+        
+        switch (e.target.dataset.action) {
+            case 'close':
+                this.closeTransferPanel();
+                break;
+            case 'download':
+                this.downloadExport();
+                break;
+            case 'copy':
+                this.copyExport();
+                break;
+            case 'preview':
+                this.previewImport();
+                break;
+            case 'confirm-import':
+                this.applyImport();
+                break;
+            case 'cancel-import':
+                this.clearImportPreview();
+                break;
+        }
+    }
+    
+    getExportText() {
+        const todos = this.exportScope.value === 'filtered' ? this.getFilteredTodos() : this.todos;
+        const list = this.getList(this.activeListId);
+        return TodoTransfer.export(this.exportFormat.value, todos, list ? list.name : 'Todos');
+    }
+    
+    downloadExport() {
+        const format = this.exportFormat.value;
+        const fileType = TodoTransfer.FILE_TYPES[format];
+        const list = this.getList(this.activeListId);
+        const baseName = (list ? list.name : 'todos').replace(/[^\w-]+/g, '-').toLowerCase();
+        
+        const blob = new Blob([this.getExportText()], { type: fileType.mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${baseName}-${DateKey.today()}.${fileType.extension}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+    
+    copyExport() {
+        const text = this.getExportText();
+        
+        if (!navigator.clipboard) {
+            this.toasts.show(this.i18n.t('todo.error.clipboardUnavailable'), 'error');
+            return;
+        }
+        
+        navigator.clipboard.writeText(text)
+            .then(() => this.toasts.show(this.i18n.t('todo.toast.copied'), 'success'))
+            .catch(error => {
+                console.error('Error copying export to clipboard:', error);
+                this.toasts.show(this.i18n.t('todo.error.copyFailed'), 'error');
+            });
+    }
+    
+    readImportFile() {
+        const file = this.importFile.files[0];
+        if (!file) return;
+        
+        file.text()
+            .then(text => {
+                this.importText.value = text;
+                this.importFileName = file.name;
+                this.previewImport();
+            })
+            .catch(error => {
+                console.error('Error reading import file:', error);
+                this.toasts.show(this.i18n.t('todo.error.readFile'), 'error');
+            });
+    }
+    
+    previewImport() {
+        const text = this.importText.value;
+        if (!text.trim()) {
+            this.toasts.show(this.i18n.t('todo.error.nothingToImport'), 'error');
+            return;
+        }
+        
+        const format = this.importFormat.value === 'auto'
+            ? TodoTransfer.detectFormat(text, this.importFileName)
+            : this.importFormat.value;
+        
+        this.importPreview = this.buildImportPreview(format, text);
+        this.renderImportPreview();
+    }
+    
+    // Sort parsed records into new todos, duplicates of existing ones, and rejected rows
+    buildImportPreview(format, text) {
+        const { records, rejected } = TodoTransfer.parse(format, text);
+        const preview = { format, newTodos: [], duplicates: [], rejected: [...rejected] };
+        const seenTexts = new Set(this.todos.map(todo => todo.text.toLowerCase()));
+        const seenIds = new Set(this.todos.map(todo => todo.id));
+        
+        records.forEach(({ row, todo }) => {
+            const candidate = this.prepareImportedTodo(format, todo);
+            const error = this.validateImportedTodo(candidate);
+            if (error) {
+                preview.rejected.push({ row, reason: error });
+                return;
+            }
+            
+            // Only JSON ids are real; the other formats get placeholders
+            const migrated = this.migrateTodo(candidate);
+            const key = migrated.text.toLowerCase();
+            if ((format === 'json' && seenIds.has(migrated.id)) || seenTexts.has(key)) {
+                preview.duplicates.push(migrated);
+                return;
+            }
+            
+            seenTexts.add(key);
+            seenIds.add(migrated.id);
+            preview.newTodos.push(migrated);
+        });
+        
+        return preview;
+    }
+    
+    // CSV and Markdown rows carry no id or timestamp of their own; JSON must match what loadTodos accepts
+    prepareImportedTodo(format, todo) {
+        if (!todo || typeof todo !== 'object') return todo;
+        
+        const prepared = { ...todo };
+        if (typeof prepared.text === 'string') prepared.text = prepared.text.trim();
+        
+        if (format !== 'json') {
+            if (prepared.id === null) prepared.id = this.generateId(this.todos);
+            if (prepared.createdAt === null) prepared.createdAt = new Date().toISOString();
+            
+            // Markdown subtasks get ids here so migrateTodo keeps them
+            prepared.subtasks = (prepared.subtasks || []).map((subtask, index) => ({
+                id: index + 1,
+                ...subtask
+            }));
+        }
+        
+        return prepared;
+    }
+    
+    validateImportedTodo(todo) {
+        if (!this.isValidTodo(todo)) {
+            return this.i18n.t('todo.import.invalidTodo');
+        }
+        
+        if (isNaN(new Date(todo.createdAt))) {
+            return this.i18n.t('todo.import.invalidDate', { value: todo.createdAt });
+        }
+        
+        const textError = this.validateTodoText(todo.text);
+        if (textError) return textError;
+        
+        if (todo.dueDate && !/^\d{4}-\d{2}-\d{2}$/.test(todo.dueDate)) {
+            return this.i18n.t('todo.import.invalidDueDate', { value: todo.dueDate });
+        }
+        
+        if (todo.priority && !TodoApp.PRIORITIES.includes(todo.priority)) {
+            return this.i18n.t('todo.import.invalidPriority', { value: todo.priority });
+        }
+        
+        const badSubtask = (todo.subtasks || []).find(subtask => subtask && this.validateSubtaskText(subtask.text));
+        if (badSubtask) {
+            return this.i18n.t('todo.import.subtask', { error: this.validateSubtaskText(badSubtask.text) });
+        }
+        
+        return null;
+    }
+    
+    renderImportPreview() {
+        const { newTodos, duplicates, rejected } = this.importPreview;
+        const t = (key, params) => Html.escape(this.i18n.t(key, params));
+        const count = value => `<strong>${this.i18n.formatNumber(value)}</strong>`;
+        const item = (todo, className) => `
+            <li class="preview-item ${className}">
+                <span class="preview-status">${todo.completed ? '☑' : '☐'}</span>
+                ${Html.escape(todo.text)}
+            </li>
+        `;
+        
+        this.importPreviewElement.innerHTML = `
+            <p class="preview-summary">
+                ${this.i18n.t('todo.import.summary', { new: count(newTodos.length), duplicates: count(duplicates.length), rejected: count(rejected.length) })}
+                <span class="preview-format">(${this.importPreview.format.toUpperCase()})</span>
+            </p>
+            ${newTodos.length ? `<ul class="preview-list">${newTodos.map(todo => item(todo, 'new')).join('')}</ul>` : ''}
+            ${duplicates.length ? `
+                <p class="preview-heading">${t('todo.import.duplicatesHeading')}</p>
+                <ul class="preview-list">${duplicates.map(todo => item(todo, 'duplicate')).join('')}</ul>
+            ` : ''}
+            ${rejected.length ? `
+                <p class="preview-heading">${t('todo.import.rejectedHeading')}</p>
+                <ul class="preview-list">
+                    ${rejected.map(entry => `
+                        <li class="preview-item rejected">
+                            ${entry.row ? t('todo.import.row', { row: entry.row, reason: entry.reason }) : Html.escape(entry.reason)}
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+            <div class="modal-row">
+                <button class="modal-btn" data-action="confirm-import" ${newTodos.length ? '' : 'disabled'}>
+                    ${t('todo.import.confirm', { count: newTodos.length })}
+                </button>
+                <button class="modal-btn secondary" data-action="cancel-import">${t('todo.import.cancel')}</button>
+            </div>
+        `;
+    }
+    
+    clearImportPreview() {
+        this.importPreview = null;
+        this.importPreviewElement.innerHTML = '';
+    }
+    
+    applyImport() {
+        if (!this.importPreview || this.importPreview.newTodos.length === 0) return;
+        
+        const { newTodos, duplicates, rejected } = this.importPreview;
+        const entry = this.recordHistory('importTodos');
+        
+        // Fresh ids keep imported todos from clashing with ones in other lists
+        const imported = [];
+        newTodos.forEach(todo => {
+            imported.push({ ...todo, id: this.generateId([...this.todos, ...imported]) });
+        });
+        
+        this.todos.unshift(...imported);
+        this.saveTodos();
+        this.renderTodos();
+        this.closeTransferPanel();
+        
+        const skipped = duplicates.length + rejected.length;
+        this.toasts.show(
+            this.i18n.t(skipped ? 'todo.toast.importedSkipped' : 'todo.toast.imported', { count: imported.length, skipped: skipped }),
+            'success',
+            this.undoAction(entry)
+        );
+    }
+    
+    // ---- Lists ----
+    
+    getList(listId) {
+        return this.lists.find(list => list.id === listId) || null;
+    }
+    
+    loadLists() {
+        try {
+            const savedLists = this.store.read('todoLists', []);
+            this.lists = Array.isArray(savedLists)
+                ? savedLists.filter(list => list && typeof list.id === 'number' && typeof list.name === 'string')
+                : [];
+        } catch (error) {
+            console.error('Error loading todo lists from localStorage:', error);
+            this.lists = [];
+        }
+        
+        // First run: start with a default list
+        if (this.lists.length === 0) {
+            const defaultList = { id: Date.now(), name: this.i18n.t('todo.lists.default'), createdAt: new Date().toISOString() };
+            this.lists = [defaultList];
+            this.saveLists();
+        }
+        
+        let activeListId = null;
+        try {
+            activeListId = parseInt(this.store.read('activeTodoList'));
+        } catch (error) {
+            console.error('Error loading active list from localStorage:', error);
+        }
+        this.activeListId = this.getList(activeListId) ? activeListId : this.lists[0].id;
+    }
+    
+    saveLists() {
+        try {
+            this.store.write('todoLists', this.lists);
+            this.store.write('activeTodoList', this.activeListId);
+        } catch (error) {
+            console.error('Error saving todo lists to localStorage:', error);
+            this.handleStorageError(error, this.i18n.t('todo.error.saveLists'));
+        }
+    }
+    
+    validateListName(name, ignoreListId = null) {
+        if (!name) {
+            return this.i18n.t('todo.error.listNameRequired');
+        }
+        
+        if (name.length > 50) {
+            return this.i18n.t('todo.error.listNameTooLong', { max: 50 });
+        }
+        
+        const duplicate = this.lists.some(list => 
+            list.id !== ignoreListId && list.name.toLowerCase() === name.toLowerCase()
+        );
+        if (duplicate) {
+            return this.i18n.t('todo.error.listExists', { name: name });
+        }
+        
+        return null;
+    }
+    
+    createList(name) {
+        const error = this.validateListName(name);
+        if (error) {
+            this.toasts.show(error, 'error');
+            return false;
+        }
+        
+        const list = { id: Date.now(), name: name, createdAt: new Date().toISOString() };
+        this.lists.push(list);
+        this.saveListTodos(list.id, []);
+        this.switchList(list.id);
+        this.toasts.show(this.i18n.t('todo.toast.listCreated', { name: name }), 'success');
+        return true;
+    }
+    
+    renameList(listId, name) {
+        const list = this.getList(listId);
+        if (!list) return false;
+        
+        const error = this.validateListName(name, listId);
+        if (error) {
+            this.toasts.show(error, 'error');
+            return false;
+        }
+        
+        list.name = name;
+        this.saveLists();
+        this.renderLists();
+        this.updateStats();
+        return true;
+    }
+    
+    deleteList(listId) {
+        const list = this.getList(listId);
+        if (!list) return;
+        
+        if (this.lists.length === 1) {
+            this.toasts.show(this.i18n.t('todo.error.lastList'), 'error');
+            return;
+        }
+        
+        const todoCount = this.readListTodos(listId).length;
+        if (todoCount > 0 && !confirm(this.i18n.t('todo.confirm.deleteList', { name: list.name, count: todoCount }))) return;
+        
+        const index = this.lists.indexOf(list);
+        this.lists.splice(index, 1);
+        
+        try {
+            this.store.removeTodos(listId);
+        } catch (error) {
+            console.error('Error deleting list from localStorage:', error);
+        }
+        
+        // Undoing a move into the list would write its todos back without the list
+        this.history.discard(entry => listId in entry.state.related);
+        
+        if (listId === this.activeListId) {
+            // Fall back to the neighbouring list
+            this.switchList(this.lists[Math.max(0, index - 1)].id);
+        } else {
+            this.saveLists();
+            this.renderLists();
+        }
+        this.refreshReminders([]);
+        this.toasts.show(this.i18n.t('todo.toast.listDeleted', { name: list.name }), 'info');
+    }
+    
+    moveList(listId, offset) {
+        const index = this.lists.findIndex(list => list.id === listId);
+        const newIndex = index + offset;
+        if (index === -1 || newIndex < 0 || newIndex >= this.lists.length) return;
+        
+        const [list] = this.lists.splice(index, 1);
+        this.lists.splice(newIndex, 0, list);
+        this.saveLists();
+        this.renderLists();
+    }
+    
+    switchList(listId) {
+        if (!this.getList(listId)) return;
+        
+        // Undo history and selection only cover the list they were made in
+        this.editingId = null;
+        this.history.clear();
+        this.selectedIds.clear();
+        this.lastSelectedId = null;
+        
+        this.activeListId = listId;
+        this.saveLists();
+        this.loadTodos();
+        this.renderLists();
+        this.renderTodos();
+    }
+    
+    handleListInteraction(e) {
+        const tab = e.target.closest('.list-tab');
+        if (!tab || !tab.dataset.listId) return;
+        
+        const listId = parseInt(tab.dataset.listId);
+        
+        switch (e.target.dataset.action) {
+            case 'rename':
+                this.startListNameEdit(tab);
+                break;
+            case 'delete':
+                this.deleteList(listId);
+                break;
+            case 'move-left':
+                this.moveList(listId, -1);
+                break;
+            case 'move-right':
+                this.moveList(listId, 1);
+                break;
+            default:
+                if (e.target.classList.contains('list-tab-name') && listId !== this.activeListId) {
+                    this.switchList(listId);
+                }
+        }
+    }
+    
+    renderLists() {
+        this.listTabs.innerHTML = '';
+        
+        // Tabs run right to left in RTL languages, so the arrows for moving a list swap sides
+        const t = key => Html.escape(this.i18n.t(key));
+        const rtl = this.i18n.dir === 'rtl';
+        const earlier = rtl ? { arrow: '▶', label: t('todo.lists.moveRight') } : { arrow: '◀', label: t('todo.lists.moveLeft') };
+        const later = rtl ? { arrow: '◀', label: t('todo.lists.moveLeft') } : { arrow: '▶', label: t('todo.lists.moveRight') };
+        
+        this.lists.forEach((list, index) => {
+            const isActive = list.id === this.activeListId;
+            const tab = document.createElement('div');
+            tab.className = 'list-tab';
+            tab.classList.toggle('active', isActive);
+            tab.dataset.listId = list.id;
+            
+            tab.innerHTML = `
+                <button class="list-tab-name" ${isActive ? 'aria-current="true"' : ''} title="${t('todo.lists.renameHint')}">${Html.escape(list.name)}</button>
+                ${isActive ? `
+                    <button class="list-action" data-action="move-left" title="${earlier.label}" aria-label="${earlier.label}" ${index === 0 ? 'disabled' : ''}>${earlier.arrow}</button>
+                    <button class="list-action" data-action="rename" title="${t('todo.lists.rename')}" aria-label="${t('todo.lists.rename')}">✎</button>
+                    <button class="list-action" data-action="delete" title="${t('todo.lists.delete')}" aria-label="${t('todo.lists.delete')}" ${this.lists.length === 1 ? 'disabled' : ''}>✕</button>
+                    <button class="list-action" data-action="move-right" title="${later.label}" aria-label="${later.label}" ${index === this.lists.length - 1 ? 'disabled' : ''}>${later.arrow}</button>
+                ` : ''}
+            `;
+            
+            this.listTabs.appendChild(tab);
+        });
+    }
+    
+    // Pass a tab to rename its list, or null to name a new one
+    startListNameEdit(tab) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'list-name-input';
+        input.maxLength = 50;
+        
+        if (tab) {
+            const list = this.getList(parseInt(tab.dataset.listId));
+            input.value = list.name;
+            input.dataset.listId = list.id;
+            input.setAttribute('aria-label', this.i18n.t('todo.lists.rename'));
+            tab.innerHTML = '';
+            tab.appendChild(input);
+        } else {
+            input.placeholder = this.i18n.t('todo.lists.namePlaceholder');
+            input.setAttribute('aria-label', this.i18n.t('todo.lists.newName'));
+            const newTab = document.createElement('div');
+            newTab.className = 'list-tab editing';
+            newTab.appendChild(input);
+            this.listTabs.appendChild(newTab);
+        }
+        
+        input.focus();
+        input.select();
+    }
+    
+    commitListNameEdit(input, fromBlur = false) {
+        // Guard against the blur that follows an Enter/Escape re-render
+        if (!input.isConnected || input.dataset.done) return;
+        input.dataset.done = 'true';
+        
+        const name = input.value.trim();
+        const listId = input.dataset.listId ? parseInt(input.dataset.listId) : null;
+        
+        // A blank new-list name on blur just means the user changed their mind
+        if (fromBlur && !listId && !name) {
+            this.renderLists();
+            return;
+        }
+        
+        const saved = listId ? this.renameList(listId, name) : this.createList(name);
+        if (saved) return;
+        
+        if (fromBlur) {
+            this.renderLists();
+        } else {
+            delete input.dataset.done;
+            input.focus();
+        }
+    }
+    
+    cancelListNameEdit(input) {
+        input.dataset.done = 'true';
+        this.renderLists();
+    }
+    
+    // ---- Installed app ----
+    
+    // App shortcuts (see manifest.webmanifest) open index.html?action=new or ?action=search
+    handleLaunchAction() {
+        const action = new URLSearchParams(window.location.search).get('action');
+        if (action === 'new') {
+            this.todoInput.focus();
+        } else if (action === 'search') {
+            this.searchInput.focus();
+        }
+    }
+    
+    // The service worker serves the app offline. An updated worker waits until the user
+    // chooses to reload, so the page never mixes files from two versions.
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updateRequested) this.reloadWhenSaved();
+        });
+        
+        try {
+            const registration = await navigator.serviceWorker.register('sw.js');
+            
+            // Installed during an earlier visit and still waiting
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.promptForUpdate(registration.waiting);
+            }
+            
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.promptForUpdate(worker);
+                    }
+                });
+            });
+        } catch (error) {
+            console.error('Error registering the service worker:', error);
+        }
+    }
+    
+    promptForUpdate(worker) {
+        this.toasts.show(this.i18n.t('todo.update.available'), 'info', [
+            { label: this.i18n.t('todo.action.reload'), handler: () => this.applyUpdate(worker) },
+            { label: this.i18n.t('todo.action.later'), handler: () => {} }
+        ], Infinity);
+    }
+    
+    applyUpdate(worker) {
+        // Another tab may have switched to the new version already
+        if (worker.state === 'activated') {
+            this.reloadWhenSaved();
+            return;
+        }
+        
+        this.updateRequested = true;
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    }
+    
+    async reloadWhenSaved() {
+        this.updateRequested = false;
+        try {
+            if (this.store) await this.store.storage.flush();
+        } finally {
+            window.location.reload();
+        }
+    }
+    
+    // ---- Statistics ----
+    
+    openStatsPanel() {
+        this.statsPanel.classList.remove('hidden');
+        this.renderStatsPanel();
+        this.statsScope.focus();
+    }
+    
+    closeStatsPanel() {
+        this.statsPanel.classList.add('hidden');
+        this.statsBtn.focus();
+    }
+    
+    handleStatsInteraction(e) {
+        // Clicking the dimmed backdrop closes the panel
+        if (e.target === this.statsPanel || e.target.dataset.action === 'close') {
+            this.closeStatsPanel();
+        }
+    }
+    
+    // [{ name, todos }] for the lists the panel covers
+    getStatsLists() {
+        const lists = this.statsScope.value === 'all'
+            ? this.lists
+            : this.lists.filter(list => list.id === this.activeListId);
+        
+        return lists.map(list => ({
+            name: list.name,
+            todos: list.id === this.activeListId ? this.todos : this.readListTodos(list.id)
+        }));
+    }
+    
+    renderStatsPanel() {
+        const today = new Date();
+        const lists = this.getStatsLists();
+        const todos = lists.flatMap(list => list.todos);
+        
+        if (todos.length === 0) {
+            this.statsContent.innerHTML = `<p class="stats-empty">${Html.escape(this.i18n.t('todo.stats.empty'))}</p>`;
+            return;
+        }
+        
+        const completed = todos.filter(todo => todo.completed).length;
+        const average = TodoStats.averageCompletionTime(todos);
+        const streak = TodoStats.currentStreak(todos, today);
+        const summary = [
+            { label: 'todo.stats.completed', value: this.i18n.formatNumber(completed) },
+            { label: 'todo.stats.active', value: this.i18n.formatNumber(todos.length - completed) },
+            { label: 'todo.stats.overdue', value: this.i18n.formatNumber(TodoStats.overdueCount(todos, today)) },
+            { label: 'todo.stats.averageTime', value: this.formatAverageTime(average, TodoStats.hasEstimates(todos)) },
+            { label: 'todo.stats.streak', value: this.i18n.t('todo.stats.streakDays', { count: streak }) }
+        ];
+        
+        const weekly = this.statsPeriod.value === 'week';
+        const buckets = weekly
+            ? TodoStats.completionsByWeek(todos, TodoApp.STATS_WEEKS, today)
+            : TodoStats.completionsByDay(todos, TodoApp.STATS_DAYS, today);
+        const chartData = buckets.map(bucket => ({
+            label: this.i18n.formatDate(bucket.date, { month: 'short', day: 'numeric' }),
+            value: bucket.count
+        }));
+        const chartTitle = this.i18n.t(weekly ? 'todo.stats.perWeek' : 'todo.stats.perDay');
+        
+        const byList = this.statsGroup.value === 'list';
+        const groups = (byList ? TodoStats.byList(lists) : TodoStats.byTag(todos))
+            .slice(0, TodoApp.STATS_GROUP_LIMIT)
+            .map(group => (group.label === TodoStats.UNTAGGED ? { ...group, label: this.i18n.t('todo.stats.untagged') } : group));
+        const groupTitle = this.i18n.t(byList ? 'todo.stats.completedByList' : 'todo.stats.completedByTag');
+        const describeGroup = group => this.i18n.t('todo.stats.groupSummary', { label: group.label, completed: group.completed, count: group.total });
+        
+        this.statsContent.innerHTML = `
+            <section class="modal-section">
+                <div class="stats-summary">
+                    ${summary.map(item => `
+                        <div class="stats-card">
+                            <span class="stats-value">${Html.escape(String(item.value))}</span>
+                            <span class="stats-label">${Html.escape(this.i18n.t(item.label))}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            </section>
+            <section class="modal-section">
+                <h3>${Html.escape(chartTitle)}</h3>
+                ${SvgChart.bars(chartData, { title: chartTitle, labelEvery: 2 })}
+            </section>
+            <section class="modal-section">
+                <h3>${Html.escape(groupTitle)}</h3>
+                ${SvgChart.progressBars(groups, { title: groupTitle, describe: describeGroup })}
+            </section>
+        `;
+    }
+    
+    // "≈ 3 hr" when some of the completion times were estimated
+    formatAverageTime(average, estimated) {
+        if (average === null) return '–';
+        
+        const value = TodoStats.formatDuration(average, (count, unit) => this.i18n.formatUnit(count, unit, 'short'));
+        return estimated ? this.i18n.t('todo.stats.estimated', { value: value }) : value;
+    }
+    
+    // ---- Reminders ----
+    
+    // Reminders cover every list, not just the one on screen. Only the lists in listIds
+    // (all of them by default) are read again; the rest keep what was found last time.
+    refreshReminders(listIds = null) {
+        if (!this.store) return;
+        
+        // Rebuilt from this.lists, so deleted lists drop out
+        const previous = this.listReminders;
+        this.listReminders = new Map();
+        this.lists.forEach(list => {
+            const rescan = !listIds || listIds.includes(list.id) || !previous.has(list.id);
+            this.listReminders.set(list.id, rescan ? this.findListReminders(list.id) : previous.get(list.id));
+        });
+        
+        const sent = this.loadSentReminders();
+        const reminders = [];
+        this.listReminders.forEach(found => {
+            reminders.push(...found.filter(reminder => !sent[reminder.key]));
+        });
+        
+        this.reminders.update(reminders);
+    }
+    
+    findListReminders(listId) {
+        const todos = listId === this.activeListId ? this.todos : this.readListTodos(listId);
+        const reminders = [];
+        todos.forEach(todo => {
+            ReminderScheduler.remindersFor(todo)
+                .forEach(reminder => reminders.push({ ...reminder, listId: listId, text: todo.text }));
+        });
+        return reminders;
+    }
+    
+    // { reminderKey: sentAt }, shared by every tab so each reminder is delivered once
+    loadSentReminders() {
+        try {
+            return this.store.read('todoRemindersSent', {}) || {};
+        } catch (error) {
+            console.error('Error reading delivered reminders:', error);
+            return {};
+        }
+    }
+    
+    markRemindersSent(reminders) {
+        const sent = this.loadSentReminders();
+        const now = new Date(this.reminders.clock.now());
+        const cutoff = new Date(now.getTime() - TodoApp.SENT_REMINDER_TTL).toISOString();
+        
+        reminders.forEach(reminder => {
+            sent[reminder.key] = now.toISOString();
+        });
+        
+        // Forget reminders delivered long ago
+        Object.keys(sent).forEach(key => {
+            if (sent[key] < cutoff) delete sent[key];
+        });
+        
+        try {
+            this.store.write('todoRemindersSent', sent);
+        } catch (error) {
+            console.error('Error saving delivered reminders:', error);
+        }
+    }
+    
+    deliverReminders(reminders) {
+        // Another tab may have delivered some of these already
+        const sent = this.loadSentReminders();
+        const fresh = reminders.filter(reminder => !sent[reminder.key]);
+        if (fresh.length === 0) return;
+        
+        this.markRemindersSent(fresh);
+        
+        // System notifications reach the user while this tab is in the background.
+        // The toast is shown either way, since only it can offer snoozing.
+        if (this.canNotify() && document.visibilityState === 'hidden') {
+            fresh.forEach(reminder => this.showSystemNotification(reminder));
+        }
+        
+        if (fresh.length === 1) {
+            this.showReminderToast(fresh[0]);
+            return;
+        }
+        
+        const titles = this.i18n.formatList(fresh.map(reminder => `"${reminder.text}"`));
+        this.toasts.show(this.i18n.t('todo.reminder.many', { count: fresh.length, titles: titles }), 'info', [{
+            label: this.i18n.t('todo.reminder.snoozeAll'),
+            handler: () => fresh.forEach(reminder => this.snoozeReminder(reminder, 60, false))
+        }], TodoApp.REMINDER_TOAST_DURATION);
+    }
+    
+    getReminderMessage(reminder) {
+        const message = this.i18n.t(reminder.kind === 'due' ? 'todo.reminder.due' : 'todo.reminder.reminder', { text: reminder.text });
+        return reminder.missed ? this.i18n.t('todo.reminder.missed', { message: message }) : message;
+    }
+    
+    showReminderToast(reminder) {
+        const actions = [{ label: this.i18n.t('todo.action.done'), handler: () => this.completeFromReminder(reminder) }];
+        TodoApp.SNOOZE_OPTIONS.forEach(option => {
+            actions.push({ label: this.i18n.t(option.label), handler: () => this.snoozeReminder(reminder, option.minutes) });
+        });
+        
+        this.toasts.show(this.getReminderMessage(reminder), 'info', actions, TodoApp.REMINDER_TOAST_DURATION);
+    }
+    
+    showSystemNotification(reminder) {
+        try {
+            const list = this.getList(reminder.listId);
+            const notification = new Notification(this.getReminderMessage(reminder), {
+                body: list ? this.i18n.t('todo.reminder.inList', { list: list.name }) : '',
+                tag: reminder.key
+            });
+            notification.onclick = () => {
+                window.focus();
+                this.openReminderTodo(reminder);
+                notification.close();
+            };
+        } catch (error) {
+            console.error('Error showing a system notification:', error);
+        }
+    }
+    
+    // minutes = null snoozes until tomorrow at the usual reminder time
+    snoozeReminder(reminder, minutes, notify = true) {
+        let until = new Date(this.reminders.clock.now() + (minutes || 0) * 60000);
+        if (minutes === null) {
+            const [hours, mins] = ReminderScheduler.DUE_TIME.split(':').map(Number);
+            until = new Date(until.getFullYear(), until.getMonth(), until.getDate() + 1, hours, mins);
+        }
+        
+        const found = this.updateTodoInList(reminder.listId, reminder.todoId, (todo) => {
+            todo.reminderAt = until.toISOString();
+        });
+        if (found && notify) {
+            this.toasts.show(this.i18n.t('todo.toast.snoozed', { time: this.formatReminder(until.toISOString()) }), 'info');
+        }
+    }
+    
+    completeFromReminder(reminder) {
+        this.openReminderTodo(reminder);
+        
+        const todo = this.todos.find(todo => todo.id === reminder.todoId);
+        if (todo && !todo.completed) this.toggleTodo(todo.id);
+    }
+    
+    openReminderTodo(reminder) {
+        if (reminder.listId !== this.activeListId) this.switchList(reminder.listId);
+        this.focusTodo(reminder.todoId);
+    }
+    
+    // Changes a todo in any list; only the active list is re-rendered
+    updateTodoInList(listId, todoId, update) {
+        const isActive = listId === this.activeListId;
+        const todos = isActive ? this.todos : this.readListTodos(listId);
+        const todo = todos.find(todo => todo.id === todoId);
+        if (!todo) return false;
+        
+        update(todo);
+        if (isActive) {
+            this.saveTodos();
+            this.renderTodos();
+        } else {
+            this.saveListTodos(listId, todos);
+        }
+        return true;
+    }
+    
+    canNotify() {
+        return 'Notification' in window && Notification.permission === 'granted';
+    }
+    
+    async requestNotificationPermission() {
+        try {
+            await Notification.requestPermission();
+        } catch (error) {
+            console.error('Error requesting notification permission:', error);
+        }
+        this.updateNotifyButton();
+    }
+    
+    updateNotifyButton() {
+        if (!('Notification' in window)) {
+            this.notifyBtn.classList.add('hidden');
+            return;
+        }
+        
+        const labels = {
+            granted: this.i18n.t('todo.notify.on'),
+            denied: this.i18n.t('todo.notify.blocked'),
+            default: this.i18n.t('todo.notify.enable')
+        };
+        this.notifyBtn.textContent = labels[Notification.permission] || labels.default;
+        this.notifyBtn.disabled = Notification.permission !== 'default';
+    }
+    
+    // Reads a datetime-local field; an unchanged reminder may already be in the past
+    parseReminderInput(value, todo = null) {
+        if (!value) return { reminderAt: null, error: null };
+        
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            return { error: this.i18n.t('todo.error.reminderInvalid') };
+        }
+        
+        if (todo && todo.reminderAt && this.toDateTimeInputValue(todo.reminderAt) === value) {
+            return { reminderAt: todo.reminderAt, error: null };
+        }
+        
+        if (date.getTime() <= this.reminders.clock.now()) {
+            return { error: this.i18n.t('todo.error.reminderPast') };
+        }
+        
+        return { reminderAt: date.toISOString(), error: null };
+    }
+    
+    // Local date and time as YYYY-MM-DDTHH:MM, the format <input type="datetime-local"> uses
+    toDateTimeInputValue(timestamp) {
+        const date = new Date(timestamp);
+        const hours = String(date.getHours()).padStart(2, '0');
+        const minutes = String(date.getMinutes()).padStart(2, '0');
+        return `${DateKey.from(date)}T${hours}:${minutes}`;
+    }
+    
+    formatReminder(timestamp) {
+        const date = new Date(timestamp);
+        const time = this.i18n.formatTime(date);
+        return `${this.formatDueDate(DateKey.from(date))} ${time}`;
+    }
+    
+    // When a todo was completed. Records from before completion times were kept
+    // fall back to their last change, which is usually the completion itself;
+    // isCompletedAtEstimated tells those apart.
+    static getCompletedAt(todo) {
+        if (!todo.completed) return null;
+        return TodoApp.isCompletedAtEstimated(todo) ? todo.updatedAt || todo.createdAt : todo.completedAt;
+    }
+    
+    static isCompletedAtEstimated(todo) {
+        if (!todo.completed) return false;
+        return todo.completedAtEstimated === true || typeof todo.completedAt !== 'string' || isNaN(Date.parse(todo.completedAt));
+    }
+    
+    // Applies transform to the todos of every list; used by TodoApp.MIGRATIONS
+    static rewriteStoredTodos(storage, transform) {
+        storage.keys()
+            .filter(key => key.startsWith('todos:'))
+            .forEach(key => {
+                let todos;
+                try {
+                    todos = JSON.parse(storage.getItem(key));
+                } catch (error) {
+                    console.error(`Error reading ${key} during migration:`, error);
+                    todos = [];
+                }
+                
+                storage.setItem(key, JSON.stringify(Array.isArray(todos) ? transform(todos) : []));
+            });
+    }
+    
+    migrateTodo(todo) {
+        const validDueDate = typeof todo.dueDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(todo.dueDate);
+        
+        return {
+            ...todo,
+            tags: Array.isArray(todo.tags)
+                ? todo.tags.filter(tag => typeof tag === 'string' && TodoApp.TAG_NAME.test(tag)).map(tag => tag.toLowerCase())
+                : [],
+            dueDate: validDueDate ? todo.dueDate : null,
+            priority: TodoApp.PRIORITIES.includes(todo.priority) ? todo.priority : 'normal',
+            recurrence: Recurrence.isValid(todo.recurrence) ? todo.recurrence : null,
+            reminderAt: typeof todo.reminderAt === 'string' && !isNaN(Date.parse(todo.reminderAt)) ? todo.reminderAt : null,
+            completedAt: TodoApp.getCompletedAt(todo),
+            completedAtEstimated: TodoApp.isCompletedAtEstimated(todo),
+            subtasks: Array.isArray(todo.subtasks)
+                ? todo.subtasks.filter(subtask => {
+                    return subtask &&
+                           typeof subtask.id === 'number' &&
+                           typeof subtask.text === 'string' &&
+                           typeof subtask.completed === 'boolean';
+                })
+                : []
+        };
+    }
+    
+    loadAutoCompletePreference() {
+        return this.preferences.getItem('todoAutoComplete') === 'true';
+    }
+    
+    saveAutoCompletePreference() {
+        this.preferences.setItem('todoAutoComplete', this.autoCompleteParents);
+    }
+    
+    loadSortPreference() {
+        const sort = this.preferences.getItem('todoSort');
+        return TodoApp.SORT_MODES.includes(sort) ? sort : 'created';
+    }
+    
+    saveSortPreference() {
+        this.preferences.setItem('todoSort', this.currentSort);
+    }
+    
+    isOverdue(todo) {
+        return !todo.completed && !!todo.dueDate && todo.dueDate < DateKey.today();
+    }
+    
+    formatDueDate(dueDate) {
+        const date = DateKey.toDate(dueDate);
+        const today = DateKey.today();
+        
+        // "today" and "tomorrow" in the user's language
+        const relative = this.i18n.getFormatter('RelativeTimeFormat', { numeric: 'auto' });
+        if (dueDate === today) return relative.format(0, 'day');
+        if (dueDate === DateKey.addDays(today, 1)) return relative.format(1, 'day');
+        
+        return this.i18n.formatDate(date, {
+            month: 'short',
+            day: 'numeric',
+            year: date.getFullYear() !== new Date().getFullYear() ? 'numeric' : undefined
+        });
+    }
+    
+    // The repeat rule in the user's language. Recurrence.describe() gives the English
+    // phrase instead, which is what the repeat field takes and parse() reads back.
+    describeRecurrence(rule) {
+        const t = (key, params) => this.i18n.t(key, params);
+        const everyWeekday = rule.freq === 'weekly' && rule.interval === 1 && rule.days.join() === '1,2,3,4,5';
+        let text = everyWeekday ? t('todo.repeat.weekdays') : t(`todo.repeat.${rule.freq}`, { count: rule.interval });
+        
+        if (rule.freq === 'weekly' && !everyWeekday && rule.days.length > 0) {
+            text = t('todo.repeat.onDays', { rule: text, days: this.i18n.formatList(rule.days.map(day => this.i18n.formatWeekday(day))) });
+        } else if (rule.freq === 'monthly' && rule.ordinal !== undefined) {
+            text = t('todo.repeat.onNth', {
+                rule: text,
+                nth: t(`todo.repeat.nth.${rule.ordinal === -1 ? 'last' : rule.ordinal}`),
+                weekday: rule.weekday === 'weekday' ? t('todo.repeat.workday') : this.i18n.formatWeekday(rule.weekday, 'long')
+            });
+        } else if (rule.freq === 'monthly' && rule.day !== undefined) {
+            text = t('todo.repeat.onDay', { rule: text, day: rule.day });
+        }
+        
+        return rule.until ? t('todo.repeat.until', { rule: text, date: this.i18n.formatDate(DateKey.toDate(rule.until)) }) : text;
+    }
+    
+    getPriorityLabel(priority) {
+        return this.i18n.t(`todo.priority.${priority}`);
+    }
+    
+    formatDate(timestamp) {
+        return this.i18n.formatRelative(timestamp);
+    }
+    
+    // Reads a message out to screen readers; errors interrupt, everything else waits its turn
+    announce(message, type = 'info') {
+        const region = type === 'error' ? this.liveAlert : this.liveStatus;
+        
+        // Clearing first makes a repeated message count as a change
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = message;
+        }, 100);
+    }
+}
+
+TodoApp.PRIORITIES = ['low', 'normal', 'high'];
+TodoApp.TAG_NAME = /^[\p{L}\p{N}_-]+$/u;
+TodoApp.SORT_MODES = ['created', 'due', 'priority', 'alphabetical', 'manual'];
+
+// Keys kept in the app's storage backend; display preferences stay in localStorage
+TodoApp.STORAGE_KEY = /^(todos|todos:.+|todoTombstones:.+|todoLists|activeTodoList|todoRemindersSent|todoSchemaVersion)$/;
+
+TodoApp.SNOOZE_OPTIONS = [
+    { label: 'todo.snooze.tenMinutes', minutes: 10 },
+    { label: 'todo.snooze.hour', minutes: 60 },
+    { label: 'todo.snooze.tomorrow', minutes: null }
+];
+TodoApp.REMINDER_TOAST_DURATION = 30000;
+TodoApp.SENT_REMINDER_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+TodoApp.STATS_DAYS = 14;
+TodoApp.STATS_WEEKS = 12;
+TodoApp.STATS_GROUP_LIMIT = 8;
+TodoApp.VIRTUALIZE_AFTER = 200;    // Longer lists only render the rows in view
+TodoApp.ROW_HEIGHT = 64;           // Estimate for rows that haven't been measured yet
+TodoApp.OVERSCAN = 10;             // Rows rendered above and below the viewport
+TodoApp.FOCUSABLE_ROW_CONTROLS = ['.todo-text', '.todo-checkbox', '.select-checkbox', '.subtask-toggle', '.delete-btn'];
+
+// Stored data is upgraded through these once, in order, when the app opens
+TodoApp.MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Move todos saved under the single "todos" key into a default list',
+        migrate(storage) {
+            const legacyTodos = storage.getItem('todos');
+            if (legacyTodos === null || storage.getItem('todoLists') !== null) return;
+            
+            const list = { id: Date.now(), name: 'My Todos', createdAt: new Date().toISOString() };
+            storage.setItem('todoLists', JSON.stringify([list]));
+            storage.setItem(TodoStore.listKey(list.id), legacyTodos);
+            storage.removeItem('todos');
+        }
+    },
+    {
+        version: 2,
+        description: 'Drop malformed todos and fill in tags, due dates, priorities and subtasks',
+        // The checks as they were at version 2; later changes to sanitizeTodos belong in
+        // a new migration, not here
+        migrate(storage) {
+            const isValid = todo => !!todo &&
+                typeof todo.id === 'number' &&
+                typeof todo.text === 'string' &&
+                typeof todo.completed === 'boolean' &&
+                !!todo.createdAt;
+            const isValidSubtask = subtask => !!subtask &&
+                typeof subtask.id === 'number' &&
+                typeof subtask.text === 'string' &&
+                typeof subtask.completed === 'boolean';
+            
+            TodoApp.rewriteStoredTodos(storage, todos => todos.filter(isValid).map(todo => ({
+                ...todo,
+                tags: Array.isArray(todo.tags)
+                    ? todo.tags.filter(tag => typeof tag === 'string' && /^[\p{L}\p{N}_-]+$/u.test(tag)).map(tag => tag.toLowerCase())
+                    : [],
+                dueDate: typeof todo.dueDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(todo.dueDate) ? todo.dueDate : null,
+                priority: ['low', 'normal', 'high'].includes(todo.priority) ? todo.priority : 'normal',
+                subtasks: Array.isArray(todo.subtasks) ? todo.subtasks.filter(isValidSubtask) : []
+            })));
+        }
+    },
+    {
+        version: 3,
+        description: 'Add an empty repeat rule to every todo',
+        migrate(storage) {
+            TodoApp.rewriteStoredTodos(storage, todos => todos.map(todo => ({ ...todo, recurrence: todo.recurrence || null })));
+        }
+    },
+    {
+        version: 4,
+        description: 'Add an empty reminder time to every todo',
+        migrate(storage) {
+            TodoApp.rewriteStoredTodos(storage, todos => todos.map(todo => ({ ...todo, reminderAt: todo.reminderAt || null })));
+        }
+    },
+    {
+        version: 5,
+        description: 'Record when completed todos were completed, estimated from their last change',
+        // Written out rather than calling getCompletedAt, so later changes to it don't
+        // change what this step does
+        migrate(storage) {
+            TodoApp.rewriteStoredTodos(storage, todos => todos.map(todo => ({
+                ...todo,
+                completedAt: todo.completed ? todo.updatedAt || todo.createdAt : null,
+                completedAtEstimated: !!todo.completed
+            })));
+        }
+    }
+];
 
 // Initialize the todo app when the page loads
 document.addEventListener('DOMContentLoaded', () => {
-    new TodoApp();
+    // ?storage=memory keeps everything in memory, e.g. for benchmark.html
+    const inMemory = new URLSearchParams(window.location.search).get('storage') === 'memory';
+    window.todoApp = new TodoApp({ storage: inMemory ? new StorageCache(new MemoryAdapter()) : null });
 });
\ No newline at end of file
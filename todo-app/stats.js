@@ -0,0 +1,146 @@
+// Productivity numbers for a set of todos. Everything takes "today" as an argument
+// and works on local calendar days, so results don't depend on when they are computed.
+class TodoStats {
+    // Completions on each of the last `days` days, oldest first
+    static completionsByDay(todos, days, today) {
+        const counts = TodoStats.countCompletions(todos);
+        const buckets = [];
+        
+        for (let i = days - 1; i >= 0; i--) {
+            const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - i);
+            const key = DateKey.from(date);
+            buckets.push({ key: key, date: date, count: counts.get(key) || 0 });
+        }
+        
+        return buckets;
+    }
+    
+    // Completions in each of the last `weeks` weeks (Monday to Sunday), oldest first
+    static completionsByWeek(todos, weeks, today) {
+        const days = TodoStats.completionsByDay(todos, weeks * 7 + 6, today);
+        const buckets = [];
+        
+        days.forEach(day => {
+            const isMonday = day.date.getDay() === 1;
+            if (isMonday || buckets.length === 0) {
+                buckets.push({ key: day.key, date: day.date, count: 0 });
+            }
+            buckets[buckets.length - 1].count += day.count;
+        });
+        
+        // The first bucket starts mid-week unless today is a Sunday
+        return buckets.slice(-weeks);
+    }
+    
+    // Map of local date key to the number of todos completed that day
+    static countCompletions(todos) {
+        const counts = new Map();
+        
+        todos.forEach(todo => {
+            if (!todo.completed || !todo.completedAt) return;
+            
+            const key = DateKey.from(new Date(todo.completedAt));
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        
+        return counts;
+    }
+    
+    // Mean time from creation to completion in milliseconds, or null when nothing is completed
+    static averageCompletionTime(todos) {
+        const durations = todos
+            .filter(todo => todo.completed && todo.completedAt)
+            .map(todo => Date.parse(todo.completedAt) - Date.parse(todo.createdAt))
+            .filter(duration => duration >= 0);
+        
+        if (durations.length === 0) return null;
+        return durations.reduce((sum, duration) => sum + duration, 0) / durations.length;
+    }
+    
+    // Whether any completion time was estimated, for todos completed before they were recorded
+    static hasEstimates(todos) {
+        return todos.some(todo => todo.completed && todo.completedAtEstimated);
+    }
+    
+    // Days in a row with at least one completion. A streak that reached yesterday
+    // still counts until today is over.
+    static currentStreak(todos, today) {
+        const counts = TodoStats.countCompletions(todos);
+        const date = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        
+        if (!counts.has(DateKey.from(date))) {
+            date.setDate(date.getDate() - 1);
+        }
+        
+        let streak = 0;
+        while (counts.has(DateKey.from(date))) {
+            streak++;
+            date.setDate(date.getDate() - 1);
+        }
+        
+        return streak;
+    }
+    
+    static overdueCount(todos, today) {
+        const todayKey = DateKey.from(today);
+        return todos.filter(todo => !todo.completed && todo.dueDate && todo.dueDate < todayKey).length;
+    }
+    
+    // [{ label, total, completed }] for each tag, busiest first. A todo with several tags
+    // counts towards each of them.
+    static byTag(todos) {
+        const groups = new Map();
+        
+        todos.forEach(todo => {
+            const tags = todo.tags.length > 0 ? todo.tags.map(tag => `#${tag}`) : [TodoStats.UNTAGGED];
+            tags.forEach(label => TodoStats.addToGroup(groups, label, todo));
+        });
+        
+        return TodoStats.sortGroups(groups);
+    }
+    
+    // lists: [{ name, todos }]
+    static byList(lists) {
+        const groups = new Map();
+        
+        lists.forEach(list => {
+            groups.set(list.name, { label: list.name, total: 0, completed: 0 });
+            list.todos.forEach(todo => TodoStats.addToGroup(groups, list.name, todo));
+        });
+        
+        return TodoStats.sortGroups(groups);
+    }
+    
+    static addToGroup(groups, label, todo) {
+        if (!groups.has(label)) groups.set(label, { label: label, total: 0, completed: 0 });
+        
+        const group = groups.get(label);
+        group.total++;
+        if (todo.completed) group.completed++;
+    }
+    
+    static sortGroups(groups) {
+        return [...groups.values()].sort((a, b) => b.total - a.total || a.label.localeCompare(b.label));
+    }
+    
+    // e.g. "45 min", "5 h", "3 d 4 h". formatUnit(value, unit) words each part, with
+    // unit one of 'minute', 'hour' or 'day'.
+    static formatDuration(ms, formatUnit = TodoStats.formatUnit) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 60) return formatUnit(minutes, 'minute');
+        
+        const hours = Math.round(minutes / 60);
+        if (hours < 24) return formatUnit(hours, 'hour');
+        
+        const days = Math.floor(hours / 24);
+        const rest = hours % 24;
+        return rest > 0 ? `${formatUnit(days, 'day')} ${formatUnit(rest, 'hour')}` : formatUnit(days, 'day');
+    }
+    
+    static formatUnit(value, unit) {
+        return `${value} ${TodoStats.UNIT_ABBREVIATIONS[unit]}`;
+    }
+}
+
+TodoStats.UNTAGGED = 'Untagged';
+TodoStats.UNIT_ABBREVIATIONS = { minute: 'min', hour: 'h', day: 'd' };
\ No newline at end of file
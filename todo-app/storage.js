@@ -0,0 +1,215 @@
+// Storage layer for todo lists. Several tabs can share the same storage, so
+// instead of overwriting a whole list on save, each todo carries an updatedAt stamp
+// and deletions leave a tombstone; concurrent writes are merged todo by todo.
+// storage is a StorageCache, or anything with getItem/setItem/updateItem/removeItem/subscribe.
+class TodoStore {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.sanitize = options.sanitize || (todos => todos);
+        
+        // What this tab last read or wrote per list, used to tell local edits from remote ones
+        this.snapshots = new Map();
+    }
+    
+    static listKey(listId) {
+        return `todos:${listId}`;
+    }
+    
+    static tombstoneKey(listId) {
+        return `todoTombstones:${listId}`;
+    }
+    
+    static isQuotaError(error) {
+        return !!error && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 ||
+            error.code === 1014
+        );
+    }
+    
+    // ---- Plain values ----
+    
+    read(key, fallback = null) {
+        const value = this.storage.getItem(key);
+        return value === null ? fallback : JSON.parse(value);
+    }
+    
+    write(key, value) {
+        this.storage.setItem(key, JSON.stringify(value));
+    }
+    
+    remove(key) {
+        this.storage.removeItem(key);
+    }
+    
+    // ---- Todo lists ----
+    
+    // Returns the stored todos, without malformed ones (throws if the stored JSON is corrupt)
+    readTodos(listId) {
+        const raw = this.storage.getItem(TodoStore.listKey(listId));
+        const todos = raw ? JSON.parse(raw) : [];
+        const list = Array.isArray(todos) ? this.sanitize(todos) : [];
+        
+        this.remember(listId, raw, list);
+        return list;
+    }
+    
+    // Saves a list and returns what was actually stored, which includes any
+    // changes another tab made since this tab last read the list
+    writeTodos(listId, todos) {
+        const key = TodoStore.listKey(listId);
+        const now = new Date().toISOString();
+        const snapshot = this.snapshots.get(listId) || { raw: null, fingerprints: new Map() };
+        
+        // Stamp todos that changed here since the last read/write
+        const mine = todos;
+        const unchanged = new Set();
+        mine.forEach(todo => {
+            if (snapshot.fingerprints.get(todo.id) !== this.fingerprint(todo)) {
+                todo.updatedAt = now;
+            } else {
+                unchanged.add(todo.id);
+            }
+        });
+        
+        // Todos that were there before but are gone now were deleted here
+        const tombstones = this.readTombstones(listId);
+        const mineIds = new Set(mine.map(todo => todo.id));
+        snapshot.fingerprints.forEach((fingerprint, id) => {
+            if (!mineIds.has(id)) tombstones[id] = now;
+        });
+        
+        // Another tab wrote in the meantime: merge instead of overwriting. A todo this tab
+        // left alone that is missing from the other copy was deleted there, even if that
+        // tab's tombstone hasn't been written yet.
+        const mergeWith = (currentRaw) => {
+            if (currentRaw === snapshot.raw) return mine;
+            
+            const theirs = this.parseForeign(currentRaw);
+            const theirIds = new Set(theirs.map(todo => todo.id));
+            const deleted = { ...tombstones };
+            unchanged.forEach(id => {
+                if (!theirIds.has(id)) deleted[id] = now;
+            });
+            return this.merge(mine, theirs, deleted);
+        };
+        const cachedRaw = this.storage.getItem(key);
+        const merged = mergeWith(cachedRaw);
+        const raw = JSON.stringify(merged);
+        
+        // The backend merges again with what it holds when the write lands, which can
+        // include a write from another tab that this tab hasn't heard about yet
+        this.storage.updateItem(key, raw, storedRaw => storedRaw === cachedRaw ? raw : JSON.stringify(mergeWith(storedRaw)));
+        this.writeTombstones(listId, tombstones);
+        this.remember(listId, raw, merged);
+        
+        return merged;
+    }
+    
+    removeTodos(listId) {
+        this.storage.removeItem(TodoStore.listKey(listId));
+        this.storage.removeItem(TodoStore.tombstoneKey(listId));
+        this.snapshots.delete(listId);
+    }
+    
+    // Per-todo merge: the newer updatedAt wins, and a tombstone newer than a
+    // todo's last change removes it. Local order is kept; todos that only exist
+    // in the other copy are slotted in at their position there.
+    merge(mine, theirs, tombstones) {
+        const newer = (a, b) => (b.updatedAt || '') > (a.updatedAt || '') ? b : a;
+        const isDeleted = (todo) => {
+            const deletedAt = tombstones[todo.id];
+            return !!deletedAt && deletedAt >= (todo.updatedAt || '');
+        };
+        
+        const theirsById = new Map(theirs.map(todo => [todo.id, todo]));
+        const result = [];
+        
+        mine.forEach(todo => {
+            const other = theirsById.get(todo.id);
+            theirsById.delete(todo.id);
+            
+            const winner = other ? newer(todo, other) : todo;
+            if (!isDeleted(winner)) result.push(winner);
+        });
+        
+        theirs.forEach((todo, index) => {
+            if (!theirsById.has(todo.id) || isDeleted(todo)) return;
+            result.splice(Math.min(index, result.length), 0, todo);
+        });
+        
+        return result;
+    }
+    
+    parseForeign(raw) {
+        try {
+            const todos = raw ? JSON.parse(raw) : [];
+            return Array.isArray(todos) ? this.sanitize(todos) : [];
+        } catch (error) {
+            // A corrupt copy has nothing worth merging
+            console.error('Error parsing todos written by another tab:', error);
+            return [];
+        }
+    }
+    
+    readTombstones(listId) {
+        return this.parseTombstones(this.storage.getItem(TodoStore.tombstoneKey(listId)));
+    }
+    
+    parseTombstones(raw) {
+        try {
+            const tombstones = raw ? JSON.parse(raw) : {};
+            return tombstones && typeof tombstones === 'object' ? tombstones : {};
+        } catch (error) {
+            console.error('Error reading deleted todo markers:', error);
+            return {};
+        }
+    }
+    
+    writeTombstones(listId, tombstones) {
+        // Old tombstones can no longer conflict with anything; drop them
+        const cutoff = new Date(Date.now() - TodoStore.TOMBSTONE_TTL).toISOString();
+        const prune = (all) => {
+            const kept = {};
+            Object.keys(all).forEach(id => {
+                if (all[id] >= cutoff) kept[id] = all[id];
+            });
+            return JSON.stringify(kept);
+        };
+        
+        // Markers another tab added in the meantime are kept as well
+        this.storage.updateItem(TodoStore.tombstoneKey(listId), prune(tombstones), storedRaw => {
+            return prune({ ...this.parseTombstones(storedRaw), ...tombstones });
+        });
+    }
+    
+    remember(listId, raw, todos) {
+        this.snapshots.set(listId, {
+            raw: raw,
+            fingerprints: new Map(todos.map(todo => [todo.id, this.fingerprint(todo)]))
+        });
+    }
+    
+    // Content of a todo without its stamp, so re-saving an unchanged todo keeps its stamp
+    fingerprint(todo) {
+        return JSON.stringify({ ...todo, updatedAt: undefined });
+    }
+    
+    // ---- Cross-tab notifications ----
+    
+    // Only changes made in *other* tabs are reported, which is exactly what we want here
+    subscribe(callback) {
+        this.storage.subscribe((key) => {
+            if (key === null) {
+                callback({ type: 'cleared' });
+            } else if (key === 'todoLists') {
+                callback({ type: 'lists' });
+            } else if (key.startsWith('todos:')) {
+                callback({ type: 'todos', listId: Number(key.slice('todos:'.length)) });
+            }
+        });
+    }
+}
+
+TodoStore.TOMBSTONE_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
\ No newline at end of file
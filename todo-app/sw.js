@@ -0,0 +1,67 @@
+// Service worker for the todo app: precaches the app shell so the app starts offline.
+// Bump CACHE_VERSION whenever a file in APP_SHELL changes. The new worker then installs
+// next to the old one and waits until the page asks it to take over ("new version
+// available — reload"), so a tab never runs a mix of old and new files.
+const CACHE_PREFIX = 'todo-app-';
+const CACHE_VERSION = `${CACHE_PREFIX}v3`;
+
+const APP_SHELL = [
+    './',
+    './index.html',
+    './style.css',
+    './manifest.webmanifest',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    '../shared/storage.js',
+    '../shared/toolkit.js',
+    '../shared/i18n.js',
+    '../shared/locales/en.js',
+    '../shared/locales/es.js',
+    '../shared/locales/ar.js',
+    './history.js',
+    './query.js',
+    './transfer.js',
+    './recurrence.js',
+    './reminders.js',
+    './stats.js',
+    './charts.js',
+    './storage.js',
+    './script.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_VERSION).then(cache => cache.addAll(APP_SHELL))
+    );
+});
+
+// Drop the caches of earlier versions once this one is in charge
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_VERSION)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// App shell files come from the cache; anything else goes to the network as usual.
+// Pages are matched without their query, so shortcuts like index.html?action=new work offline.
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    
+    const isPage = request.mode === 'navigate';
+    event.respondWith(
+        caches.open(CACHE_VERSION)
+            .then(cache => cache.match(request, { ignoreSearch: isPage }))
+            .then(cached => cached || fetch(request))
+    );
+});
\ No newline at end of file
@@ -0,0 +1,240 @@
+// Converts todos to and from JSON, CSV and GitHub-style Markdown checklists.
+// Parsing only turns text into todo-shaped records; TodoApp decides which ones are valid.
+class TodoTransfer {
+    static export(format, todos, listName = 'Todos') {
+        switch (format) {
+            case 'csv':
+                return TodoTransfer.toCSV(todos);
+            case 'markdown':
+                return TodoTransfer.toMarkdown(todos, listName);
+            default:
+                return TodoTransfer.toJSON(todos, listName);
+        }
+    }
+    
+    static toJSON(todos, listName) {
+        return JSON.stringify({
+            version: 1,
+            list: listName,
+            exportedAt: new Date().toISOString(),
+            todos: todos
+        }, null, 2);
+    }
+    
+    static toCSV(todos) {
+        const rows = todos.map(todo => [
+            todo.id,
+            todo.text,
+            todo.completed,
+            todo.createdAt,
+            todo.dueDate || '',
+            todo.priority,
+            todo.tags.join(' ')
+        ]);
+        
+        return [TodoTransfer.CSV_COLUMNS, ...rows]
+            .map(row => row.map(value => Csv.escape(value)).join(','))
+            .join('\r\n');
+    }
+    
+    static toMarkdown(todos, listName) {
+        const lines = [`# ${listName}`, ''];
+        
+        todos.forEach(todo => {
+            const tags = todo.tags.map(tag => ` #${tag}`).join('');
+            lines.push(`- [${todo.completed ? 'x' : ' '}] ${todo.text}${tags}`);
+            todo.subtasks.forEach(subtask => {
+                lines.push(`  - [${subtask.completed ? 'x' : ' '}] ${subtask.text}`);
+            });
+        });
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    // Guess the format from a file name, falling back to the content itself
+    static detectFormat(text, fileName = '') {
+        const extension = fileName.split('.').pop().toLowerCase();
+        if (extension === 'json') return 'json';
+        if (extension === 'csv') return 'csv';
+        if (extension === 'md' || extension === 'markdown') return 'markdown';
+        
+        const trimmed = text.trim();
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) return 'json';
+        if (/^\s*[-*+]\s+\[[ xX]\]/m.test(trimmed)) return 'markdown';
+        return 'csv';
+    }
+    
+    // Returns { records, rejected } where rejected is a list of { row, reason }
+    static parse(format, text) {
+        switch (format) {
+            case 'csv':
+                return TodoTransfer.parseCSV(text);
+            case 'markdown':
+                return TodoTransfer.parseMarkdown(text);
+            default:
+                return TodoTransfer.parseJSON(text);
+        }
+    }
+    
+    static parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return { records: [], rejected: [{ row: null, reason: 'Not valid JSON' }] };
+        }
+        
+        const todos = Array.isArray(data) ? data : data && data.todos;
+        if (!Array.isArray(todos)) {
+            return { records: [], rejected: [{ row: null, reason: 'Expected an array of todos' }] };
+        }
+        
+        return {
+            records: todos.map((todo, index) => ({ row: index + 1, todo: todo })),
+            rejected: []
+        };
+    }
+    
+    static parseCSV(text) {
+        const rows = TodoTransfer.splitCSV(text).filter(row => row.some(cell => cell.trim() !== ''));
+        if (rows.length === 0) {
+            return { records: [], rejected: [{ row: null, reason: 'The file is empty' }] };
+        }
+        
+        const header = rows[0].map(cell => cell.trim().toLowerCase());
+        if (!header.includes('text')) {
+            return { records: [], rejected: [{ row: 1, reason: 'Missing a "text" column header' }] };
+        }
+        
+        const records = [];
+        const rejected = [];
+        
+        rows.slice(1).forEach((cells, index) => {
+            const row = index + 2;
+            const value = (column) => {
+                const cellIndex = header.indexOf(column);
+                return cellIndex === -1 ? '' : Csv.unescape(cells[cellIndex] || '').trim();
+            };
+            
+            const completed = value('completed').toLowerCase();
+            if (completed && !TodoTransfer.BOOLEAN_VALUES.hasOwnProperty(completed)) {
+                rejected.push({ row, reason: `Unrecognised completed value "${value('completed')}"` });
+                return;
+            }
+            
+            const id = Number(value('id'));
+            records.push({
+                row: row,
+                todo: {
+                    id: value('id') && Number.isFinite(id) ? id : null,
+                    text: value('text'),
+                    completed: completed ? TodoTransfer.BOOLEAN_VALUES[completed] : false,
+                    createdAt: value('createdat') || null,
+                    dueDate: value('duedate') || null,
+                    priority: value('priority').toLowerCase() || 'normal',
+                    tags: value('tags').split(/[\s,;#]+/).filter(Boolean),
+                    subtasks: []
+                }
+            });
+        });
+        
+        return { records, rejected };
+    }
+    
+    // Minimal RFC 4180 reader: quoted fields, escaped quotes and newlines inside quotes
+    static splitCSV(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        
+        return rows;
+    }
+    
+    static parseMarkdown(text) {
+        const records = [];
+        const rejected = [];
+        let parent = null;
+        
+        text.split(/\r?\n/).forEach((line, index) => {
+            const row = index + 1;
+            
+            // Headings and blank lines carry no todos
+            if (!line.trim() || /^\s*#{1,6}\s/.test(line)) return;
+            
+            const match = line.match(/^(\s*)[-*+]\s+\[([ xX])\]\s*(.*)$/);
+            if (!match) {
+                rejected.push({ row, reason: 'Not a "- [ ]" checklist item' });
+                return;
+            }
+            
+            const [, indent, mark, content] = match;
+            const completed = mark.toLowerCase() === 'x';
+            
+            // Indented items belong to the checklist item above them
+            if (indent.length >= 2 && parent) {
+                parent.todo.subtasks.push({ text: content.trim(), completed: completed });
+                return;
+            }
+            
+            const { text: todoText, tags } = TodoQuery.extractTags(content.trim());
+            parent = {
+                row: row,
+                todo: {
+                    id: null,
+                    text: todoText,
+                    completed: completed,
+                    createdAt: null,
+                    dueDate: null,
+                    priority: 'normal',
+                    tags: tags,
+                    subtasks: []
+                }
+            };
+            records.push(parent);
+        });
+        
+        return { records, rejected };
+    }
+}
+
+TodoTransfer.CSV_COLUMNS = ['id', 'text', 'completed', 'createdAt', 'dueDate', 'priority', 'tags'];
+TodoTransfer.BOOLEAN_VALUES = { true: true, false: false, yes: true, no: false, x: true, 1: true, 0: false };
+TodoTransfer.FILE_TYPES = {
+    json: { extension: 'json', mimeType: 'application/json' },
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    markdown: { extension: 'md', mimeType: 'text/markdown' }
+};
\ No newline at end of file